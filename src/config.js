@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const { getFullnodeUrl } = require('@mysten/sui/client');
+
+require('dotenv').config({ quiet: true });
+
+// Application configuration, loaded once at startup from (in increasing order
+// of precedence) the defaults below, an optional JSON file named by
+// CONFIG_FILE, and environment variables. Every problem is collected and
+// reported together, so a misconfigured deploy fails on boot rather than on
+// the first request that needs the bad value.
+//
+// The JSON file mirrors the shape of the config object, e.g.
+//   { "sui": { "network": "testnet" }, "auth": { "bcryptCost": 12 } }
+
+/**
+ * @typedef {Object} Config
+ * @property {'development'|'test'|'production'} env
+ * @property {boolean} isProduction
+ * @property {{port: number, corsOrigins: string[], trustProxy: number|null, publicUrl: string|null, shutdownTimeoutMs: number}} server
+ * @property {{uri: string, database: string, maxPoolSize: number, serverSelectionTimeoutMs: number}} mongodb
+ * @property {{network: 'mainnet'|'testnet'|'devnet'|'localnet', rpcUrl: string}} sui
+ * @property {{jwtSecret: string|null, bcryptCost: number}} auth
+ * @property {{walletDataTtlSeconds: number, metadataTtlSeconds: number}} cache
+ * @property {{login: {failureWindowMs: number, lockoutMs: number, maxDelayMs: number, accountDelayAfter: number, accountLockAfter: number, ipLockAfter: number}}} rateLimits
+ * @property {{transport: string, outputDir: string, appUrl: string}} mail
+ * @property {{level: string, moduleLevels: Object<string, string>}} logging
+ * @property {{token: string|null}} metrics
+ * @property {{legacyDeprecatedAt: Date, legacySunset: Date}} api
+ */
+
+const SUI_NETWORKS = ['mainnet', 'testnet', 'devnet', 'localnet'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Value parsers. Each returns the parsed value or throws with the reason,
+// which ends up in the startup report.
+const integer = ({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => (value) => {
+  const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw new Error(`must be a whole number between ${min} and ${max}`);
+  }
+  return parsed;
+};
+
+const string = ({ minLength = 1 } = {}) => (value) => {
+  if (typeof value !== 'string' || value.trim().length < minLength) {
+    throw new Error(minLength > 1 ? `must be at least ${minLength} characters` : 'must be a non-empty string');
+  }
+  return value.trim();
+};
+
+const oneOf = (values) => (value) => {
+  if (!values.includes(value)) {
+    throw new Error(`must be one of: ${values.join(', ')}`);
+  }
+  return value;
+};
+
+const url = ({ protocols = ['http:', 'https:'] } = {}) => (value) => {
+  let parsed;
+  try {
+    parsed = new URL(String(value).trim());
+  } catch (error) {
+    throw new Error('must be a valid URL');
+  }
+  if (!protocols.includes(parsed.protocol)) {
+    throw new Error(`must use ${protocols.map(protocol => protocol.replace(':', '://')).join(' or ')}`);
+  }
+  return String(value).trim().replace(/\/$/, '');
+};
+
+// An ISO 8601 date, e.g. "2027-04-30" or "2027-04-30T00:00:00Z"
+const date = () => (value) => {
+  const parsed = new Date(String(value).trim());
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error('must be an ISO 8601 date');
+  }
+  return parsed;
+};
+
+// Comma-separated in the environment, an array in the config file
+const list = (item) => (value) => {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const parsed = items.map(entry => String(entry).trim()).filter(Boolean);
+  if (parsed.length === 0) {
+    throw new Error('must list at least one value');
+  }
+  return parsed.map(item);
+};
+
+// "module=level" pairs, comma-separated in the environment
+// (e.g. "database=debug,authRoutes=warn") or an object in the config file
+const moduleLevels = (value) => {
+  const entries = typeof value === 'object' && !Array.isArray(value)
+    ? Object.entries(value)
+    : String(value).split(',').filter(pair => pair.trim()).map(pair => pair.split('=').map(part => part.trim()));
+
+  const levels = {};
+  for (const [module, level] of entries) {
+    if (!module || !LOG_LEVELS.includes(level)) {
+      throw new Error(`must be module=level pairs with levels: ${LOG_LEVELS.join(', ')}`);
+    }
+    levels[module] = level;
+  }
+  return levels;
+};
+
+// Each setting is read from its env var, then the config file at its path,
+// then its default. `default` may be a function of the settings loaded so far.
+const SETTINGS = [
+  { path: 'env', env: 'NODE_ENV', default: 'development', parse: oneOf(['development', 'test', 'production']) },
+
+  { path: 'server.port', env: 'PORT', default: 3000, parse: integer({ min: 1, max: 65535 }) },
+  { path: 'server.corsOrigins', env: 'CORS_ORIGIN', default: ['http://localhost:3000'], parse: list(url()) },
+  { path: 'server.trustProxy', env: 'TRUST_PROXY', default: null, parse: integer({ max: 10 }) },
+  { path: 'server.publicUrl', env: 'RENDER_EXTERNAL_URL', default: null, parse: url() },
+  { path: 'server.shutdownTimeoutMs', env: 'SHUTDOWN_TIMEOUT_MS', default: 10000, parse: integer({ max: 120000 }) },
+
+  {
+    path: 'mongodb.uri',
+    env: 'MONGODB_URI',
+    requiredInProduction: true,
+    default: 'mongodb://localhost:27017/evarra',
+    parse: (value) => {
+      if (!/^mongodb(\+srv)?:\/\//.test(String(value))) {
+        throw new Error('must start with mongodb:// or mongodb+srv://');
+      }
+      return String(value).trim();
+    }
+  },
+  { path: 'mongodb.database', env: 'MONGODB_DATABASE', default: 'evarra', parse: string() },
+  { path: 'mongodb.maxPoolSize', env: 'MONGODB_MAX_POOL_SIZE', default: 10, parse: integer({ min: 1, max: 500 }) },
+  { path: 'mongodb.serverSelectionTimeoutMs', env: 'MONGODB_SERVER_SELECTION_TIMEOUT_MS', default: 5000, parse: integer({ min: 100, max: 60000 }) },
+
+  { path: 'sui.network', env: 'SUI_NETWORK', default: 'mainnet', parse: oneOf(SUI_NETWORKS) },
+  { path: 'sui.rpcUrl', env: 'SUI_RPC_URL', default: (config) => getFullnodeUrl(config.sui.network), parse: url() },
+
+  { path: 'auth.jwtSecret', env: 'JWT_SECRET', requiredInProduction: true, default: null, parse: string({ minLength: 32 }) },
+  // bcrypt work factor: each step doubles the time to hash (and to crack)
+  { path: 'auth.bcryptCost', env: 'BCRYPT_COST', default: 10, parse: integer({ min: 4, max: 15 }) },
+
+  { path: 'cache.walletDataTtlSeconds', env: 'CACHE_WALLET_DATA_TTL_SECONDS', default: 5 * 60, parse: integer() },
+  { path: 'cache.metadataTtlSeconds', env: 'CACHE_METADATA_TTL_SECONDS', default: 24 * 60 * 60, parse: integer() },
+
+  { path: 'rateLimits.login.failureWindowMs', env: 'LOGIN_FAILURE_WINDOW_MS', default: 15 * 60 * 1000, parse: integer({ min: 1000 }) },
+  { path: 'rateLimits.login.lockoutMs', env: 'LOGIN_LOCKOUT_MS', default: 15 * 60 * 1000, parse: integer({ min: 1000 }) },
+  { path: 'rateLimits.login.maxDelayMs', env: 'LOGIN_MAX_DELAY_MS', default: 60 * 1000, parse: integer() },
+  { path: 'rateLimits.login.accountDelayAfter', env: 'LOGIN_ACCOUNT_DELAY_AFTER', default: 3, parse: integer({ min: 1 }) },
+  { path: 'rateLimits.login.accountLockAfter', env: 'LOGIN_ACCOUNT_LOCK_AFTER', default: 10, parse: integer({ min: 1 }) },
+  { path: 'rateLimits.login.ipLockAfter', env: 'LOGIN_IP_LOCK_AFTER', default: 100, parse: integer({ min: 1 }) },
+
+  { path: 'mail.transport', env: 'MAIL_TRANSPORT', default: 'console', parse: string() },
+  { path: 'mail.outputDir', env: 'MAIL_OUTPUT_DIR', default: path.join(process.cwd(), 'logs', 'mail'), parse: string() },
+  { path: 'mail.appUrl', env: 'APP_URL', default: 'http://localhost:3000', parse: url() },
+
+  { path: 'logging.level', env: 'LOG_LEVEL', default: (config) => (config.env === 'development' ? 'debug' : 'info'), parse: oneOf(LOG_LEVELS) },
+  { path: 'logging.moduleLevels', env: 'LOG_LEVELS', default: {}, parse: moduleLevels },
+
+  // When set, /metrics requires "Authorization: Bearer <token>"
+  { path: 'metrics.token', env: 'METRICS_TOKEN', default: null, parse: string({ minLength: 16 }) },
+
+  // When the unversioned /api paths (the v1 routes) were deprecated in favour
+  // of /api/v1, announced in their Deprecation header
+  { path: 'api.legacyDeprecatedAt', env: 'API_LEGACY_DEPRECATED_AT', default: new Date('2026-10-18T00:00:00Z'), parse: date() },
+  // When they stop working, announced in their Sunset header
+  { path: 'api.legacySunset', env: 'API_LEGACY_SUNSET', default: new Date('2027-04-30T00:00:00Z'), parse: date() }
+];
+
+const getPath = (object, keyPath) => keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, keyPath, value) => {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[last] = value;
+};
+
+const deepFreeze = (object) => {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+};
+
+const readConfigFile = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  } catch (error) {
+    throw Object.assign(new Error(`Invalid configuration: cannot read CONFIG_FILE ${filePath}: ${error.message}`), {
+      code: 'INVALID_CONFIG'
+    });
+  }
+};
+
+// Values are never included in the report, since several are secrets
+const loadConfig = (env = process.env) => {
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  const isProduction = (env.NODE_ENV || getPath(file, 'env')) === 'production';
+
+  const config = {};
+  const errors = [];
+
+  for (const setting of SETTINGS) {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '' ? env[setting.env] : undefined;
+    const raw = fromEnv !== undefined ? fromEnv : getPath(file, setting.path);
+
+    let value = null;
+    if (raw !== undefined && raw !== null) {
+      try {
+        value = setting.parse(raw);
+      } catch (error) {
+        errors.push({ setting: setting.path, env: setting.env, message: error.message });
+      }
+    } else if (setting.requiredInProduction && isProduction) {
+      errors.push({ setting: setting.path, env: setting.env, message: 'is required in production' });
+    } else if (typeof setting.default === 'function') {
+      // Derived defaults read earlier settings, which are only usable if valid
+      value = errors.length === 0 ? setting.default(config) : null;
+    } else {
+      value = setting.default;
+    }
+
+    setPath(config, setting.path, value);
+  }
+
+  if (errors.length > 0) {
+    const report = errors.map(error => `  - ${error.env} (${error.setting}) ${error.message}`).join('\n');
+    throw Object.assign(new Error(`Invalid configuration:\n${report}`), { code: 'INVALID_CONFIG', errors });
+  }
+
+  config.isProduction = config.env === 'production';
+  return /** @type {Config} */ (deepFreeze(config));
+};
+
+module.exports = loadConfig();
@@ -12,20 +12,46 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
+// Load and validate configuration before anything else, and refuse to start
+// with a bad value rather than failing on the first request that needs it
+let config;
+try {
+    config = require('./config');
+} catch (error) {
+    // The logger reads its levels from config, so report this one directly
+    console.error(error.message);
+    process.exit(1);
+}
 const express = require('express');
 const cors = require('cors');
-require('dotenv').config();
-const { SuiClient, getFullnodeUrl } = require('@mysten/sui/client');
 const authRoutes = require('./routes/auth');
 const goalRoutes = require('./routes/goals');
 const walletRoutes = require('./routes/wallets');
 const cacheRoutes = require('./routes/cache');
-const logger = {
-    info: (message, data) => console.log(`[INFO] ${message}`, data || ''),
-    error: (message, data) => console.error(`[ERROR] ${message}`, data || ''),
-    warn: (message, data) => console.warn(`[WARN] ${message}`, data || ''),
-    debug: (message, data) => console.debug(`[DEBUG] ${message}`, data || '')
-};
+const adminRoutes = require('./routes/admin');
+const goalV2Routes = require('./routes/v2/goals');
+const walletV2Routes = require('./routes/v2/wallets');
+const adminV2Routes = require('./routes/v2/admin');
+const MongoDBUserService = require('./services/userService');
+const HealthService = require('./services/healthService');
+const database = require('./services/database');
+const lifecycle = require('./utils/lifecycle');
+const { authenticate, requireScope } = require('./middleware/auth');
+const { validate } = require('./middleware/validate');
+const { upgradeRequiredError } = require('./utils/entitlements');
+const { AuthError, ForbiddenError, ValidationError } = require('./utils/errorHandler');
+const { createSuiClient } = require('./utils/sui');
+const { createLogger } = require('./utils/logger');
+const { requestContext } = require('./middleware/requestContext');
+const { recordHttpMetrics } = require('./middleware/metrics');
+const { deprecatedApi } = require('./middleware/apiVersion');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { listRoutes, buildOpenApiDocument } = require('./utils/openapi');
+const suiSchemas = require('./schemas/sui');
+const serviceSchemas = require('./schemas/service');
+const metrics = require('./utils/metrics');
+const crypto = require('crypto');
+const logger = createLogger('server');
 const validateSuiAddress = (address) => {
     return /^0x[a-fA-F0-9]{64}$/.test(address);
 };
@@ -44,16 +70,16 @@ const KNOWN_TOKENS = {
 const fetchSuiHoldings = async (address, forceRefresh = false) => {
     // Validate request parameters
     if (!address) {
-        throw new Error('Missing address parameter');
+        throw new ValidationError('Missing address parameter');
     }
 
     // Validate SUI address format
     if (!validateSuiAddress(address)) {
-        throw new Error('Invalid SUI address format');
+        throw new ValidationError('Invalid SUI address format');
     }
 
     // Initialize Sui client
-    const client = new SuiClient({ url: getFullnodeUrl('mainnet') });
+    const client = createSuiClient();
 
     // Fetch balances using SUI SDK
     const balances = await client.getAllBalances({ owner: address });
@@ -88,25 +114,25 @@ const fetchSuiHoldings = async (address, forceRefresh = false) => {
 };
 
 // Shared function for fetching SUI transactions
-const fetchSuiTransactions = async (address, limit = 50, cursor = null) => {
+const fetchSuiTransactions = async (address, limit = 50, cursor = null, { historyDays = null } = {}) => {
     // Validate request parameters
     if (!address) {
-        throw new Error('Missing address parameter');
+        throw new ValidationError('Missing address parameter');
     }
 
     // Validate SUI address format
     if (!validateSuiAddress(address)) {
-        throw new Error('Invalid SUI address format');
+        throw new ValidationError('Invalid SUI address format');
     }
 
     // Parse and validate limit
     const parsedLimit = parseInt(limit);
     if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
-        throw new Error('Invalid limit parameter. Must be between 1 and 100.');
+        throw new ValidationError('Invalid limit parameter. Must be between 1 and 100.');
     }
 
     // Initialize Sui client
-    const client = new SuiClient({ url: getFullnodeUrl('mainnet') });
+    const client = createSuiClient();
 
     // Log request parameters
     logger.info('Fetching transactions with params', {
@@ -115,220 +141,211 @@ const fetchSuiTransactions = async (address, limit = 50, cursor = null) => {
         cursor: cursor || 'none'
     });
 
-    try {
-        // Fetch both incoming and outgoing transactions using dual API calls
-        logger.info('Fetching transactions using bidirectional approach...');
-        
-        // Make two parallel API calls: one for outgoing (FromAddress) and one for incoming (ToAddress)
-        const [outgoingResponse, incomingResponse] = await Promise.all([
-            client.queryTransactionBlocks({
-                filter: {
-                    FromAddress: address
-                },
-                options: {
-                    showInput: true,
-                    showEffects: true,
-                    showEvents: true,
-                    showBalanceChanges: true
-                },
-                limit: parsedLimit,
-                cursor: cursor || undefined
-            }),
-            client.queryTransactionBlocks({
-                filter: {
-                    ToAddress: address
-                },
-                options: {
-                    showInput: true,
-                    showEffects: true,
-                    showEvents: true,
-                    showBalanceChanges: true
-                },
-                limit: parsedLimit,
-                cursor: cursor || undefined
-            })
-        ]);
-        
-        // Log raw responses for debugging
-        logger.info('Raw API responses', {
-            outgoingResponseData: outgoingResponse.data?.length || 0,
-            incomingResponseData: incomingResponse.data?.length || 0,
-            outgoingHasNextPage: outgoingResponse.hasNextPage,
-            incomingHasNextPage: incomingResponse.hasNextPage,
-            outgoingNextCursor: outgoingResponse.nextCursor,
-            incomingNextCursor: incomingResponse.nextCursor
-        });
-        
-        // Combine and deduplicate transactions
-        const allTransactions = [...outgoingResponse.data, ...incomingResponse.data];
-        const transactionMap = new Map();
+    // Fetch both incoming and outgoing transactions using dual API calls
+    logger.info('Fetching transactions using bidirectional approach...');
+    
+    // Make two parallel API calls: one for outgoing (FromAddress) and one for incoming (ToAddress).
+    // If either fails, the error middleware answers with BLOCKCHAIN_ERROR or NETWORK_ERROR (502/503)
+    const [outgoingResponse, incomingResponse] = await Promise.all([
+        client.queryTransactionBlocks({
+            filter: {
+                FromAddress: address
+            },
+            options: {
+                showInput: true,
+                showEffects: true,
+                showEvents: true,
+                showBalanceChanges: true
+            },
+            limit: parsedLimit,
+            cursor: cursor || undefined
+        }),
+        client.queryTransactionBlocks({
+            filter: {
+                ToAddress: address
+            },
+            options: {
+                showInput: true,
+                showEffects: true,
+                showEvents: true,
+                showBalanceChanges: true
+            },
+            limit: parsedLimit,
+            cursor: cursor || undefined
+        })
+    ]);
+    
+    // Log raw responses for debugging
+    logger.info('Raw API responses', {
+        outgoingResponseData: outgoingResponse.data?.length || 0,
+        incomingResponseData: incomingResponse.data?.length || 0,
+        outgoingHasNextPage: outgoingResponse.hasNextPage,
+        incomingHasNextPage: incomingResponse.hasNextPage,
+        outgoingNextCursor: outgoingResponse.nextCursor,
+        incomingNextCursor: incomingResponse.nextCursor
+    });
+    
+    // Combine and deduplicate transactions
+    const allTransactions = [...outgoingResponse.data, ...incomingResponse.data];
+    const transactionMap = new Map();
+    
+    allTransactions.forEach(tx => {
+        if (!transactionMap.has(tx.digest)) {
+            transactionMap.set(tx.digest, tx);
+        } else {
+            logger.debug('Duplicate transaction found during deduplication', {
+                digest: tx.digest,
+                existingSender: transactionMap.get(tx.digest).transaction?.data?.sender,
+                newSender: tx.transaction?.data?.sender
+            });
+        }
+    });
+    
+    const relevantTransactions = Array.from(transactionMap.values());
+    
+    // Log deduplication results
+    logger.info('Deduplication completed', {
+        totalCombined: allTransactions.length,
+        afterDeduplication: relevantTransactions.length,
+        duplicatesRemoved: allTransactions.length - relevantTransactions.length
+    });
+    
+    logger.info('Bidirectional fetch results', {
+        outgoingCount: outgoingResponse.data.length,
+        incomingCount: incomingResponse.data.length,
+        totalCombined: allTransactions.length,
+        afterDeduplication: relevantTransactions.length
+    });
+
+    // Log transaction details for debugging
+    relevantTransactions.forEach(tx => {
+        const sender = tx.transaction?.data?.sender;
+        const isOutgoing = sender === address;
         
-        allTransactions.forEach(tx => {
-            if (!transactionMap.has(tx.digest)) {
-                transactionMap.set(tx.digest, tx);
-            } else {
-                logger.debug('Duplicate transaction found during deduplication', {
-                    digest: tx.digest,
-                    existingSender: transactionMap.get(tx.digest).transaction?.data?.sender,
-                    newSender: tx.transaction?.data?.sender
-                });
-            }
+        logger.debug('Processing transaction', { 
+            digest: tx.digest, 
+            sender, 
+            isOutgoing,
+            address 
         });
+    });
+
+    // Sort by timestamp (newest first) - FIXED VERSION
+    relevantTransactions.sort((a, b) => {
+        const timeA = parseInt(a.timestampMs || 0);
+        const timeB = parseInt(b.timestampMs || 0);
         
-        const relevantTransactions = Array.from(transactionMap.values());
-        
-        // Log deduplication results
-        logger.info('Deduplication completed', {
-            totalCombined: allTransactions.length,
-            afterDeduplication: relevantTransactions.length,
-            duplicatesRemoved: allTransactions.length - relevantTransactions.length
-        });
+        // Add error handling for invalid timestamps
+        if (isNaN(timeA) || isNaN(timeB)) {
+            logger.warn('Invalid timestamp found during sorting', { 
+                a: a.timestampMs, 
+                b: b.timestampMs,
+                digestA: a.digest,
+                digestB: b.digest
+            });
+            return 0;
+        }
         
-        logger.info('Bidirectional fetch results', {
-            outgoingCount: outgoingResponse.data.length,
-            incomingCount: incomingResponse.data.length,
-            totalCombined: allTransactions.length,
-            afterDeduplication: relevantTransactions.length
-        });
+        return timeB - timeA; // Newest first
+    });
+    
+    // Log sorting results for debugging
+    logger.info('Sorting completed', {
+        totalTransactions: relevantTransactions.length,
+        firstTransaction: relevantTransactions[0] ? {
+            digest: relevantTransactions[0].digest,
+            timestamp: relevantTransactions[0].timestampMs,
+            sender: relevantTransactions[0].transaction?.data?.sender
+        } : null,
+        secondTransaction: relevantTransactions[1] ? {
+            digest: relevantTransactions[1].digest,
+            timestamp: relevantTransactions[1].timestampMs,
+            sender: relevantTransactions[1].transaction?.data?.sender
+        } : null
+    });
 
-        // Log transaction details for debugging
-        relevantTransactions.forEach(tx => {
-            const sender = tx.transaction?.data?.sender;
-            const isOutgoing = sender === address;
-            
-            logger.debug('Processing transaction', { 
-                digest: tx.digest, 
-                sender, 
-                isOutgoing,
-                address 
-            });
-        });
+    // Drop transactions older than the caller's plan allows (null = no limit)
+    const historyCutoff = historyDays === null ? null : Date.now() - historyDays * 24 * 60 * 60 * 1000;
+    const visibleTransactions = historyCutoff === null
+        ? relevantTransactions
+        : relevantTransactions.filter(tx => parseInt(tx.timestampMs || 0) >= historyCutoff);
+    const historyLimited = visibleTransactions.length < relevantTransactions.length;
+
+    // A page that starts beyond the history window has nothing to show
+    if (historyLimited && cursor && visibleTransactions.length === 0) {
+        throw upgradeRequiredError(
+            `Your plan includes ${historyDays} days of transaction history`,
+            'transactionHistoryDays',
+            historyDays
+        );
+    }
 
-        // Sort by timestamp (newest first) - FIXED VERSION
-        relevantTransactions.sort((a, b) => {
-            const timeA = parseInt(a.timestampMs || 0);
-            const timeB = parseInt(b.timestampMs || 0);
-            
-            // Add error handling for invalid timestamps
-            if (isNaN(timeA) || isNaN(timeB)) {
-                logger.warn('Invalid timestamp found during sorting', { 
-                    a: a.timestampMs, 
-                    b: b.timestampMs,
-                    digestA: a.digest,
-                    digestB: b.digest
-                });
-                return 0;
-            }
-            
-            return timeB - timeA; // Newest first
-        });
-        
-        // Log sorting results for debugging
-        logger.info('Sorting completed', {
-            totalTransactions: relevantTransactions.length,
-            firstTransaction: relevantTransactions[0] ? {
-                digest: relevantTransactions[0].digest,
-                timestamp: relevantTransactions[0].timestampMs,
-                sender: relevantTransactions[0].transaction?.data?.sender
-            } : null,
-            secondTransaction: relevantTransactions[1] ? {
-                digest: relevantTransactions[1].digest,
-                timestamp: relevantTransactions[1].timestampMs,
-                sender: relevantTransactions[1].transaction?.data?.sender
-            } : null
-        });
+    // Take only the requested limit
+    const limitedTransactions = visibleTransactions.slice(0, parsedLimit);
 
-        // Take only the requested limit
-        const limitedTransactions = relevantTransactions.slice(0, parsedLimit);
+    // Determine pagination - if either response has more pages, we have more data.
+    // Paging stops at the edge of the history window.
+    const hasNextPage = !historyLimited && (outgoingResponse.hasNextPage || incomingResponse.hasNextPage);
+    const nextCursor = hasNextPage ? (outgoingResponse.nextCursor || incomingResponse.nextCursor) : null;
 
-        // Determine pagination - if either response has more pages, we have more data
-        const hasNextPage = outgoingResponse.hasNextPage || incomingResponse.hasNextPage;
-        const nextCursor = outgoingResponse.nextCursor || incomingResponse.nextCursor;
+    const responseData = {
+        data: limitedTransactions,
+        hasNextPage,
+        nextCursor
+    };
 
-        const responseData = {
-            data: limitedTransactions,
-            hasNextPage,
-            nextCursor
-        };
+    // Log the response for debugging
+    logger.info('Successfully fetched SUI transactions (BIDIRECTIONAL)', {
+        address,
+        outgoingFetched: outgoingResponse.data.length,
+        incomingFetched: incomingResponse.data.length,
+        totalCombined: allTransactions.length,
+        finalCount: responseData.data.length,
+        hasNextPage: responseData.hasNextPage,
+        nextCursor: responseData.nextCursor,
+        sampleTransactions: responseData.data.slice(0, 3).map(tx => ({
+            digest: tx.digest,
+            sender: tx.transaction?.data?.sender,
+            timestamp: tx.timestampMs,
+            balanceChanges: tx.balanceChanges?.length || 0,
+            isIncoming: tx.transaction?.data?.sender !== address
+        }))
+    });
 
-        // Log the response for debugging
-        logger.info('Successfully fetched SUI transactions (BIDIRECTIONAL)', {
-            address,
-            outgoingFetched: outgoingResponse.data.length,
-            incomingFetched: incomingResponse.data.length,
-            totalCombined: allTransactions.length,
-            finalCount: responseData.data.length,
-            hasNextPage: responseData.hasNextPage,
+    return {
+        success: true,
+        data: {
+            transactions: responseData.data,
             nextCursor: responseData.nextCursor,
-            sampleTransactions: responseData.data.slice(0, 3).map(tx => ({
-                digest: tx.digest,
-                sender: tx.transaction?.data?.sender,
-                timestamp: tx.timestampMs,
-                balanceChanges: tx.balanceChanges?.length || 0,
-                isIncoming: tx.transaction?.data?.sender !== address
-            }))
-        });
-
-        return {
-            success: true,
-            data: {
-                transactions: responseData.data,
-                nextCursor: responseData.nextCursor,
-                hasNextPage: responseData.hasNextPage
-            },
-            metadata: {
-                duration: 0, // TODO: Add timing
-                timestamp: new Date().toISOString(),
-                service: 'evarra-backend-service'
-            }
-        };
-    } catch (error) {
-        logger.error('Error fetching transactions from Sui API', {
-            address,
-            limit: parsedLimit,
-            cursor,
-            error: error instanceof Error ? {
-                message: error.message,
-                name: error.name,
-                stack: error.stack
-            } : error
-        });
-        
-        // Return empty result with error info
-        return {
-            success: true,
-            data: {
-                transactions: [],
-                nextCursor: null,
-                hasNextPage: false
-            },
-            metadata: {
-                duration: 0,
-                timestamp: new Date().toISOString(),
-                service: 'evarra-backend-service',
-                error: error.message || 'Unknown error occurred'
-            }
-        };
-    }
+            hasNextPage: responseData.hasNextPage,
+            historyLimited,
+            historyDays
+        },
+        metadata: {
+            duration: 0, // TODO: Add timing
+            timestamp: new Date().toISOString(),
+            service: 'evarra-backend-service'
+        }
+    };
 };
 
 // Shared function for fetching SUI metadata
 const fetchSuiMetadata = async (coinTypes) => {
     // Validate request parameters
     if (!Array.isArray(coinTypes)) {
-        throw new Error('Invalid request body. Expected array of coinTypes.');
+        throw new ValidationError('Invalid request body. Expected array of coinTypes.');
     }
 
     if (coinTypes.length === 0) {
-        throw new Error('Empty coin types array.');
+        throw new ValidationError('Empty coin types array.');
     }
 
     if (!coinTypes.every(type => typeof type === 'string')) {
-        throw new Error('All coin types must be strings.');
+        throw new ValidationError('All coin types must be strings.');
     }
 
     // Initialize Sui client
-    const client = new SuiClient({ url: getFullnodeUrl('mainnet') });
+    const client = createSuiClient();
     const metadata = {};
     const errors = {};
 
@@ -389,11 +406,17 @@ const fetchSuiMetadata = async (coinTypes) => {
 };
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+const userService = new MongoDBUserService();
+
+// Behind a reverse proxy (e.g. Render) trust X-Forwarded-For for this many hops,
+// so req.ip is the client's address for sign-in lockouts and audit records
+if (config.server.trustProxy !== null) {
+    app.set('trust proxy', config.server.trustProxy);
+}
 
 // CORS configuration with support for multiple origins
-const corsOrigins = process.env.CORS_ORIGIN || 'http://localhost:3000';
-const allowedOrigins = corsOrigins.split(',').map(origin => origin.trim());
+const allowedOrigins = config.server.corsOrigins;
 
 const corsOptions = {
     origin: function (origin, callback) {
@@ -403,30 +426,71 @@ const corsOptions = {
         if (allowedOrigins.indexOf(origin) !== -1) {
             callback(null, true);
         } else {
-            callback(new Error('Not allowed by CORS'));
+            callback(new ForbiddenError('Not allowed by CORS', { code: 'CORS_ORIGIN_DENIED' }));
         }
     },
-    credentials: true
+    credentials: true,
+    // So the frontend can see that it is calling a deprecated path
+    exposedHeaders: ['Deprecation', 'Sunset', 'Link']
 };
 
 // Middleware
+app.use(requestContext);
+app.use(recordHttpMetrics);
+app.use(lifecycle.trackRequests);
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Auth routes
-app.use('/api/auth', authRoutes);
+// Prometheus scrape endpoint. Mounted before authenticate, because the scrape
+// token is not a user access token; when METRICS_TOKEN is set it is required.
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
 
-// Goals routes
-app.use('/api/goals', goalRoutes);
+app.get('/metrics', validate(serviceSchemas.metrics), (req, res) => {
+    if (config.metrics.token) {
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        if (!crypto.timingSafeEqual(sha256(token), sha256(config.metrics.token))) {
+            throw new AuthError('Metrics token required');
+        }
+    }
+
+    res.set('Content-Type', metrics.CONTENT_TYPE);
+    res.send(metrics.registry.render());
+});
+
+// Resolve req.user from the Bearer access token, if one is sent
+app.use(authenticate);
+
+// Health checks. Liveness only says the process is serving requests;
+// readiness checks MongoDB, the Sui fullnode and the cache, and returns 503
+// when a critical dependency is down or the server is draining.
+const healthService = new HealthService();
+
+app.get('/api/health/live', validate(serviceSchemas.liveness), (req, res) => {
+    res.json({
+        status: 'alive',
+        service: 'evarra-backend-service',
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: Math.round(process.uptime())
+    });
+});
 
-// Wallets routes
-app.use('/api/wallets', walletRoutes);
+const sendHealthReport = async (req, res) => {
+    const { status, httpStatus, checks } = await healthService.getReport();
 
-// Cache routes
-app.use('/api/cache', cacheRoutes);
+    res.status(httpStatus).json({
+        status,
+        service: 'evarra-backend-service',
+        timestamp: new Date().toISOString(),
+        version: '1.0.0',
+        checks
+    });
+};
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+// The original health check stays a liveness check with its original body,
+// so uptime monitors and load balancer probes already pointed at it do not
+// pull instances while Sui or MongoDB is down
+app.get('/api/health', validate(serviceSchemas.health), (req, res) => {
     res.json({
         status: 'healthy',
         service: 'evarra-backend-service',
@@ -435,254 +499,188 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+app.get('/api/health/ready', validate(serviceSchemas.readiness), sendHealthReport);
+
+// SUI endpoints, mounted in every API version below. They are public, but
+// API keys used on them need the sui:read scope.
+const suiRoutes = express.Router();
+suiRoutes.use(requireScope('sui:read'));
+
 // SUI holdings endpoint - GET (for easy testing)
-app.get('/api/sui/holdings', async (req, res) => {
-    try {
-        const { address, forceRefresh } = req.query;
-        const result = await fetchSuiHoldings(address, forceRefresh);
-        res.json(result);
-    } catch (error) {
-        logger.error('Error fetching SUI holdings (GET)', {
-            address: req.query.address,
-            error: error instanceof Error ? {
-                message: error.message,
-                name: error.name,
-                stack: error.stack
-            } : error
-        });
-        res.status(400).json({
-            success: false,
-            error: error.message || 'Failed to fetch holdings'
-        });
-    }
+suiRoutes.get('/holdings', validate(suiSchemas.getHoldings), async (req, res) => {
+    const { address, forceRefresh } = req.query;
+    const result = await fetchSuiHoldings(address, forceRefresh);
+    res.json(result);
 });
 
 // SUI holdings endpoint - POST (for production use)
-app.post('/api/sui/holdings', async (req, res) => {
-    try {
-        const { address, forceRefresh } = req.body;
-        const result = await fetchSuiHoldings(address, forceRefresh);
-        res.json(result);
-    } catch (error) {
-        logger.error('Error fetching SUI holdings (POST)', {
-            address: req.body.address,
-            error: error instanceof Error ? {
-                message: error.message,
-                name: error.name,
-                stack: error.stack
-            } : error
-        });
-        res.status(400).json({
-            success: false,
-            error: error.message || 'Failed to fetch holdings'
-        });
-    }
+suiRoutes.post('/holdings', validate(suiSchemas.postHoldings), async (req, res) => {
+    const { address, forceRefresh } = req.body;
+    const result = await fetchSuiHoldings(address, forceRefresh);
+    res.json(result);
 });
 
 // SUI transactions endpoint - GET (for easy testing)
-app.get('/api/sui/transactions', async (req, res) => {
-    try {
-        const { address, limit, cursor } = req.query;
-        const result = await fetchSuiTransactions(address, limit, cursor);
-        res.json(result);
-    } catch (error) {
-        logger.error('Error fetching SUI transactions (GET)', {
-            address: req.query.address,
-            error: error instanceof Error ? {
-                message: error.message,
-                name: error.name,
-                stack: error.stack
-            } : error
-        });
-        res.status(400).json({
-            success: false,
-            error: error.message || 'Failed to fetch transactions'
-        });
-    }
+suiRoutes.get('/transactions', validate(suiSchemas.getTransactions), async (req, res) => {
+    const { address, limit, cursor } = req.query;
+    const { transactionHistoryDays } = await userService.getUserEntitlements(req.user?.id);
+    const result = await fetchSuiTransactions(address, limit, cursor, { historyDays: transactionHistoryDays });
+    res.json(result);
 });
 
 // SUI transactions endpoint - POST (for production use)
-app.post('/api/sui/transactions', async (req, res) => {
-    try {
-        const { address, limit, cursor } = req.body;
-        const result = await fetchSuiTransactions(address, limit, cursor);
-        res.json(result);
-    } catch (error) {
-        logger.error('Error fetching SUI transactions (POST)', {
-            address: req.body.address,
-            error: error instanceof Error ? {
-                message: error.message,
-                name: error.name,
-                stack: error.stack
-            } : error
-        });
-        res.status(400).json({
-            success: false,
-            error: error.message || 'Failed to fetch transactions'
-        });
-    }
+suiRoutes.post('/transactions', validate(suiSchemas.postTransactions), async (req, res) => {
+    const { address, limit, cursor } = req.body;
+    const { transactionHistoryDays } = await userService.getUserEntitlements(req.user?.id);
+    const result = await fetchSuiTransactions(address, limit, cursor, { historyDays: transactionHistoryDays });
+    res.json(result);
 });
 
 // SUI metadata endpoint - POST only (matches worker format)
-app.post('/api/sui/metadata', async (req, res) => {
-    try {
-        const { coinTypes } = req.body;
-        const result = await fetchSuiMetadata(coinTypes);
-        res.json(result);
-    } catch (error) {
-        logger.error('Error fetching SUI metadata', {
-            coinTypes: req.body.coinTypes,
-            error: error instanceof Error ? {
-                message: error.message,
-                name: error.name,
-                stack: error.stack
-            } : error
-        });
-        res.status(400).json({
-            success: false,
-            error: error.message || 'Failed to fetch metadata'
-        });
+suiRoutes.post('/metadata', validate(suiSchemas.getMetadata), async (req, res) => {
+    const { coinTypes } = req.body;
+    const result = await fetchSuiMetadata(coinTypes);
+    res.json(result);
+});
+
+// API routers by version and mount path. v2 only differs where v1 mixed
+// conventions: its goals are camelCase like every other resource (see
+// src/routes/v2). The OpenAPI document lists these routes too.
+const v1Routers = {
+    '/auth': authRoutes,
+    '/goals': goalRoutes,
+    '/wallets': walletRoutes,
+    '/cache': cacheRoutes,
+    // Support and admin roles only
+    '/admin': adminRoutes,
+    '/sui': suiRoutes
+};
+
+const apiVersions = {
+    v1: v1Routers,
+    v2: {
+        ...v1Routers,
+        '/goals': goalV2Routes,
+        '/wallets': walletV2Routes,
+        '/admin': adminV2Routes
     }
+};
+
+const apiMounts = Object.entries(apiVersions).flatMap(([version, routers]) =>
+    Object.entries(routers).map(([path, router]) => ({ path: `/api/${version}${path}`, router, version }))
+);
+
+for (const { path, router } of apiMounts) {
+    app.use(path, router);
+}
+
+// The unversioned paths serve v1 for clients that predate versioning, with
+// headers announcing their deprecation and removal (see config.api)
+const deprecated = deprecatedApi({ deprecatedAt: config.api.legacyDeprecatedAt, sunset: config.api.legacySunset });
+for (const [path, router] of Object.entries(v1Routers)) {
+    app.use(`/api${path}`, deprecated, router);
+}
+
+// OpenAPI document, generated from the routes and their schemas on first
+// request (once every route has been registered)
+let openApiDocument = null;
+const getOpenApiDocument = () => {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApiDocument(
+            listRoutes(app, apiMounts),
+            {
+                title: 'Evarra Backend Service',
+                version: '1.0.0',
+                description: 'Versioned under /api/v1 and /api/v2. The unversioned /api paths are deprecated aliases of /api/v1.'
+            },
+            { serverUrl: config.server.publicUrl }
+        );
+    }
+    return openApiDocument;
+};
+
+app.get('/api/openapi.json', validate(serviceSchemas.openapi), (req, res) => {
+    res.json(getOpenApiDocument());
 });
 
 // Root endpoint
-app.get('/', (req, res) => {
+app.get('/', validate(serviceSchemas.root), (req, res) => {
+    // Every documented endpoint by tag, e.g. { goals: ['POST /api/goals', ...] }
+    const endpoints = {};
+    for (const [path, operations] of Object.entries(getOpenApiDocument().paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+            const [tag] = operation.tags;
+            endpoints[tag] = endpoints[tag] || [];
+            endpoints[tag].push(`${method.toUpperCase()} ${path}`);
+        }
+    }
+
     res.json({
         message: 'Evarra Backend Service',
         version: '1.0.0',
-        endpoints: {
-            health: '/api/health',
-            auth: {
-                register: 'POST /api/auth/register',
-                login: 'POST /api/auth/login',
-                getUser: 'GET /api/auth/user/:userId',
-                updateUser: 'PUT /api/auth/user/:userId',
-                health: 'GET /api/auth/health'
-            },
-            goals: {
-                create: 'POST /api/goals',
-                getById: 'GET /api/goals/:goalId',
-                getUserGoals: 'GET /api/goals/user/:userId',
-                update: 'PUT /api/goals/:goalId',
-                delete: 'DELETE /api/goals/:goalId',
-                getProgress: 'GET /api/goals/:goalId/progress',
-                updateProgress: 'PUT /api/goals/:goalId/progress',
-                getAll: 'GET /api/goals',
-                health: 'GET /api/goals/health'
-            },
-            wallets: {
-                create: 'POST /api/wallets',
-                getById: 'GET /api/wallets/:walletId',
-                getUserWallets: 'GET /api/wallets/user/:userId',
-                update: 'PUT /api/wallets/:walletId',
-                delete: 'DELETE /api/wallets/:walletId',
-                getByAddress: 'GET /api/wallets/user/:userId/address/:address/chain/:chain',
-                getByChain: 'GET /api/wallets/user/:userId/chain/:chain',
-                getAll: 'GET /api/wallets',
-                health: 'GET /api/wallets/health'
-            },
-            cache: {
-                walletData: {
-                    get: 'GET /api/cache/wallet-data?walletId=ID&dataType=holdings',
-                    post: 'POST /api/cache/wallet-data',
-                    delete: 'DELETE /api/cache/wallet-data?walletId=ID'
-                },
-                metadata: {
-                    get: 'GET /api/cache/metadata?coinType=TYPE',
-                    post: 'POST /api/cache/metadata',
-                    put: 'PUT /api/cache/metadata'
-                },
-                stats: 'GET /api/cache/stats'
-            },
-            sui: {
-                holdings: {
-                    get: '/api/sui/holdings?address=YOUR_ADDRESS',
-                    post: '/api/sui/holdings'
-                },
-                transactions: {
-                    get: '/api/sui/transactions?address=YOUR_ADDRESS&limit=50',
-                    post: '/api/sui/transactions'
-                },
-                metadata: {
-                    post: '/api/sui/metadata'
-                }
-            }
-        }
+        versions: Object.keys(apiVersions).map(version => `/api/${version}`),
+        documentation: '/api/openapi.json',
+        endpoints
     });
 });
 
-// Start server
-const isProduction = process.env.NODE_ENV === 'production';
-
-if (isProduction) {
-  // Use HTTP for production (Render)
-  app.listen(PORT, '0.0.0.0', () => {
-    const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
-    console.log(`🚀 Evarra Backend Service running on HTTP port ${PORT}`);
-    console.log(`📊 Health check: ${baseUrl}/api/health`);
-    console.log(`🔐 Auth Register: POST ${baseUrl}/api/auth/register`);
-    console.log(`🔐 Auth Login: POST ${baseUrl}/api/auth/login`);
-    console.log(`🔐 Auth Health: GET ${baseUrl}/api/auth/health`);
-    console.log(`🎯 Goals Create: POST ${baseUrl}/api/goals`);
-    console.log(`🎯 Goals Get User: GET ${baseUrl}/api/goals/user/:userId`);
-    console.log(`🎯 Goals Health: GET ${baseUrl}/api/goals/health`);
-    console.log(`💰 Wallets Create: POST ${baseUrl}/api/wallets`);
-    console.log(`💰 Wallets Get User: GET ${baseUrl}/api/wallets/user/:userId`);
-    console.log(`💰 Wallets Health: GET ${baseUrl}/api/wallets/health`);
-    console.log(`🔗 SUI Holdings (GET): ${baseUrl}/api/sui/holdings?address=YOUR_ADDRESS`);
-    console.log(`🔗 SUI Holdings (POST): POST ${baseUrl}/api/sui/holdings`);
-    console.log(`🔗 SUI Transactions (GET): ${baseUrl}/api/sui/transactions?address=YOUR_ADDRESS&limit=50`);
-    console.log(`🔗 SUI Transactions (POST): POST ${baseUrl}/api/sui/transactions`);
-    console.log(`🔗 SUI Metadata (POST): POST ${baseUrl}/api/sui/metadata`);
-  });
-} else {
-  // Use HTTPS for development (if certificates exist)
-  const https = require('https');
-  const fs = require('fs');
-  
-  try {
-    const sslOptions = {
-      key: fs.readFileSync('server.key'),
-      cert: fs.readFileSync('server.cert')
-    };
-
-    https.createServer(sslOptions, app).listen(PORT, () => {
-      console.log(`🚀 Evarra Backend Service running on HTTPS port ${PORT}`);
-      console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-      console.log(`🔐 Auth Register: POST http://localhost:${PORT}/api/auth/register`);
-      console.log(`🔐 Auth Login: POST http://localhost:${PORT}/api/auth/login`);
-      console.log(`🔐 Auth Health: GET http://localhost:${PORT}/api/auth/health`);
-      console.log(`🎯 Goals Create: POST http://localhost:${PORT}/api/goals`);
-      console.log(`🎯 Goals Get User: GET http://localhost:${PORT}/api/goals/user/:userId`);
-      console.log(`🎯 Goals Health: GET http://localhost:${PORT}/api/goals/health`);
-      console.log(`💰 Wallets Create: POST http://localhost:${PORT}/api/wallets`);
-      console.log(`💰 Wallets Get User: GET http://localhost:${PORT}/api/wallets/user/:userId`);
-      console.log(`💰 Wallets Health: GET http://localhost:${PORT}/api/wallets/health`);
-      console.log(`🔗 SUI Holdings (GET): http://localhost:${PORT}/api/sui/holdings?address=YOUR_ADDRESS`);
-      console.log(`🔗 SUI Holdings (POST): POST http://localhost:${PORT}/api/sui/holdings`);
-      console.log(`🔗 SUI Transactions (GET): http://localhost:${PORT}/api/sui/transactions?address=YOUR_ADDRESS&limit=50`);
-      console.log(`🔗 SUI Transactions (POST): POST http://localhost:${PORT}/api/sui/transactions`);
-      console.log(`🔗 SUI Metadata (POST): POST http://localhost:${PORT}/api/sui/metadata`);
-    });
-  } catch (error) {
-    console.log('SSL certificates not found, falling back to HTTP for development');
-    app.listen(PORT, '0.0.0.0', () => {
-      console.log(`🚀 Evarra Backend Service running on HTTP port ${PORT} (development mode)`);
-      console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-      console.log(`🔐 Auth Register: POST http://localhost:${PORT}/api/auth/register`);
-      console.log(`🔐 Auth Login: POST http://localhost:${PORT}/api/auth/login`);
-      console.log(`🔐 Auth Health: GET http://localhost:${PORT}/api/auth/health`);
-      console.log(`🎯 Goals Create: POST http://localhost:${PORT}/api/goals`);
-      console.log(`🎯 Goals Get User: GET http://localhost:${PORT}/api/goals/user/:userId`);
-      console.log(`🎯 Goals Health: GET http://localhost:${PORT}/api/goals/health`);
-      console.log(`💰 Wallets Create: POST http://localhost:${PORT}/api/wallets`);
-      console.log(`💰 Wallets Get User: GET http://localhost:${PORT}/api/wallets/user/:userId`);
-      console.log(`💰 Wallets Health: GET http://localhost:${PORT}/api/wallets/health`);
-      console.log(`🔗 SUI Holdings (GET): http://localhost:${PORT}/api/sui/holdings?address=YOUR_ADDRESS`);
-      console.log(`🔗 SUI Holdings (POST): POST http://localhost:${PORT}/api/sui/holdings`);
-      console.log(`🔗 SUI Transactions (GET): http://localhost:${PORT}/api/sui/transactions?address=YOUR_ADDRESS&limit=50`);
-      console.log(`🔗 SUI Transactions (POST): POST http://localhost:${PORT}/api/sui/transactions`);
-      console.log(`🔗 SUI Metadata (POST): POST http://localhost:${PORT}/api/sui/metadata`);
+// Anything no route matched, then every error, in the one response format
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Start the background jobs, the database connection and the HTTP server.
+// Scripts that only need the app, such as the OpenAPI contract test, require
+// this module without starting anything.
+const start = () => {
+    // Purge accounts whose deletion grace period has ended
+    const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+    lifecycle.startJob('account-purge', ACCOUNT_PURGE_INTERVAL_MS, () => userService.purgeScheduledDeletions());
+
+    // Close the shared MongoDB pool once in-flight requests have finished
+    lifecycle.onShutdown('database', () => database.close());
+    lifecycle.installSignalHandlers();
+
+    // Connect to MongoDB in the background so the SUI endpoints serve while the
+    // database is still coming up. Requests that need it connect on demand.
+    database.connect().catch(() => {
+        logger.error('MongoDB unavailable after startup retries; database requests will keep retrying');
     });
-  }
+
+    // Start server
+    if (config.isProduction) {
+      // Use HTTP for production (Render)
+      lifecycle.addServer(app.listen(PORT, '0.0.0.0', () => {
+        logger.info('Evarra Backend Service listening', {
+          protocol: 'http',
+          port: PORT,
+          url: config.server.publicUrl || `http://localhost:${PORT}`
+        });
+      }));
+    } else {
+      // Use HTTPS for development (if certificates exist)
+      const https = require('https');
+      const fs = require('fs');
+
+      try {
+        const sslOptions = {
+          key: fs.readFileSync('server.key'),
+          cert: fs.readFileSync('server.cert')
+        };
+
+        lifecycle.addServer(https.createServer(sslOptions, app).listen(PORT, () => {
+          logger.info('Evarra Backend Service listening', { protocol: 'https', port: PORT, url: `https://localhost:${PORT}` });
+        }));
+      } catch (error) {
+        logger.info('SSL certificates not found, falling back to HTTP for development');
+        lifecycle.addServer(app.listen(PORT, '0.0.0.0', () => {
+          logger.info('Evarra Backend Service listening', { protocol: 'http', port: PORT, url: `http://localhost:${PORT}` });
+        }));
+      }
+    }
+};
+
+if (require.main === module) {
+    start();
 }
+
+module.exports = { app, apiMounts };
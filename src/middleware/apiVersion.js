@@ -0,0 +1,33 @@
+const { httpLegacyRequestsTotal } = require('../utils/metrics');
+
+/**
+ * Mark responses from the unversioned /api paths as deprecated: a
+ * Deprecation header (RFC 9745), the Sunset date (RFC 8594) and a Link to the
+ * same path under /api/v1. Each request is counted by route pattern (or just
+ * the mount path when it matched no route, e.g. failed authentication), so
+ * we can tell when clients have moved off these paths.
+ *
+ * @param {Object} options
+ * @param {Date} options.deprecatedAt - When the unversioned paths were deprecated
+ * @param {Date} options.sunset - When the unversioned paths stop working
+ */
+const deprecatedApi = ({ deprecatedAt, sunset }) => (req, res, next) => {
+  // The mount path, e.g. "/api/goals", which is reset by the time an error
+  // response finishes
+  const { baseUrl } = req;
+
+  res.set('Deprecation', `@${Math.floor(deprecatedAt.getTime() / 1000)}`);
+  res.set('Sunset', sunset.toUTCString());
+  res.set('Link', `<${req.originalUrl.replace(/^\/api\//, '/api/v1/')}>; rel="successor-version"`);
+
+  res.once('finish', () => {
+    const route = req.route && req.route.path !== '/' ? `${baseUrl}${req.route.path}` : baseUrl;
+    httpLegacyRequestsTotal.inc({ method: req.method, route });
+  });
+
+  next();
+};
+
+module.exports = {
+  deprecatedApi
+};
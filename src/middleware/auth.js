@@ -0,0 +1,94 @@
+const MongoDBSessionService = require('../services/sessionService');
+const MongoDBApiKeyService = require('../services/apiKeyService');
+const MongoDBUserService = require('../services/userService');
+const { hasScope } = require('../utils/scopes');
+const { AuthError, ForbiddenError } = require('../utils/errorHandler');
+
+// Initialize services
+const sessionService = new MongoDBSessionService();
+const apiKeyService = new MongoDBApiKeyService();
+const userService = new MongoDBUserService();
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getBearerToken = (req) => {
+  // Scripts may send an API key in X-API-Key instead of Authorization
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  return token;
+};
+
+// Resolve req.user from a Bearer access token or personal API key. Requests
+// without a token pass through anonymously; requests with a bad or revoked
+// token are rejected.
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  // API key callers carry apiKeyId and scopes on req.user
+  if (apiKeyService.isApiKey(token)) {
+    req.user = await apiKeyService.verifyKey(token);
+    return next();
+  }
+
+  const user = sessionService.verifyAccessToken(token);
+
+  // The session must still be active and the account not disabled
+  const isValid = await userService.validateUserSession(user);
+  if (!isValid) {
+    throw new AuthError('Session expired or revoked');
+  }
+
+  // Keeps last-seen time and IP current for the user's session list
+  sessionService.touchSession(user.sessionId, { ip: req.ip });
+
+  // Impersonation sessions may look but not touch
+  if (user.readOnly && !READ_METHODS.includes(req.method)) {
+    throw new ForbiddenError('Read-only session', { code: 'READ_ONLY_SESSION' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Reject requests that have no authenticated user
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthError('Authentication required'));
+  }
+  next();
+};
+
+// Keep API keys out of account management: they must not be able to mint
+// more keys, change credentials or reach the admin surface
+const requireSession = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return next(new ForbiddenError('API keys cannot be used for this endpoint', { code: 'SESSION_REQUIRED' }));
+  }
+  next();
+};
+
+// Check an API key's scopes: reads need readScope, anything else writeScope.
+// Session tokens and anonymous requests are not affected.
+const requireScope = (readScope, writeScope = readScope) => (req, res, next) => {
+  if (!req.user?.apiKeyId) return next();
+
+  const scope = READ_METHODS.includes(req.method) ? readScope : writeScope;
+  if (!hasScope(req.user.scopes, scope)) {
+    return next(new ForbiddenError(`API key is missing the ${scope} scope`, { code: 'INSUFFICIENT_SCOPE', details: { scope } }));
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireSession,
+  requireScope
+};
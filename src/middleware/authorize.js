@@ -0,0 +1,73 @@
+const { ObjectId } = require('mongodb');
+const { ForbiddenError, NotFoundError } = require('../utils/errorHandler');
+
+// Ownership rules shared by the goals, wallets, cache and auth routers.
+//
+// - A userId in the URL or body that is not the caller's is a 403: the caller
+//   already knows the ID, so there is nothing to hide.
+// - A goalId or walletId the caller does not own is a 404, exactly like an ID
+//   that does not exist, so other users' resources cannot be probed.
+//
+// Every middleware here expects requireAuth to have run first.
+
+const forbidden = () => new ForbiddenError('Access denied');
+
+// Only allow the caller to act on their own user ID
+const requireSelf = (paramName = 'userId') => (req, res, next) => {
+  if (req.params[paramName] !== req.user.id) {
+    return next(forbidden());
+  }
+  next();
+};
+
+// Only allow the caller to create resources for their own user ID
+const requireBodyOwner = (fieldName = 'user_id') => (req, res, next) => {
+  const ownerId = req.body?.[fieldName];
+  if (ownerId !== undefined && ownerId !== req.user.id) {
+    return next(forbidden());
+  }
+  next();
+};
+
+/**
+ * Load a resource by ID and check it belongs to the caller.
+ *
+ * @param {Object} options
+ * @param {string} options.source - Where to read the ID from: 'params', 'query' or 'body'
+ * @param {string} options.key - Name of the ID field in that source
+ * @param {Function} options.load - Async function returning the resource or null
+ * @param {Function} options.getOwnerId - Returns the owner's user ID from the resource
+ * @param {string} options.notFoundMessage - Error message for missing or foreign resources
+ */
+const requireOwnership = ({ source = 'params', key, load, getOwnerId, notFoundMessage }) => {
+  return async (req, res, next) => {
+    const resourceId = req[source]?.[key];
+
+    if (typeof resourceId !== 'string' || !ObjectId.isValid(resourceId)) {
+      throw new NotFoundError(notFoundMessage);
+    }
+
+    const resource = await load(resourceId);
+
+    if (!resource || String(getOwnerId(resource)) !== req.user.id) {
+      throw new NotFoundError(notFoundMessage);
+    }
+
+    next();
+  };
+};
+
+// Only allow callers with one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(forbidden());
+  }
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requireSelf,
+  requireBodyOwner,
+  requireOwnership
+};
@@ -0,0 +1,70 @@
+const { classifyError, NotFoundError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('errors');
+
+/**
+ * Build the error body every endpoint returns:
+ *
+ *   { success: false, code, message, details, requestId, error }
+ *
+ * `error` repeats the message for clients written against the earlier
+ * responses. For the same reason validation errors also list their field
+ * errors as `errors`, and object details (retryAfter, requiredTier, ...) are
+ * repeated at the top level.
+ */
+const errorBody = (appError, requestId) => {
+  const body = {
+    success: false,
+    error: appError.message,
+    code: appError.code,
+    message: appError.message,
+    details: appError.details,
+    requestId: requestId || null
+  };
+
+  if (Array.isArray(appError.details)) {
+    body.errors = appError.details;
+  } else if (appError.details && typeof appError.details === 'object') {
+    for (const [key, value] of Object.entries(appError.details)) {
+      if (!(key in body)) body[key] = value;
+    }
+  }
+
+  return body;
+};
+
+// Requests no route matched
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+/**
+ * The one place errors become responses. Registered last; Express 5 forwards
+ * errors thrown (or rejected) by any async handler here.
+ */
+const errorHandler = (error, req, res, next) => {
+  const appError = classifyError(error, `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`);
+
+  if (appError.statusCode >= 500) {
+    logger.error('Request error', { code: appError.code, context: appError.context, error: appError.cause || error });
+  } else {
+    logger.debug('Request rejected', { code: appError.code, status: appError.statusCode, message: appError.message });
+  }
+
+  if (res.headersSent) {
+    return req.socket.destroy();
+  }
+
+  if (appError.details && appError.details.retryAfter) {
+    res.set('Retry-After', String(appError.details.retryAfter));
+  }
+
+  res.status(appError.statusCode).json(errorBody(appError, req.id));
+};
+
+module.exports = {
+  errorBody,
+  notFoundHandler,
+  errorHandler
+};
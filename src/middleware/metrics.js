@@ -0,0 +1,27 @@
+const { httpRequestsTotal, httpRequestDuration } = require('../utils/metrics');
+
+// Requests that match no route share one label, so scanners probing random
+// URLs cannot grow the number of series
+const UNMATCHED_ROUTE = 'unmatched';
+
+// The route pattern that handled the request, e.g. "/api/goals/:goalId"
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : UNMATCHED_ROUTE);
+
+/**
+ * Count each request and time it, labelled by method, route pattern and status.
+ */
+const recordHttpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.once('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    endTimer(labels);
+    httpRequestsTotal.inc(labels);
+  });
+
+  next();
+};
+
+module.exports = {
+  recordHttpMetrics
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { createLogger, runWithRequestContext } = require('../utils/logger');
+
+const logger = createLogger('http');
+
+// Reuse an incoming X-Request-Id (e.g. from a proxy or the frontend) when it
+// looks like an ID, so one request can be followed across services
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give each request an ID, echo it in the X-Request-Id response header and
+ * make it available to every log line written while the request is handled.
+ * Logs one line per request when the response finishes.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithRequestContext({ requestId }, () => {
+    // Bound so the log line carries the request ID however the response ends
+    res.once('finish', AsyncResource.bind(() => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const entry = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10
+      };
+
+      if (res.statusCode >= 500) {
+        logger.error('Request failed', entry);
+      } else {
+        logger.info('Request completed', entry);
+      }
+    }));
+
+    next();
+  });
+};
+
+module.exports = {
+  requestContext
+};
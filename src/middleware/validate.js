@@ -0,0 +1,60 @@
+const { validate: validateSchema } = require('../utils/schema');
+const { ValidationError } = require('../utils/errorHandler');
+
+// Nothing may be sent in a part of the request the route does not declare
+const EMPTY = { type: 'object', properties: {} };
+
+/**
+ * Check a request's route parameters, query string and body against schemas
+ * (see src/schemas). Values are replaced by their validated copies, so
+ * handlers see numbers and booleans rather than strings, defaults filled in,
+ * and no fields the schema does not list.
+ *
+ * Put it before any middleware that reads the request, such as ownership
+ * checks: route parameters are only known inside the route itself.
+ *
+ * @param {Object} schemas
+ * @param {Object} [schemas.params] - Object schema for req.params
+ * @param {Object} [schemas.query] - Object schema for req.query
+ * @param {Object} [schemas.body] - Object schema for req.body
+ * @returns {Function} Express middleware; throws a ValidationError listing
+ *   every field error. The schemas are kept on it as `.schemas`.
+ */
+const validate = (schemas = {}) => {
+  const parts = {
+    params: schemas.params || EMPTY,
+    query: schemas.query || EMPTY,
+    body: schemas.body || EMPTY
+  };
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const [part, schema] of Object.entries(parts)) {
+      // Requests without a JSON body leave req.body undefined
+      const input = part === 'body' && req.body === undefined ? {} : req[part];
+      const result = validateSchema(schema, input, part === 'body' ? '' : part);
+      errors.push(...result.errors);
+      values[part] = result.value;
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    req.params = values.params;
+    req.body = values.body;
+    // req.query is a getter in Express 5
+    Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true, enumerable: true });
+
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = {
+  validate
+};
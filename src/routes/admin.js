@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const MongoDBUserService = require('../services/userService');
+const MongoDBGoalService = require('../services/goalService');
+const MongoDBWalletService = require('../services/walletService');
+const MongoDBAdminService = require('../services/adminService');
+const MongoDBAuditService = require('../services/auditService');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { NotFoundError, ValidationError } = require('../utils/errorHandler');
+const schemas = require('../schemas/admin');
+
+// Initialize services
+const userService = new MongoDBUserService();
+const goalService = new MongoDBGoalService();
+const walletService = new MongoDBWalletService();
+const adminService = new MongoDBAdminService();
+const auditService = new MongoDBAuditService();
+const { contextFromRequest } = MongoDBAuditService;
+
+// Support staff can look; only admins can change accounts
+const requireSupport = requireRole('support', 'admin');
+const requireAdmin = requireRole('admin');
+
+// All admin routes require an authenticated staff member using a session
+router.use(requireAuth, requireSession, requireSupport);
+
+// Record an admin action with the caller as the actor
+const recordAction = (req, action, targetUserId = null, details = {}) => {
+  return adminService.recordAction(req.user, action, {
+    targetUserId,
+    details,
+    ip: req.ip
+  });
+};
+
+// Search users endpoint
+router.get('/users', validate(schemas.searchUsers), async (req, res) => {
+  const { search, ...pagination } = req.query;
+  
+  const { users, total } = await userService.searchUsers(search, pagination);
+  
+  await recordAction(req, 'users.search', null, { search: search || null, ...pagination });
+  
+  res.json({
+    success: true,
+    data: users,
+    count: users.length,
+    total
+  });
+});
+
+// Get user by ID endpoint
+router.get('/users/:userId', validate(schemas.getUser), async (req, res) => {
+  const { userId } = req.params;
+  
+  const user = await userService.getUserById(userId);
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  
+  await recordAction(req, 'users.view', userId);
+  
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+// Change user tier endpoint
+router.put('/users/:userId/tier', requireAdmin, validate(schemas.setTier), async (req, res) => {
+  const { userId } = req.params;
+  const { tier } = req.body;
+  
+  const before = await userService.getUserById(userId);
+  if (!before) {
+    throw new NotFoundError('User not found');
+  }
+  
+  const updatedUser = await userService.setUserTier(userId, tier, contextFromRequest(req));
+  
+  await recordAction(req, 'users.tier.change', userId, { from: before.tier, to: updatedUser.tier });
+  
+  res.json({
+    success: true,
+    data: updatedUser,
+    message: 'User tier updated successfully'
+  });
+});
+
+// Change user role endpoint
+router.put('/users/:userId/role', requireAdmin, validate(schemas.setRole), async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+  
+  if (userId === req.user.id) {
+    throw new ValidationError('You cannot change your own role');
+  }
+  
+  const before = await userService.getUserById(userId);
+  if (!before) {
+    throw new NotFoundError('User not found');
+  }
+  
+  const updatedUser = await userService.setUserRole(userId, role, contextFromRequest(req));
+  
+  await recordAction(req, 'users.role.change', userId, { from: before.role, to: updatedUser.role });
+  
+  res.json({
+    success: true,
+    data: updatedUser,
+    message: 'User role updated successfully'
+  });
+});
+
+// Disable account endpoint
+router.post('/users/:userId/disable', requireAdmin, validate(schemas.disableUser), async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
+  
+  if (userId === req.user.id) {
+    throw new ValidationError('You cannot disable your own account');
+  }
+  
+  const updatedUser = await userService.setUserDisabled(userId, true, reason || null, contextFromRequest(req));
+  
+  await recordAction(req, 'users.disable', userId, { reason: reason || null });
+  
+  res.json({
+    success: true,
+    data: updatedUser,
+    message: 'User disabled successfully'
+  });
+});
+
+// Re-enable account endpoint
+router.post('/users/:userId/enable', requireAdmin, validate(schemas.enableUser), async (req, res) => {
+  const { userId } = req.params;
+  
+  const updatedUser = await userService.setUserDisabled(userId, false, null, contextFromRequest(req));
+  
+  await recordAction(req, 'users.enable', userId);
+  
+  res.json({
+    success: true,
+    data: updatedUser,
+    message: 'User enabled successfully'
+  });
+});
+
+// Sign-in lockout status endpoint
+router.get('/users/:userId/lock', validate(schemas.getLockStatus), async (req, res) => {
+  const { userId } = req.params;
+  
+  const status = await userService.getUserLockStatus(userId);
+  
+  res.json({
+    success: true,
+    data: status
+  });
+});
+
+// Clear a sign-in lockout endpoint (optionally for an IP address too)
+router.post('/users/:userId/unlock', validate(schemas.unlockUser), async (req, res) => {
+  const { userId } = req.params;
+  const { ip } = req.body;
+  
+  const result = await userService.unlockUser(userId, { ip: ip || null }, contextFromRequest(req));
+  
+  await recordAction(req, 'users.unlock', userId, { ip: ip || null });
+  
+  res.json({
+    success: true,
+    data: result,
+    message: 'Sign-in lock cleared successfully'
+  });
+});
+
+// Read-only impersonation endpoint
+router.post('/users/:userId/impersonate', validate(schemas.impersonateUser), async (req, res) => {
+  const { userId } = req.params;
+  
+  if (userId === req.user.id) {
+    throw new ValidationError('You cannot impersonate yourself');
+  }
+  
+  const { user, tokens } = await userService.impersonateUser(userId, req.user, contextFromRequest(req));
+  
+  await recordAction(req, 'users.impersonate', userId);
+  
+  res.json({
+    success: true,
+    data: user,
+    tokens,
+    message: 'Read-only impersonation session created'
+  });
+});
+
+// Get all goals endpoint
+router.get('/goals', validate(schemas.listGoals), async (req, res) => {
+  const goals = await goalService.getAllGoals();
+  
+  await recordAction(req, 'goals.list');
+  
+  res.json({
+    success: true,
+    data: goals,
+    count: goals.length
+  });
+});
+
+// Get all wallets endpoint
+router.get('/wallets', validate(schemas.listWallets), async (req, res) => {
+  const wallets = await walletService.getAllWallets();
+  
+  await recordAction(req, 'wallets.list');
+  
+  res.json({
+    success: true,
+    data: wallets,
+    count: wallets.length
+  });
+});
+
+// Recorded admin actions endpoint
+router.get('/actions', requireAdmin, validate(schemas.listActions), async (req, res) => {
+  const actions = await adminService.getActions(req.query);
+  
+  res.json({
+    success: true,
+    data: actions,
+    count: actions.length
+  });
+});
+
+// Security audit log endpoint. Filters: userId, actorId, type (exact, or a
+// prefix ending in '.' such as 'auth.'), ip, and a from/to date range.
+router.get('/audit-events', requireAdmin, validate(schemas.listAuditEvents), async (req, res) => {
+  const { userId, actorId, type, ip, from, to } = req.query;
+  
+  const { events, total } = await auditService.getEvents(req.query);
+  
+  await recordAction(req, 'audit.query', userId || null, { actorId, type, ip, from, to });
+  
+  res.json({
+    success: true,
+    data: events,
+    count: events.length,
+    total
+  });
+});
+
+module.exports = router;
@@ -1,134 +1,432 @@
 const express = require('express');
 const router = express.Router();
 const MongoDBUserService = require('../services/userService');
+const MongoDBApiKeyService = require('../services/apiKeyService');
+const HealthService = require('../services/healthService');
+const { contextFromRequest } = require('../services/auditService');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { requireSelf } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { ForbiddenError, NotFoundError } = require('../utils/errorHandler');
+const schemas = require('../schemas/auth');
 
-// Initialize user service
+// Initialize services
 const userService = new MongoDBUserService();
+const apiKeyService = new MongoDBApiKeyService();
+const healthService = new HealthService();
 
-// User registration endpoint
-router.post('/register', async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
-    
-    // Basic validation
-    if (!username || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Username, email, and password are required'
-      });
-    }
-    
-    // Create user
-    const user = await userService.createUser({
-      username,
-      email,
-      password
-    });
-    
-    res.status(201).json({
+// Account management is for people, not scripts
+router.use(requireSession);
+
+// Respond to a successful first-factor sign-in, which either carries session
+// tokens or asks for a second factor
+const sendSignInResponse = (res, result) => {
+  if (result.twoFactorRequired) {
+    return res.json({
       success: true,
-      data: user,
-      message: 'User registered successfully'
-    });
-    
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Registration failed'
+      twoFactorRequired: true,
+      challengeToken: result.challengeToken,
+      expiresIn: result.expiresIn,
+      message: 'Two-factor code required'
     });
   }
+  
+  res.json({
+    success: true,
+    data: result.user,
+    tokens: result.tokens,
+    message: 'Login successful'
+  });
+};
+
+// User registration endpoint
+router.post('/register', validate(schemas.register), async (req, res) => {
+  const { username, email, password } = req.body;
+  
+  // Create user (the service validates and normalizes each field)
+  const user = await userService.createUser({
+    username,
+    email,
+    password
+  }, contextFromRequest(req));
+  
+  res.status(201).json({
+    success: true,
+    data: user,
+    message: 'User registered successfully'
+  });
 });
 
 // User login endpoint
-router.post('/login', async (req, res) => {
-  try {
-    const { identifier, password } = req.body;
-    
-    // Basic validation
-    if (!identifier || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Username/email and password are required'
-      });
-    }
-    
-    // Authenticate user
-    const user = await userService.authenticateUser(identifier, password);
-    
-    res.json({
-      success: true,
-      data: user,
-      message: 'Login successful'
-    });
-    
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(401).json({
-      success: false,
-      error: error.message || 'Login failed'
-    });
+router.post('/login', validate(schemas.login), async (req, res) => {
+  const { identifier, password } = req.body;
+  
+  // Authenticate user and issue session tokens (or a two-factor challenge)
+  const result = await userService.authenticateUser(identifier, password, contextFromRequest(req));
+  
+  sendSignInResponse(res, result);
+});
+
+// Second step of a two-factor login: exchange the challenge token and a TOTP
+// or recovery code for session tokens
+router.post('/login/2fa', validate(schemas.loginTwoFactor), async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  
+  const { user, tokens } = await userService.completeTwoFactorLogin(
+    challengeToken,
+    { code, recoveryCode },
+    contextFromRequest(req)
+  );
+  
+  res.json({
+    success: true,
+    data: user,
+    tokens,
+    message: 'Login successful'
+  });
+});
+
+// Start two-factor enrolment: returns a secret to add to an authenticator app
+router.post('/2fa/enroll', requireAuth, validate(schemas.enrollTwoFactor), async (req, res) => {
+  const enrolment = await userService.enrollTwoFactor(req.user.id);
+  
+  res.json({
+    success: true,
+    data: enrolment,
+    message: 'Scan the secret with an authenticator app, then confirm with a code'
+  });
+});
+
+// Finish enrolment with a code from the new secret; returns recovery codes
+router.post('/2fa/confirm', requireAuth, validate(schemas.confirmTwoFactor), async (req, res) => {
+  const { code } = req.body;
+  
+  const result = await userService.confirmTwoFactor(req.user.id, code, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: result,
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.'
+  });
+});
+
+// Turn two-factor authentication off (requires a current code or recovery code)
+router.post('/2fa/disable', requireAuth, validate(schemas.disableTwoFactor), async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  
+  await userService.disableTwoFactor(req.user.id, { code, recoveryCode }, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// Replace all recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', requireAuth, validate(schemas.regenerateRecoveryCodes), async (req, res) => {
+  const { code } = req.body;
+  
+  const result = await userService.regenerateRecoveryCodes(req.user.id, code, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: result,
+    message: 'Recovery codes regenerated'
+  });
+});
+
+// Request a password reset email
+router.post('/password/forgot', validate(schemas.forgotPassword), async (req, res) => {
+  const { email } = req.body;
+  
+  await userService.requestPasswordReset(email, contextFromRequest(req));
+  
+  // Same response whether or not the account exists
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  });
+});
+
+// Reset password with a token from the reset email
+router.post('/password/reset', validate(schemas.resetPassword), async (req, res) => {
+  const { token, password } = req.body;
+  
+  await userService.resetPassword(token, password, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    message: 'Password reset successfully'
+  });
+});
+
+// Confirm an email address with a token from the verification email
+router.post('/email/verify', validate(schemas.verifyEmail), async (req, res) => {
+  const { token } = req.body;
+  
+  const user = await userService.verifyEmail(token, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: user,
+    message: 'Email verified successfully'
+  });
+});
+
+// Send a fresh verification email to the signed-in user
+router.post('/email/verify/resend', requireAuth, validate(schemas.resendVerification), async (req, res) => {
+  await userService.sendEmailVerification(req.user.id);
+  
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// Sui wallet sign-in: issue a challenge for the wallet to sign
+router.post('/sui/nonce', validate(schemas.suiNonce), async (req, res) => {
+  const { address } = req.body;
+  
+  const challenge = await userService.createSuiSignInChallenge(address);
+  
+  res.json({
+    success: true,
+    data: challenge
+  });
+});
+
+// Sui wallet sign-in: verify the signed challenge and start a session.
+// When called with a valid access token the wallet is linked to that account.
+router.post('/sui/verify', validate(schemas.suiVerify), async (req, res) => {
+  const { address, nonce, signature } = req.body;
+  
+  const result = await userService.authenticateWithSuiWallet({
+    address,
+    nonce,
+    signature,
+    linkUserId: req.user ? req.user.id : null
+  }, contextFromRequest(req));
+  
+  sendSignInResponse(res, result);
+});
+
+// Refresh session endpoint (rotates the refresh token)
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  const { refreshToken } = req.body;
+  
+  const tokens = await userService.refreshUserSession(refreshToken, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    tokens,
+    message: 'Session refreshed successfully'
+  });
+});
+
+// Logout endpoint (revokes the current session)
+router.post('/logout', requireAuth, validate(schemas.logout), async (req, res) => {
+  await userService.logoutUser(req.user.sessionId, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    message: 'Logout successful'
+  });
+});
+
+// List the caller's active sessions (device, IP, created and last-seen times)
+router.get('/sessions', requireAuth, validate(schemas.listSessions), async (req, res) => {
+  const sessions = await userService.getUserSessions(req.user.id, req.user.sessionId);
+  
+  res.json({
+    success: true,
+    data: sessions,
+    count: sessions.length
+  });
+});
+
+// Revoke all sessions except the current one
+router.post('/sessions/revoke-others', requireAuth, validate(schemas.revokeOtherSessions), async (req, res) => {
+  const result = await userService.revokeOtherUserSessions(req.user.id, req.user.sessionId, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: result,
+    message: 'Other sessions revoked successfully'
+  });
+});
+
+// Revoke one session, e.g. a lost device
+router.delete('/sessions/:sessionId', requireAuth, validate(schemas.revokeSession), async (req, res) => {
+  await userService.revokeUserSession(req.user.id, req.params.sessionId, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// Revoke all sessions endpoint (signs the user out everywhere)
+router.post('/sessions/revoke-all', requireAuth, validate(schemas.revokeAllSessions), async (req, res) => {
+  const result = await userService.revokeAllUserSessions(req.user.id, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: result,
+    message: 'All sessions revoked successfully'
+  });
+});
+
+// Schedule deletion of the caller's account (cancellable during the grace period)
+router.post('/account/delete', requireAuth, validate(schemas.deleteAccount), async (req, res) => {
+  const { currentPassword } = req.body;
+  
+  const user = await userService.requestAccountDeletion(req.user.id, { currentPassword }, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: user,
+    message: `Account scheduled for deletion on ${user.deletionScheduledFor}`
+  });
+});
+
+// Cancel a scheduled account deletion
+router.post('/account/delete/cancel', requireAuth, validate(schemas.cancelAccountDeletion), async (req, res) => {
+  const user = await userService.cancelAccountDeletion(req.user.id, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: user,
+    message: 'Account deletion cancelled'
+  });
+});
+
+// Download all of the caller's data as a JSON file
+router.get('/account/export', requireAuth, validate(schemas.exportAccount), async (req, res) => {
+  // Support staff impersonating a user can look around, not take their data away
+  if (req.user.impersonatorId) {
+    throw new ForbiddenError('Data export is not available during impersonation');
   }
+  
+  const archive = await userService.exportUserData(req.user.id);
+  const date = archive.exportedAt.slice(0, 10);
+  
+  res.set('Content-Disposition', `attachment; filename="evarra-export-${req.user.id}-${date}.json"`);
+  res.json(archive);
+});
+
+// Recent sign-ins, credential changes and other security events on the
+// caller's account, newest first
+router.get('/security-activity', requireAuth, validate(schemas.securityActivity), async (req, res) => {
+  const { limit, skip } = req.query;
+  
+  const { events, total } = await userService.getSecurityActivity(req.user.id, { limit, skip });
+  
+  res.json({
+    success: true,
+    data: events,
+    count: events.length,
+    total
+  });
+});
+
+// List the caller's API keys (never includes the keys themselves)
+router.get('/api-keys', requireAuth, validate(schemas.listApiKeys), async (req, res) => {
+  const apiKeys = await apiKeyService.getUserKeys(req.user.id);
+  
+  res.json({
+    success: true,
+    data: apiKeys,
+    count: apiKeys.length
+  });
+});
+
+// Create an API key; the key is only returned in this response
+router.post('/api-keys', requireAuth, validate(schemas.createApiKey), async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+  
+  const { key, apiKey } = await apiKeyService.createKey(req.user.id, { name, scopes, expiresAt }, contextFromRequest(req));
+  
+  res.status(201).json({
+    success: true,
+    data: apiKey,
+    key,
+    message: 'API key created. Copy it now; it will not be shown again.'
+  });
+});
+
+// Revoke an API key
+router.delete('/api-keys/:keyId', requireAuth, validate(schemas.revokeApiKey), async (req, res) => {
+  await apiKeyService.revokeKey(req.user.id, req.params.keyId, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    message: 'API key revoked successfully'
+  });
 });
 
 // Get user by ID endpoint
-router.get('/user/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    const user = await userService.getUserById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: user
-    });
-    
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get user'
-    });
+router.get('/user/:userId', requireAuth, validate(schemas.getUser), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  
+  const user = await userService.getUserById(userId);
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+  
+  res.json({
+    success: true,
+    data: user
+  });
 });
 
 // Update user endpoint
-router.put('/user/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const updates = req.body;
-    
-    const updatedUser = await userService.updateUser(userId, updates);
-    
-    res.json({
-      success: true,
-      data: updatedUser,
-      message: 'User updated successfully'
-    });
-    
-  } catch (error) {
-    console.error('Update user error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to update user'
-    });
-  }
+router.put('/user/:userId', requireAuth, validate(schemas.updateUser), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  
+  // The schema only lists fields users may change themselves: plans and roles
+  // are changed by staff
+  const updatedUser = await userService.updateUser(userId, req.body, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: updatedUser,
+    message: 'User updated successfully'
+  });
 });
 
-// Health check for auth service
-router.get('/health', (req, res) => {
+// Get the user's preferences, with defaults for anything not set
+router.get('/user/:userId/preferences', requireAuth, validate(schemas.getPreferences), requireSelf('userId'), async (req, res) => {
+  const preferences = await userService.getUserPreferences(req.params.userId);
+  
+  res.json({
+    success: true,
+    data: preferences
+  });
+});
+
+// Change some of the user's preferences; omitted keys are left as they are
+router.patch('/user/:userId/preferences', requireAuth, validate(schemas.updatePreferences), requireSelf('userId'), async (req, res) => {
+  const preferences = await userService.updateUserPreferences(req.params.userId, req.body, contextFromRequest(req));
+  
   res.json({
     success: true,
+    data: preferences,
+    message: 'Preferences updated successfully'
+  });
+});
+
+// Health check for auth service
+router.get('/health', validate(schemas.health), async (req, res) => {
+  // These routes only depend on MongoDB
+  const { status, httpStatus, checks } = await healthService.getReport(['mongodb']);
+
+  res.status(httpStatus).json({
+    success: httpStatus === 200,
     service: 'auth-service',
-    status: 'healthy',
-    timestamp: new Date().toISOString()
+    status,
+    timestamp: new Date().toISOString(),
+    checks
   });
 });
 
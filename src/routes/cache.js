@@ -1,208 +1,134 @@
 const express = require('express');
 const CacheService = require('../services/cacheService');
+const MongoDBWalletService = require('../services/walletService');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { requireOwnership, requireRole } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { createLogger } = require('../utils/logger');
+const schemas = require('../schemas/cache');
+
+const logger = createLogger('cacheRoutes');
 
 const router = express.Router();
 const cacheService = new CacheService();
-
-// Wallet data cache endpoints
-router.get('/wallet-data', async (req, res) => {
-  try {
-    const { walletId, dataType } = req.query;
-
-    if (!walletId || !dataType) {
-      return res.status(400).json({
-        success: false,
-        error: 'walletId and dataType are required'
-      });
-    }
-
-    const data = await cacheService.getWalletData(walletId, dataType);
-
-    if (data) {
-      console.log('Cache hit for wallet data', { walletId, dataType });
-      return res.json({
-        success: true,
-        data,
-        fromCache: true
-      });
-    } else {
-      console.log('Cache miss for wallet data', { walletId, dataType });
-      return res.json({
-        success: true,
-        data: null,
-        fromCache: false
-      });
-    }
-  } catch (error) {
-    console.error('Error getting wallet data from cache:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to get wallet data from cache'
-    });
-  }
+const walletService = new MongoDBWalletService();
+
+// All cache routes require an authenticated user (API keys need cache scopes)
+router.use(requireAuth, requireScope('cache:read', 'cache:write'));
+
+// Wallet data may only be cached for wallets the caller owns
+const requireCachedWalletOwner = (source) => requireOwnership({
+  source,
+  key: 'walletId',
+  load: (walletId) => walletService.getWalletById(walletId),
+  getOwnerId: (wallet) => wallet.userId,
+  notFoundMessage: 'Wallet not found'
 });
 
-router.post('/wallet-data', async (req, res) => {
-  try {
-    const { walletId, dataType, data } = req.body;
-
-    if (!walletId || !dataType || !data) {
-      return res.status(400).json({
-        success: false,
-        error: 'walletId, dataType, and data are required'
-      });
-    }
+// Wallet data cache endpoints
+router.get('/wallet-data', validate(schemas.getWalletData), requireCachedWalletOwner('query'), async (req, res) => {
+  const { walletId, dataType } = req.query;
 
-    await cacheService.setWalletData(walletId, dataType, data);
+  const data = await cacheService.getWalletData(walletId, dataType);
 
-    console.log('Wallet data cached', { walletId, dataType });
+  if (data) {
+    logger.info('Cache hit for wallet data', { walletId, dataType });
     return res.json({
       success: true,
-      message: 'Wallet data cached successfully'
+      data,
+      fromCache: true
     });
-  } catch (error) {
-    console.error('Error setting wallet data in cache:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to cache wallet data'
+  } else {
+    logger.info('Cache miss for wallet data', { walletId, dataType });
+    return res.json({
+      success: true,
+      data: null,
+      fromCache: false
     });
   }
 });
 
-router.delete('/wallet-data', async (req, res) => {
-  try {
-    const { walletId, dataType } = req.query;
-
-    if (!walletId) {
-      return res.status(400).json({
-        success: false,
-        error: 'walletId is required'
-      });
-    }
+router.post('/wallet-data', validate(schemas.setWalletData), requireCachedWalletOwner('body'), async (req, res) => {
+  const { walletId, dataType, data } = req.body;
 
-    await cacheService.invalidateWalletData(walletId, dataType);
+  await cacheService.setWalletData(walletId, dataType, data);
 
-    console.log('Wallet data cache invalidated', { walletId, dataType });
-    return res.json({
-      success: true,
-      message: 'Wallet data cache invalidated successfully'
-    });
-  } catch (error) {
-    console.error('Error invalidating wallet data cache:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to invalidate wallet data cache'
-    });
-  }
+  logger.info('Wallet data cached', { walletId, dataType });
+  return res.json({
+    success: true,
+    message: 'Wallet data cached successfully'
+  });
 });
 
-// Metadata cache endpoints
-router.get('/metadata', async (req, res) => {
-  try {
-    const { coinType } = req.query;
-
-    if (!coinType) {
-      return res.status(400).json({
-        success: false,
-        error: 'coinType is required'
-      });
-    }
-
-    const metadata = await cacheService.getMetadata(coinType);
-
-    if (metadata) {
-      console.log('Cache hit for metadata', { coinType });
-      return res.json({
-        success: true,
-        data: metadata,
-        fromCache: true
-      });
-    } else {
-      console.log('Cache miss for metadata', { coinType });
-      return res.json({
-        success: true,
-        data: null,
-        fromCache: false
-      });
-    }
-  } catch (error) {
-    console.error('Error getting metadata from cache:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to get metadata from cache'
-    });
-  }
-});
+router.delete('/wallet-data', validate(schemas.invalidateWalletData), requireCachedWalletOwner('query'), async (req, res) => {
+  const { walletId, dataType } = req.query;
 
-router.post('/metadata', async (req, res) => {
-  try {
-    const { coinType, metadata } = req.body;
+  await cacheService.invalidateWalletData(walletId, dataType);
 
-    if (!coinType || !metadata) {
-      return res.status(400).json({
-        success: false,
-        error: 'coinType and metadata are required'
-      });
-    }
+  logger.info('Wallet data cache invalidated', { walletId, dataType });
+  return res.json({
+    success: true,
+    message: 'Wallet data cache invalidated successfully'
+  });
+});
+
+// Metadata cache endpoints
+router.get('/metadata', validate(schemas.getMetadata), async (req, res) => {
+  const { coinType } = req.query;
 
-    await cacheService.setMetadata(coinType, metadata);
+  const metadata = await cacheService.getMetadata(coinType);
 
-    console.log('Metadata cached', { coinType });
+  if (metadata) {
+    logger.info('Cache hit for metadata', { coinType });
     return res.json({
       success: true,
-      message: 'Metadata cached successfully'
+      data: metadata,
+      fromCache: true
     });
-  } catch (error) {
-    console.error('Error setting metadata in cache:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to cache metadata'
+  } else {
+    logger.info('Cache miss for metadata', { coinType });
+    return res.json({
+      success: true,
+      data: null,
+      fromCache: false
     });
   }
 });
 
-router.put('/metadata', async (req, res) => {
-  try {
-    const { metadataMap } = req.body;
+// Coin metadata is shared by every user, so only staff may write it
+const requireStaff = requireRole('support', 'admin');
 
-    if (!metadataMap || typeof metadataMap !== 'object') {
-      return res.status(400).json({
-        success: false,
-        error: 'metadataMap is required'
-      });
-    }
+router.post('/metadata', validate(schemas.setMetadata), requireStaff, async (req, res) => {
+  const { coinType, metadata } = req.body;
 
-    await cacheService.setBatchMetadata(metadataMap);
+  await cacheService.setMetadata(coinType, metadata);
 
-    console.log('Batch metadata cached', { count: Object.keys(metadataMap).length });
-    return res.json({
-      success: true,
-      message: 'Batch metadata cached successfully'
-    });
-  } catch (error) {
-    console.error('Error setting batch metadata in cache:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to cache batch metadata'
-    });
-  }
+  logger.info('Metadata cached', { coinType });
+  return res.json({
+    success: true,
+    message: 'Metadata cached successfully'
+  });
+});
+
+router.put('/metadata', validate(schemas.setBatchMetadata), requireStaff, async (req, res) => {
+  const { metadataMap } = req.body;
+
+  await cacheService.setBatchMetadata(metadataMap);
+
+  logger.info('Batch metadata cached', { count: Object.keys(metadataMap).length });
+  return res.json({
+    success: true,
+    message: 'Batch metadata cached successfully'
+  });
 });
 
 // Cache statistics endpoint
-router.get('/stats', async (req, res) => {
-  try {
-    const stats = await cacheService.getCacheStats();
-    return res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    console.error('Error getting cache stats:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to get cache stats'
-    });
-  }
+router.get('/stats', validate(schemas.getStats), async (req, res) => {
+  const stats = await cacheService.getCacheStats();
+  return res.json({
+    success: true,
+    data: stats
+  });
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -1,242 +1,135 @@
 const express = require('express');
 const router = express.Router();
 const MongoDBGoalService = require('../services/goalService');
+const HealthService = require('../services/healthService');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { requireSelf, requireBodyOwner, requireOwnership } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { contextFromRequest } = require('../services/auditService');
+const { NotFoundError } = require('../utils/errorHandler');
+const schemas = require('../schemas/goals');
+
+const healthService = new HealthService();
 
 // Health check for goals service
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
+router.get('/health', validate(schemas.health), async (req, res) => {
+  // These routes only depend on MongoDB
+  const { status, httpStatus, checks } = await healthService.getReport(['mongodb']);
+
+  res.status(httpStatus).json({
+    success: httpStatus === 200,
     service: 'goals-service',
-    status: 'healthy',
-    timestamp: new Date().toISOString()
+    status,
+    timestamp: new Date().toISOString(),
+    checks
   });
 });
 
+// All remaining goals routes require an authenticated user (API keys need goals scopes)
+router.use(requireAuth, requireScope('goals:read', 'goals:write'));
+
 // Initialize goal service
 const goalService = new MongoDBGoalService();
 
+// Only the goal's owner may read or change it
+const requireGoalOwner = requireOwnership({
+  key: 'goalId',
+  load: (goalId) => goalService.getGoalById(goalId),
+  getOwnerId: (goal) => goal.user_id,
+  notFoundMessage: 'Goal not found'
+});
+
 // Create goal endpoint
-router.post('/', async (req, res) => {
-  try {
-    const { user_id, name, description, status, progress, coin, coin_symbol, current_amount, target_amount, target_date, wallet_id, wallet_address, wallet_chain, goal_type, parent_goal_id, is_aggregate, milestones, notes } = req.body;
-    
-    // Basic validation
-    if (!user_id || !name || !coin || !coin_symbol || current_amount === undefined || target_amount === undefined || !goal_type) {
-      return res.status(400).json({
-        success: false,
-        error: 'All required fields are required: user_id, name, coin, coin_symbol, current_amount, target_amount, goal_type'
-      });
-    }
-    
-    // Create goal
-    const goal = await goalService.createGoal({
-      user_id,
-      name,
-      description,
-      status,
-      progress,
-      coin,
-      coin_symbol,
-      current_amount: Number(current_amount),
-      target_amount: Number(target_amount),
-      target_date,
-      wallet_id,
-      wallet_address,
-      wallet_chain,
-      goal_type,
-      parent_goal_id,
-      is_aggregate,
-      milestones,
-      notes
-    });
-    
-    res.status(201).json({
-      success: true,
-      data: goal,
-      message: 'Goal created successfully'
-    });
-    
-  } catch (error) {
-    console.error('Create goal error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to create goal'
-    });
-  }
+router.post('/', validate(schemas.createGoal), requireBodyOwner('user_id'), async (req, res) => {
+  // Create goal (the body only holds the fields the schema lists)
+  const goal = await goalService.createGoal(req.body, contextFromRequest(req));
+  
+  res.status(201).json({
+    success: true,
+    data: goal,
+    message: 'Goal created successfully'
+  });
 });
 
 // Get user goals endpoint
-router.get('/user/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    const goals = await goalService.getUserGoals(userId);
-    
-    res.json({
-      success: true,
-      data: goals,
-      count: goals.length
-    });
-    
-  } catch (error) {
-    console.error('Get user goals error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get user goals'
-    });
-  }
+router.get('/user/:userId', validate(schemas.getUserGoals), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  
+  const goals = await goalService.getUserGoals(userId);
+  
+  res.json({
+    success: true,
+    data: goals,
+    count: goals.length
+  });
 });
 
 // Get goal by ID endpoint
-router.get('/:goalId', async (req, res) => {
-  try {
-    const { goalId } = req.params;
-    
-    const goal = await goalService.getGoalById(goalId);
-    
-    if (!goal) {
-      return res.status(404).json({
-        success: false,
-        error: 'Goal not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: goal
-    });
-    
-  } catch (error) {
-    console.error('Get goal error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get goal'
-    });
+router.get('/:goalId', validate(schemas.getGoal), requireGoalOwner, async (req, res) => {
+  const { goalId } = req.params;
+  
+  const goal = await goalService.getGoalById(goalId);
+  
+  if (!goal) {
+    throw new NotFoundError('Goal not found');
   }
+  
+  res.json({
+    success: true,
+    data: goal
+  });
 });
 
 // Update goal endpoint
-router.put('/:goalId', async (req, res) => {
-  try {
-    const { goalId } = req.params;
-    const updates = req.body;
-    
-    // Convert numeric fields if provided
-    if (updates.current_amount !== undefined) {
-      updates.current_amount = Number(updates.current_amount);
-    }
-    if (updates.target_amount !== undefined) {
-      updates.target_amount = Number(updates.target_amount);
-    }
-    
-    const updatedGoal = await goalService.updateGoal(goalId, updates);
-    
-    res.json({
-      success: true,
-      data: updatedGoal,
-      message: 'Goal updated successfully'
-    });
-    
-  } catch (error) {
-    console.error('Update goal error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to update goal'
-    });
-  }
+router.put('/:goalId', validate(schemas.updateGoal), requireGoalOwner, async (req, res) => {
+  const { goalId } = req.params;
+  
+  const updatedGoal = await goalService.updateGoal(goalId, req.body, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: updatedGoal,
+    message: 'Goal updated successfully'
+  });
 });
 
 // Delete goal endpoint
-router.delete('/:goalId', async (req, res) => {
-  try {
-    const { goalId } = req.params;
-    
-    const result = await goalService.deleteGoal(goalId);
-    
-    res.json({
-      success: true,
-      data: result,
-      message: 'Goal deleted successfully'
-    });
-    
-  } catch (error) {
-    console.error('Delete goal error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to delete goal'
-    });
-  }
+router.delete('/:goalId', validate(schemas.deleteGoal), requireGoalOwner, async (req, res) => {
+  const { goalId } = req.params;
+  
+  const result = await goalService.deleteGoal(goalId, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: result,
+    message: 'Goal deleted successfully'
+  });
 });
 
 // Get goal progress endpoint
-router.get('/:goalId/progress', async (req, res) => {
-  try {
-    const { goalId } = req.params;
-    
-    const progress = await goalService.getGoalProgress(goalId);
-    
-    res.json({
-      success: true,
-      data: progress
-    });
-    
-  } catch (error) {
-    console.error('Get goal progress error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get goal progress'
-    });
-  }
+router.get('/:goalId/progress', validate(schemas.getGoalProgress), requireGoalOwner, async (req, res) => {
+  const { goalId } = req.params;
+  
+  const progress = await goalService.getGoalProgress(goalId);
+  
+  res.json({
+    success: true,
+    data: progress
+  });
 });
 
 // Update goal progress endpoint
-router.put('/:goalId/progress', async (req, res) => {
-  try {
-    const { goalId } = req.params;
-    const { current_amount } = req.body;
-    
-    if (current_amount === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: 'current_amount is required'
-      });
-    }
-    
-    const updatedGoal = await goalService.updateGoalProgress(goalId, Number(current_amount));
-    
-    res.json({
-      success: true,
-      data: updatedGoal,
-      message: 'Goal progress updated successfully'
-    });
-    
-  } catch (error) {
-    console.error('Update goal progress error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to update goal progress'
-    });
-  }
-});
-
-// Get all goals endpoint (admin/development)
-router.get('/', async (req, res) => {
-  try {
-    const goals = await goalService.getAllGoals();
-    
-    res.json({
-      success: true,
-      data: goals,
-      count: goals.length
-    });
-    
-  } catch (error) {
-    console.error('Get all goals error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get all goals'
-    });
-  }
+router.put('/:goalId/progress', validate(schemas.updateGoalProgress), requireGoalOwner, async (req, res) => {
+  const { goalId } = req.params;
+  const { current_amount } = req.body;
+  
+  const updatedGoal = await goalService.updateGoalProgress(goalId, current_amount, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: updatedGoal,
+    message: 'Goal progress updated successfully'
+  });
 });
 
 module.exports = router; 
\ No newline at end of file
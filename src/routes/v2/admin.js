@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const MongoDBGoalService = require('../../services/goalService');
+const MongoDBAdminService = require('../../services/adminService');
+const adminRoutes = require('../admin');
+const { requireAuth, requireSession } = require('../../middleware/auth');
+const { requireRole } = require('../../middleware/authorize');
+const { validate } = require('../../middleware/validate');
+const { toCamelCase, renameKeys } = require('../../utils/keyCase');
+const schemas = require('../../schemas/admin');
+
+// The v2 admin routes. Only the goal listing differs from v1: it returns
+// whole goals, camelCase as in /api/v2/goals. Every other request falls
+// through to the v1 routes.
+
+const goalService = new MongoDBGoalService();
+const adminService = new MongoDBAdminService();
+
+// Get all goals endpoint (support and admin roles only, as in v1)
+router.get('/goals', requireAuth, requireSession, requireRole('support', 'admin'), validate(schemas.listGoals), async (req, res) => {
+  const goals = await goalService.listGoals();
+
+  await adminService.recordAction(req.user, 'goals.list', { targetUserId: null, details: {}, ip: req.ip });
+
+  res.json({
+    success: true,
+    data: goals.map(goal => renameKeys(goal, toCamelCase)),
+    count: goals.length
+  });
+});
+
+router.use(adminRoutes);
+
+module.exports = router;
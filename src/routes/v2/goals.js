@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const goalRoutes = require('../goals');
+const { requireAuth, requireScope } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { toCamelCase, toSnakeCase, renameKeys } = require('../../utils/keyCase');
+const schemas = require('../../schemas/v2/goals');
+
+// The v2 goals routes. Each one checks its camelCase request, then falls
+// through to the v1 route, which gets the body with snake_case fields and
+// whose goals are returned camelCase.
+
+const authenticated = [requireAuth, requireScope('goals:read', 'goals:write')];
+
+// A goal, a list of goals or a goal's progress, as returned by v2
+const toResource = (data) => (Array.isArray(data) ? data.map(toResource) : renameKeys(data, toCamelCase));
+
+// Translate the request body for the v1 route, and its response data back
+const representation = (req, res, next) => {
+  if (req.body) req.body = renameKeys(req.body, toSnakeCase);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(body.success && body.data ? { ...body, data: toResource(body.data) } : body);
+
+  next();
+};
+
+// The same as v1, which answers it here so /:goalId below does not take it
+// for a goal ID
+router.get('/health', validate(schemas.health), goalRoutes);
+
+router.post('/', authenticated, validate(schemas.createGoal), representation);
+router.get('/user/:userId', authenticated, validate(schemas.getUserGoals), representation);
+router.get('/:goalId', authenticated, validate(schemas.getGoal), representation);
+router.put('/:goalId', authenticated, validate(schemas.updateGoal), representation);
+router.delete('/:goalId', authenticated, validate(schemas.deleteGoal), representation);
+router.get('/:goalId/progress', authenticated, validate(schemas.getGoalProgress), representation);
+router.put('/:goalId/progress', authenticated, validate(schemas.updateGoalProgress), representation);
+
+router.use(goalRoutes);
+
+module.exports = router;
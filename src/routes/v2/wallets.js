@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const MongoDBWalletService = require('../../services/walletService');
+const walletRoutes = require('../wallets');
+const { requireAuth, requireScope } = require('../../middleware/auth');
+const { requireBodyOwner } = require('../../middleware/authorize');
+const { validate } = require('../../middleware/validate');
+const { contextFromRequest } = require('../../services/auditService');
+const schemas = require('../../schemas/v2/wallets');
+
+// The v2 wallets routes. Wallets were already returned camelCase, so only
+// create differs from v1: it takes the owner as userId instead of user_id.
+// Every other request falls through to the v1 routes.
+
+const walletService = new MongoDBWalletService();
+
+// Create wallet endpoint
+router.post('/', requireAuth, requireScope('wallets:read', 'wallets:write'), validate(schemas.createWallet), requireBodyOwner('userId'), async (req, res) => {
+  const { userId, address, label, chain } = req.body;
+
+  const wallet = await walletService.createWallet({
+    user_id: userId,
+    address,
+    label,
+    chain
+  }, contextFromRequest(req));
+
+  res.status(201).json({
+    success: true,
+    data: wallet,
+    message: 'Wallet created successfully'
+  });
+});
+
+router.use(walletRoutes);
+
+module.exports = router;
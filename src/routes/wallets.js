@@ -1,239 +1,183 @@
 const express = require('express');
 const router = express.Router();
 const MongoDBWalletService = require('../services/walletService');
+const HealthService = require('../services/healthService');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { requireSelf, requireBodyOwner, requireOwnership } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { contextFromRequest } = require('../services/auditService');
+const { NotFoundError } = require('../utils/errorHandler');
+const schemas = require('../schemas/wallets');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('walletsRoutes');
+
+const healthService = new HealthService();
 
 // Health check for wallets service
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
+router.get('/health', validate(schemas.health), async (req, res) => {
+  // These routes only depend on MongoDB
+  const { status, httpStatus, checks } = await healthService.getReport(['mongodb']);
+
+  res.status(httpStatus).json({
+    success: httpStatus === 200,
     service: 'wallets-service',
-    status: 'healthy',
-    timestamp: new Date().toISOString()
+    status,
+    timestamp: new Date().toISOString(),
+    checks
   });
 });
 
+// All remaining wallets routes require an authenticated user (API keys need wallets scopes)
+router.use(requireAuth, requireScope('wallets:read', 'wallets:write'));
+
 // Initialize wallet service
 const walletService = new MongoDBWalletService();
 
+// Only the wallet's owner may read or change it
+const requireWalletOwner = requireOwnership({
+  key: 'walletId',
+  load: (walletId) => walletService.getWalletById(walletId),
+  getOwnerId: (wallet) => wallet.userId,
+  notFoundMessage: 'Wallet not found'
+});
+
 // Create wallet endpoint
-router.post('/', async (req, res) => {
-  try {
-    const { user_id, address, label, chain } = req.body;
-    
-    // Basic validation
-    if (!user_id || !address || !label || !chain) {
-      return res.status(400).json({
-        success: false,
-        error: 'All required fields are required: user_id, address, label, chain'
-      });
-    }
-    
-    // Create wallet
-    const wallet = await walletService.createWallet({
-      user_id,
-      address,
-      label,
-      chain
-    });
-    
-    res.status(201).json({
-      success: true,
-      data: wallet,
-      message: 'Wallet created successfully'
-    });
-    
-  } catch (error) {
-    console.error('Create wallet error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to create wallet'
-    });
-  }
+router.post('/', validate(schemas.createWallet), requireBodyOwner('user_id'), async (req, res) => {
+  const { user_id, address, label, chain } = req.body;
+  
+  // Create wallet
+  const wallet = await walletService.createWallet({
+    user_id,
+    address,
+    label,
+    chain
+  }, contextFromRequest(req));
+  
+  res.status(201).json({
+    success: true,
+    data: wallet,
+    message: 'Wallet created successfully'
+  });
 });
 
 // Get user wallets endpoint
-router.get('/user/:userId', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    const wallets = await walletService.getUserWallets(userId);
-    
-    res.json({
-      success: true,
-      data: wallets,
-      count: wallets.length
-    });
-    
-  } catch (error) {
-    console.error('Get user wallets error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get user wallets'
-    });
-  }
+router.get('/user/:userId', validate(schemas.getUserWallets), requireSelf('userId'), async (req, res) => {
+  const { userId } = req.params;
+  
+  const wallets = await walletService.getUserWallets(userId);
+  
+  res.json({
+    success: true,
+    data: wallets,
+    count: wallets.length
+  });
 });
 
 // Get wallet by ID endpoint
-router.get('/:walletId', async (req, res) => {
-  try {
-    const { walletId } = req.params;
-    
-    const wallet = await walletService.getWalletById(walletId);
-    
-    if (!wallet) {
-      return res.status(404).json({
-        success: false,
-        error: 'Wallet not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: wallet
-    });
-    
-  } catch (error) {
-    console.error('Get wallet error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get wallet'
-    });
+router.get('/:walletId', validate(schemas.getWallet), requireWalletOwner, async (req, res) => {
+  const { walletId } = req.params;
+  
+  const wallet = await walletService.getWalletById(walletId);
+  
+  if (!wallet) {
+    throw new NotFoundError('Wallet not found');
   }
+  
+  res.json({
+    success: true,
+    data: wallet
+  });
 });
 
 // Update wallet endpoint
-router.put('/:walletId', async (req, res) => {
-  try {
-    const { walletId } = req.params;
-    const updates = req.body;
-    
-    // Validate that at least one field is being updated
-    const allowedFields = ['label', 'address', 'chain'];
-    const hasValidUpdates = allowedFields.some(field => updates[field] !== undefined);
-    
-    if (!hasValidUpdates) {
-      return res.status(400).json({
-        success: false,
-        error: 'At least one field must be provided for update: label, address, or chain'
-      });
-    }
-    
-    const updatedWallet = await walletService.updateWallet(walletId, updates);
-    
-    res.json({
-      success: true,
-      data: updatedWallet,
-      message: 'Wallet updated successfully'
-    });
-    
-  } catch (error) {
-    console.error('Update wallet error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to update wallet'
-    });
-  }
+router.put('/:walletId', validate(schemas.updateWallet), requireWalletOwner, async (req, res) => {
+  const { walletId } = req.params;
+  
+  const updatedWallet = await walletService.updateWallet(walletId, req.body, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: updatedWallet,
+    message: 'Wallet updated successfully'
+  });
 });
 
 // Delete wallet endpoint
-router.delete('/:walletId', async (req, res) => {
-  try {
-    const { walletId } = req.params;
-    
-    const result = await walletService.deleteWallet(walletId);
-    
-    res.json({
-      success: true,
-      data: result,
-      message: 'Wallet deleted successfully'
-    });
-    
-  } catch (error) {
-    console.error('Delete wallet error:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message || 'Failed to delete wallet'
-    });
-  }
+router.delete('/:walletId', validate(schemas.deleteWallet), requireWalletOwner, async (req, res) => {
+  const { walletId } = req.params;
+  
+  const result = await walletService.deleteWallet(walletId, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: result,
+    message: 'Wallet deleted successfully'
+  });
 });
 
-// Get wallet by address and chain endpoint
-router.get('/user/:userId/address/:address/chain/:chain', async (req, res) => {
-  try {
-    const { userId, address, chain } = req.params;
-    
-    console.log('🔍 Route Debug - getWalletByAddress:', {
-      userId,
-      address,
-      chain,
-      params: req.params
-    });
-    
-    const wallet = await walletService.getWalletByAddress(userId, address, chain);
-    
-    console.log('🔍 Route Debug - wallet found:', wallet ? 'YES' : 'NO');
-    
-    if (!wallet) {
-      return res.status(404).json({
-        success: false,
-        error: 'Wallet not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: wallet
-    });
-    
-  } catch (error) {
-    console.error('Get wallet by address error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get wallet by address'
-    });
-  }
+// Request a challenge to prove ownership of a wallet
+router.post('/:walletId/verification/challenge', validate(schemas.createVerificationChallenge), requireWalletOwner, async (req, res) => {
+  const { walletId } = req.params;
+  
+  const challenge = await walletService.createVerificationChallenge(walletId);
+  
+  res.json({
+    success: true,
+    data: challenge
+  });
 });
 
-// Get user wallets by chain endpoint
-router.get('/user/:userId/chain/:chain', async (req, res) => {
-  try {
-    const { userId, chain } = req.params;
-    
-    const wallets = await walletService.getWalletsByChain(userId, chain);
-    
-    res.json({
-      success: true,
-      data: wallets,
-      count: wallets.length
-    });
-    
-  } catch (error) {
-    console.error('Get wallets by chain error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get wallets by chain'
-    });
-  }
+// Submit a signed challenge to mark a wallet as verified
+router.post('/:walletId/verification', validate(schemas.verifyWallet), requireWalletOwner, async (req, res) => {
+  const { walletId } = req.params;
+  const { nonce, signature } = req.body;
+  
+  const wallet = await walletService.verifyWallet(walletId, { nonce, signature }, contextFromRequest(req));
+  
+  res.json({
+    success: true,
+    data: wallet,
+    message: 'Wallet verified successfully'
+  });
 });
 
-// Get all wallets endpoint (admin/development)
-router.get('/', async (req, res) => {
-  try {
-    const wallets = await walletService.getAllWallets();
-    
-    res.json({
-      success: true,
-      data: wallets,
-      count: wallets.length
-    });
-    
-  } catch (error) {
-    console.error('Get all wallets error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to get all wallets'
-    });
+// Get wallet by address and chain endpoint
+router.get('/user/:userId/address/:address/chain/:chain', validate(schemas.getWalletByAddress), requireSelf('userId'), async (req, res) => {
+  const { userId, address, chain } = req.params;
+  
+  logger.debug('Getting wallet by address', {
+    userId,
+    address,
+    chain,
+    params: req.params
+  });
+  
+  const wallet = await walletService.getWalletByAddress(userId, address, chain);
+  
+  logger.debug('Wallet by address lookup finished', { found: Boolean(wallet) });
+  
+  if (!wallet) {
+    throw new NotFoundError('Wallet not found');
   }
+  
+  res.json({
+    success: true,
+    data: wallet
+  });
+});
+
+// Get user wallets by chain endpoint
+router.get('/user/:userId/chain/:chain', validate(schemas.getWalletsByChain), requireSelf('userId'), async (req, res) => {
+  const { userId, chain } = req.params;
+  
+  const wallets = await walletService.getWalletsByChain(userId, chain);
+  
+  res.json({
+    success: true,
+    data: wallets,
+    count: wallets.length
+  });
 });
 
 module.exports = router; 
\ No newline at end of file
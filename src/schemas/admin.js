@@ -0,0 +1,94 @@
+const { TIERS } = require('../utils/entitlements');
+const { USER_ROLES } = require('../utils/roles');
+const { objectId, dateTime, nullable, object, pagination, userIdParams, operations } = require('./common');
+
+// Request schemas for the /api/admin routes
+
+const ip = { type: 'string', format: 'ip' };
+
+module.exports = operations('admin', {
+  searchUsers: {
+    summary: 'Search users by username or email',
+    query: object({
+      search: { type: 'string', maxLength: 100, description: 'Matches username or email' },
+      ...pagination
+    })
+  },
+
+  getUser: {
+    summary: 'Get a user',
+    params: userIdParams
+  },
+
+  setTier: {
+    summary: 'Change the tier of a user (admin)',
+    params: userIdParams,
+    body: object({ tier: { type: 'string', enum: Object.keys(TIERS) } }, { required: ['tier'] })
+  },
+
+  setRole: {
+    summary: 'Change the role of a user (admin)',
+    params: userIdParams,
+    body: object({ role: { type: 'string', enum: USER_ROLES } }, { required: ['role'] })
+  },
+
+  disableUser: {
+    summary: 'Disable an account (admin)',
+    params: userIdParams,
+    body: object({ reason: nullable({ type: 'string', maxLength: 500 }) })
+  },
+
+  enableUser: {
+    summary: 'Re-enable an account (admin)',
+    params: userIdParams
+  },
+
+  getLockStatus: {
+    summary: 'Get the sign-in lockout status of a user',
+    params: userIdParams
+  },
+
+  // With an ip, that address's sign-in lock is cleared too
+  unlockUser: {
+    summary: 'Clear a sign-in lockout',
+    params: userIdParams,
+    body: object({ ip: nullable(ip) })
+  },
+
+  impersonateUser: {
+    summary: 'Start a read-only impersonation session',
+    params: userIdParams
+  },
+
+  listGoals: {
+    summary: 'List every goal'
+  },
+
+  listWallets: {
+    summary: 'List every wallet'
+  },
+
+  listActions: {
+    summary: 'List recorded admin actions (admin)',
+    query: object({
+      actorId: objectId,
+      targetUserId: objectId,
+      action: { type: 'string', maxLength: 100, example: 'users.tier.change' },
+      ...pagination
+    })
+  },
+
+  // type is exact, or a prefix ending in '.' such as 'auth.'
+  listAuditEvents: {
+    summary: 'Query the security audit log (admin)',
+    query: object({
+      userId: objectId,
+      actorId: objectId,
+      type: { type: 'string', maxLength: 100, example: 'auth.' },
+      ip,
+      from: dateTime,
+      to: dateTime,
+      ...pagination
+    })
+  }
+});
@@ -0,0 +1,213 @@
+const { API_KEY_SCOPES } = require('../utils/scopes');
+const {
+  THEMES,
+  SKILL_LEVELS,
+  CURRENCIES,
+  CHAINS,
+  DASHBOARD_WIDGETS,
+  NOTIFICATIONS,
+  MAX_HIDDEN_TOKENS
+} = require('../utils/preferences');
+const { objectId, nonEmptyString, suiAddress, dateTime, nullable, object, pagination, userIdParams, operations } = require('./common');
+
+// Request schemas for the /api/auth routes. Password, username and locale
+// rules stay with the user service and preferences module, which apply them
+// wherever an account changes; these schemas fix the shape of each request.
+
+const password = { type: 'string', minLength: 1, maxLength: 200 };
+const totpCode = { type: 'string', pattern: '^\\d{6}$', patternMessage: 'must be a 6-digit code' };
+const recoveryCode = nonEmptyString(64);
+const token = nonEmptyString(512);
+
+// A TOTP code or, instead, a recovery code
+const secondFactor = (properties = {}, required = []) => object({ ...properties, code: totpCode, recoveryCode }, {
+  required,
+  minProperties: required.length + 1
+});
+
+const preferences = {
+  theme: { type: 'string', enum: THEMES },
+  skillLevel: { type: 'string', enum: SKILL_LEVELS },
+  advancedAccountMenu: { type: 'boolean' },
+  baseCurrency: { type: 'string', enum: CURRENCIES },
+  numberFormat: { type: 'string', minLength: 2, maxLength: 35, description: 'A BCP 47 locale such as en-US' },
+  defaultChain: { type: 'string', enum: CHAINS },
+  hiddenTokens: { type: 'array', maxItems: MAX_HIDDEN_TOKENS, items: nonEmptyString(200) },
+  dashboardLayout: { type: 'array', uniqueItems: true, items: { type: 'string', enum: DASHBOARD_WIDGETS } },
+  notifications: object(Object.fromEntries(NOTIFICATIONS.map(name => [name, { type: 'boolean' }])))
+};
+
+module.exports = operations('auth', {
+  register: {
+    summary: 'Create an account',
+    status: 201,
+    body: object({
+      username: nonEmptyString(30),
+      email: { type: 'string', maxLength: 254 },
+      password
+    }, { required: ['username', 'email', 'password'] })
+  },
+
+  login: {
+    summary: 'Sign in with a username or email and password; may ask for a second factor',
+    body: object({
+      identifier: { ...nonEmptyString(254), description: 'Username or email' },
+      password
+    }, { required: ['identifier', 'password'] })
+  },
+
+  loginTwoFactor: {
+    summary: 'Finish a two-factor sign-in with a TOTP or recovery code',
+    body: secondFactor({ challengeToken: token }, ['challengeToken'])
+  },
+
+  enrollTwoFactor: {
+    summary: 'Start two-factor enrolment; returns a secret for an authenticator app'
+  },
+
+  confirmTwoFactor: {
+    summary: 'Turn on two-factor authentication with a code from the new secret',
+    body: object({ code: totpCode }, { required: ['code'] })
+  },
+
+  disableTwoFactor: {
+    summary: 'Turn off two-factor authentication',
+    body: secondFactor()
+  },
+
+  regenerateRecoveryCodes: {
+    summary: 'Replace all two-factor recovery codes',
+    body: object({ code: totpCode }, { required: ['code'] })
+  },
+
+  forgotPassword: {
+    summary: 'Email a password reset link',
+    body: object({ email: { type: 'string', format: 'email', maxLength: 254 } }, { required: ['email'] })
+  },
+
+  resetPassword: {
+    summary: 'Set a new password with a token from the reset email',
+    body: object({ token, password }, { required: ['token', 'password'] })
+  },
+
+  verifyEmail: {
+    summary: 'Confirm an email address with a token from the verification email',
+    body: object({ token }, { required: ['token'] })
+  },
+
+  resendVerification: {
+    summary: 'Send a fresh verification email to the caller'
+  },
+
+  suiNonce: {
+    summary: 'Get a challenge for a Sui wallet to sign',
+    body: object({ address: suiAddress }, { required: ['address'] })
+  },
+
+  suiVerify: {
+    summary: 'Sign in with, or link, a Sui wallet by its signed challenge',
+    body: object({
+      address: suiAddress,
+      nonce: token,
+      signature: nonEmptyString(2048)
+    }, { required: ['address', 'nonce', 'signature'] })
+  },
+
+  refresh: {
+    summary: 'Exchange a refresh token for new session tokens',
+    body: object({ refreshToken: token }, { required: ['refreshToken'] })
+  },
+
+  logout: {
+    summary: 'Sign out, revoking the current session'
+  },
+
+  listSessions: {
+    summary: 'List the active sessions of the signed-in user'
+  },
+
+  revokeOtherSessions: {
+    summary: 'Revoke every session except the current one'
+  },
+
+  revokeSession: {
+    summary: 'Revoke one session, such as a lost device',
+    params: object({ sessionId: objectId }, { required: ['sessionId'] })
+  },
+
+  revokeAllSessions: {
+    summary: 'Revoke every session, signing the caller out everywhere'
+  },
+
+  deleteAccount: {
+    summary: 'Schedule deletion of the account (cancellable during the grace period)',
+    body: object({ currentPassword: password })
+  },
+
+  cancelAccountDeletion: {
+    summary: 'Cancel a scheduled account deletion'
+  },
+
+  exportAccount: {
+    summary: 'Download all of the account data as a JSON file'
+  },
+
+  securityActivity: {
+    summary: 'List security events on the account, newest first',
+    query: object(pagination)
+  },
+
+  listApiKeys: {
+    summary: 'List API keys (never the keys themselves)'
+  },
+
+  createApiKey: {
+    summary: 'Create an API key; the key is only returned in this response',
+    status: 201,
+    body: object({
+      name: nonEmptyString(50),
+      scopes: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: API_KEY_SCOPES } },
+      expiresAt: nullable(dateTime)
+    }, { required: ['name', 'scopes'] })
+  },
+
+  revokeApiKey: {
+    summary: 'Revoke an API key',
+    params: object({ keyId: objectId }, { required: ['keyId'] })
+  },
+
+  getUser: {
+    summary: 'Get a user profile (only your own)',
+    params: userIdParams
+  },
+
+  // tier, unlocks, role and the like are staff-only and so not listed
+  updateUser: {
+    summary: 'Change a user profile or credentials (only your own)',
+    params: userIdParams,
+    body: object({
+      username: nonEmptyString(30),
+      email: { type: 'string', maxLength: 254 },
+      password,
+      currentPassword: password,
+      theme: preferences.theme,
+      skillLevel: preferences.skillLevel,
+      advancedAccountMenu: preferences.advancedAccountMenu
+    }, { minProperties: 1 })
+  },
+
+  getPreferences: {
+    summary: 'Get user preferences, with defaults for anything not set',
+    params: userIdParams
+  },
+
+  updatePreferences: {
+    summary: 'Change some preferences; omitted keys are left as they are',
+    params: userIdParams,
+    body: object(preferences, { minProperties: 1 })
+  },
+
+  health: {
+    summary: 'Check the auth service and its database'
+  }
+});
@@ -0,0 +1,47 @@
+const { resourceId, nonEmptyString, anyObject, object, operations } = require('./common');
+
+// Request schemas for the /api/cache routes
+
+const walletId = resourceId;
+const dataType = { ...nonEmptyString(50), example: 'holdings' };
+const coinType = { ...nonEmptyString(200), example: '0x2::sui::SUI' };
+
+module.exports = operations('cache', {
+  getWalletData: {
+    summary: 'Get cached data for a wallet',
+    query: object({ walletId, dataType }, { required: ['walletId', 'dataType'] })
+  },
+
+  setWalletData: {
+    summary: 'Cache data for a wallet',
+    body: object({ walletId, dataType, data: anyObject }, { required: ['walletId', 'dataType', 'data'] })
+  },
+
+  // Without a dataType every cached type for the wallet is cleared
+  invalidateWalletData: {
+    summary: 'Clear cached data for a wallet',
+    query: object({ walletId, dataType }, { required: ['walletId'] })
+  },
+
+  getMetadata: {
+    summary: 'Get cached metadata for a coin type',
+    query: object({ coinType }, { required: ['coinType'] })
+  },
+
+  setMetadata: {
+    summary: 'Cache metadata for a coin type (support, admin)',
+    body: object({ coinType, metadata: anyObject }, { required: ['coinType', 'metadata'] })
+  },
+
+  // Keyed by coin type
+  setBatchMetadata: {
+    summary: 'Cache metadata for several coin types (support, admin)',
+    body: object({
+      metadataMap: { type: 'object', additionalProperties: anyObject, minProperties: 1 }
+    }, { required: ['metadataMap'] })
+  },
+
+  getStats: {
+    summary: 'Get entry counts and sizes of the caches'
+  }
+});
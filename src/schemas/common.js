@@ -0,0 +1,88 @@
+const { CHAINS } = require('../utils/preferences');
+const { toCamelCase, renameKeys } = require('../utils/keyCase');
+
+// Schema pieces shared by the route schemas in this directory. Each route
+// declares its params, query and body with these (see middleware/validate.js),
+// along with a summary for the OpenAPI document (see utils/openapi.js).
+
+const objectId = { type: 'string', format: 'objectId', description: 'A 24-character hex ID' };
+
+// IDs of resources behind an ownership check are only required to be strings:
+// malformed IDs get the same 404 as unknown ones (see middleware/authorize.js)
+const resourceId = { type: 'string', minLength: 1 };
+
+const nonEmptyString = (maxLength = 200) => ({ type: 'string', minLength: 1, maxLength });
+
+const suiAddress = {
+  type: 'string',
+  pattern: '^0x[a-fA-F0-9]{64}$',
+  patternMessage: 'must be a 0x-prefixed, 64-character hex Sui address'
+};
+
+const chain = { type: 'string', enum: CHAINS };
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+// The same schema, also accepting null
+const nullable = (schema) => ({
+  ...schema,
+  type: [schema.type, 'null'],
+  ...(schema.enum && { enum: [...schema.enum, null] })
+});
+
+// A JSON object with any contents, such as cached data
+const anyObject = { type: 'object', additionalProperties: true };
+
+const object = (properties, { required = [], ...rest } = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required }),
+  ...rest
+});
+
+const pagination = {
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+  skip: { type: 'integer', minimum: 0, default: 0 }
+};
+
+const userIdParams = object({ userId: objectId }, { required: ['userId'] });
+
+/**
+ * Group each route's entry under a tag, and name it after the tag and its key
+ * for its OpenAPI operationId (e.g. goals + getGoal = goalsGetGoal). An entry
+ * holds `summary`, optional `params`, `query` and `body` schemas, and
+ * `status` when a success is not a 200.
+ */
+const operations = (tag, entries) => Object.fromEntries(Object.entries(entries).map(([key, entry]) => [key, {
+  operationId: `${tag}${key[0].toUpperCase()}${key.slice(1)}`,
+  tags: [tag],
+  ...entry
+}]));
+
+// A v1 entry reused by a v2 route: the same rules, with camelCase body fields
+const camelCaseBody = ({ operationId, tags, body, ...entry }) => ({
+  ...entry,
+  ...(body && {
+    body: {
+      ...body,
+      properties: renameKeys(body.properties, toCamelCase),
+      ...(body.required && { required: body.required.map(toCamelCase) })
+    }
+  })
+});
+
+module.exports = {
+  objectId,
+  resourceId,
+  nonEmptyString,
+  suiAddress,
+  chain,
+  dateTime,
+  nullable,
+  anyObject,
+  object,
+  pagination,
+  userIdParams,
+  operations,
+  camelCaseBody
+};
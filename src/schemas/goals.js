@@ -0,0 +1,78 @@
+const { objectId, resourceId, nonEmptyString, chain, dateTime, nullable, anyObject, object, operations } = require('./common');
+
+// Request schemas for the /api/goals routes. Rules that involve other
+// documents (the parent goal, the linked wallet, amounts against the stored
+// target) stay with the goal service.
+
+const GOAL_TYPES = ['regular', 'parent', 'subgoal'];
+const GOAL_STATUSES = ['active', 'completed', 'archived'];
+
+const goalFields = {
+  name: nonEmptyString(100),
+  description: { type: 'string', maxLength: 1000 },
+  status: { type: 'string', enum: GOAL_STATUSES },
+  progress: { type: 'number', minimum: 0, maximum: 100 },
+  coin: nonEmptyString(100),
+  coin_symbol: nonEmptyString(20),
+  current_amount: { type: 'number', minimum: 0 },
+  target_amount: { type: 'number', exclusiveMinimum: 0 },
+  target_date: nullable(dateTime),
+  wallet_id: nullable(objectId),
+  wallet_address: nullable({ type: 'string', maxLength: 200 }),
+  wallet_chain: nullable(chain),
+  require_verified_wallet: { type: 'boolean' },
+  goal_type: { type: 'string', enum: GOAL_TYPES },
+  parent_goal_id: nullable(objectId),
+  is_aggregate: { type: 'boolean' },
+  milestones: { type: 'array', maxItems: 100, items: anyObject },
+  notes: nullable({ type: 'string', maxLength: 2000 })
+};
+
+const goalParams = object({ goalId: resourceId }, { required: ['goalId'] });
+
+module.exports = operations('goals', {
+  createGoal: {
+    summary: 'Create a goal',
+    status: 201,
+    body: object({ user_id: objectId, ...goalFields }, {
+      required: ['user_id', 'name', 'coin', 'coin_symbol', 'current_amount', 'target_amount', 'goal_type']
+    })
+  },
+
+  getUserGoals: {
+    summary: 'List the goals of a user (only your own)',
+    params: object({ userId: objectId }, { required: ['userId'] })
+  },
+
+  getGoal: {
+    summary: 'Get a goal',
+    params: goalParams
+  },
+
+  // The owner is fixed when the goal is created
+  updateGoal: {
+    summary: 'Change some fields of a goal',
+    params: goalParams,
+    body: object(goalFields, { minProperties: 1 })
+  },
+
+  deleteGoal: {
+    summary: 'Delete a goal',
+    params: goalParams
+  },
+
+  getGoalProgress: {
+    summary: 'Get the progress of a goal',
+    params: goalParams
+  },
+
+  updateGoalProgress: {
+    summary: 'Set the current amount saved towards a goal',
+    params: goalParams,
+    body: object({ current_amount: goalFields.current_amount }, { required: ['current_amount'] })
+  },
+
+  health: {
+    summary: 'Check the goals service and its database'
+  }
+});
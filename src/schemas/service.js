@@ -0,0 +1,29 @@
+const { operations } = require('./common');
+
+// Schemas for the service endpoints in src/index.js, none of which take input
+
+module.exports = operations('service', {
+  root: {
+    summary: 'Service name, version and a list of endpoints'
+  },
+
+  openapi: {
+    summary: 'This API description as an OpenAPI 3.1 document'
+  },
+
+  metrics: {
+    summary: 'Prometheus metrics (needs the metrics token when METRICS_TOKEN is set)'
+  },
+
+  liveness: {
+    summary: 'Liveness: the process is serving requests'
+  },
+
+  health: {
+    summary: 'Liveness, in the original health check format (always healthy while serving)'
+  },
+
+  readiness: {
+    summary: 'Readiness: 503 while a critical dependency is down or the server is draining'
+  }
+});
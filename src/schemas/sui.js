@@ -0,0 +1,44 @@
+const { suiAddress, nonEmptyString, object, operations } = require('./common');
+
+// Request schemas for the /api/sui routes. The GET and POST forms of each
+// endpoint take the same fields, in the query string or the body.
+
+const holdings = object({
+  address: suiAddress,
+  forceRefresh: { type: 'boolean', default: false }
+}, { required: ['address'] });
+
+const transactions = object({
+  address: suiAddress,
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+  cursor: { type: ['string', 'null'], maxLength: 200, description: 'nextCursor from the previous page' }
+}, { required: ['address'] });
+
+module.exports = operations('sui', {
+  getHoldings: {
+    summary: 'Get the coin balances of a Sui address',
+    query: holdings
+  },
+
+  postHoldings: {
+    summary: 'Get the coin balances of a Sui address',
+    body: holdings
+  },
+
+  getTransactions: {
+    summary: 'Get a page of transactions to or from a Sui address',
+    query: transactions
+  },
+
+  postTransactions: {
+    summary: 'Get a page of transactions to or from a Sui address',
+    body: transactions
+  },
+
+  getMetadata: {
+    summary: 'Get coin metadata (symbol, name, decimals) for coin types',
+    body: object({
+      coinTypes: { type: 'array', minItems: 1, items: nonEmptyString(200) }
+    }, { required: ['coinTypes'] })
+  }
+});
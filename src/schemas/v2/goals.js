@@ -0,0 +1,9 @@
+const v1 = require('../goals');
+const { camelCaseBody, operations } = require('../common');
+
+// Request schemas for the /api/v2/goals routes: the v1 rules, with camelCase
+// field names (e.g. target_amount is targetAmount)
+
+module.exports = operations('goals', Object.fromEntries(
+  Object.entries(v1).map(([key, entry]) => [key, camelCaseBody(entry)])
+));
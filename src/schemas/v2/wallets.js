@@ -0,0 +1,9 @@
+const v1 = require('../wallets');
+const { camelCaseBody, operations } = require('../common');
+
+// Request schemas for the /api/v2/wallets routes that differ from v1. Wallets
+// were already camelCase apart from the owner's user_id on create.
+
+module.exports = operations('wallets', {
+  createWallet: camelCaseBody(v1.createWallet)
+});
@@ -0,0 +1,63 @@
+const { objectId, resourceId, nonEmptyString, chain, object, operations } = require('./common');
+
+// Request schemas for the /api/wallets routes. Address formats depend on the
+// chain, so the wallet service checks them.
+
+const address = nonEmptyString(200);
+const label = nonEmptyString(50);
+
+const walletParams = object({ walletId: resourceId }, { required: ['walletId'] });
+
+module.exports = operations('wallets', {
+  createWallet: {
+    summary: 'Track a wallet',
+    status: 201,
+    body: object({ user_id: objectId, address, label, chain }, { required: ['user_id', 'address', 'label', 'chain'] })
+  },
+
+  getUserWallets: {
+    summary: 'List the wallets of a user (only your own)',
+    params: object({ userId: objectId }, { required: ['userId'] })
+  },
+
+  getWallet: {
+    summary: 'Get a wallet',
+    params: walletParams
+  },
+
+  updateWallet: {
+    summary: 'Change the label, address or chain of a wallet',
+    params: walletParams,
+    body: object({ label, address, chain }, { minProperties: 1 })
+  },
+
+  deleteWallet: {
+    summary: 'Stop tracking a wallet',
+    params: walletParams
+  },
+
+  createVerificationChallenge: {
+    summary: 'Get a challenge to sign to prove ownership of a wallet',
+    params: walletParams
+  },
+
+  verifyWallet: {
+    summary: 'Mark a wallet as verified with its signed challenge',
+    params: walletParams,
+    body: object({ nonce: nonEmptyString(512), signature: nonEmptyString(2048) }, { required: ['nonce', 'signature'] })
+  },
+
+  getWalletByAddress: {
+    summary: 'Find a wallet of a user by address and chain (only your own)',
+    params: object({ userId: objectId, address, chain }, { required: ['userId', 'address', 'chain'] })
+  },
+
+  getWalletsByChain: {
+    summary: 'List the wallets of a user on one chain (only your own)',
+    params: object({ userId: objectId, chain }, { required: ['userId', 'chain'] })
+  },
+
+  health: {
+    summary: 'Check the wallets service and its database'
+  }
+});
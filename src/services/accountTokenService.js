@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./database');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('accountTokenService');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Time-limited, single-use tokens sent to users by email (password reset,
+// email verification). Only a hash of each token is stored.
+class MongoDBAccountTokenService {
+  constructor() {
+    this.db = null;
+  }
+
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
+  }
+
+  async createToken({ userId, purpose, ttlMs, data = {} }) {
+    await this.ensureConnection();
+
+    try {
+      const collection = this.db.collection('account_tokens');
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const now = new Date();
+
+      await collection.insertOne({
+        user_id: new ObjectId(userId),
+        purpose,
+        token_hash: hashToken(token),
+        data,
+        created_at: now,
+        expires_at: new Date(now.getTime() + ttlMs),
+        used_at: null
+      });
+
+      return token;
+    } catch (error) {
+      logger.error('Error creating account token', { error });
+      throw error;
+    }
+  }
+
+  // Mark a token as used and return it, or null if it is unknown, expired or
+  // already used
+  async consumeToken({ purpose, token }) {
+    await this.ensureConnection();
+
+    try {
+      if (typeof token !== 'string' || token.length === 0) return null;
+
+      const collection = this.db.collection('account_tokens');
+      const now = new Date();
+
+      const accountToken = await collection.findOneAndUpdate(
+        {
+          purpose,
+          token_hash: hashToken(token),
+          used_at: null,
+          expires_at: { $gt: now }
+        },
+        { $set: { used_at: now } },
+        { returnDocument: 'after' }
+      );
+
+      return accountToken || null;
+    } catch (error) {
+      logger.error('Error consuming account token', { error });
+      throw error;
+    }
+  }
+
+  // Invalidate every outstanding token of a purpose for a user
+  async revokeUserTokens(userId, purpose) {
+    await this.ensureConnection();
+
+    try {
+      const collection = this.db.collection('account_tokens');
+      await collection.updateMany(
+        { user_id: new ObjectId(userId), purpose, used_at: null },
+        { $set: { used_at: new Date() } }
+      );
+    } catch (error) {
+      logger.error('Error revoking account tokens', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoDBAccountTokenService;
@@ -0,0 +1,72 @@
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./database');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('adminService');
+
+class MongoDBAdminService {
+  constructor() {
+    this.db = null;
+  }
+
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
+  }
+
+  // Record an admin or support action against the acting user
+  async recordAction(actor, action, { targetUserId = null, details = {}, ip = null } = {}) {
+    await this.ensureConnection();
+
+    try {
+      const collection = this.db.collection('admin_actions');
+
+      await collection.insertOne({
+        actor_id: new ObjectId(actor.id),
+        actor_username: actor.username,
+        actor_role: actor.role,
+        action,
+        target_user_id: targetUserId && ObjectId.isValid(targetUserId) ? new ObjectId(targetUserId) : null,
+        details,
+        ip,
+        created_at: new Date()
+      });
+    } catch (error) {
+      // Rethrow so callers never report success for an unrecorded action
+      logger.error('Error recording admin action', { error });
+      throw error;
+    }
+  }
+
+  async getActions({ actorId, targetUserId, action, limit = 50, skip = 0 } = {}) {
+    await this.ensureConnection();
+
+    try {
+      const collection = this.db.collection('admin_actions');
+
+      const filter = {};
+      if (actorId) filter.actor_id = new ObjectId(actorId);
+      if (targetUserId) filter.target_user_id = new ObjectId(targetUserId);
+      if (action) filter.action = action;
+
+      const actions = await collection.find(filter).sort({ created_at: -1 }).skip(skip).limit(limit).toArray();
+
+      return actions.map(entry => ({
+        id: entry._id.toString(),
+        actorId: entry.actor_id.toString(),
+        actorUsername: entry.actor_username,
+        actorRole: entry.actor_role,
+        action: entry.action,
+        targetUserId: entry.target_user_id ? entry.target_user_id.toString() : null,
+        details: entry.details,
+        ip: entry.ip,
+        createdAt: entry.created_at.toISOString()
+      }));
+    } catch (error) {
+      logger.error('Error getting admin actions', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoDBAdminService;
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./database');
+const MongoDBAuditService = require('./auditService');
+const { isValidScope } = require('../utils/scopes');
+const { DEFAULT_ROLE } = require('../utils/roles');
+const { AuthError, ConflictError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('apiKeyService');
+
+const API_KEY_PREFIX = 'evk_';
+const MAX_KEYS_PER_USER = 25;
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // write last_used_at at most once a minute
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Personal API keys for scripts. A key looks like evk_<keyId>_<secret>: the ID
+// finds the record, and only a hash of the whole key is stored, so a key is
+// shown once at creation and cannot be recovered afterwards.
+class MongoDBApiKeyService {
+  constructor() {
+    this.db = null;
+    this.auditService = new MongoDBAuditService();
+  }
+
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
+  }
+
+  // Map an API key document to the API shape, without the hash
+  formatApiKey(apiKey) {
+    return {
+      id: apiKey._id.toString(),
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expires_at ? apiKey.expires_at.toISOString() : null,
+      lastUsedAt: apiKey.last_used_at ? apiKey.last_used_at.toISOString() : null,
+      createdAt: apiKey.created_at.toISOString()
+    };
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+  }
+
+  parseApiKey(key) {
+    const match = /^evk_([a-f0-9]{24})_([a-f0-9]{64})$/.exec(key);
+    return match ? match[1] : null;
+  }
+
+  async createKey(userId, { name, scopes, expiresAt = null }, context = {}) {
+    await this.ensureConnection();
+
+    try {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 50) {
+        throw new ValidationError('name is required and must be 50 characters or less');
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new ValidationError('scopes must be a non-empty array');
+      }
+
+      const invalidScopes = scopes.filter(scope => !isValidScope(scope));
+      if (invalidScopes.length > 0) {
+        throw new ValidationError(`Invalid scopes: ${invalidScopes.join(', ')}`);
+      }
+
+      let expiryDate = null;
+      if (expiresAt) {
+        expiryDate = new Date(expiresAt);
+        if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+          throw new ValidationError('expiresAt must be a date in the future');
+        }
+      }
+
+      const collection = this.db.collection('api_keys');
+
+      const activeCount = await collection.countDocuments({ user_id: new ObjectId(userId), revoked_at: null });
+      if (activeCount >= MAX_KEYS_PER_USER) {
+        throw new ConflictError(`You can have at most ${MAX_KEYS_PER_USER} API keys`);
+      }
+
+      const keyId = new ObjectId();
+      const key = `${API_KEY_PREFIX}${keyId.toString()}_${crypto.randomBytes(32).toString('hex')}`;
+      const now = new Date();
+
+      const apiKey = {
+        _id: keyId,
+        user_id: new ObjectId(userId),
+        name: name.trim(),
+        // Enough of the key to recognise it in a list
+        prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+        key_hash: hashKey(key),
+        scopes: [...new Set(scopes)],
+        expires_at: expiryDate,
+        last_used_at: null,
+        created_at: now,
+        revoked_at: null
+      };
+
+      await collection.insertOne(apiKey);
+
+      logger.info('API key created successfully', { keyId: keyId.toString(), userId, scopes: apiKey.scopes });
+      await this.auditService.record('api_key.created', {
+        userId,
+        context,
+        target: { type: 'api_key', id: keyId.toString() },
+        details: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, expiresAt: expiryDate }
+      });
+      return { key, apiKey: this.formatApiKey(apiKey) };
+    } catch (error) {
+      logger.error('Error creating API key', { error });
+      throw error;
+    }
+  }
+
+  async getUserKeys(userId) {
+    await this.ensureConnection();
+
+    try {
+      const apiKeys = await this.db.collection('api_keys')
+        .find({ user_id: new ObjectId(userId), revoked_at: null })
+        .sort({ created_at: -1 })
+        .toArray();
+
+      return apiKeys.map(apiKey => this.formatApiKey(apiKey));
+    } catch (error) {
+      logger.error('Error getting API keys', { error });
+      throw error;
+    }
+  }
+
+  async revokeKey(userId, keyId, context = {}) {
+    await this.ensureConnection();
+
+    try {
+      if (!ObjectId.isValid(keyId)) {
+        throw new NotFoundError('API key not found');
+      }
+
+      const result = await this.db.collection('api_keys').updateOne(
+        { _id: new ObjectId(keyId), user_id: new ObjectId(userId), revoked_at: null },
+        { $set: { revoked_at: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new NotFoundError('API key not found');
+      }
+
+      logger.info('API key revoked successfully', { keyId, userId });
+      await this.auditService.record('api_key.revoked', {
+        userId,
+        context,
+        target: { type: 'api_key', id: keyId }
+      });
+    } catch (error) {
+      logger.error('Error revoking API key', { error });
+      throw error;
+    }
+  }
+
+  async revokeAllUserKeys(userId) {
+    await this.ensureConnection();
+
+    try {
+      const result = await this.db.collection('api_keys').updateMany(
+        { user_id: new ObjectId(userId), revoked_at: null },
+        { $set: { revoked_at: new Date() } }
+      );
+
+      return { revokedCount: result.modifiedCount };
+    } catch (error) {
+      logger.error('Error revoking user API keys', { error });
+      throw error;
+    }
+  }
+
+  // Resolve a raw key to the caller it acts for, or throw if it is unknown,
+  // revoked, expired or belongs to a disabled account
+  async verifyKey(key) {
+    await this.ensureConnection();
+
+    const keyId = this.parseApiKey(key);
+    if (!keyId) {
+      throw new AuthError('Invalid API key');
+    }
+
+    const apiKey = await this.db.collection('api_keys').findOne({ _id: new ObjectId(keyId) });
+    if (!apiKey || apiKey.key_hash !== hashKey(key) || apiKey.revoked_at) {
+      throw new AuthError('Invalid API key');
+    }
+
+    const now = new Date();
+    if (apiKey.expires_at && apiKey.expires_at <= now) {
+      throw new AuthError('API key expired');
+    }
+
+    const user = await this.db.collection('users').findOne({ _id: apiKey.user_id });
+    if (!user || user.disabled) {
+      throw new AuthError('Invalid API key');
+    }
+
+    // Track usage without writing on every request
+    this.db.collection('api_keys').updateOne(
+      {
+        _id: apiKey._id,
+        $or: [
+          { last_used_at: null },
+          { last_used_at: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }
+        ]
+      },
+      { $set: { last_used_at: now } }
+    ).catch(error => logger.error('Error updating API key last use', { error }));
+
+    return {
+      id: user._id.toString(),
+      username: user.username,
+      role: user.role || DEFAULT_ROLE,
+      apiKeyId: keyId,
+      scopes: apiKey.scopes
+    };
+  }
+}
+
+module.exports = MongoDBApiKeyService;
@@ -0,0 +1,148 @@
+const { ObjectId } = require('mongodb');
+const { getDb, onConnect } = require('./database');
+const { createLogger, getRequestId } = require('../utils/logger');
+
+const logger = createLogger('auditService');
+
+const toObjectId = (id) => (id && ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+// Compare two plain objects and return { field: { from, to } } for each field
+// that changed. Only the listed fields are compared when fields is given.
+const diffFields = (before = {}, after = {}, fields = null) => {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+
+  for (const key of keys) {
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+// Per-user activity and the admin log are both read newest first
+onConnect(async (db) => {
+  await db.collection('audit_events').createIndexes([
+    { key: { user_id: 1, created_at: -1 }, name: 'user_created_at' },
+    { key: { created_at: -1 }, name: 'created_at' }
+  ]);
+});
+
+// Append-only security log in the audit_events collection. Each event names
+// the account it concerns (user_id), who caused it (actor_id, null for the
+// system or an anonymous caller) and where the request came from. Events are
+// never updated or deleted, including when the account itself is deleted.
+class MongoDBAuditService {
+  constructor() {
+    this.db = null;
+  }
+
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
+  }
+
+  // Who is acting and from where, for service methods that record events
+  static contextFromRequest(req) {
+    return {
+      actorId: req.user ? req.user.id : null,
+      impersonatorId: req.user?.impersonatorId || null,
+      apiKeyId: req.user?.apiKeyId || null,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    };
+  }
+
+  /**
+   * Record an audit event. Failures are logged rather than thrown so that an
+   * audit outage never blocks sign-in or the change being recorded.
+   *
+   * @param {string} type - Dotted event name, e.g. 'auth.login.succeeded'
+   * @param {Object} event
+   * @param {string} [event.userId] - Account the event concerns
+   * @param {Object} [event.context] - From contextFromRequest; omit for system events
+   * @param {Object} [event.target] - { type, id } of the goal, wallet or key involved
+   * @param {Object} [event.changes] - { field: { from, to } }, see diffFields
+   * @param {Object} [event.details] - Anything else worth keeping
+   */
+  async record(type, { userId = null, context = {}, target = null, changes = null, details = {} } = {}) {
+    try {
+      await this.ensureConnection();
+
+      await this.db.collection('audit_events').insertOne({
+        type,
+        user_id: toObjectId(userId),
+        actor_id: toObjectId(context.actorId),
+        impersonator_id: toObjectId(context.impersonatorId),
+        api_key_id: toObjectId(context.apiKeyId),
+        ip: context.ip || null,
+        user_agent: context.userAgent || null,
+        // Ties the event to the request's log lines
+        request_id: getRequestId(),
+        target,
+        changes: changes && Object.keys(changes).length > 0 ? changes : null,
+        details,
+        created_at: new Date()
+      });
+    } catch (error) {
+      logger.error('Error recording audit event', { type, userId, error });
+    }
+  }
+
+  formatEvent(event) {
+    return {
+      id: event._id.toString(),
+      type: event.type,
+      userId: event.user_id ? event.user_id.toString() : null,
+      actorId: event.actor_id ? event.actor_id.toString() : null,
+      impersonatorId: event.impersonator_id ? event.impersonator_id.toString() : null,
+      apiKeyId: event.api_key_id ? event.api_key_id.toString() : null,
+      ip: event.ip,
+      userAgent: event.user_agent,
+      requestId: event.request_id || null,
+      target: event.target,
+      changes: event.changes,
+      details: event.details,
+      createdAt: event.created_at.toISOString()
+    };
+  }
+
+  async getEvents({ userId, actorId, type, ip, from, to, limit = 50, skip = 0 } = {}) {
+    await this.ensureConnection();
+
+    try {
+      const filter = {};
+      if (userId) filter.user_id = toObjectId(userId);
+      if (actorId) filter.actor_id = toObjectId(actorId);
+      // A type ending in '.' matches every event under that prefix, e.g. 'auth.'
+      if (type) filter.type = type.endsWith('.') ? { $regex: `^${type.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : type;
+      if (ip) filter.ip = ip;
+      if (from || to) {
+        filter.created_at = {};
+        if (from) filter.created_at.$gte = new Date(from);
+        if (to) filter.created_at.$lte = new Date(to);
+      }
+
+      const collection = this.db.collection('audit_events');
+      const [events, total] = await Promise.all([
+        collection.find(filter).sort({ created_at: -1 }).skip(skip).limit(limit).toArray(),
+        collection.countDocuments(filter)
+      ]);
+
+      return {
+        events: events.map(event => this.formatEvent(event)),
+        total
+      };
+    } catch (error) {
+      logger.error('Error getting audit events', { error });
+      throw error;
+    }
+  }
+}
+
+MongoDBAuditService.diffFields = diffFields;
+
+module.exports = MongoDBAuditService;
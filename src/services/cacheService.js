@@ -1,49 +1,52 @@
-const { MongoClient, ObjectId } = require('mongodb');
+const { ObjectId } = require('mongodb');
+const { getDb, isReady } = require('./database');
+const config = require('../config');
+const { cacheRequestsTotal, suiRpcRequestsTotal, suiRpcDuration } = require('../utils/metrics');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('cacheService');
+
+// Entries older than their TTL are treated as misses and refetched
+const freshSince = (ttlSeconds) => new Date(Date.now() - ttlSeconds * 1000);
+
+// Count a lookup as a hit or miss in cache_requests_total and pass its value on
+const recordLookup = (cache, value) => {
+  cacheRequestsTotal.inc({ cache, result: value ? 'hit' : 'miss' });
+  return value;
+};
+
+const percentage = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 100 : 0);
 
 class CacheService {
   constructor() {
-    this.client = null;
     this.db = null;
-    this.isConnected = false;
   }
 
+  // The cache is optional: when the database is unreachable every read is a
+  // miss and every write is skipped, rather than failing the request
   async connect() {
-    if (this.isConnected) return;
-
     try {
-      const uri = process.env.MONGODB_URI;
-      if (!uri) {
-        console.warn('MONGODB_URI not set, cache service will be disabled');
-        return;
-      }
-
-      this.client = new MongoClient(uri);
-      await this.client.connect();
-      this.db = this.client.db(process.env.MONGODB_DATABASE || 'evarra');
-      this.isConnected = true;
-      console.log('✅ MongoDB cache service connected');
+      this.db = await getDb();
+      return true;
     } catch (error) {
-      console.error('❌ Failed to connect to MongoDB cache service:', error.message);
-      this.isConnected = false;
+      logger.error('MongoDB unavailable, cache service disabled for this request', { error: error.message });
+      return false;
     }
   }
 
-  async disconnect() {
-    if (this.client) {
-      await this.client.close();
-      this.isConnected = false;
-    }
+  // The cache lives in the shared database, so it is usable whenever that
+  // connection is. Reported separately in health checks because it is optional.
+  getConnectionState() {
+    return isReady() ? 'connected' : 'disconnected';
   }
 
   async getWalletDataCollection() {
-    await this.connect();
-    if (!this.isConnected) return null;
+    if (!await this.connect()) return null;
     return this.db.collection('wallet_data_cache');
   }
 
   async getMetadataCollection() {
-    await this.connect();
-    if (!this.isConnected) return null;
+    if (!await this.connect()) return null;
     return this.db.collection('metadata_cache');
   }
 
@@ -51,17 +54,18 @@ class CacheService {
   async getWalletData(walletId, dataType) {
     try {
       const collection = await this.getWalletDataCollection();
-      if (!collection) return null;
+      if (!collection) return recordLookup('wallet_data', null);
 
       const result = await collection.findOne({
         wallet_id: new ObjectId(walletId),
-        data_type: dataType
+        data_type: dataType,
+        last_fetched: { $gte: freshSince(config.cache.walletDataTtlSeconds) }
       });
 
-      return result ? result.data : null;
+      return recordLookup('wallet_data', result ? result.data : null);
     } catch (error) {
-      console.error('Error getting wallet data from cache:', error);
-      return null;
+      logger.error('Error getting wallet data from cache', { error });
+      return recordLookup('wallet_data', null);
     }
   }
 
@@ -84,7 +88,7 @@ class CacheService {
         { upsert: true }
       );
     } catch (error) {
-      console.error('Error setting wallet data in cache:', error);
+      logger.error('Error setting wallet data in cache', { error });
     }
   }
 
@@ -100,7 +104,7 @@ class CacheService {
 
       await collection.deleteMany(filter);
     } catch (error) {
-      console.error('Error invalidating wallet data cache:', error);
+      logger.error('Error invalidating wallet data cache', { error });
     }
   }
 
@@ -108,13 +112,16 @@ class CacheService {
   async getMetadata(coinType) {
     try {
       const collection = await this.getMetadataCollection();
-      if (!collection) return null;
+      if (!collection) return recordLookup('metadata', null);
 
-      const result = await collection.findOne({ coin_type: coinType });
-      return result ? result.metadata : null;
+      const result = await collection.findOne({
+        coin_type: coinType,
+        last_fetched: { $gte: freshSince(config.cache.metadataTtlSeconds) }
+      });
+      return recordLookup('metadata', result ? result.metadata : null);
     } catch (error) {
-      console.error('Error getting metadata from cache:', error);
-      return null;
+      logger.error('Error getting metadata from cache', { error });
+      return recordLookup('metadata', null);
     }
   }
 
@@ -134,7 +141,7 @@ class CacheService {
         { upsert: true }
       );
     } catch (error) {
-      console.error('Error setting metadata in cache:', error);
+      logger.error('Error setting metadata in cache', { error });
     }
   }
 
@@ -160,50 +167,93 @@ class CacheService {
         await collection.bulkWrite(operations);
       }
     } catch (error) {
-      console.error('Error setting batch metadata in cache:', error);
+      logger.error('Error setting batch metadata in cache', { error });
+    }
+  }
+
+  // Hit and miss percentages from cache_requests_total, covering every lookup
+  // since this process started
+  getHitRates() {
+    const hits = cacheRequestsTotal.get({ result: 'hit' });
+    const misses = cacheRequestsTotal.get({ result: 'miss' });
+
+    return {
+      hitRate: percentage(hits, hits + misses),
+      missRate: percentage(misses, hits + misses)
+    };
+  }
+
+  // Upstream call counts since this process started (ServiceMetrics in
+  // types/wallet.ts), from the Sui RPC metrics. Sui is the only chain the
+  // service calls today; another chain's client would add its own entry.
+  getServiceMetrics() {
+    const apiCalls = suiRpcRequestsTotal.get();
+    const { count, sum } = suiRpcDuration.get();
+
+    const errorBreakdown = {};
+    for (const series of suiRpcRequestsTotal.matching({ outcome: 'error' })) {
+      errorBreakdown[series.labels.method] = series.value;
+    }
+
+    return {
+      cacheHits: cacheRequestsTotal.get({ result: 'hit' }),
+      cacheMisses: cacheRequestsTotal.get({ result: 'miss' }),
+      apiCalls,
+      errors: suiRpcRequestsTotal.get({ outcome: 'error' }),
+      // In milliseconds
+      averageResponseTime: count > 0 ? Math.round((sum / count) * 1000) : 0,
+      lastUpdated: new Date(),
+      errorBreakdown,
+      chainBreakdown: { sui: apiCalls }
+    };
+  }
+
+  // Uncompressed size of the collection's documents in bytes. A collection
+  // that has never been written to does not exist yet and counts as empty.
+  async getCollectionSize(collection) {
+    try {
+      const [stats] = await collection.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+      return stats && stats.storageStats ? stats.storageStats.size : 0;
+    } catch (error) {
+      return 0;
     }
   }
 
   // Cache statistics
   async getCacheStats() {
+    const metrics = this.getServiceMetrics();
+    const emptyStats = {
+      totalEntries: 0,
+      totalSize: 0,
+      ...this.getHitRates(),
+      lastCleared: new Date(),
+      chains: metrics.chainBreakdown,
+      metrics
+    };
+
     try {
       const walletDataCollection = await this.getWalletDataCollection();
       const metadataCollection = await this.getMetadataCollection();
 
       if (!walletDataCollection || !metadataCollection) {
-        return {
-          totalEntries: 0,
-          totalSize: 0,
-          hitRate: 0,
-          missRate: 0,
-          lastCleared: new Date(),
-          chains: {}
-        };
+        return emptyStats;
       }
 
-      const [walletDataCount, metadataCount] = await Promise.all([
+      const [walletDataCount, metadataCount, walletDataSize, metadataSize] = await Promise.all([
         walletDataCollection.countDocuments(),
-        metadataCollection.countDocuments()
+        metadataCollection.countDocuments(),
+        this.getCollectionSize(walletDataCollection),
+        this.getCollectionSize(metadataCollection)
       ]);
 
       return {
+        ...emptyStats,
         totalEntries: walletDataCount + metadataCount,
-        totalSize: 0, // TODO: Implement size calculation
-        hitRate: 0, // TODO: Implement hit rate calculation
-        missRate: 0, // TODO: Implement miss rate calculation
-        lastCleared: new Date(),
-        chains: {} // TODO: Implement chain breakdown
+        totalSize: walletDataSize + metadataSize
       };
     } catch (error) {
-      console.error('Error getting cache stats:', error);
-      return {
-        totalEntries: 0,
-        totalSize: 0,
-        hitRate: 0,
-        missRate: 0,
-        lastCleared: new Date(),
-        chains: {}
-      };
+      logger.error('Error getting cache stats', { error });
+      return emptyStats;
     }
   }
 }
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./database');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('challengeService');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Single-use, short-lived messages that a wallet signs to prove it controls an
+// address. The server keeps the exact message, so clients only echo the nonce.
+class MongoDBChallengeService {
+  constructor() {
+    this.db = null;
+  }
+
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
+  }
+
+  async createChallenge({ purpose, address, chain, statement, userId = null }) {
+    await this.ensureConnection();
+
+    try {
+      const collection = this.db.collection('auth_challenges');
+
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + CHALLENGE_TTL_MS);
+
+      const message = [
+        statement,
+        address,
+        '',
+        `Nonce: ${nonce}`,
+        `Issued At: ${now.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`
+      ].join('\n');
+
+      await collection.insertOne({
+        purpose,
+        address,
+        chain,
+        user_id: userId ? new ObjectId(userId) : null,
+        nonce,
+        message,
+        created_at: now,
+        expires_at: expiresAt,
+        used_at: null
+      });
+
+      return {
+        nonce,
+        message,
+        expiresAt: expiresAt.toISOString()
+      };
+    } catch (error) {
+      logger.error('Error creating challenge', { error });
+      throw error;
+    }
+  }
+
+  // Mark a challenge as used and return it, or null if it is unknown, expired
+  // or already used. Consuming before verifying means a failed signature burns
+  // the challenge and the client must request a new one.
+  async consumeChallenge({ purpose, address, nonce, userId = null }) {
+    await this.ensureConnection();
+
+    try {
+      if (typeof nonce !== 'string') return null;
+
+      const collection = this.db.collection('auth_challenges');
+      const now = new Date();
+
+      const filter = {
+        purpose,
+        address,
+        nonce,
+        used_at: null,
+        expires_at: { $gt: now }
+      };
+      if (userId) filter.user_id = new ObjectId(userId);
+
+      const challenge = await collection.findOneAndUpdate(
+        filter,
+        { $set: { used_at: now } },
+        { returnDocument: 'after' }
+      );
+
+      return challenge || null;
+    } catch (error) {
+      logger.error('Error consuming challenge', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoDBChallengeService;
@@ -0,0 +1,161 @@
+const { MongoClient } = require('mongodb');
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+const { mongoCommandsTotal, mongoCommandDuration } = require('../utils/metrics');
+
+const logger = createLogger('database');
+
+// One MongoClient (and so one connection pool) for the whole process. Every
+// service gets its database handle from getDb() rather than connecting itself.
+//
+// TLS is always on with full certificate and hostname checks, as the separate
+// per-service connections had it, whatever the connection string says.
+
+const STARTUP_RETRIES = 5;
+const STARTUP_RETRY_DELAY_MS = 2000; // doubled after each failed attempt
+
+let client = null;
+let db = null;
+let connecting = null;
+let ready = false;
+
+// Functions to run against the database after each successful connection,
+// such as creating indexes
+const connectHooks = [];
+
+const getMongoConfig = () => ({
+  uri: config.mongodb.uri,
+  database: config.mongodb.database,
+  options: {
+    appName: 'evarra-backend-service',
+    maxPoolSize: config.mongodb.maxPoolSize,
+    serverSelectionTimeoutMS: config.mongodb.serverSelectionTimeoutMs,
+    tls: true,
+    tlsAllowInvalidCertificates: false,
+    tlsAllowInvalidHostnames: false,
+    // Command events feed the mongodb_* metrics
+    monitorCommands: true
+  }
+});
+
+const recordCommand = (outcome) => (event) => {
+  mongoCommandsTotal.inc({ command: event.commandName, outcome });
+  mongoCommandDuration.observe({ command: event.commandName }, event.duration / 1000);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const connectOnce = async () => {
+  const { uri, database, options } = getMongoConfig();
+
+  const nextClient = new MongoClient(uri, options);
+  nextClient.on('commandSucceeded', recordCommand('success'));
+  nextClient.on('commandFailed', recordCommand('error'));
+
+  try {
+    await nextClient.connect();
+  } catch (error) {
+    await nextClient.close().catch(() => {});
+    throw error;
+  }
+
+  client = nextClient;
+  db = client.db(database);
+  ready = true;
+
+  // Track whether any server can serve data, so readiness drops while the
+  // driver is reconnecting after an outage
+  client.on('topologyDescriptionChanged', (event) => {
+    if (client === nextClient) {
+      ready = event.newDescription.hasDataBearingServers;
+    }
+  });
+
+  logger.info('MongoDB connected successfully', { database });
+
+  for (const hook of connectHooks) {
+    try {
+      await hook(db);
+    } catch (error) {
+      logger.error('Error running MongoDB connect hook', { error });
+    }
+  }
+
+  return db;
+};
+
+// Concurrent callers share a single attempt, so a request that arrives while
+// startup is retrying waits for the attempt in progress, never for the retries
+const attemptConnection = () => {
+  if (!connecting) {
+    connecting = connectOnce().finally(() => {
+      connecting = null;
+    });
+  }
+  return connecting;
+};
+
+/**
+ * Connect to MongoDB, retrying with exponential backoff. Once connected the
+ * existing handle is returned.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Extra attempts after the first one fails
+ * @param {number} [options.retryDelayMs] - Wait before the first retry
+ * @returns {Promise<import('mongodb').Db>}
+ */
+const connect = async ({ retries = STARTUP_RETRIES, retryDelayMs = STARTUP_RETRY_DELAY_MS } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    if (db) return db;
+
+    try {
+      return await attemptConnection();
+    } catch (error) {
+      if (attempt >= retries) {
+        logger.error('MongoDB connection failed', { error });
+        throw error;
+      }
+
+      const delay = retryDelayMs * 2 ** attempt;
+      logger.warn('MongoDB connection attempt failed, retrying', { attempt: attempt + 1, retryInMs: delay, error: error.message });
+      await sleep(delay);
+    }
+  }
+};
+
+// The shared database handle, connecting on first use. Request-time callers
+// do not retry, so a database outage fails the request instead of hanging it.
+const getDb = () => (db ? Promise.resolve(db) : attemptConnection());
+
+// Whether the connection is up, for health checks
+const isReady = () => ready;
+
+const onConnect = (hook) => {
+  connectHooks.push(hook);
+  if (db) {
+    Promise.resolve(hook(db)).catch(error => logger.error('Error running MongoDB connect hook', { error }));
+  }
+};
+
+// Close the shared client, for shutdown and tests. A later getDb() reconnects.
+const close = async () => {
+  const closingClient = client;
+
+  client = null;
+  db = null;
+  ready = false;
+
+  if (closingClient) {
+    await closingClient.close();
+    logger.info('MongoDB disconnected');
+  }
+};
+
+module.exports = {
+  getMongoConfig,
+  connect,
+  getDb,
+  isReady,
+  onConnect,
+  close
+};
@@ -1,56 +1,75 @@
-const { MongoClient } = require('mongodb');
 const { ObjectId } = require('mongodb');
+const { getDb } = require('./database');
+const MongoDBAuditService = require('./auditService');
+const { getEntitlements, isWithinLimit, upgradeRequiredError } = require('../utils/entitlements');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('goalService');
+
+// Goal fields whose before/after values go into the audit log on create and delete
+const AUDITED_GOAL_FIELDS = ['name', 'coin_symbol', 'current_amount', 'target_amount', 'wallet_id', 'goal_type'];
+
+// The only fields updateGoal writes; ownership and identity are never among them
+const UPDATABLE_GOAL_FIELDS = [
+  'name', 'description', 'status', 'progress', 'coin', 'coin_symbol', 'current_amount', 'target_amount',
+  'target_date', 'wallet_id', 'wallet_address', 'wallet_chain', 'require_verified_wallet', 'goal_type',
+  'parent_goal_id', 'is_aggregate', 'milestones', 'notes'
+];
 
 class MongoDBGoalService {
   constructor() {
-    this.client = null;
     this.db = null;
-    this.isConnected = false;
+    this.auditService = new MongoDBAuditService();
   }
 
-  async connect() {
-    try {
-      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/evarra';
-      
-      // SSL/TLS configuration for MongoDB Atlas compatibility
-      const options = {
-        ssl: true,
-        tls: true,
-        tlsAllowInvalidCertificates: false,
-        tlsAllowInvalidHostnames: false,
-        tlsInsecure: false,
-        // Additional SSL options for production
-        ...(process.env.NODE_ENV === 'production' && {
-          sslValidate: true,
-          checkServerIdentity: () => undefined, // Skip hostname verification for Atlas
-        }),
-      };
-      
-      this.client = new MongoClient(mongoUri, options);
-      
-      await this.client.connect();
-      this.db = this.client.db(process.env.MONGODB_DATABASE || 'evarra');
-      this.isConnected = true;
-      
-      console.log('MongoDB connected successfully for goals service');
-    } catch (error) {
-      console.error('MongoDB connection failed for goals service:', error);
-      throw error;
-    }
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
   }
 
-  async disconnect() {
-    if (this.client) {
-      await this.client.close();
-      this.isConnected = false;
-      console.log('MongoDB disconnected for goals service');
-    }
+  // Map a goal document to the API shape, with calculated progress
+  formatGoal(goal) {
+    return {
+      id: goal._id.toString(),
+      user_id: goal.user_id.toString(),
+      name: goal.name,
+      description: goal.description,
+      status: goal.status,
+      progress: goal.progress,
+      coin: goal.coin,
+      coin_symbol: goal.coin_symbol,
+      current_amount: goal.current_amount,
+      target_amount: goal.target_amount,
+      target_date: goal.target_date,
+      wallet_id: goal.wallet_id,
+      wallet_address: goal.wallet_address,
+      wallet_chain: goal.wallet_chain,
+      require_verified_wallet: goal.require_verified_wallet || false,
+      goal_type: goal.goal_type,
+      parent_goal_id: goal.parent_goal_id ? goal.parent_goal_id.toString() : null,
+      is_aggregate: goal.is_aggregate,
+      milestones: goal.milestones,
+      notes: goal.notes,
+      progress_percentage: Math.round((goal.current_amount / goal.target_amount) * 100),
+      created_at: goal.created_at.toISOString(),
+      updated_at: goal.updated_at.toISOString()
+    };
   }
 
-  // Helper method to ensure connection
-  async ensureConnection() {
-    if (!this.isConnected) {
-      await this.connect();
+  // Record a point in a goal's progress history whenever its amount changes.
+  // History is secondary data, so a failed write never fails the goal update.
+  async recordProgress(goal, amount, recordedAt = new Date()) {
+    try {
+      await this.db.collection('goal_progress').insertOne({
+        goal_id: goal._id,
+        user_id: goal.user_id,
+        amount,
+        target_amount: goal.target_amount,
+        recorded_at: recordedAt
+      });
+    } catch (error) {
+      logger.error('Error recording goal progress', { error });
     }
   }
 
@@ -93,15 +112,38 @@ class MongoDBGoalService {
     return errors;
   }
 
+  // Check a goal's linked wallet belongs to the goal's user and, when the goal
+  // requires it, that the user has proven ownership of the wallet
+  async checkGoalWallet(userId, walletId, requireVerifiedWallet) {
+    if (!walletId) {
+      if (requireVerifiedWallet) {
+        throw new ValidationError('A verified wallet is required for this goal');
+      }
+      return;
+    }
+
+    const wallet = ObjectId.isValid(walletId) && await this.db.collection('wallets').findOne({
+      _id: new ObjectId(walletId),
+      userId
+    });
+    if (!wallet) {
+      throw new NotFoundError('Wallet not found');
+    }
+
+    if (requireVerifiedWallet && wallet.verificationStatus !== 'verified') {
+      throw new ValidationError('A verified wallet is required for this goal');
+    }
+  }
+
   // Core goal operations
-  async createGoal(goalData) {
+  async createGoal(goalData, context = {}) {
     await this.ensureConnection();
     
     try {
       // Validate goal data
       const validationErrors = this.validateGoalData(goalData);
       if (validationErrors.length > 0) {
-        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+        throw new ValidationError(`Validation failed: ${validationErrors.join(', ')}`);
       }
 
       const collection = this.db.collection('goals');
@@ -110,17 +152,30 @@ class MongoDBGoalService {
       const userCollection = this.db.collection('users');
       const user = await userCollection.findOne({ _id: new ObjectId(goalData.user_id) });
       if (!user) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found');
       }
 
-      // Check if parent goal exists (if provided)
+      // Check the user's tier and unlocks allow another goal
+      const { maxGoals } = getEntitlements(user.tier, user.unlocks);
+      const goalCount = await collection.countDocuments({ user_id: user._id });
+      if (!isWithinLimit(maxGoals, goalCount)) {
+        throw upgradeRequiredError(`Your plan allows up to ${maxGoals} goals`, 'maxGoals', maxGoals);
+      }
+
+      // Check if parent goal exists and belongs to the same user (if provided)
       if (goalData.parent_goal_id) {
-        const parentGoal = await collection.findOne({ _id: new ObjectId(goalData.parent_goal_id) });
+        const parentGoal = await collection.findOne({
+          _id: new ObjectId(goalData.parent_goal_id),
+          user_id: new ObjectId(goalData.user_id)
+        });
         if (!parentGoal) {
-          throw new Error('Parent goal not found');
+          throw new NotFoundError('Parent goal not found');
         }
       }
 
+      // Check the linked wallet (if provided or required)
+      await this.checkGoalWallet(goalData.user_id, goalData.wallet_id, goalData.require_verified_wallet);
+
       const now = new Date();
       const newGoal = {
         user_id: new ObjectId(goalData.user_id),
@@ -136,6 +191,7 @@ class MongoDBGoalService {
         wallet_id: goalData.wallet_id || null,
         wallet_address: goalData.wallet_address || null,
         wallet_chain: goalData.wallet_chain || null,
+        require_verified_wallet: goalData.require_verified_wallet || false,
         goal_type: goalData.goal_type,
         parent_goal_id: goalData.parent_goal_id ? new ObjectId(goalData.parent_goal_id) : null,
         is_aggregate: goalData.is_aggregate || false,
@@ -146,41 +202,26 @@ class MongoDBGoalService {
       };
       
       const result = await collection.insertOne(newGoal);
+      await this.recordProgress({ _id: result.insertedId, ...newGoal }, newGoal.current_amount, now);
       
       // Return goal with calculated progress
-      const createdGoal = {
-        id: result.insertedId.toString(),
-        user_id: newGoal.user_id.toString(),
-        name: newGoal.name,
-        description: newGoal.description,
-        status: newGoal.status,
-        progress: newGoal.progress,
-        coin: newGoal.coin,
-        coin_symbol: newGoal.coin_symbol,
-        current_amount: newGoal.current_amount,
-        target_amount: newGoal.target_amount,
-        target_date: newGoal.target_date,
-        wallet_id: newGoal.wallet_id,
-        wallet_address: newGoal.wallet_address,
-        wallet_chain: newGoal.wallet_chain,
-        goal_type: newGoal.goal_type,
-        parent_goal_id: newGoal.parent_goal_id ? newGoal.parent_goal_id.toString() : null,
-        is_aggregate: newGoal.is_aggregate,
-        milestones: newGoal.milestones,
-        notes: newGoal.notes,
-        progress_percentage: Math.round((newGoal.current_amount / newGoal.target_amount) * 100),
-        created_at: newGoal.created_at.toISOString(),
-        updated_at: newGoal.updated_at.toISOString()
-      };
+      const createdGoal = this.formatGoal({ _id: result.insertedId, ...newGoal });
       
-      console.log('Goal created successfully:', { 
+      logger.info('Goal created successfully', {
         goalId: createdGoal.id, 
-        title: createdGoal.title,
+        name: createdGoal.name,
         userId: createdGoal.user_id 
       });
+      
+      await this.auditService.record('goal.created', {
+        userId: goalData.user_id,
+        context,
+        target: { type: 'goal', id: createdGoal.id },
+        changes: MongoDBAuditService.diffFields({}, newGoal, AUDITED_GOAL_FIELDS)
+      });
       return createdGoal;
     } catch (error) {
-      console.error('Error creating goal:', error);
+      logger.error('Error creating goal', { error });
       throw error;
     }
   }
@@ -190,7 +231,7 @@ class MongoDBGoalService {
     
     try {
       if (!ObjectId.isValid(goalId)) {
-        throw new Error('Invalid goal ID format');
+        throw new ValidationError('Invalid goal ID format');
       }
 
       const collection = this.db.collection('goals');
@@ -199,32 +240,9 @@ class MongoDBGoalService {
       if (!goal) return null;
       
       // Return goal with calculated progress
-      return {
-        id: goal._id.toString(),
-        user_id: goal.user_id.toString(),
-        name: goal.name,
-        description: goal.description,
-        status: goal.status,
-        progress: goal.progress,
-        coin: goal.coin,
-        coin_symbol: goal.coin_symbol,
-        current_amount: goal.current_amount,
-        target_amount: goal.target_amount,
-        target_date: goal.target_date,
-        wallet_id: goal.wallet_id,
-        wallet_address: goal.wallet_address,
-        wallet_chain: goal.wallet_chain,
-        goal_type: goal.goal_type,
-        parent_goal_id: goal.parent_goal_id ? goal.parent_goal_id.toString() : null,
-        is_aggregate: goal.is_aggregate,
-        milestones: goal.milestones,
-        notes: goal.notes,
-        progress_percentage: Math.round((goal.current_amount / goal.target_amount) * 100),
-        created_at: goal.created_at.toISOString(),
-        updated_at: goal.updated_at.toISOString()
-      };
+      return this.formatGoal(goal);
     } catch (error) {
-      console.error('Error getting goal by ID:', error);
+      logger.error('Error getting goal by ID', { error });
       throw error;
     }
   }
@@ -234,49 +252,26 @@ class MongoDBGoalService {
     
     try {
       if (!ObjectId.isValid(userId)) {
-        throw new Error('Invalid user ID format');
+        throw new ValidationError('Invalid user ID format');
       }
 
       const collection = this.db.collection('goals');
       const goals = await collection.find({ user_id: new ObjectId(userId) }).toArray();
       
       // Return goals with calculated progress
-      return goals.map(goal => ({
-        id: goal._id.toString(),
-        user_id: goal.user_id.toString(),
-        name: goal.name,
-        description: goal.description,
-        status: goal.status,
-        progress: goal.progress,
-        coin: goal.coin,
-        coin_symbol: goal.coin_symbol,
-        current_amount: goal.current_amount,
-        target_amount: goal.target_amount,
-        target_date: goal.target_date,
-        wallet_id: goal.wallet_id,
-        wallet_address: goal.wallet_address,
-        wallet_chain: goal.wallet_chain,
-        goal_type: goal.goal_type,
-        parent_goal_id: goal.parent_goal_id ? goal.parent_goal_id.toString() : null,
-        is_aggregate: goal.is_aggregate,
-        milestones: goal.milestones,
-        notes: goal.notes,
-        progress_percentage: Math.round((goal.current_amount / goal.target_amount) * 100),
-        created_at: goal.created_at.toISOString(),
-        updated_at: goal.updated_at.toISOString()
-      }));
+      return goals.map(goal => this.formatGoal(goal));
     } catch (error) {
-      console.error('Error getting user goals:', error);
+      logger.error('Error getting user goals', { error });
       throw error;
     }
   }
 
-  async updateGoal(goalId, updates) {
+  async updateGoal(goalId, updates, context = {}) {
     await this.ensureConnection();
     
     try {
       if (!ObjectId.isValid(goalId)) {
-        throw new Error('Invalid goal ID format');
+        throw new ValidationError('Invalid goal ID format');
       }
 
       const collection = this.db.collection('goals');
@@ -284,49 +279,65 @@ class MongoDBGoalService {
       // Check if goal exists
       const existingGoal = await collection.findOne({ _id: new ObjectId(goalId) });
       if (!existingGoal) {
-        throw new Error('Goal not found');
+        throw new NotFoundError('Goal not found');
       }
 
       // Validate updates if provided
-      if (updates.title !== undefined && (!updates.title || updates.title.trim().length === 0)) {
-        throw new Error('Goal title cannot be empty');
+      if (updates.name !== undefined && (!updates.name || updates.name.trim().length === 0)) {
+        throw new ValidationError('Goal name cannot be empty');
       }
 
       if (updates.coin !== undefined && (!updates.coin || updates.coin.trim().length === 0)) {
-        throw new Error('Coin cannot be empty');
+        throw new ValidationError('Coin cannot be empty');
       }
 
       if (updates.coin_symbol !== undefined && (!updates.coin_symbol || updates.coin_symbol.trim().length === 0)) {
-        throw new Error('Coin symbol cannot be empty');
+        throw new ValidationError('Coin symbol cannot be empty');
       }
 
       if (updates.current_amount !== undefined && (typeof updates.current_amount !== 'number' || updates.current_amount < 0)) {
-        throw new Error('Current amount must be a non-negative number');
+        throw new ValidationError('Current amount must be a non-negative number');
       }
 
       if (updates.target_amount !== undefined && (typeof updates.target_amount !== 'number' || updates.target_amount <= 0)) {
-        throw new Error('Target amount must be a positive number');
+        throw new ValidationError('Target amount must be a positive number');
       }
 
       if (updates.goal_type !== undefined && !['regular', 'parent', 'subgoal'].includes(updates.goal_type)) {
-        throw new Error('Goal type must be one of: regular, parent, subgoal');
+        throw new ValidationError('Goal type must be one of: regular, parent, subgoal');
       }
 
       if (updates.parent_goal_id !== undefined && updates.parent_goal_id && !ObjectId.isValid(updates.parent_goal_id)) {
-        throw new Error('Invalid parent goal ID format');
+        throw new ValidationError('Invalid parent goal ID format');
       }
 
-      // Check if parent goal exists (if updating)
+      // Check if parent goal exists and belongs to the same user (if updating)
       if (updates.parent_goal_id) {
-        const parentGoal = await collection.findOne({ _id: new ObjectId(updates.parent_goal_id) });
+        const parentGoal = await collection.findOne({
+          _id: new ObjectId(updates.parent_goal_id),
+          user_id: existingGoal.user_id
+        });
         if (!parentGoal) {
-          throw new Error('Parent goal not found');
+          throw new NotFoundError('Parent goal not found');
         }
       }
 
+      // Check the linked wallet against the goal as it will be after the update
+      if (updates.wallet_id !== undefined || updates.require_verified_wallet !== undefined) {
+        await this.checkGoalWallet(
+          existingGoal.user_id.toString(),
+          updates.wallet_id !== undefined ? updates.wallet_id : existingGoal.wallet_id,
+          updates.require_verified_wallet !== undefined ? updates.require_verified_wallet : existingGoal.require_verified_wallet
+        );
+      }
+
+      const allowedUpdates = Object.fromEntries(
+        UPDATABLE_GOAL_FIELDS.filter(field => updates[field] !== undefined).map(field => [field, updates[field]])
+      );
+
       // Prepare update object
       const updateData = {
-        ...updates,
+        ...allowedUpdates,
         updated_at: new Date()
       };
 
@@ -341,30 +352,48 @@ class MongoDBGoalService {
       );
 
       if (result.matchedCount === 0) {
-        throw new Error('Goal not found');
+        throw new NotFoundError('Goal not found');
+      }
+
+      if (updateData.current_amount !== undefined && updateData.current_amount !== existingGoal.current_amount) {
+        await this.recordProgress(
+          { ...existingGoal, target_amount: updateData.target_amount ?? existingGoal.target_amount },
+          updateData.current_amount,
+          updateData.updated_at
+        );
       }
 
       // Get updated goal
       const updatedGoal = await this.getGoalById(goalId);
       
-      console.log('Goal updated successfully:', { 
+      logger.info('Goal updated successfully', {
         goalId, 
-        title: updatedGoal.title 
+        name: updatedGoal.name
       });
       
+      const changes = MongoDBAuditService.diffFields(existingGoal, updateData, Object.keys(allowedUpdates));
+      if (Object.keys(changes).length > 0) {
+        await this.auditService.record('goal.updated', {
+          userId: existingGoal.user_id.toString(),
+          context,
+          target: { type: 'goal', id: goalId },
+          changes
+        });
+      }
+      
       return updatedGoal;
     } catch (error) {
-      console.error('Error updating goal:', error);
+      logger.error('Error updating goal', { error });
       throw error;
     }
   }
 
-  async deleteGoal(goalId) {
+  async deleteGoal(goalId, context = {}) {
     await this.ensureConnection();
     
     try {
       if (!ObjectId.isValid(goalId)) {
-        throw new Error('Invalid goal ID format');
+        throw new ValidationError('Invalid goal ID format');
       }
 
       const collection = this.db.collection('goals');
@@ -372,26 +401,35 @@ class MongoDBGoalService {
       // Check if goal exists
       const existingGoal = await collection.findOne({ _id: new ObjectId(goalId) });
       if (!existingGoal) {
-        throw new Error('Goal not found');
+        throw new NotFoundError('Goal not found');
       }
 
       // Check if goal has subgoals
       const subgoals = await collection.find({ parent_goal_id: new ObjectId(goalId) }).toArray();
       if (subgoals.length > 0) {
-        throw new Error('Cannot delete goal with subgoals. Please delete subgoals first.');
+        throw new ConflictError('Cannot delete goal with subgoals. Please delete subgoals first.');
       }
 
       const result = await collection.deleteOne({ _id: new ObjectId(goalId) });
 
       if (result.deletedCount === 0) {
-        throw new Error('Goal not found');
+        throw new NotFoundError('Goal not found');
       }
 
-      console.log('Goal deleted successfully:', { goalId });
+      await this.db.collection('goal_progress').deleteMany({ goal_id: new ObjectId(goalId) });
+
+      logger.info('Goal deleted successfully', { goalId });
+      
+      await this.auditService.record('goal.deleted', {
+        userId: existingGoal.user_id.toString(),
+        context,
+        target: { type: 'goal', id: goalId },
+        changes: MongoDBAuditService.diffFields(existingGoal, {}, AUDITED_GOAL_FIELDS)
+      });
       
       return { success: true, message: 'Goal deleted successfully' };
     } catch (error) {
-      console.error('Error deleting goal:', error);
+      logger.error('Error deleting goal', { error });
       throw error;
     }
   }
@@ -402,7 +440,7 @@ class MongoDBGoalService {
     try {
       const goal = await this.getGoalById(goalId);
       if (!goal) {
-        throw new Error('Goal not found');
+        throw new NotFoundError('Goal not found');
       }
 
       const progress = {
@@ -415,17 +453,17 @@ class MongoDBGoalService {
 
       return progress;
     } catch (error) {
-      console.error('Error getting goal progress:', error);
+      logger.error('Error getting goal progress', { error });
       throw error;
     }
   }
 
-  async updateGoalProgress(goalId, newAmount) {
+  async updateGoalProgress(goalId, newAmount, context = {}) {
     await this.ensureConnection();
     
     try {
       if (typeof newAmount !== 'number' || newAmount < 0) {
-        throw new Error('New amount must be a non-negative number');
+        throw new ValidationError('New amount must be a non-negative number');
       }
 
       const collection = this.db.collection('goals');
@@ -433,31 +471,42 @@ class MongoDBGoalService {
       // Check if goal exists
       const existingGoal = await collection.findOne({ _id: new ObjectId(goalId) });
       if (!existingGoal) {
-        throw new Error('Goal not found');
+        throw new NotFoundError('Goal not found');
       }
 
       if (newAmount > existingGoal.target_amount) {
-        throw new Error('Current amount cannot exceed target amount');
+        throw new ValidationError('Current amount cannot exceed target amount');
       }
 
+      const now = new Date();
       const result = await collection.updateOne(
         { _id: new ObjectId(goalId) },
         { 
           $set: { 
             current_amount: newAmount,
-            updated_at: new Date()
+            updated_at: now
           } 
         }
       );
 
       if (result.matchedCount === 0) {
-        throw new Error('Goal not found');
+        throw new NotFoundError('Goal not found');
+      }
+
+      if (newAmount !== existingGoal.current_amount) {
+        await this.recordProgress(existingGoal, newAmount, now);
+        await this.auditService.record('goal.updated', {
+          userId: existingGoal.user_id.toString(),
+          context,
+          target: { type: 'goal', id: goalId },
+          changes: { current_amount: { from: existingGoal.current_amount, to: newAmount } }
+        });
       }
 
       // Get updated goal
       const updatedGoal = await this.getGoalById(goalId);
       
-      console.log('Goal progress updated successfully:', { 
+      logger.info('Goal progress updated successfully', {
         goalId, 
         newAmount,
         progressPercentage: updatedGoal.progress_percentage 
@@ -465,7 +514,47 @@ class MongoDBGoalService {
       
       return updatedGoal;
     } catch (error) {
-      console.error('Error updating goal progress:', error);
+      logger.error('Error updating goal progress', { error });
+      throw error;
+    }
+  }
+
+  // Progress history for all of a user's goals, oldest first
+  async getUserProgressHistory(userId) {
+    await this.ensureConnection();
+    
+    try {
+      if (!ObjectId.isValid(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      const history = await this.db.collection('goal_progress')
+        .find({ user_id: new ObjectId(userId) })
+        .sort({ recorded_at: 1 })
+        .toArray();
+
+      return history.map(point => ({
+        goal_id: point.goal_id.toString(),
+        amount: point.amount,
+        target_amount: point.target_amount,
+        recorded_at: point.recorded_at.toISOString()
+      }));
+    } catch (error) {
+      logger.error('Error getting progress history', { error });
+      throw error;
+    }
+  }
+
+  // Every goal in the same shape as getGoalById. getAllGoals keeps the shape
+  // the v1 admin listing has always returned.
+  async listGoals() {
+    await this.ensureConnection();
+    
+    try {
+      const goals = await this.db.collection('goals').find({}).toArray();
+      return goals.map(goal => this.formatGoal(goal));
+    } catch (error) {
+      logger.error('Error listing goals', { error });
       throw error;
     }
   }
@@ -492,7 +581,7 @@ class MongoDBGoalService {
         updated_at: goal.updated_at.toISOString()
       }));
     } catch (error) {
-      console.error('Error getting all goals:', error);
+      logger.error('Error getting all goals', { error });
       throw error;
     }
   }
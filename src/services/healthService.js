@@ -0,0 +1,117 @@
+const { getDb } = require('./database');
+const CacheService = require('./cacheService');
+const { createSuiClient, getSuiRpcUrl } = require('../utils/sui');
+const lifecycle = require('../utils/lifecycle');
+
+const CHECK_TIMEOUT_MS = 3000;
+
+// Load balancers probe every few seconds; reuse a recent result rather than
+// pinging MongoDB and the Sui fullnode on every probe
+const RESULT_TTL_MS = 5000;
+
+// A critical dependency being down makes the service unhealthy (503); a
+// non-critical one only degrades it
+const DEPENDENCIES = {
+  mongodb: { critical: true },
+  sui: { critical: true },
+  cache: { critical: false }
+};
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class HealthService {
+  constructor() {
+    this.cacheService = new CacheService();
+    this.suiClient = createSuiClient();
+    this.results = new Map();
+  }
+
+  async checkMongoDB() {
+    const db = await withTimeout(getDb(), CHECK_TIMEOUT_MS, 'MongoDB connection timed out');
+    await withTimeout(db.command({ ping: 1 }), CHECK_TIMEOUT_MS, 'MongoDB ping timed out');
+    return {};
+  }
+
+  async checkSui() {
+    const controller = new AbortController();
+    const checkpoint = await withTimeout(
+      this.suiClient.getLatestCheckpointSequenceNumber({ signal: controller.signal }),
+      CHECK_TIMEOUT_MS,
+      'Sui fullnode timed out'
+    ).finally(() => controller.abort());
+
+    return { url: getSuiRpcUrl(), latestCheckpoint: checkpoint };
+  }
+
+  async checkCache() {
+    const state = this.cacheService.getConnectionState();
+    if (state !== 'connected') {
+      throw new Error('Cache storage is not connected');
+    }
+    return { state };
+  }
+
+  async runCheck(name) {
+    const checks = {
+      mongodb: () => this.checkMongoDB(),
+      sui: () => this.checkSui(),
+      cache: () => this.checkCache()
+    };
+
+    const startedAt = Date.now();
+    try {
+      const details = await checks[name]();
+      return { status: 'up', critical: DEPENDENCIES[name].critical, latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+      return { status: 'down', critical: DEPENDENCIES[name].critical, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+
+  // Concurrent callers share an in-flight check and recent results are reused
+  checkDependency(name) {
+    const cached = this.results.get(name);
+    if (cached && Date.now() - cached.at < RESULT_TTL_MS) {
+      return cached.result;
+    }
+
+    const result = this.runCheck(name);
+    this.results.set(name, { at: Date.now(), result });
+    return result;
+  }
+
+  /**
+   * Check dependencies and summarise them.
+   *
+   * @param {string[]} [names] - Dependencies to check; all of them by default
+   * @returns {Promise<{status: string, httpStatus: number, checks: Object}>}
+   *   status is 'healthy', 'degraded', 'unhealthy' or 'draining'
+   */
+  async getReport(names = Object.keys(DEPENDENCIES)) {
+    const results = await Promise.all(names.map(name => this.checkDependency(name)));
+    const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+    const down = results.filter(result => result.status === 'down');
+    let status = 'healthy';
+    if (lifecycle.isDraining()) {
+      status = 'draining';
+    } else if (down.some(result => result.critical)) {
+      status = 'unhealthy';
+    } else if (down.length > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      httpStatus: status === 'healthy' || status === 'degraded' ? 200 : 503,
+      checks
+    };
+  }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,221 @@
+const { getDb } = require('./database');
+const config = require('../config');
+const { RateLimitError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('loginAttemptService');
+
+const FAILURE_WINDOW_MS = config.rateLimits.login.failureWindowMs; // failures older than this are forgotten
+const LOCKOUT_MS = config.rateLimits.login.lockoutMs;
+const MAX_DELAY_MS = config.rateLimits.login.maxDelayMs;
+
+// Failed-attempt limits per kind of key. Accounts start slowing down after a
+// few failures and lock after ten (by default); an IP address covers many
+// accounts (and shared networks), so it gets a much higher ceiling and no delays.
+const LIMITS = {
+  account: { delayAfter: config.rateLimits.login.accountDelayAfter, lockAfter: config.rateLimits.login.accountLockAfter },
+  ip: { delayAfter: null, lockAfter: config.rateLimits.login.ipLockAfter }
+};
+
+// Status codes for sign-in lockouts
+const LOCKOUT_STATUS = {
+  ACCOUNT_LOCKED: 423,
+  LOGIN_THROTTLED: 429,
+  TOO_MANY_ATTEMPTS: 429
+};
+
+// Lockout errors carry a code the frontend can switch on and the number of
+// seconds until the next attempt is allowed
+const blockedError = (message, code, retryAfterMs) => new RateLimitError(
+  message,
+  Math.max(Math.ceil(retryAfterMs / 1000), 1),
+  { code, statusCode: LOCKOUT_STATUS[code] }
+);
+
+// Failed sign-in tracking for brute-force protection. Counters live in the
+// login_attempts collection keyed by "account:<userId or identifier>" and
+// "ip:<address>", so they hold across restarts and service instances.
+class MongoDBLoginAttemptService {
+  constructor() {
+    this.db = null;
+  }
+
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
+  }
+
+  accountKey(accountId) {
+    return `account:${String(accountId).toLowerCase()}`;
+  }
+
+  ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  // Delay a caller must wait after this many consecutive failures:
+  // 1s, 2s, 4s, ... capped at MAX_DELAY_MS
+  getDelayMs(failedCount, limit) {
+    if (!limit.delayAfter || failedCount < limit.delayAfter) return 0;
+    return Math.min(1000 * 2 ** (failedCount - limit.delayAfter), MAX_DELAY_MS);
+  }
+
+  // Throw if the account or IP is locked, or is still inside its delay
+  async assertAllowed({ accountId, ip }) {
+    await this.ensureConnection();
+
+    const collection = this.db.collection('login_attempts');
+    const now = Date.now();
+
+    if (ip) {
+      const ipRecord = await collection.findOne({ _id: this.ipKey(ip) });
+      if (ipRecord?.locked_until > new Date(now)) {
+        throw blockedError(
+          'Too many failed sign-in attempts from this network. Try again later.',
+          'TOO_MANY_ATTEMPTS',
+          ipRecord.locked_until.getTime() - now
+        );
+      }
+    }
+
+    if (accountId) {
+      const accountRecord = await collection.findOne({ _id: this.accountKey(accountId) });
+      if (!accountRecord) return;
+
+      if (accountRecord.locked_until > new Date(now)) {
+        throw blockedError(
+          'Account temporarily locked after too many failed sign-in attempts',
+          'ACCOUNT_LOCKED',
+          accountRecord.locked_until.getTime() - now
+        );
+      }
+
+      const lastFailedAt = accountRecord.last_failed_at?.getTime() || 0;
+      if (now - lastFailedAt < FAILURE_WINDOW_MS) {
+        const waitUntil = lastFailedAt + this.getDelayMs(accountRecord.failed_count, LIMITS.account);
+        if (waitUntil > now) {
+          throw blockedError(
+            'Too many failed sign-in attempts. Wait before trying again.',
+            'LOGIN_THROTTLED',
+            waitUntil - now
+          );
+        }
+      }
+    }
+  }
+
+  // Count a failure against the account and IP, locking either once it
+  // reaches its limit. Counters reset when the last failure is stale.
+  async recordFailure({ accountId, ip }) {
+    await this.ensureConnection();
+
+    try {
+      const keys = [];
+      if (accountId) keys.push({ key: this.accountKey(accountId), limit: LIMITS.account });
+      if (ip) keys.push({ key: this.ipKey(ip), limit: LIMITS.ip });
+
+      const collection = this.db.collection('login_attempts');
+      const now = new Date();
+      const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+      const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+
+      for (const { key, limit } of keys) {
+        // Pipeline update so the window reset and lock decision happen in one
+        // atomic write, even under concurrent failures
+        const record = await collection.findOneAndUpdate(
+          { _id: key },
+          [
+            {
+              $set: {
+                failed_count: {
+                  $cond: [
+                    { $gt: ['$last_failed_at', windowStart] },
+                    { $add: [{ $ifNull: ['$failed_count', 0] }, 1] },
+                    1
+                  ]
+                },
+                last_failed_at: now,
+                updated_at: now
+              }
+            },
+            {
+              $set: {
+                locked_until: {
+                  $cond: [
+                    { $gte: ['$failed_count', limit.lockAfter] },
+                    lockedUntil,
+                    { $ifNull: ['$locked_until', null] }
+                  ]
+                },
+                // A lockout starts the count again once it expires
+                failed_count: {
+                  $cond: [{ $gte: ['$failed_count', limit.lockAfter] }, 0, '$failed_count']
+                }
+              }
+            }
+          ],
+          { upsert: true, returnDocument: 'after' }
+        );
+
+        if (record?.locked_until?.getTime() === lockedUntil.getTime()) {
+          logger.warn('Sign-in locked after repeated failures', { key, lockedUntil });
+        }
+      }
+    } catch (error) {
+      // Tracking must never turn a wrong password into a server error
+      logger.error('Error recording failed sign-in', { error });
+    }
+  }
+
+  // A successful sign-in clears the account's counter. The IP counter is left
+  // to expire so one valid account cannot be used to reset it.
+  async recordSuccess({ accountId }) {
+    await this.ensureConnection();
+
+    try {
+      await this.db.collection('login_attempts').deleteOne({ _id: this.accountKey(accountId) });
+    } catch (error) {
+      logger.error('Error clearing failed sign-ins', { error });
+    }
+  }
+
+  // Current lock state for an account, for support staff
+  async getAccountStatus(accountId) {
+    await this.ensureConnection();
+
+    try {
+      const record = await this.db.collection('login_attempts').findOne({ _id: this.accountKey(accountId) });
+      const isLocked = !!record && record.locked_until > new Date();
+
+      return {
+        locked: isLocked,
+        lockedUntil: isLocked ? record.locked_until : null,
+        failedCount: record && record.last_failed_at > new Date(Date.now() - FAILURE_WINDOW_MS) ? record.failed_count : 0
+      };
+    } catch (error) {
+      logger.error('Error getting sign-in lock status', { error });
+      throw error;
+    }
+  }
+
+  // Clear the counters for an account and optionally an IP address
+  async unlock({ accountId, ip }) {
+    await this.ensureConnection();
+
+    try {
+      const keys = [];
+      if (accountId) keys.push(this.accountKey(accountId));
+      if (ip) keys.push(this.ipKey(ip));
+
+      const result = await this.db.collection('login_attempts').deleteMany({ _id: { $in: keys } });
+
+      logger.info('Sign-in lock cleared', { keys, count: result.deletedCount });
+      return { cleared: result.deletedCount };
+    } catch (error) {
+      logger.error('Error clearing sign-in lock', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoDBLoginAttemptService;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('mailService');
+
+/**
+ * Pluggable outgoing mail.
+ *
+ * A transport is an object with `send(message)` returning a promise, where
+ * message is `{ to, subject, text }`. The transport is chosen with the
+ * MAIL_TRANSPORT environment variable; `console` (the default) and `file` are
+ * built in for local development and tests. Production transports (SMTP, an
+ * email API) are added with registerMailTransport().
+ */
+const transportFactories = new Map();
+
+const registerMailTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+};
+
+// Print messages to the server log
+registerMailTransport('console', () => ({
+  async send(message) {
+    logger.info('Outgoing email', { message });
+  }
+}));
+
+// Write each message to its own JSON file, so tests can read what was sent
+registerMailTransport('file', () => {
+  const outputDir = config.mail.outputDir;
+
+  return {
+    async send(message) {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      // The random part keeps two emails sent in the same millisecond apart
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(outputDir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+});
+
+class MailService {
+  constructor() {
+    const transportName = config.mail.transport;
+    const factory = transportFactories.get(transportName);
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    this.transport = factory();
+    this.appUrl = config.mail.appUrl;
+  }
+
+  async send(message) {
+    try {
+      await this.transport.send(message);
+    } catch (error) {
+      logger.error('Error sending email', { to: message.to, subject: message.subject, error: error.message });
+      throw error;
+    }
+  }
+
+  async sendEmailVerification(to, token) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to,
+      subject: 'Confirm your Evarra email address',
+      text: [
+        'Welcome to Evarra!',
+        '',
+        'Confirm your email address by opening this link:',
+        link,
+        '',
+        'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  async sendPasswordReset(to, token) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to,
+      subject: 'Reset your Evarra password',
+      text: [
+        'We received a request to reset your Evarra password.',
+        '',
+        'Choose a new password by opening this link:',
+        link,
+        '',
+        'The link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+}
+
+MailService.registerMailTransport = registerMailTransport;
+
+module.exports = MailService;
@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./database');
+const config = require('../config');
+const { DEFAULT_ROLE } = require('../utils/roles');
+const { describeDevice } = require('../utils/userAgent');
+const { AuthError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('sessionService');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const IMPERSONATION_TTL_SECONDS = 15 * 60; // 15 minutes, never refreshed
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60; // 5 minutes
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000; // write last_seen_at at most once a minute
+
+let tokenSecret = null;
+
+// Tokens signed with a per-process secret stop working after a restart, which
+// is acceptable for local development but never for production (config
+// requires JWT_SECRET there). The secret is cached at module level so every
+// service instance signs with the same key.
+const getTokenSecret = () => {
+  if (tokenSecret) return tokenSecret;
+
+  if (config.auth.jwtSecret) {
+    tokenSecret = config.auth.jwtSecret;
+  } else {
+    logger.warn('JWT_SECRET not set, using a temporary secret for this process');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  return tokenSecret;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class MongoDBSessionService {
+  constructor() {
+    this.db = null;
+  }
+
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
+  }
+
+  // Token helpers
+  signAccessToken(user, sessionId, { impersonatorId = null, expiresIn = ACCESS_TOKEN_TTL_SECONDS } = {}) {
+    return jwt.sign(
+      {
+        sub: user.id,
+        sid: sessionId,
+        username: user.username,
+        // Impersonation tokens are always read-only, and never carry a staff
+        // role, so they cannot pass a role gate
+        role: impersonatorId ? DEFAULT_ROLE : user.role || DEFAULT_ROLE,
+        ...(impersonatorId && { imp: impersonatorId, ro: true })
+      },
+      getTokenSecret(),
+      { expiresIn }
+    );
+  }
+
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, getTokenSecret());
+
+      // Two-factor challenge tokens are signed with the same secret but are
+      // not access tokens
+      if (payload.typ === '2fa' || !payload.sid) {
+        throw new AuthError('Not an access token');
+      }
+
+      return {
+        id: payload.sub,
+        sessionId: payload.sid,
+        username: payload.username,
+        role: payload.role || DEFAULT_ROLE,
+        impersonatorId: payload.imp || null,
+        readOnly: payload.ro === true
+      };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('Access token expired', { code: 'TOKEN_EXPIRED' });
+      }
+      throw new AuthError('Invalid access token', { code: 'INVALID_TOKEN' });
+    }
+  }
+
+  // Short-lived token proving the password step of a two-factor login passed
+  signTwoFactorChallenge(userId) {
+    return {
+      challengeToken: jwt.sign(
+        { sub: userId, typ: '2fa' },
+        getTokenSecret(),
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+      ),
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+    };
+  }
+
+  verifyTwoFactorChallenge(challengeToken) {
+    try {
+      const payload = jwt.verify(challengeToken, getTokenSecret());
+      if (payload.typ !== '2fa') {
+        throw new AuthError('Not a two-factor challenge token');
+      }
+      return payload.sub;
+    } catch (error) {
+      throw new AuthError('Two-factor challenge expired or invalid');
+    }
+  }
+
+  // Refresh tokens carry their session ID so a replayed (already rotated)
+  // token can be traced back to its session and the whole session revoked.
+  generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!secret || !ObjectId.isValid(sessionId)) return null;
+
+    return sessionId;
+  }
+
+  // Where and on what a session was started, stored with the session so the
+  // user can recognise it in their session list
+  clientFields(context = {}) {
+    return {
+      ip: context.ip || null,
+      last_ip: context.ip || null,
+      user_agent: context.userAgent || null,
+      device: describeDevice(context.userAgent)
+    };
+  }
+
+  formatSession(session, currentSessionId = null) {
+    return {
+      id: session._id.toString(),
+      device: session.device || 'Unknown device',
+      userAgent: session.user_agent || null,
+      ip: session.ip || null,
+      lastIp: session.last_ip || session.ip || null,
+      createdAt: session.created_at.toISOString(),
+      lastSeenAt: (session.last_seen_at || session.updated_at).toISOString(),
+      expiresAt: session.expires_at.toISOString(),
+      current: session._id.toString() === currentSessionId
+    };
+  }
+
+  // Session operations
+  async createSession(user, context = {}) {
+    await this.ensureConnection();
+
+    try {
+      const collection = this.db.collection('sessions');
+
+      const sessionId = new ObjectId();
+      const refreshToken = this.generateRefreshToken(sessionId.toString());
+
+      const now = new Date();
+      await collection.insertOne({
+        _id: sessionId,
+        user_id: new ObjectId(user.id),
+        refresh_token_hash: hashToken(refreshToken),
+        ...this.clientFields(context),
+        created_at: now,
+        updated_at: now,
+        last_seen_at: now,
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        revoked_at: null
+      });
+
+      logger.info('Session created successfully', { sessionId: sessionId.toString(), userId: user.id });
+
+      return {
+        accessToken: this.signAccessToken(user, sessionId.toString()),
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      };
+    } catch (error) {
+      logger.error('Error creating session', { error });
+      throw error;
+    }
+  }
+
+  // Short-lived, read-only session that lets support staff see the app as the
+  // user does. It has no refresh token and is recorded against the impersonator.
+  async createImpersonationSession(user, impersonator, context = {}) {
+    await this.ensureConnection();
+
+    try {
+      const collection = this.db.collection('sessions');
+
+      const sessionId = new ObjectId();
+      const now = new Date();
+      await collection.insertOne({
+        _id: sessionId,
+        user_id: new ObjectId(user.id),
+        refresh_token_hash: null,
+        impersonated_by: new ObjectId(impersonator.id),
+        read_only: true,
+        ...this.clientFields(context),
+        created_at: now,
+        updated_at: now,
+        last_seen_at: now,
+        expires_at: new Date(now.getTime() + IMPERSONATION_TTL_SECONDS * 1000),
+        revoked_at: null
+      });
+
+      logger.info('Impersonation session created', {
+        sessionId: sessionId.toString(),
+        userId: user.id,
+        impersonatorId: impersonator.id
+      });
+
+      return {
+        accessToken: this.signAccessToken(user, sessionId.toString(), {
+          impersonatorId: impersonator.id,
+          expiresIn: IMPERSONATION_TTL_SECONDS
+        }),
+        tokenType: 'Bearer',
+        expiresIn: IMPERSONATION_TTL_SECONDS,
+        readOnly: true
+      };
+    } catch (error) {
+      logger.error('Error creating impersonation session', { error });
+      throw error;
+    }
+  }
+
+  async refreshSession(refreshToken, context = {}) {
+    await this.ensureConnection();
+
+    try {
+      const sessionId = this.parseRefreshToken(refreshToken);
+      if (!sessionId) {
+        throw new AuthError('Invalid refresh token');
+      }
+
+      const collection = this.db.collection('sessions');
+      const session = await collection.findOne({ _id: new ObjectId(sessionId) });
+
+      if (!session || session.revoked_at || session.expires_at < new Date()) {
+        throw new AuthError('Session expired or revoked');
+      }
+
+      // A valid session ID with the wrong secret means an old refresh token was
+      // replayed after rotation, so treat the session as compromised.
+      if (session.refresh_token_hash !== hashToken(refreshToken)) {
+        await this.revokeSession(sessionId);
+        logger.warn('Refresh token reuse detected, session revoked', { sessionId });
+        throw new AuthError('Session expired or revoked');
+      }
+
+      const user = await this.db.collection('users').findOne({ _id: session.user_id });
+      if (!user || user.disabled) {
+        await this.revokeSession(sessionId);
+        throw new AuthError('Session expired or revoked');
+      }
+
+      const nextRefreshToken = this.generateRefreshToken(sessionId);
+      const now = new Date();
+
+      // Match on the old hash so two concurrent refreshes cannot both rotate
+      const result = await collection.updateOne(
+        { _id: session._id, refresh_token_hash: session.refresh_token_hash },
+        {
+          $set: {
+            refresh_token_hash: hashToken(nextRefreshToken),
+            updated_at: now,
+            last_seen_at: now,
+            ...(context.ip && { last_ip: context.ip })
+          }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new AuthError('Session expired or revoked');
+      }
+
+      return {
+        accessToken: this.signAccessToken({ id: user._id.toString(), username: user.username, role: user.role }, sessionId),
+        refreshToken: nextRefreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      };
+    } catch (error) {
+      logger.error('Error refreshing session', { error });
+      throw error;
+    }
+  }
+
+  // A session is active until it is revoked or expires. When userId is given
+  // the session must also belong to that user.
+  async isSessionActive(sessionId, userId = null) {
+    await this.ensureConnection();
+
+    try {
+      if (!ObjectId.isValid(sessionId)) return false;
+
+      const collection = this.db.collection('sessions');
+      const session = await collection.findOne({ _id: new ObjectId(sessionId) });
+
+      if (!session || session.revoked_at || session.expires_at <= new Date()) return false;
+      return !userId || session.user_id.toString() === userId;
+    } catch (error) {
+      logger.error('Error checking session', { error });
+      return false;
+    }
+  }
+
+  // Record that a session was used, without writing on every request
+  touchSession(sessionId, { ip = null } = {}) {
+    if (!this.db || !ObjectId.isValid(sessionId)) return;
+
+    const now = new Date();
+    this.db.collection('sessions').updateOne(
+      {
+        _id: new ObjectId(sessionId),
+        $or: [
+          { last_seen_at: null },
+          { last_seen_at: { $lt: new Date(now.getTime() - LAST_SEEN_RESOLUTION_MS) } }
+        ]
+      },
+      { $set: { last_seen_at: now, ...(ip && { last_ip: ip }) } }
+    ).catch(error => logger.error('Error updating session last seen', { error }));
+  }
+
+  // The user's active sign-ins, most recently used first. Impersonation
+  // sessions belong to support staff and are not listed.
+  async getUserSessions(userId, currentSessionId = null) {
+    await this.ensureConnection();
+
+    try {
+      if (!ObjectId.isValid(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      const sessions = await this.db.collection('sessions')
+        .find({
+          user_id: new ObjectId(userId),
+          revoked_at: null,
+          impersonated_by: null,
+          expires_at: { $gt: new Date() }
+        })
+        .sort({ last_seen_at: -1, created_at: -1 })
+        .toArray();
+
+      return sessions.map(session => this.formatSession(session, currentSessionId));
+    } catch (error) {
+      logger.error('Error getting user sessions', { error });
+      throw error;
+    }
+  }
+
+  // Revoke one of the user's sessions; other users' sessions are not found
+  async revokeUserSession(userId, sessionId) {
+    await this.ensureConnection();
+
+    try {
+      if (!ObjectId.isValid(sessionId)) {
+        throw new NotFoundError('Session not found');
+      }
+
+      const now = new Date();
+      const result = await this.db.collection('sessions').updateOne(
+        { _id: new ObjectId(sessionId), user_id: new ObjectId(userId), revoked_at: null },
+        { $set: { revoked_at: now, updated_at: now } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new NotFoundError('Session not found');
+      }
+
+      logger.info('Session revoked successfully', { sessionId, userId });
+    } catch (error) {
+      logger.error('Error revoking user session', { error });
+      throw error;
+    }
+  }
+
+  // Sign the user out everywhere except the session making the request
+  async revokeOtherUserSessions(userId, currentSessionId) {
+    await this.ensureConnection();
+
+    try {
+      if (!ObjectId.isValid(userId) || !ObjectId.isValid(currentSessionId)) {
+        throw new ValidationError('Invalid session ID format');
+      }
+
+      const now = new Date();
+      const result = await this.db.collection('sessions').updateMany(
+        { user_id: new ObjectId(userId), _id: { $ne: new ObjectId(currentSessionId) }, revoked_at: null },
+        { $set: { revoked_at: now, updated_at: now } }
+      );
+
+      logger.info('Other user sessions revoked', { userId, count: result.modifiedCount });
+      return { revokedCount: result.modifiedCount };
+    } catch (error) {
+      logger.error('Error revoking other user sessions', { error });
+      throw error;
+    }
+  }
+
+  async revokeSession(sessionId) {
+    await this.ensureConnection();
+
+    try {
+      if (!ObjectId.isValid(sessionId)) {
+        throw new ValidationError('Invalid session ID format');
+      }
+
+      const collection = this.db.collection('sessions');
+      const now = new Date();
+      await collection.updateOne(
+        { _id: new ObjectId(sessionId), revoked_at: null },
+        { $set: { revoked_at: now, updated_at: now } }
+      );
+
+      logger.info('Session revoked successfully', { sessionId });
+    } catch (error) {
+      logger.error('Error revoking session', { error });
+      throw error;
+    }
+  }
+
+  async revokeAllUserSessions(userId) {
+    await this.ensureConnection();
+
+    try {
+      if (!ObjectId.isValid(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+
+      const collection = this.db.collection('sessions');
+      const now = new Date();
+      const result = await collection.updateMany(
+        { user_id: new ObjectId(userId), revoked_at: null },
+        { $set: { revoked_at: now, updated_at: now } }
+      );
+
+      logger.info('All user sessions revoked', { userId, count: result.modifiedCount });
+      return { revokedCount: result.modifiedCount };
+    } catch (error) {
+      logger.error('Error revoking user sessions', { error });
+      throw error;
+    }
+  }
+}
+
+module.exports = MongoDBSessionService;
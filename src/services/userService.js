@@ -1,65 +1,162 @@
 const bcrypt = require('bcrypt');
-const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
 const { ObjectId } = require('mongodb');
+const { getDb, onConnect } = require('./database');
+const config = require('../config');
+const MongoDBSessionService = require('./sessionService');
+const MongoDBWalletService = require('./walletService');
+const MongoDBGoalService = require('./goalService');
+const MongoDBChallengeService = require('./challengeService');
+const MongoDBAccountTokenService = require('./accountTokenService');
+const MongoDBLoginAttemptService = require('./loginAttemptService');
+const MongoDBApiKeyService = require('./apiKeyService');
+const MongoDBAuditService = require('./auditService');
+const MailService = require('./mailService');
+const { normalizeAddress, verifySuiPersonalMessage } = require('../utils/suiSignature');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { AuthError, ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+const { DEFAULT_ROLE, isValidRole } = require('../utils/roles');
+const { validateRegistration, validateAccountUpdate } = require('../utils/validation');
+const { DEFAULT_TIER, isValidTier, isValidUnlock, getEntitlements } = require('../utils/entitlements');
+const {
+  defaultPreferences,
+  migratePreferences,
+  needsMigration,
+  validatePreferences,
+  mergePreferences
+} = require('../utils/preferences');
+
+const logger = createLogger('userService');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const RECOVERY_CODE_COUNT = 10;
+const ACCOUNT_DELETION_GRACE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Usernames and emails are unique regardless of case. Lookups use the same
+// collation as the unique indexes so they can use them.
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// Usernames or emails another account already has, as { field, message } pairs
+const duplicateError = (errors) => new ConflictError('User with this email or username already exists', { details: errors });
+
+// Profile fields whose before/after values go into the audit log. Password
+// and two-factor secrets never do; a password change is its own event.
+// Preferences are diffed key by key, see diffPreferences.
+const AUDITED_USER_FIELDS = ['username', 'email', 'email_verified'];
+
+// Preferences that older clients still send on the profile update
+const PROFILE_PREFERENCE_KEYS = ['theme', 'skillLevel', 'advancedAccountMenu'];
+
+// Where those preferences lived before the preferences sub-document
+const LEGACY_PREFERENCE_FIELDS = { theme: '', skill_level: '', advanced_account_menu: '' };
+
+const DUPLICATE_FIELD_MESSAGES = {
+  username: 'Username is already taken',
+  email: 'Email is already registered'
+};
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+// Unique, case-insensitive usernames and emails. Wallet-only accounts have no
+// email, so the email index only covers documents that have one.
+onConnect(async (db) => {
+  try {
+    await db.collection('users').createIndexes([
+      { key: { username: 1 }, name: 'username_unique_ci', unique: true, collation: CASE_INSENSITIVE },
+      {
+        key: { email: 1 },
+        name: 'email_unique_ci',
+        unique: true,
+        collation: CASE_INSENSITIVE,
+        partialFilterExpression: { email: { $type: 'string' } }
+      }
+    ]);
+  } catch (error) {
+    // Usually existing duplicates; they must be merged before the index builds
+    logger.error('Error creating user indexes', { error });
+  }
+});
 
 class MongoDBUserService {
   constructor() {
-    this.client = null;
     this.db = null;
-    this.isConnected = false;
+    this.sessionService = new MongoDBSessionService();
+    this.walletService = new MongoDBWalletService();
+    this.goalService = new MongoDBGoalService();
+    this.challengeService = new MongoDBChallengeService();
+    this.accountTokenService = new MongoDBAccountTokenService();
+    this.loginAttemptService = new MongoDBLoginAttemptService();
+    this.apiKeyService = new MongoDBApiKeyService();
+    this.auditService = new MongoDBAuditService();
+    this.mailService = new MailService();
   }
 
-  async connect() {
-    try {
-      // TODO: Replace with actual MongoDB URI when Atlas is set up
-      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/evarra';
-      
-      // SSL/TLS configuration for MongoDB Atlas compatibility
-      const options = {
-        ssl: true,
-        tls: true,
-        tlsAllowInvalidCertificates: false,
-        tlsAllowInvalidHostnames: false,
-        tlsInsecure: false,
-        // Additional SSL options for production
-        ...(process.env.NODE_ENV === 'production' && {
-          sslValidate: true,
-          checkServerIdentity: () => undefined, // Skip hostname verification for Atlas
-        }),
-      };
-      
-      this.client = new MongoClient(mongoUri, options);
-      
-      await this.client.connect();
-      this.db = this.client.db(process.env.MONGODB_DATABASE || 'evarra');
-      this.isConnected = true;
-      
-      console.log('MongoDB connected successfully');
-    } catch (error) {
-      console.error('MongoDB connection failed:', error);
-      throw error;
-    }
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
   }
 
-  async disconnect() {
-    if (this.client) {
-      await this.client.close();
-      this.isConnected = false;
-      console.log('MongoDB disconnected');
+  // Report which of username/email are already used by another account
+  async findDuplicateFields({ username, email }, excludeUserId = null) {
+    const collection = this.db.collection('users');
+    const exclude = excludeUserId ? { _id: { $ne: new ObjectId(excludeUserId) } } : {};
+    const errors = [];
+    
+    if (username && await collection.findOne({ username, ...exclude }, { collation: CASE_INSENSITIVE })) {
+      errors.push({ field: 'username', message: DUPLICATE_FIELD_MESSAGES.username });
+    }
+    if (email && await collection.findOne({ email, ...exclude }, { collation: CASE_INSENSITIVE })) {
+      errors.push({ field: 'email', message: DUPLICATE_FIELD_MESSAGES.email });
     }
+    
+    return errors;
   }
 
-  // Helper method to ensure connection
-  async ensureConnection() {
-    if (!this.isConnected) {
-      await this.connect();
-    }
+  // A unique index violation means another request claimed the value between
+  // our duplicate check and the write
+  toDuplicateError(error) {
+    if (error.code !== 11000) return error;
+    
+    const field = Object.keys(error.keyPattern || {})[0];
+    return duplicateError([{ field, message: DUPLICATE_FIELD_MESSAGES[field] || 'Value is already in use' }]);
+  }
+
+  // Map a user document to the API shape, without the password hash
+  formatUser(user) {
+    const preferences = migratePreferences(user);
+    
+    return {
+      id: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      emailVerified: user.email_verified || false,
+      role: user.role || DEFAULT_ROLE,
+      tier: user.tier,
+      unlocks: user.unlocks,
+      entitlements: getEntitlements(user.tier, user.unlocks),
+      theme: preferences.theme,
+      skillLevel: preferences.skillLevel,
+      advancedAccountMenu: preferences.advancedAccountMenu,
+      preferences,
+      twoFactorEnabled: user.two_factor?.enabled || false,
+      disabled: user.disabled || false,
+      deletionScheduledFor: user.deletion_scheduled_for ? user.deletion_scheduled_for.toISOString() : null,
+      createdAt: user.created_at.toISOString(),
+      updatedAt: user.updated_at.toISOString()
+    };
   }
 
   // Password hashing
   async hashPassword(password) {
-    const saltRounds = 10;
-    return await bcrypt.hash(password, saltRounds);
+    return await bcrypt.hash(password, config.auth.bcryptCost);
   }
 
   async comparePassword(password, hashedPassword) {
@@ -67,22 +164,25 @@ class MongoDBUserService {
   }
 
   // Core user operations
-  async createUser(userData) {
+  async createUser(userData, context = {}) {
     await this.ensureConnection();
     
     try {
       const collection = this.db.collection('users');
       
-      // Check if user already exists
-      const existingUser = await collection.findOne({
-        $or: [
-          { email: userData.email },
-          { username: userData.username }
-        ]
-      });
+      const errors = validateRegistration(userData);
+      if (errors.length > 0) {
+        throw new ValidationError('Validation failed', errors);
+      }
       
-      if (existingUser) {
-        throw new Error('User with this email or username already exists');
+      // Usernames keep their case for display; emails are stored lowercase
+      const username = userData.username.trim();
+      const email = normalizeEmail(userData.email);
+      
+      // Check if user already exists
+      const duplicateErrors = await this.findDuplicateFields({ username, email });
+      if (duplicateErrors.length > 0) {
+        throw duplicateError(duplicateErrors);
       }
       
       // Hash the password
@@ -90,38 +190,46 @@ class MongoDBUserService {
       
       const now = new Date();
       const newUser = {
-        username: userData.username,
-        email: userData.email,
+        username,
+        email,
+        email_verified: false,
         password_hash: hashedPassword,
-        tier: userData.tier || 'free',
-        unlocks: userData.unlocks || [],
-        theme: userData.theme || 'light',
-        skill_level: userData.skillLevel || 'beginner',
-        advanced_account_menu: userData.advancedAccountMenu || false,
+        // Every account starts on the default tier without unlocks, whatever
+        // the registration data says; only setUserTier and addUserUnlock change them
+        role: DEFAULT_ROLE,
+        tier: DEFAULT_TIER,
+        unlocks: [],
+        preferences: defaultPreferences(),
+        disabled: false,
         created_at: now,
         updated_at: now
       };
       
-      const result = await collection.insertOne(newUser);
+      const result = await collection.insertOne(newUser).catch((error) => {
+        throw this.toDuplicateError(error);
+      });
       
       // Return user without password hash
-      const createdUser = {
-        id: result.insertedId.toString(),
-        username: newUser.username,
-        email: newUser.email,
-        tier: newUser.tier,
-        unlocks: newUser.unlocks,
-        theme: newUser.theme,
-        skillLevel: newUser.skill_level,
-        advancedAccountMenu: newUser.advanced_account_menu,
-        createdAt: newUser.created_at.toISOString(),
-        updatedAt: newUser.updated_at.toISOString()
-      };
+      const createdUser = this.formatUser({ _id: result.insertedId, ...newUser });
+      
+      logger.info('User created successfully', { username: createdUser.username, email: createdUser.email });
+      
+      await this.auditService.record('account.registered', {
+        userId: createdUser.id,
+        context: { ...context, actorId: createdUser.id },
+        details: { method: 'password' }
+      });
+      
+      // Ask the new user to confirm their email; a mail failure should not fail registration
+      try {
+        await this.sendEmailVerification(createdUser.id);
+      } catch (error) {
+        logger.error('Error sending verification email after registration', { error });
+      }
       
-      console.log('User created successfully:', { username: createdUser.username, email: createdUser.email });
       return createdUser;
     } catch (error) {
-      console.error('Error creating user:', error);
+      logger.error('Error creating user', { error });
       throw error;
     }
   }
@@ -136,20 +244,9 @@ class MongoDBUserService {
       if (!user) return null;
       
       // Return user without password hash
-      return {
-        id: user._id.toString(),
-        username: user.username,
-        email: user.email,
-        tier: user.tier,
-        unlocks: user.unlocks,
-        theme: user.theme,
-        skillLevel: user.skill_level,
-        advancedAccountMenu: user.advanced_account_menu,
-        createdAt: user.created_at.toISOString(),
-        updatedAt: user.updated_at.toISOString()
-      };
+      return this.formatUser(user);
     } catch (error) {
-      console.error('Error getting user by ID:', error);
+      logger.error('Error getting user by ID', { error });
       return null;
     }
   }
@@ -159,24 +256,13 @@ class MongoDBUserService {
     
     try {
       const collection = this.db.collection('users');
-      const user = await collection.findOne({ email });
+      const user = await collection.findOne({ email }, { collation: CASE_INSENSITIVE });
       
       if (!user) return null;
       
-      return {
-        id: user._id.toString(),
-        username: user.username,
-        email: user.email,
-        tier: user.tier,
-        unlocks: user.unlocks,
-        theme: user.theme,
-        skillLevel: user.skill_level,
-        advancedAccountMenu: user.advanced_account_menu,
-        createdAt: user.created_at.toISOString(),
-        updatedAt: user.updated_at.toISOString()
-      };
+      return this.formatUser(user);
     } catch (error) {
-      console.error('Error getting user by email:', error);
+      logger.error('Error getting user by email', { error });
       return null;
     }
   }
@@ -186,47 +272,82 @@ class MongoDBUserService {
     
     try {
       const collection = this.db.collection('users');
-      const user = await collection.findOne({ username });
+      const user = await collection.findOne({ username }, { collation: CASE_INSENSITIVE });
       
       if (!user) return null;
       
-      return {
-        id: user._id.toString(),
-        username: user.username,
-        email: user.email,
-        tier: user.tier,
-        unlocks: user.unlocks,
-        theme: user.theme,
-        skillLevel: user.skill_level,
-        advancedAccountMenu: user.advanced_account_menu,
-        createdAt: user.created_at.toISOString(),
-        updatedAt: user.updated_at.toISOString()
-      };
+      return this.formatUser(user);
     } catch (error) {
-      console.error('Error getting user by username:', error);
+      logger.error('Error getting user by username', { error });
       return null;
     }
   }
 
-  async updateUser(userId, updates) {
+  async updateUser(userId, updates, context = {}) {
     await this.ensureConnection();
     
     try {
       const collection = this.db.collection('users');
       
+      const existingUser = await collection.findOne({ _id: new ObjectId(userId) });
+      if (!existingUser) {
+        throw new NotFoundError('User not found');
+      }
+      
+      // Preferences sent on the profile are checked like any other preference
+      const preferencePatch = {};
+      for (const key of PROFILE_PREFERENCE_KEYS) {
+        if (updates[key] !== undefined) preferencePatch[key] = updates[key];
+      }
+      const hasPreferences = Object.keys(preferencePatch).length > 0;
+      
+      // Apply the registration policy to any credential being changed
+      const fieldErrors = [
+        ...validateAccountUpdate(updates),
+        ...(hasPreferences ? validatePreferences(preferencePatch) : [])
+      ];
+      if (fieldErrors.length > 0) {
+        throw new ValidationError('Validation failed', fieldErrors);
+      }
+      
+      const username = updates.username !== undefined ? updates.username.trim() : undefined;
+      const email = updates.email !== undefined ? normalizeEmail(updates.email) : undefined;
+      const isEmailChange = !!email && email !== existingUser.email;
+      
+      // Changing credentials requires the current password (wallet-only
+      // accounts have none yet, so they can set one directly)
+      if ((updates.password || isEmailChange) && existingUser.password_hash) {
+        if (!updates.currentPassword) {
+          throw new ValidationError('Current password is required to change password or email');
+        }
+        
+        const isPasswordValid = await this.comparePassword(updates.currentPassword, existingUser.password_hash);
+        if (!isPasswordValid) {
+          throw new ValidationError('Current password is incorrect');
+        }
+      }
+      
       // Prepare update data
       const updateData = {
         updated_at: new Date()
       };
       
+      const duplicateErrors = await this.findDuplicateFields({ username, email: isEmailChange ? email : undefined }, userId);
+      if (duplicateErrors.length > 0) {
+        throw duplicateError(duplicateErrors);
+      }
+      
       // Map frontend field names to database field names
-      if (updates.username) updateData.username = updates.username;
-      if (updates.email) updateData.email = updates.email;
-      if (updates.tier) updateData.tier = updates.tier;
-      if (updates.unlocks) updateData.unlocks = updates.unlocks;
-      if (updates.theme) updateData.theme = updates.theme;
-      if (updates.skillLevel) updateData.skill_level = updates.skillLevel;
-      if (updates.advancedAccountMenu !== undefined) updateData.advanced_account_menu = updates.advancedAccountMenu;
+      if (username) updateData.username = username;
+      if (isEmailChange) {
+        updateData.email = email;
+        updateData.email_verified = false;
+      }
+      
+      const previousPreferences = migratePreferences(existingUser);
+      if (hasPreferences) {
+        updateData.preferences = mergePreferences(previousPreferences, preferencePatch);
+      }
       
       // Hash password if provided
       if (updates.password) {
@@ -235,41 +356,232 @@ class MongoDBUserService {
       
       const result = await collection.updateOne(
         { _id: new ObjectId(userId) },
-        { $set: updateData }
-      );
+        {
+          $set: updateData,
+          ...(hasPreferences && { $unset: LEGACY_PREFERENCE_FIELDS })
+        }
+      ).catch((error) => {
+        throw this.toDuplicateError(error);
+      });
       
       if (result.matchedCount === 0) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found');
+      }
+      
+      const changes = {
+        ...MongoDBAuditService.diffFields(existingUser, { ...existingUser, ...updateData }, AUDITED_USER_FIELDS),
+        ...(hasPreferences && this.diffPreferences(previousPreferences, updateData.preferences))
+      };
+      if (Object.keys(changes).length > 0) {
+        await this.auditService.record('account.updated', { userId, context, changes });
+      }
+      if (updates.password) {
+        await this.auditService.record('account.password_changed', { userId, context });
+      }
+      
+      // A new email address has to be confirmed again
+      if (isEmailChange) {
+        await this.sendEmailVerification(userId);
       }
       
       // Return updated user
       return await this.getUserById(userId);
     } catch (error) {
-      console.error('Error updating user:', error);
+      logger.error('Error updating user', { error });
+      throw error;
+    }
+  }
+
+  // Remove a user and everything that belongs to them. Admin action records
+  // and audit events are kept, since they are the trail of what happened to
+  // the account.
+  async deleteUser(userId, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      if (!ObjectId.isValid(userId)) {
+        throw new ValidationError('Invalid user ID format');
+      }
+      
+      const userObjectId = new ObjectId(userId);
+      const user = await this.db.collection('users').findOne({ _id: userObjectId });
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      
+      // Wallets store the owner as a string; their cache entries hang off the wallet IDs
+      const wallets = await this.db.collection('wallets').find({ userId }, { projection: { _id: 1 } }).toArray();
+      const walletIds = wallets.map(wallet => wallet._id);
+      
+      const deletions = {
+        walletDataCache: () => this.db.collection('wallet_data_cache').deleteMany({ wallet_id: { $in: walletIds } }),
+        wallets: () => this.db.collection('wallets').deleteMany({ userId }),
+        goalProgress: () => this.db.collection('goal_progress').deleteMany({ user_id: userObjectId }),
+        goals: () => this.db.collection('goals').deleteMany({ user_id: userObjectId }),
+        sessions: () => this.db.collection('sessions').deleteMany({ user_id: userObjectId }),
+        authChallenges: () => this.db.collection('auth_challenges').deleteMany({ user_id: userObjectId }),
+        accountTokens: () => this.db.collection('account_tokens').deleteMany({ user_id: userObjectId }),
+        apiKeys: () => this.db.collection('api_keys').deleteMany({ user_id: userObjectId }),
+        loginAttempts: () => this.db.collection('login_attempts').deleteOne({ _id: this.loginAttemptService.accountKey(userId) })
+      };
+      
+      const deleted = {};
+      for (const [name, deletion] of Object.entries(deletions)) {
+        deleted[name] = (await deletion()).deletedCount;
+      }
+      
+      // The user document goes last, so a failure above can be retried
+      await this.db.collection('users').deleteOne({ _id: userObjectId });
+      deleted.users = 1;
+      
+      logger.info('User deleted successfully', { userId, deleted });
+      
+      await this.auditService.record('account.deleted', {
+        userId,
+        context,
+        details: { username: user.username, deleted }
+      });
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting user', { error });
       throw error;
     }
   }
 
-  async deleteUser(userId) {
+  // Schedule the account for deletion after a grace period. The user can keep
+  // signing in and cancel until then.
+  async requestAccountDeletion(userId, { currentPassword } = {}, context = {}) {
     await this.ensureConnection();
     
     try {
       const collection = this.db.collection('users');
-      const result = await collection.deleteOne({ _id: new ObjectId(userId) });
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
       
-      if (result.deletedCount === 0) {
-        throw new Error('User not found');
+      // Wallet-only accounts have no password; their session is the proof
+      if (user.password_hash) {
+        if (!currentPassword) {
+          throw new ValidationError('Current password is required to delete the account');
+        }
+        
+        const isPasswordValid = await this.comparePassword(currentPassword, user.password_hash);
+        if (!isPasswordValid) {
+          throw new ValidationError('Current password is incorrect');
+        }
       }
       
-      console.log('User deleted successfully:', { userId });
+      if (user.deletion_scheduled_for) {
+        return this.formatUser(user);
+      }
+      
+      const now = new Date();
+      const updatedUser = await collection.findOneAndUpdate(
+        { _id: user._id },
+        {
+          $set: {
+            deletion_requested_at: now,
+            deletion_scheduled_for: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_MS),
+            updated_at: now
+          }
+        },
+        { returnDocument: 'after' }
+      );
+      
+      logger.info('Account deletion scheduled', { userId, scheduledFor: updatedUser.deletion_scheduled_for });
+      
+      await this.auditService.record('account.deletion_requested', {
+        userId,
+        context,
+        details: { scheduledFor: updatedUser.deletion_scheduled_for }
+      });
+      return this.formatUser(updatedUser);
     } catch (error) {
-      console.error('Error deleting user:', error);
+      logger.error('Error requesting account deletion', { error });
       throw error;
     }
   }
 
+  async cancelAccountDeletion(userId, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const updatedUser = await collection.findOneAndUpdate(
+        { _id: new ObjectId(userId) },
+        {
+          $set: { updated_at: new Date() },
+          $unset: { deletion_requested_at: '', deletion_scheduled_for: '' }
+        },
+        { returnDocument: 'after' }
+      );
+      
+      if (!updatedUser) {
+        throw new NotFoundError('User not found');
+      }
+      
+      logger.info('Account deletion cancelled', { userId });
+      
+      await this.auditService.record('account.deletion_cancelled', { userId, context });
+      return this.formatUser(updatedUser);
+    } catch (error) {
+      logger.error('Error cancelling account deletion', { error });
+      throw error;
+    }
+  }
+
+  // Delete every account whose grace period has ended. Runs on a timer from
+  // index.js; one failed account does not stop the rest.
+  async purgeScheduledDeletions() {
+    await this.ensureConnection();
+    
+    const dueUsers = await this.db.collection('users')
+      .find({ deletion_scheduled_for: { $lte: new Date() } }, { projection: { _id: 1 } })
+      .toArray();
+    
+    let purged = 0;
+    for (const user of dueUsers) {
+      try {
+        // Recorded without an actor, since no one is signed in for this
+        await this.deleteUser(user._id.toString());
+        purged++;
+      } catch (error) {
+        logger.error('Error purging scheduled account deletion', { userId: user._id.toString(), error });
+      }
+    }
+    
+    if (dueUsers.length > 0) {
+      logger.info('Scheduled account deletions purged', { purged, due: dueUsers.length });
+    }
+    return { purged };
+  }
+
+  // Everything the user has stored with us, as one JSON document
+  async exportUserData(userId) {
+    const profile = await this.getUserById(userId);
+    if (!profile) {
+      throw new NotFoundError('User not found');
+    }
+    
+    const [wallets, goals, goalProgress] = await Promise.all([
+      this.walletService.getUserWallets(userId),
+      this.goalService.getUserGoals(userId),
+      this.goalService.getUserProgressHistory(userId)
+    ]);
+    
+    return {
+      exportedAt: new Date().toISOString(),
+      profile,
+      wallets,
+      goals,
+      goalProgress
+    };
+  }
+
+
   // Authentication operations
-  async authenticateUser(identifier, password) {
+  async authenticateUser(identifier, password, context = {}) {
     await this.ensureConnection();
     
     try {
@@ -281,51 +593,673 @@ class MongoDBUserService {
           { email: identifier },
           { username: identifier }
         ]
-      });
+      }, { collation: CASE_INSENSITIVE });
       
-      if (!user) {
-        throw new Error('Invalid username/email or password');
-      }
+      // Failures are counted per account, whichever identifier was used, and
+      // per unknown identifier so missing accounts behave the same way
+      const attempt = { accountId: user ? user._id.toString() : identifier, ip: context.ip || null };
+      await this.loginAttemptService.assertAllowed(attempt);
       
-      // Verify password
-      const isPasswordValid = await this.comparePassword(password, user.password_hash);
+      // Wallet-only accounts have no password to check
+      const isPasswordValid = !!user && !!user.password_hash &&
+        await this.comparePassword(password, user.password_hash);
       
       if (!isPasswordValid) {
-        throw new Error('Invalid username/email or password');
+        await this.loginAttemptService.recordFailure(attempt);
+        await this.auditService.record('auth.login_failed', {
+          userId: user ? user._id.toString() : null,
+          context,
+          details: { identifier, reason: 'invalid_password' }
+        });
+        throw new AuthError('Invalid username/email or password');
       }
       
-      console.log('User authenticated successfully:', { username: user.username, email: user.email });
+      // With two-factor enabled the counter is only cleared once the second
+      // factor passes, so knowing the password does not reset code guessing
+      if (!user.two_factor?.enabled) {
+        await this.loginAttemptService.recordSuccess(attempt);
+      }
+      
+      // Only reveal the account is disabled once the password is known
+      if (user.disabled) {
+        await this.auditService.record('auth.login_failed', {
+          userId: user._id.toString(),
+          context,
+          details: { identifier, reason: 'account_disabled' }
+        });
+        throw new AuthError('Account is disabled', { code: 'ACCOUNT_DISABLED' });
+      }
+      
+      logger.info('User authenticated successfully', { username: user.username, email: user.email });
+      
+      return await this.completeSignIn(user, { method: 'password', context });
+    } catch (error) {
+      logger.error('Authentication error', { error });
+      throw error;
+    }
+  }
+
+  // Finish a first-factor sign-in. Users without two-factor authentication get
+  // session tokens straight away; enrolled users get a short-lived challenge
+  // token to exchange, together with a code, at completeTwoFactorLogin.
+  async completeSignIn(user, { method, context = {} } = {}) {
+    const userId = user._id.toString();
+    
+    if (user.two_factor?.enabled) {
+      await this.auditService.record('auth.two_factor_challenged', {
+        userId,
+        context: { ...context, actorId: userId },
+        details: { method }
+      });
+      logger.info('Two-factor authentication required', { userId: user._id.toString() });
+      return {
+        twoFactorRequired: true,
+        ...this.sessionService.signTwoFactorChallenge(user._id.toString())
+      };
+    }
+    
+    // Return user without password hash
+    const authenticatedUser = this.formatUser(user);
+    
+    // Issue an access token and a rotating refresh token for this login
+    const tokens = await this.sessionService.createSession(authenticatedUser, context);
+    
+    await this.auditService.record('auth.login_succeeded', {
+      userId,
+      context: { ...context, actorId: userId },
+      details: { method }
+    });
+    
+    return { user: authenticatedUser, tokens };
+  }
+
+  // Two-factor authentication operations
+  async enrollTwoFactor(userId) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      
+      if (!user) throw new NotFoundError('User not found');
+      if (user.two_factor?.enabled) throw new ConflictError('Two-factor authentication is already enabled');
+      
+      // The secret only takes effect once a code from it is confirmed
+      const secret = generateSecret();
+      await collection.updateOne(
+        { _id: user._id },
+        { $set: { 'two_factor.pending_secret': secret, updated_at: new Date() } }
+      );
       
-      // Return user without password hash
       return {
-        id: user._id.toString(),
-        username: user.username,
-        email: user.email,
-        tier: user.tier,
-        unlocks: user.unlocks,
-        theme: user.theme,
-        skillLevel: user.skill_level,
-        advancedAccountMenu: user.advanced_account_menu,
-        createdAt: user.created_at.toISOString(),
-        updatedAt: user.updated_at.toISOString()
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email || user.username)
       };
     } catch (error) {
-      console.error('Authentication error:', error);
+      logger.error('Error enrolling two-factor authentication', { error });
       throw error;
     }
   }
 
-  // User management operations
-  async setUserTier(userId, tier) {
-    return await this.updateUser(userId, { tier });
+  async confirmTwoFactor(userId, code, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      
+      if (!user) throw new NotFoundError('User not found');
+      if (user.two_factor?.enabled) throw new ConflictError('Two-factor authentication is already enabled');
+      if (!user.two_factor?.pending_secret) throw new ConflictError('Start two-factor enrolment first');
+      
+      const step = verifyTotp(user.two_factor.pending_secret, code);
+      if (step === null) {
+        throw new ValidationError('Invalid two-factor code');
+      }
+      
+      const recoveryCodes = this.generateRecoveryCodes();
+      const now = new Date();
+      
+      await collection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            two_factor: {
+              enabled: true,
+              secret: user.two_factor.pending_secret,
+              pending_secret: null,
+              recovery_code_hashes: recoveryCodes.map(hashRecoveryCode),
+              last_used_step: step,
+              enabled_at: now
+            },
+            updated_at: now
+          }
+        }
+      );
+      
+      logger.info('Two-factor authentication enabled', { userId });
+      await this.auditService.record('two_factor.enabled', { userId, context });
+      
+      // Recovery codes are only ever shown here
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('Error confirming two-factor authentication', { error });
+      throw error;
+    }
   }
 
-  async addUserUnlock(userId, featureId) {
+  async disableTwoFactor(userId, { code, recoveryCode }, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      
+      if (!user) throw new NotFoundError('User not found');
+      if (!user.two_factor?.enabled) throw new ConflictError('Two-factor authentication is not enabled');
+      
+      const isVerified = await this.verifySecondFactor(user, { code, recoveryCode });
+      if (!isVerified) {
+        throw new ValidationError('Invalid two-factor code');
+      }
+      
+      await collection.updateOne(
+        { _id: user._id },
+        { $unset: { two_factor: '' }, $set: { updated_at: new Date() } }
+      );
+      
+      logger.info('Two-factor authentication disabled', { userId });
+      await this.auditService.record('two_factor.disabled', {
+        userId,
+        context,
+        details: { factor: recoveryCode ? 'recovery_code' : 'totp' }
+      });
+    } catch (error) {
+      logger.error('Error disabling two-factor authentication', { error });
+      throw error;
+    }
+  }
+
+  async regenerateRecoveryCodes(userId, code, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      
+      if (!user) throw new NotFoundError('User not found');
+      if (!user.two_factor?.enabled) throw new ConflictError('Two-factor authentication is not enabled');
+      
+      const isVerified = await this.verifySecondFactor(user, { code });
+      if (!isVerified) {
+        throw new ValidationError('Invalid two-factor code');
+      }
+      
+      const recoveryCodes = this.generateRecoveryCodes();
+      await collection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'two_factor.recovery_code_hashes': recoveryCodes.map(hashRecoveryCode),
+            updated_at: new Date()
+          }
+        }
+      );
+      
+      await this.auditService.record('two_factor.recovery_codes_regenerated', { userId, context });
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('Error regenerating recovery codes', { error });
+      throw error;
+    }
+  }
+
+  // Second step of a two-factor login
+  async completeTwoFactorLogin(challengeToken, { code, recoveryCode }, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const userId = this.sessionService.verifyTwoFactorChallenge(challengeToken);
+      
+      // Wrong codes count towards the same lockout as wrong passwords
+      const attempt = { accountId: userId, ip: context.ip || null };
+      await this.loginAttemptService.assertAllowed(attempt);
+      
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      
+      if (!user || !user.two_factor?.enabled) {
+        throw new AuthError('Two-factor challenge expired or invalid');
+      }
+      
+      if (user.disabled) {
+        throw new AuthError('Account is disabled', { code: 'ACCOUNT_DISABLED' });
+      }
+      
+      const factor = recoveryCode ? 'recovery_code' : 'totp';
+      const isVerified = await this.verifySecondFactor(user, { code, recoveryCode });
+      if (!isVerified) {
+        await this.loginAttemptService.recordFailure(attempt);
+        await this.auditService.record('auth.login_failed', {
+          userId,
+          context,
+          details: { reason: 'invalid_second_factor', factor }
+        });
+        throw new AuthError('Invalid two-factor code');
+      }
+      
+      await this.loginAttemptService.recordSuccess(attempt);
+      
+      const authenticatedUser = this.formatUser(user);
+      const tokens = await this.sessionService.createSession(authenticatedUser, context);
+      
+      await this.auditService.record('auth.login_succeeded', {
+        userId,
+        context: { ...context, actorId: userId },
+        details: { method: 'two_factor', factor }
+      });
+      
+      logger.info('User completed two-factor login', { userId });
+      return { user: authenticatedUser, tokens };
+    } catch (error) {
+      logger.error('Two-factor login error', { error });
+      throw error;
+    }
+  }
+
+  // Check a TOTP code or a recovery code. Each TOTP time step and each
+  // recovery code can only be used once; the conditional updates make that
+  // hold even for concurrent requests.
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    const collection = this.db.collection('users');
+    
+    if (recoveryCode) {
+      const result = await collection.updateOne(
+        { _id: user._id, 'two_factor.recovery_code_hashes': hashRecoveryCode(recoveryCode) },
+        { $pull: { 'two_factor.recovery_code_hashes': hashRecoveryCode(recoveryCode) } }
+      );
+      return result.modifiedCount === 1;
+    }
+    
+    const step = verifyTotp(user.two_factor.secret, code);
+    if (step === null) return false;
+    
+    const result = await collection.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'two_factor.last_used_step': { $lt: step } },
+          { 'two_factor.last_used_step': null }
+        ]
+      },
+      { $set: { 'two_factor.last_used_step': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  // Email verification operations
+  async sendEmailVerification(userId) {
     const user = await this.getUserById(userId);
-    if (!user) throw new Error('User not found');
+    if (!user) throw new NotFoundError('User not found');
+    if (!user.email) throw new ConflictError('No email address on this account');
+    if (user.emailVerified) throw new ConflictError('Email is already verified');
+    
+    // Only the most recent link should work
+    await this.accountTokenService.revokeUserTokens(userId, 'email_verification');
+    
+    const token = await this.accountTokenService.createToken({
+      userId,
+      purpose: 'email_verification',
+      ttlMs: EMAIL_VERIFICATION_TTL_MS,
+      data: { email: user.email }
+    });
+    
+    await this.mailService.sendEmailVerification(user.email, token);
+  }
+
+  async verifyEmail(token, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const accountToken = await this.accountTokenService.consumeToken({ purpose: 'email_verification', token });
+      if (!accountToken) {
+        throw new ValidationError('Verification link is invalid or has expired');
+      }
+      
+      // Only verify the address the link was sent to, in case it changed since
+      const collection = this.db.collection('users');
+      const result = await collection.updateOne(
+        { _id: accountToken.user_id, email: accountToken.data.email },
+        { $set: { email_verified: true, updated_at: new Date() } }
+      );
+      
+      if (result.matchedCount === 0) {
+        throw new ValidationError('Verification link is invalid or has expired');
+      }
+      
+      logger.info('Email verified successfully', { userId: accountToken.user_id.toString() });
+      await this.auditService.record('account.email_verified', {
+        userId: accountToken.user_id.toString(),
+        context,
+        details: { email: accountToken.data.email }
+      });
+      return await this.getUserById(accountToken.user_id.toString());
+    } catch (error) {
+      logger.error('Error verifying email', { error });
+      throw error;
+    }
+  }
+
+  // Password reset operations
+  async requestPasswordReset(email, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ email }, { collation: CASE_INSENSITIVE });
+      
+      // Callers always get the same answer, so this cannot be used to find accounts
+      if (!user || user.disabled) {
+        logger.info('Password reset requested for unknown or disabled account');
+        return;
+      }
+      
+      const userId = user._id.toString();
+      await this.accountTokenService.revokeUserTokens(userId, 'password_reset');
+      
+      const token = await this.accountTokenService.createToken({
+        userId,
+        purpose: 'password_reset',
+        ttlMs: PASSWORD_RESET_TTL_MS
+      });
+      
+      await this.mailService.sendPasswordReset(user.email, token);
+      logger.info('Password reset email sent', { userId });
+      await this.auditService.record('account.password_reset_requested', { userId, context });
+    } catch (error) {
+      logger.error('Error requesting password reset', { error });
+      throw error;
+    }
+  }
+
+  async resetPassword(token, newPassword, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      // Check the new password first so a rejected one does not use up the link
+      const fieldErrors = validateAccountUpdate({ password: newPassword });
+      if (fieldErrors.length > 0) {
+        throw new ValidationError('Validation failed', fieldErrors);
+      }
+      
+      const accountToken = await this.accountTokenService.consumeToken({ purpose: 'password_reset', token });
+      if (!accountToken) {
+        throw new ValidationError('Reset link is invalid or has expired');
+      }
+      
+      const collection = this.db.collection('users');
+      const userId = accountToken.user_id.toString();
+      
+      // Completing a reset also proves control of the email address
+      await collection.updateOne(
+        { _id: accountToken.user_id },
+        {
+          $set: {
+            password_hash: await this.hashPassword(newPassword),
+            email_verified: true,
+            updated_at: new Date()
+          }
+        }
+      );
+      
+      // Sign out everywhere, in case the old password was compromised, and
+      // drop any API keys created with it
+      await this.sessionService.revokeAllUserSessions(userId);
+      await this.apiKeyService.revokeAllUserKeys(userId);
+      
+      logger.info('Password reset successfully', { userId });
+      await this.auditService.record('account.password_reset', { userId, context: { ...context, actorId: userId } });
+    } catch (error) {
+      logger.error('Error resetting password', { error });
+      throw error;
+    }
+  }
+
+  // Sui wallet sign-in operations
+  async createSuiSignInChallenge(address) {
+    const normalizedAddress = normalizeAddress(address);
+    if (!normalizedAddress) {
+      throw new ValidationError('Invalid SUI address format');
+    }
+    
+    return await this.challengeService.createChallenge({
+      purpose: 'sui_sign_in',
+      address: normalizedAddress,
+      chain: 'sui',
+      statement: 'Evarra wants you to sign in with your Sui account:'
+    });
+  }
+
+  // Sign in with a signed challenge. When linkUserId is given (the caller is
+  // already signed in) the address is linked to that account; otherwise the
+  // account that verified the address is used, or a new one is created.
+  async authenticateWithSuiWallet({ address, nonce, signature, linkUserId = null }, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const normalizedAddress = normalizeAddress(address);
+      if (!normalizedAddress) {
+        throw new ValidationError('Invalid SUI address format');
+      }
+      
+      const challenge = await this.challengeService.consumeChallenge({
+        purpose: 'sui_sign_in',
+        address: normalizedAddress,
+        nonce
+      });
+      
+      if (!challenge) {
+        throw new AuthError('Sign-in challenge expired or not found');
+      }
+      
+      const isSignatureValid = await verifySuiPersonalMessage(challenge.message, signature, normalizedAddress);
+      if (!isSignatureValid) {
+        throw new AuthError('Invalid wallet signature');
+      }
+      
+      const collection = this.db.collection('users');
+      const existingWallet = await this.walletService.findVerifiedWallet(normalizedAddress, 'sui');
+      
+      let user;
+      if (linkUserId) {
+        if (existingWallet && existingWallet.userId !== linkUserId) {
+          throw new ConflictError('This wallet is already linked to another account');
+        }
+        user = await collection.findOne({ _id: new ObjectId(linkUserId) });
+      } else if (existingWallet) {
+        user = await collection.findOne({ _id: new ObjectId(existingWallet.userId) });
+      } else {
+        user = await this.createWalletUser(normalizedAddress, context);
+      }
+      
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      
+      if (user.disabled) {
+        throw new AuthError('Account is disabled', { code: 'ACCOUNT_DISABLED' });
+      }
+      
+      // The signing address is now a verified wallet on the account
+      await this.walletService.upsertVerifiedWallet({
+        userId: user._id.toString(),
+        address: normalizedAddress,
+        chain: 'sui',
+        label: 'Sui Wallet'
+      }, { ...context, actorId: user._id.toString() });
+      
+      logger.info('User authenticated with Sui wallet', { userId: user._id.toString(), address: normalizedAddress });
+      
+      return await this.completeSignIn(user, { method: 'sui_wallet', context });
+    } catch (error) {
+      logger.error('Sui wallet authentication error', { error });
+      throw error;
+    }
+  }
+
+  // Create a passwordless account for a first-time wallet sign-in
+  async createWalletUser(address, context = {}) {
+    const collection = this.db.collection('users');
+    
+    // Derive a readable username from the address, adding a suffix on collision
+    const baseUsername = `sui_${address.slice(2, 10)}`;
+    let username = baseUsername;
+    for (let attempt = 1; await collection.findOne({ username }, { collation: CASE_INSENSITIVE }); attempt++) {
+      username = `${baseUsername}_${attempt}`;
+    }
+    
+    const now = new Date();
+    const newUser = {
+      username,
+      email: null,
+      password_hash: null,
+      role: DEFAULT_ROLE,
+      tier: DEFAULT_TIER,
+      unlocks: [],
+      preferences: defaultPreferences(),
+      disabled: false,
+      created_at: now,
+      updated_at: now
+    };
+    
+    const result = await collection.insertOne(newUser);
+    
+    logger.info('Wallet user created successfully', { username, address });
+    await this.auditService.record('account.registered', {
+      userId: result.insertedId.toString(),
+      context: { ...context, actorId: result.insertedId.toString() },
+      details: { method: 'sui_wallet', address }
+    });
+    return { _id: result.insertedId, ...newUser };
+  }
+
+  // Session operations
+  async refreshUserSession(refreshToken, context = {}) {
+    return await this.sessionService.refreshSession(refreshToken, context);
+  }
+  
+  // Where the user is signed in, with the session making the request marked current
+  async getUserSessions(userId, currentSessionId = null) {
+    return await this.sessionService.getUserSessions(userId, currentSessionId);
+  }
+  
+  async revokeUserSession(userId, sessionId, context = {}) {
+    await this.sessionService.revokeUserSession(userId, sessionId);
+    await this.auditService.record('auth.session_revoked', {
+      userId,
+      context,
+      target: { type: 'session', id: sessionId }
+    });
+  }
+  
+  async revokeOtherUserSessions(userId, currentSessionId, context = {}) {
+    const result = await this.sessionService.revokeOtherUserSessions(userId, currentSessionId);
+    await this.auditService.record('auth.sessions_revoked', {
+      userId,
+      context,
+      details: { ...result, keptSessionId: currentSessionId }
+    });
+    return result;
+  }
+
+  async logoutUser(sessionId, context = {}) {
+    await this.sessionService.revokeSession(sessionId);
+    await this.auditService.record('auth.logout', {
+      userId: context.actorId,
+      context,
+      target: { type: 'session', id: sessionId }
+    });
+  }
+
+  async revokeAllUserSessions(userId, context = {}) {
+    const result = await this.sessionService.revokeAllUserSessions(userId);
+    await this.auditService.record('auth.sessions_revoked', { userId, context, details: result });
+    return result;
+  }
+
+  // User management operations
+  async setUserTier(userId, tier, context = {}) {
+    if (!isValidTier(tier)) {
+      throw new ValidationError(`Invalid tier: ${tier}`);
+    }
+    await this.ensureConnection();
+    
+    // Only this method and addUserUnlock write a user's tier and unlocks;
+    // updateUser does not take them
+    const before = await this.db.collection('users').findOneAndUpdate(
+      { _id: new ObjectId(userId) },
+      { $set: { tier, updated_at: new Date() } },
+      { returnDocument: 'before' }
+    );
+    
+    if (!before) {
+      throw new NotFoundError('User not found');
+    }
+    
+    if (before.tier !== tier) {
+      await this.auditService.record('account.tier_changed', {
+        userId,
+        context,
+        changes: { tier: { from: before.tier, to: tier } }
+      });
+    }
     
-    const updatedUnlocks = [...user.unlocks, featureId];
-    return await this.updateUser(userId, { unlocks: updatedUnlocks });
+    return await this.getUserById(userId);
+  }
+
+  async addUserUnlock(userId, featureId, context = {}) {
+    await this.ensureConnection();
+    
+    if (!isValidUnlock(featureId)) {
+      throw new ValidationError(`Invalid unlock: ${featureId}`);
+    }
+    
+    // $addToSet keeps each unlock at most once
+    const before = await this.db.collection('users').findOneAndUpdate(
+      { _id: new ObjectId(userId) },
+      { $addToSet: { unlocks: featureId }, $set: { updated_at: new Date() } },
+      { returnDocument: 'before' }
+    );
+    
+    if (!before) {
+      throw new NotFoundError('User not found');
+    }
+    
+    const unlocks = before.unlocks || [];
+    if (!unlocks.includes(featureId)) {
+      await this.auditService.record('account.unlock_added', {
+        userId,
+        context,
+        changes: { unlocks: { from: unlocks, to: [...unlocks, featureId] } }
+      });
+    }
+    
+    return await this.getUserById(userId);
+  }
+
+  // Limits and features for a user; anonymous callers get the default tier's
+  async getUserEntitlements(userId) {
+    if (!userId) return getEntitlements(DEFAULT_TIER);
+    
+    const user = await this.getUserById(userId);
+    return user ? user.entitlements : getEntitlements(DEFAULT_TIER);
   }
 
   async getUserUnlocks(userId) {
@@ -333,21 +1267,233 @@ class MongoDBUserService {
     return user?.unlocks || [];
   }
 
-  async setUserTheme(userId, theme) {
-    return await this.updateUser(userId, { theme });
+  // Preference operations
+  
+  // Audit diff of two complete preference documents, keyed preferences.<name>
+  diffPreferences(before, after) {
+    const changes = MongoDBAuditService.diffFields(before, after);
+    return Object.fromEntries(
+      Object.entries(changes).map(([key, change]) => [`preferences.${key}`, change])
+    );
+  }
+  
+  // The user's preferences with defaults filled in. Documents stored at an
+  // older version are migrated and written back on first read.
+  async getUserPreferences(userId) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      if (!user) throw new NotFoundError('User not found');
+      
+      const preferences = migratePreferences(user);
+      
+      if (needsMigration(user)) {
+        await collection.updateOne(
+          { _id: user._id },
+          { $set: { preferences }, $unset: LEGACY_PREFERENCE_FIELDS }
+        );
+        logger.info('User preferences migrated', { userId, version: preferences.version });
+      }
+      
+      return preferences;
+    } catch (error) {
+      logger.error('Error getting user preferences', { error });
+      throw error;
+    }
+  }
+  
+  // Change some preferences; keys that are not in the patch keep their value
+  async updateUserPreferences(userId, patch, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const fieldErrors = validatePreferences(patch);
+      if (fieldErrors.length > 0) {
+        throw new ValidationError('Validation failed', fieldErrors);
+      }
+      
+      const collection = this.db.collection('users');
+      const user = await collection.findOne({ _id: new ObjectId(userId) });
+      if (!user) throw new NotFoundError('User not found');
+      
+      const previousPreferences = migratePreferences(user);
+      const preferences = mergePreferences(previousPreferences, patch);
+      
+      await collection.updateOne(
+        { _id: user._id },
+        { $set: { preferences, updated_at: new Date() }, $unset: LEGACY_PREFERENCE_FIELDS }
+      );
+      
+      const changes = this.diffPreferences(previousPreferences, preferences);
+      if (Object.keys(changes).length > 0) {
+        await this.auditService.record('account.preferences_updated', { userId, context, changes });
+      }
+      
+      return preferences;
+    } catch (error) {
+      logger.error('Error updating user preferences', { error });
+      throw error;
+    }
+  }
+
+  async setUserTheme(userId, theme, context = {}) {
+    return await this.updateUserPreferences(userId, { theme }, context);
+  }
+
+  async setUserSkillLevel(userId, skillLevel, context = {}) {
+    return await this.updateUserPreferences(userId, { skillLevel }, context);
+  }
+
+  async toggleAdvancedAccountMenu(userId, context = {}) {
+    const preferences = await this.getUserPreferences(userId);
+    
+    return await this.updateUserPreferences(userId, {
+      advancedAccountMenu: !preferences.advancedAccountMenu
+    }, context);
+  }
+
+  // Admin operations
+  async searchUsers(query, { limit = 50, skip = 0 } = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      
+      // Match username or email case-insensitively, treating the query as literal text
+      const filter = {};
+      if (query) {
+        const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [
+          { username: pattern },
+          { email: pattern }
+        ];
+      }
+      
+      const [users, total] = await Promise.all([
+        collection.find(filter).sort({ created_at: -1 }).skip(skip).limit(limit).toArray(),
+        collection.countDocuments(filter)
+      ]);
+      
+      return {
+        users: users.map(user => this.formatUser(user)),
+        total
+      };
+    } catch (error) {
+      logger.error('Error searching users', { error });
+      throw error;
+    }
+  }
+
+  async setUserRole(userId, role, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      if (!isValidRole(role)) {
+        throw new ValidationError('Invalid role');
+      }
+      
+      const collection = this.db.collection('users');
+      const before = await collection.findOneAndUpdate(
+        { _id: new ObjectId(userId) },
+        { $set: { role, updated_at: new Date() } },
+        { returnDocument: 'before' }
+      );
+      
+      if (!before) {
+        throw new NotFoundError('User not found');
+      }
+      
+      await this.auditService.record('account.role_changed', {
+        userId,
+        context,
+        changes: MongoDBAuditService.diffFields(before, { role }, ['role'])
+      });
+      
+      // Access tokens carry the role, so force a fresh login with the new one
+      await this.sessionService.revokeAllUserSessions(userId);
+      
+      return await this.getUserById(userId);
+    } catch (error) {
+      logger.error('Error setting user role', { error });
+      throw error;
+    }
+  }
+
+  async setUserDisabled(userId, disabled, reason = null, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('users');
+      const now = new Date();
+      const result = await collection.updateOne(
+        { _id: new ObjectId(userId) },
+        {
+          $set: {
+            disabled,
+            disabled_at: disabled ? now : null,
+            disabled_reason: disabled ? reason : null,
+            updated_at: now
+          }
+        }
+      );
+      
+      if (result.matchedCount === 0) {
+        throw new NotFoundError('User not found');
+      }
+      
+      // Sign a disabled account out everywhere straight away
+      if (disabled) {
+        await this.sessionService.revokeAllUserSessions(userId);
+      }
+      
+      logger.info(disabled ? 'User disabled successfully' : 'User enabled successfully', { userId });
+      await this.auditService.record(disabled ? 'account.disabled' : 'account.enabled', {
+        userId,
+        context,
+        details: disabled ? { reason } : {}
+      });
+      return await this.getUserById(userId);
+    } catch (error) {
+      logger.error('Error setting user disabled state', { error });
+      throw error;
+    }
+  }
+
+  // Sign-in lockout state for support staff
+  async getUserLockStatus(userId) {
+    const user = await this.getUserById(userId);
+    if (!user) throw new NotFoundError('User not found');
+    
+    return await this.loginAttemptService.getAccountStatus(userId);
   }
 
-  async setUserSkillLevel(userId, skillLevel) {
-    return await this.updateUser(userId, { skillLevel });
+  // Clears the account's lockout, and the given IP's when one is passed
+  async unlockUser(userId, { ip = null } = {}, context = {}) {
+    const user = await this.getUserById(userId);
+    if (!user) throw new NotFoundError('User not found');
+    
+    const result = await this.loginAttemptService.unlock({ accountId: userId, ip });
+    await this.auditService.record('auth.lockout_cleared', { userId, context, details: { ip } });
+    return result;
   }
 
-  async toggleAdvancedAccountMenu(userId) {
+  async impersonateUser(userId, impersonator, context = {}) {
     const user = await this.getUserById(userId);
-    if (!user) throw new Error('User not found');
+    if (!user) throw new NotFoundError('User not found');
+    if (user.disabled) throw new ConflictError('Account is disabled', { code: 'ACCOUNT_DISABLED' });
+    // Staff accounts are never impersonated, so support cannot act as an admin
+    if (user.role !== DEFAULT_ROLE) throw new ForbiddenError('Staff accounts cannot be impersonated');
     
-    return await this.updateUser(userId, { 
-      advancedAccountMenu: !user.advancedAccountMenu 
-    });
+    const tokens = await this.sessionService.createImpersonationSession(user, impersonator, context);
+    await this.auditService.record('account.impersonation_started', { userId, context });
+    return { user, tokens };
+  }
+
+  // Recent security events on the user's own account, newest first
+  async getSecurityActivity(userId, { limit = 50, skip = 0 } = {}) {
+    return await this.auditService.getEvents({ userId, limit, skip });
   }
 
   // Utility operations
@@ -358,34 +1504,24 @@ class MongoDBUserService {
       const collection = this.db.collection('users');
       const users = await collection.find({}).toArray();
       
-      return users.map(user => ({
-        id: user._id.toString(),
-        username: user.username,
-        email: user.email,
-        tier: user.tier,
-        unlocks: user.unlocks,
-        theme: user.theme,
-        skillLevel: user.skill_level,
-        advancedAccountMenu: user.advanced_account_menu,
-        createdAt: user.created_at.toISOString(),
-        updatedAt: user.updated_at.toISOString()
-      }));
+      return users.map(user => this.formatUser(user));
     } catch (error) {
-      console.error('Error getting all users:', error);
+      logger.error('Error getting all users', { error });
       return [];
     }
   }
 
+  // Check an authenticated caller against the session store: the session must
+  // be active and belong to them, and the account must still be enabled.
+  // Store failures are thrown rather than treated as a signed-out caller.
   async validateUserSession(user) {
-    if (!user || !user.id) return false;
-    
-    try {
-      const dbUser = await this.getUserById(user.id);
-      return dbUser !== null;
-    } catch (error) {
-      console.error('Error validating user session:', error);
-      return false;
-    }
+    if (!user || !user.id || !user.sessionId) return false;
+
+    const isActive = await this.sessionService.isSessionActive(user.sessionId, user.id);
+    if (!isActive) return false;
+
+    const dbUser = await this.getUserById(user.id);
+    return dbUser !== null && !dbUser.disabled;
   }
 }
 
@@ -1,57 +1,42 @@
-const { MongoClient } = require('mongodb');
 const { ObjectId } = require('mongodb');
+const { getDb } = require('./database');
+const MongoDBChallengeService = require('./challengeService');
+const MongoDBAuditService = require('./auditService');
+const { getVerifier } = require('../utils/walletVerifiers');
+const { getEntitlements, isWithinLimit, upgradeRequiredError } = require('../utils/entitlements');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errorHandler');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('walletService');
+
+// Wallet fields whose before/after values go into the audit log
+const AUDITED_WALLET_FIELDS = ['label', 'address', 'chain', 'verificationStatus'];
 
 class MongoDBWalletService {
   constructor() {
-    this.client = null;
     this.db = null;
-    this.isConnected = false;
+    this.challengeService = new MongoDBChallengeService();
+    this.auditService = new MongoDBAuditService();
   }
 
-  async connect() {
-    try {
-      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/evarra';
-      
-      // SSL/TLS configuration for MongoDB Atlas compatibility
-      const options = {
-        ssl: true,
-        tls: true,
-        tlsAllowInvalidCertificates: false,
-        tlsAllowInvalidHostnames: false,
-        tlsInsecure: false,
-        // Additional SSL options for production
-        ...(process.env.NODE_ENV === 'production' && {
-          sslValidate: true,
-          checkServerIdentity: () => undefined, // Skip hostname verification for Atlas
-        }),
-      };
-      
-      this.client = new MongoClient(mongoUri, options);
-      
-      await this.client.connect();
-      this.db = this.client.db(process.env.MONGODB_DATABASE || 'evarra');
-      this.isConnected = true;
-      
-      console.log('MongoDB connected successfully for wallets service');
-    } catch (error) {
-      console.error('MongoDB connection failed for wallets service:', error);
-      throw error;
-    }
-  }
-
-  async disconnect() {
-    if (this.client) {
-      await this.client.close();
-      this.isConnected = false;
-      console.log('MongoDB disconnected for wallets service');
-    }
+  // Every service shares the connection pool from database.js
+  async ensureConnection() {
+    this.db = await getDb();
   }
 
-  // Helper method to ensure connection
-  async ensureConnection() {
-    if (!this.isConnected) {
-      await this.connect();
-    }
+  // Map a wallet document to the API shape matching the frontend
+  formatWallet(wallet) {
+    return {
+      id: wallet._id.toString(),
+      userId: wallet.userId,
+      address: wallet.address,
+      label: wallet.label,
+      chain: wallet.chain,
+      verificationStatus: wallet.verificationStatus || 'watch_only',
+      verifiedAt: wallet.verifiedAt ? wallet.verifiedAt.toISOString() : null,
+      createdAt: wallet.createdAt.toISOString(),
+      updatedAt: wallet.updatedAt.toISOString()
+    };
   }
 
   // Validate wallet data
@@ -117,14 +102,25 @@ class MongoDBWalletService {
   }
 
   // Core wallet operations
-  async createWallet(walletData) {
+  // Sui wallets are included in every tier; other chains need multi-chain access
+  checkChainEntitlement(entitlements, chain) {
+    if (chain.toLowerCase().trim() !== 'sui' && !entitlements.multiChain) {
+      throw upgradeRequiredError(
+        'Tracking wallets on chains other than Sui requires multi-chain access',
+        'multiChain',
+        false
+      );
+    }
+  }
+
+  async createWallet(walletData, context = {}) {
     await this.ensureConnection();
     
     try {
       // Validate wallet data
       const validationErrors = this.validateWalletData(walletData);
       if (validationErrors.length > 0) {
-        throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+        throw new ValidationError(`Validation failed: ${validationErrors.join(', ')}`);
       }
 
       const collection = this.db.collection('wallets');
@@ -133,7 +129,20 @@ class MongoDBWalletService {
       const userCollection = this.db.collection('users');
       const user = await userCollection.findOne({ _id: new ObjectId(walletData.user_id) });
       if (!user) {
-        throw new Error('User not found');
+        throw new NotFoundError('User not found');
+      }
+
+      // Check the user's tier and unlocks allow another wallet on this chain
+      const entitlements = getEntitlements(user.tier, user.unlocks);
+      this.checkChainEntitlement(entitlements, walletData.chain);
+
+      const walletCount = await collection.countDocuments({ userId: walletData.user_id });
+      if (!isWithinLimit(entitlements.maxWallets, walletCount)) {
+        throw upgradeRequiredError(
+          `Your plan allows up to ${entitlements.maxWallets} wallets`,
+          'maxWallets',
+          entitlements.maxWallets
+        );
       }
 
       // Check if wallet already exists for this user
@@ -144,7 +153,7 @@ class MongoDBWalletService {
       });
 
       if (existingWallet) {
-        throw new Error('Wallet with this address and chain already exists for this user');
+        throw new ConflictError('Wallet with this address and chain already exists for this user');
       }
 
       const now = new Date();
@@ -153,6 +162,8 @@ class MongoDBWalletService {
         address: walletData.address.toLowerCase().trim(),
         label: walletData.label.trim(),
         chain: walletData.chain.toLowerCase().trim(),
+        verificationStatus: 'watch_only',
+        verifiedAt: null,
         createdAt: now,
         updatedAt: now
       };
@@ -160,26 +171,25 @@ class MongoDBWalletService {
       const result = await collection.insertOne(newWallet);
       
       // Return wallet with proper format matching frontend
-      const createdWallet = {
-        id: result.insertedId.toString(),
-        userId: newWallet.userId,
-        address: newWallet.address,
-        label: newWallet.label,
-        chain: newWallet.chain,
-        createdAt: newWallet.createdAt.toISOString(),
-        updatedAt: newWallet.updatedAt.toISOString()
-      };
+      const createdWallet = this.formatWallet({ _id: result.insertedId, ...newWallet });
       
-      console.log('Wallet created successfully:', { 
+      logger.info('Wallet created successfully', {
         walletId: createdWallet.id, 
         label: createdWallet.label,
         address: createdWallet.address,
         chain: createdWallet.chain,
         userId: createdWallet.user_id 
       });
+      
+      await this.auditService.record('wallet.created', {
+        userId: newWallet.userId,
+        context,
+        target: { type: 'wallet', id: createdWallet.id },
+        changes: MongoDBAuditService.diffFields({}, newWallet, AUDITED_WALLET_FIELDS)
+      });
       return createdWallet;
     } catch (error) {
-      console.error('Error creating wallet:', error);
+      logger.error('Error creating wallet', { error });
       throw error;
     }
   }
@@ -189,7 +199,7 @@ class MongoDBWalletService {
     
     try {
       if (!ObjectId.isValid(walletId)) {
-        throw new Error('Invalid wallet ID format');
+        throw new ValidationError('Invalid wallet ID format');
       }
 
       const collection = this.db.collection('wallets');
@@ -198,17 +208,9 @@ class MongoDBWalletService {
       if (!wallet) return null;
       
       // Return wallet with proper format
-      return {
-        id: wallet._id.toString(),
-        userId: wallet.userId,
-        address: wallet.address,
-        label: wallet.label,
-        chain: wallet.chain,
-        createdAt: wallet.createdAt.toISOString(),
-        updatedAt: wallet.updatedAt.toISOString()
-      };
+      return this.formatWallet(wallet);
     } catch (error) {
-      console.error('Error getting wallet by ID:', error);
+      logger.error('Error getting wallet by ID', { error });
       throw error;
     }
   }
@@ -218,34 +220,26 @@ class MongoDBWalletService {
     
     try {
       if (!ObjectId.isValid(userId)) {
-        throw new Error('Invalid user ID format');
+        throw new ValidationError('Invalid user ID format');
       }
 
       const collection = this.db.collection('wallets');
       const wallets = await collection.find({ userId: userId }).toArray();
       
       // Return wallets with proper format matching frontend
-      return wallets.map(wallet => ({
-        id: wallet._id.toString(),
-        userId: wallet.userId,
-        address: wallet.address,
-        label: wallet.label,
-        chain: wallet.chain,
-        createdAt: wallet.createdAt.toISOString(),
-        updatedAt: wallet.updatedAt.toISOString()
-      }));
+      return wallets.map(wallet => this.formatWallet(wallet));
     } catch (error) {
-      console.error('Error getting user wallets:', error);
+      logger.error('Error getting user wallets', { error });
       throw error;
     }
   }
 
-  async updateWallet(walletId, updates) {
+  async updateWallet(walletId, updates, context = {}) {
     await this.ensureConnection();
     
     try {
       if (!ObjectId.isValid(walletId)) {
-        throw new Error('Invalid wallet ID format');
+        throw new ValidationError('Invalid wallet ID format');
       }
 
       const collection = this.db.collection('wallets');
@@ -253,31 +247,31 @@ class MongoDBWalletService {
       // Get existing wallet
       const existingWallet = await collection.findOne({ _id: new ObjectId(walletId) });
       if (!existingWallet) {
-        throw new Error('Wallet not found');
+        throw new NotFoundError('Wallet not found');
       }
 
       // Prepare update data
       const updateData = {
-        updated_at: new Date()
+        updatedAt: new Date()
       };
 
       // Update fields if provided
       if (updates.label !== undefined) {
         updateData.label = updates.label.trim();
         if (updateData.label.length === 0) {
-          throw new Error('Wallet label cannot be empty');
+          throw new ValidationError('Wallet label cannot be empty');
         }
       }
 
       if (updates.address !== undefined) {
         updateData.address = updates.address.toLowerCase().trim();
         if (updateData.address.length === 0) {
-          throw new Error('Wallet address cannot be empty');
+          throw new ValidationError('Wallet address cannot be empty');
         }
         // Validate new address format
         const addressError = this.validateAddressByChain(updateData.address, existingWallet.chain);
         if (addressError) {
-          throw new Error(addressError);
+          throw new ValidationError(addressError);
         }
       }
 
@@ -285,13 +279,16 @@ class MongoDBWalletService {
         updateData.chain = updates.chain.toLowerCase().trim();
         const supportedChains = ['ethereum', 'bitcoin', 'solana', 'sui', 'aptos', 'polygon', 'arbitrum', 'optimism', 'base'];
         if (!supportedChains.includes(updateData.chain)) {
-          throw new Error(`Unsupported chain. Supported chains: ${supportedChains.join(', ')}`);
+          throw new ValidationError(`Unsupported chain. Supported chains: ${supportedChains.join(', ')}`);
         }
         // Validate address format for new chain
         const addressError = this.validateAddressByChain(existingWallet.address, updateData.chain);
         if (addressError) {
-          throw new Error(addressError);
+          throw new ValidationError(addressError);
         }
+
+        const user = await this.db.collection('users').findOne({ _id: new ObjectId(existingWallet.userId) });
+        this.checkChainEntitlement(getEntitlements(user?.tier, user?.unlocks), updateData.chain);
       }
 
       // Check for duplicate wallet if address or chain changed
@@ -300,15 +297,19 @@ class MongoDBWalletService {
         const newChain = updates.chain ? updates.chain.toLowerCase() : existingWallet.chain;
         
         const duplicateWallet = await collection.findOne({
-          user_id: existingWallet.user_id,
+          userId: existingWallet.userId,
           address: newAddress,
           chain: newChain,
           _id: { $ne: new ObjectId(walletId) }
         });
 
         if (duplicateWallet) {
-          throw new Error('Wallet with this address and chain already exists for this user');
+          throw new ConflictError('Wallet with this address and chain already exists for this user');
         }
+
+        // Proof of ownership applies to the old address, so it has to be redone
+        updateData.verificationStatus = 'watch_only';
+        updateData.verifiedAt = null;
       }
 
       const result = await collection.updateOne(
@@ -317,29 +318,39 @@ class MongoDBWalletService {
       );
 
       if (result.matchedCount === 0) {
-        throw new Error('Wallet not found');
+        throw new NotFoundError('Wallet not found');
       }
 
       // Return updated wallet
       const updatedWallet = await this.getWalletById(walletId);
       
-      console.log('Wallet updated successfully:', { 
+      logger.info('Wallet updated successfully', {
         walletId, 
         updates: Object.keys(updates)
       });
+      
+      const changes = MongoDBAuditService.diffFields(existingWallet, { ...existingWallet, ...updateData }, AUDITED_WALLET_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        await this.auditService.record('wallet.updated', {
+          userId: existingWallet.userId,
+          context,
+          target: { type: 'wallet', id: walletId },
+          changes
+        });
+      }
       return updatedWallet;
     } catch (error) {
-      console.error('Error updating wallet:', error);
+      logger.error('Error updating wallet', { error });
       throw error;
     }
   }
 
-  async deleteWallet(walletId) {
+  async deleteWallet(walletId, context = {}) {
     await this.ensureConnection();
     
     try {
       if (!ObjectId.isValid(walletId)) {
-        throw new Error('Invalid wallet ID format');
+        throw new ValidationError('Invalid wallet ID format');
       }
 
       const collection = this.db.collection('wallets');
@@ -347,28 +358,173 @@ class MongoDBWalletService {
       // Get wallet before deletion for logging
       const wallet = await collection.findOne({ _id: new ObjectId(walletId) });
       if (!wallet) {
-        throw new Error('Wallet not found');
+        throw new NotFoundError('Wallet not found');
       }
 
       const result = await collection.deleteOne({ _id: new ObjectId(walletId) });
 
       if (result.deletedCount === 0) {
-        throw new Error('Wallet not found');
+        throw new NotFoundError('Wallet not found');
       }
 
-      console.log('Wallet deleted successfully:', { 
+      logger.info('Wallet deleted successfully', {
         walletId, 
         label: wallet.label,
         address: wallet.address,
         chain: wallet.chain
       });
       
+      await this.auditService.record('wallet.deleted', {
+        userId: wallet.userId,
+        context,
+        target: { type: 'wallet', id: walletId },
+        changes: MongoDBAuditService.diffFields(wallet, {}, AUDITED_WALLET_FIELDS)
+      });
+      
       return {
         id: walletId,
         message: 'Wallet deleted successfully'
       };
     } catch (error) {
-      console.error('Error deleting wallet:', error);
+      logger.error('Error deleting wallet', { error });
+      throw error;
+    }
+  }
+
+  // Proof-of-ownership operations
+  async createVerificationChallenge(walletId) {
+    await this.ensureConnection();
+    
+    try {
+      const wallet = await this.getWalletById(walletId);
+      if (!wallet) {
+        throw new NotFoundError('Wallet not found');
+      }
+      
+      if (!getVerifier(wallet.chain)) {
+        throw new ValidationError(`Ownership verification is not supported for ${wallet.chain} wallets yet`);
+      }
+      
+      return await this.challengeService.createChallenge({
+        purpose: 'wallet_verification',
+        address: wallet.address,
+        chain: wallet.chain,
+        userId: wallet.userId,
+        statement: `Evarra wants you to prove you own this ${wallet.chain} address:`
+      });
+    } catch (error) {
+      logger.error('Error creating wallet verification challenge', { error });
+      throw error;
+    }
+  }
+
+  async verifyWallet(walletId, { nonce, signature }, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const wallet = await this.getWalletById(walletId);
+      if (!wallet) {
+        throw new NotFoundError('Wallet not found');
+      }
+      
+      const verifier = getVerifier(wallet.chain);
+      if (!verifier) {
+        throw new ValidationError(`Ownership verification is not supported for ${wallet.chain} wallets yet`);
+      }
+      
+      const challenge = await this.challengeService.consumeChallenge({
+        purpose: 'wallet_verification',
+        address: wallet.address,
+        nonce,
+        userId: wallet.userId
+      });
+      
+      if (!challenge) {
+        throw new ValidationError('Verification challenge expired or not found');
+      }
+      
+      const isSignatureValid = await verifier.verify({
+        message: challenge.message,
+        signature,
+        address: wallet.address
+      });
+      
+      if (!isSignatureValid) {
+        throw new ValidationError('Invalid wallet signature');
+      }
+      
+      // An address can only be proven by one account
+      const verifiedElsewhere = await this.findVerifiedWallet(wallet.address, wallet.chain);
+      if (verifiedElsewhere && verifiedElsewhere.userId !== wallet.userId) {
+        throw new ConflictError('This wallet is already verified by another account');
+      }
+      
+      return await this.upsertVerifiedWallet(wallet, context);
+    } catch (error) {
+      logger.error('Error verifying wallet', { error });
+      throw error;
+    }
+  }
+
+  // Find the user who has proven control of an address on a chain, if any
+  async findVerifiedWallet(address, chain) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('wallets');
+      const wallet = await collection.findOne({
+        address: address.toLowerCase(),
+        chain: chain.toLowerCase(),
+        verificationStatus: 'verified'
+      });
+      
+      return wallet ? this.formatWallet(wallet) : null;
+    } catch (error) {
+      logger.error('Error finding verified wallet', { error });
+      throw error;
+    }
+  }
+
+  // Add a wallet the user has just proven control of, or mark their existing
+  // watch-only entry for the same address as verified
+  async upsertVerifiedWallet({ userId, address, chain, label }, context = {}) {
+    await this.ensureConnection();
+    
+    try {
+      const collection = this.db.collection('wallets');
+      const now = new Date();
+      
+      const wallet = await collection.findOneAndUpdate(
+        {
+          userId,
+          address: address.toLowerCase(),
+          chain: chain.toLowerCase()
+        },
+        {
+          $set: {
+            verificationStatus: 'verified',
+            verifiedAt: now,
+            updatedAt: now
+          },
+          $setOnInsert: {
+            label: label || `${chain.toUpperCase()} Wallet`,
+            createdAt: now
+          }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+      
+      logger.info('Verified wallet saved', { walletId: wallet._id.toString(), userId, chain });
+      
+      await this.auditService.record('wallet.verified', {
+        userId,
+        context,
+        target: { type: 'wallet', id: wallet._id.toString() },
+        details: { address: wallet.address, chain: wallet.chain }
+      });
+      return this.formatWallet(wallet);
+    } catch (error) {
+      logger.error('Error saving verified wallet', { error });
       throw error;
     }
   }
@@ -381,17 +537,9 @@ class MongoDBWalletService {
       const wallets = await collection.find({}).toArray();
       
       // Return wallets with proper format matching frontend
-      return wallets.map(wallet => ({
-        id: wallet._id.toString(),
-        userId: wallet.userId,
-        address: wallet.address,
-        label: wallet.label,
-        chain: wallet.chain,
-        createdAt: wallet.createdAt.toISOString(),
-        updatedAt: wallet.updatedAt.toISOString()
-      }));
+      return wallets.map(wallet => this.formatWallet(wallet));
     } catch (error) {
-      console.error('Error getting all wallets:', error);
+      logger.error('Error getting all wallets', { error });
       throw error;
     }
   }
@@ -401,13 +549,13 @@ class MongoDBWalletService {
     
     try {
       if (!ObjectId.isValid(userId)) {
-        throw new Error('Invalid user ID format');
+        throw new ValidationError('Invalid user ID format');
       }
 
       const collection = this.db.collection('wallets');
       
       // Debug the query parameters
-      console.log('🔍 Debug getWalletByAddress:', {
+      logger.debug('Looking up wallet by address', {
         userId,
         address: address.toLowerCase(),
         chain: chain.toLowerCase()
@@ -419,22 +567,14 @@ class MongoDBWalletService {
         chain: chain.toLowerCase()
       });
       
-      console.log('🔍 Debug wallet found:', wallet ? 'YES' : 'NO');
+      logger.debug('Wallet lookup by address finished', { found: Boolean(wallet) });
       
       if (!wallet) return null;
       
       // Return wallet with proper format matching frontend
-      return {
-        id: wallet._id.toString(),
-        userId: wallet.userId,
-        address: wallet.address,
-        label: wallet.label,
-        chain: wallet.chain,
-        createdAt: wallet.createdAt.toISOString(),
-        updatedAt: wallet.updatedAt.toISOString()
-      };
+      return this.formatWallet(wallet);
     } catch (error) {
-      console.error('Error getting wallet by address:', error);
+      logger.error('Error getting wallet by address', { error });
       throw error;
     }
   }
@@ -444,7 +584,7 @@ class MongoDBWalletService {
     
     try {
       if (!ObjectId.isValid(userId)) {
-        throw new Error('Invalid user ID format');
+        throw new ValidationError('Invalid user ID format');
       }
 
       const collection = this.db.collection('wallets');
@@ -454,17 +594,9 @@ class MongoDBWalletService {
       }).toArray();
       
       // Return wallets with proper format matching frontend
-      return wallets.map(wallet => ({
-        id: wallet._id.toString(),
-        userId: wallet.userId,
-        address: wallet.address,
-        label: wallet.label,
-        chain: wallet.chain,
-        createdAt: wallet.createdAt.toISOString(),
-        updatedAt: wallet.updatedAt.toISOString()
-      }));
+      return wallets.map(wallet => this.formatWallet(wallet));
     } catch (error) {
-      console.error('Error getting wallets by chain:', error);
+      logger.error('Error getting wallets by chain', { error });
       throw error;
     }
   }
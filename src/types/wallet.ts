@@ -71,7 +71,8 @@ export interface CacheStats {
   hitRate: number; // percentage
   missRate: number; // percentage
   lastCleared: Date;
-  chains: Record<string, number>; // entries per chain
+  chains: Record<string, number>; // upstream calls per chain (metrics.chainBreakdown)
+  metrics: ServiceMetrics;
 }
 
 // Error log entry
@@ -0,0 +1,83 @@
+const { ForbiddenError } = require('./errorHandler');
+
+/**
+ * What each tier and unlock entitles a user to.
+ *
+ * Limits are numbers, or null for unlimited. Features are booleans. A user's
+ * entitlements are their tier's, with each of their unlocks applied on top:
+ * numeric grants add to the limit, boolean grants switch the feature on and
+ * null grants remove the limit.
+ *
+ * - maxWallets: wallets a user can track
+ * - maxGoals: goals a user can create
+ * - transactionHistoryDays: how far back Sui transaction history goes
+ * - multiChain: tracking wallets on chains other than Sui
+ */
+const TIERS = {
+  free: { maxWallets: 3, maxGoals: 5, transactionHistoryDays: 30, multiChain: false },
+  plus: { maxWallets: 10, maxGoals: 25, transactionHistoryDays: 365, multiChain: true },
+  pro: { maxWallets: null, maxGoals: null, transactionHistoryDays: null, multiChain: true }
+};
+
+// Tiers from cheapest to most expensive, for suggesting an upgrade
+const TIER_ORDER = ['free', 'plus', 'pro'];
+
+const DEFAULT_TIER = 'free';
+
+const UNLOCKS = {
+  extra_wallets: { maxWallets: 5 },
+  extra_goals: { maxGoals: 10 },
+  full_history: { transactionHistoryDays: null },
+  multi_chain: { multiChain: true }
+};
+
+const isValidTier = (tier) => Object.prototype.hasOwnProperty.call(TIERS, tier);
+
+const isValidUnlock = (unlockId) => Object.prototype.hasOwnProperty.call(UNLOCKS, unlockId);
+
+const applyGrant = (current, grant) => {
+  if (typeof grant === 'boolean') return current || grant;
+  if (current === null || grant === null) return null;
+  return current + grant;
+};
+
+const getEntitlements = (tier, unlocks = []) => {
+  const entitlements = { ...TIERS[isValidTier(tier) ? tier : DEFAULT_TIER] };
+
+  for (const unlockId of new Set(unlocks || [])) {
+    if (!isValidUnlock(unlockId)) continue;
+    for (const [key, grant] of Object.entries(UNLOCKS[unlockId])) {
+      entitlements[key] = applyGrant(entitlements[key], grant);
+    }
+  }
+
+  return entitlements;
+};
+
+// Whether a limit allows one more item when `count` already exist
+const isWithinLimit = (limit, count) => limit === null || count < limit;
+
+// Cheapest tier that allows more than the current limit (or the feature)
+const getRequiredTier = (entitlement, currentLimit) => TIER_ORDER.find(tier => {
+  const value = TIERS[tier][entitlement];
+  if (typeof value === 'boolean') return value;
+  return value === null || (currentLimit !== null && value > currentLimit);
+}) || null;
+
+// Error for actions the user's entitlements do not cover: a 403 with code
+// UPGRADE_REQUIRED and the tier to offer, so the frontend can offer an upgrade
+const upgradeRequiredError = (message, entitlement, limit) => new ForbiddenError(message, {
+  code: 'UPGRADE_REQUIRED',
+  details: { entitlement, limit, requiredTier: getRequiredTier(entitlement, limit) }
+});
+
+module.exports = {
+  TIERS,
+  UNLOCKS,
+  DEFAULT_TIER,
+  isValidTier,
+  isValidUnlock,
+  getEntitlements,
+  isWithinLimit,
+  upgradeRequiredError
+};
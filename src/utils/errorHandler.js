@@ -1,5 +1,10 @@
 "use strict";
 // Centralized Error Handler with Retry Logic and User Feedback
+//
+// Services throw the typed errors below. Anything else (a driver error, an
+// SDK error, a plain Error) goes through classifyError on its way to the
+// client, which turns it into an AppError with a status code and a stable
+// `code`. The Express side lives in src/middleware/errorHandler.js.
 var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
     function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
     return new (P || (P = Promise))(function (resolve, reject) {
@@ -10,24 +15,171 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
     });
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.ErrorHandler = exports.createFormError = exports.createBlockchainError = exports.createApiError = exports.isAuthError = exports.isFormError = exports.isBlockchainError = exports.isApiError = exports.isNetworkError = exports.isRetryableError = exports.classifyError = void 0;
+exports.ErrorHandler = exports.createFormError = exports.createBlockchainError = exports.createApiError = exports.isAuthError = exports.isFormError = exports.isBlockchainError = exports.isApiError = exports.isNetworkError = exports.isRetryableError = exports.classifyError = exports.UpstreamError = exports.RateLimitError = exports.ConflictError = exports.NotFoundError = exports.ForbiddenError = exports.AuthError = exports.ValidationError = exports.AppError = void 0;
 const logger_1 = require("./logger");
-// Error classification
-const classifyError = (error, context) => {
-    if (error instanceof Error) {
-        return {
-            message: error.message,
-            code: 'UNKNOWN_ERROR',
+const mongodb_1 = require("mongodb");
+const client_1 = require("@mysten/sui/client");
+const logger = (0, logger_1.createLogger)('errorHandler');
+class AppError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.code = options.code || 'INTERNAL_ERROR';
+        this.statusCode = options.statusCode || 500;
+        this.details = options.details === undefined ? null : options.details;
+        this.context = options.context;
+        this.isRetryable = options.isRetryable === true;
+        if (options.cause !== undefined)
+            this.cause = options.cause;
+    }
+}
+exports.AppError = AppError;
+// 400: the request itself is wrong. Details list the problems by field.
+class ValidationError extends AppError {
+    constructor(message = 'Validation failed', details = null, options = {}) {
+        super(message, Object.assign({ code: 'VALIDATION_ERROR', statusCode: 400, details }, options));
+    }
+}
+exports.ValidationError = ValidationError;
+// 401: missing or bad credentials
+class AuthError extends AppError {
+    constructor(message = 'Authentication required', options = {}) {
+        super(message, Object.assign({ code: 'AUTH_ERROR', statusCode: 401 }, options));
+    }
+}
+exports.AuthError = AuthError;
+// 403: authenticated, but not allowed
+class ForbiddenError extends AppError {
+    constructor(message = 'Access denied', options = {}) {
+        super(message, Object.assign({ code: 'FORBIDDEN', statusCode: 403 }, options));
+    }
+}
+exports.ForbiddenError = ForbiddenError;
+// 404: the resource does not exist, or is not visible to the caller
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', options = {}) {
+        super(message, Object.assign({ code: 'NOT_FOUND', statusCode: 404 }, options));
+    }
+}
+exports.NotFoundError = NotFoundError;
+// 409: clashes with existing state, e.g. a duplicate
+class ConflictError extends AppError {
+    constructor(message = 'Conflict', options = {}) {
+        super(message, Object.assign({ code: 'CONFLICT', statusCode: 409 }, options));
+    }
+}
+exports.ConflictError = ConflictError;
+// 429 by default. Details carry retryAfter in seconds, sent as Retry-After.
+class RateLimitError extends AppError {
+    constructor(message, retryAfter, options = {}) {
+        super(message, Object.assign({ code: 'RATE_LIMITED', statusCode: 429, details: { retryAfter } }, options));
+    }
+}
+exports.RateLimitError = RateLimitError;
+// 502/503/504: a dependency (MongoDB, the Sui fullnode) failed us
+class UpstreamError extends AppError {
+    constructor(message = 'Upstream service error', options = {}) {
+        super(message, Object.assign({ code: 'UPSTREAM_ERROR', statusCode: 502, isRetryable: true }, options));
+    }
+}
+exports.UpstreamError = UpstreamError;
+// Node's codes for a connection that could not be made or was cut off
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+// Driver errors meaning the database cannot be reached right now
+const MONGO_UNAVAILABLE_ERRORS = [
+    'MongoServerSelectionError',
+    'MongoNetworkError',
+    'MongoNetworkTimeoutError',
+    'MongoNotConnectedError',
+    'MongoTopologyClosedError',
+    'MongoClientClosedError'
+];
+// JSON-RPC codes for requests the fullnode could not parse or rejected as invalid
+const JSON_RPC_INVALID_REQUEST = [-32700, -32600, -32602];
+const isNetworkFailure = (error) => {
+    const cause = error.cause || {};
+    return NETWORK_ERROR_CODES.includes(error.code) ||
+        NETWORK_ERROR_CODES.includes(cause.code) ||
+        (error instanceof TypeError && error.message === 'fetch failed');
+};
+const classifyMongoError = (error, context) => {
+    if (MONGO_UNAVAILABLE_ERRORS.includes(error.name)) {
+        return new UpstreamError('Database is unavailable', {
+            code: 'DATABASE_UNAVAILABLE', statusCode: 503, context, cause: error
+        });
+    }
+    if (error instanceof mongodb_1.MongoServerError && error.code === 11000) {
+        return new ConflictError('A record with these values already exists', {
+            code: 'DUPLICATE_KEY',
+            details: { fields: Object.keys(error.keyPattern || error.keyValue || {}) },
             context,
-            isRetryable: false
-        };
-    }
-    return {
-        message: String(error),
-        code: 'UNKNOWN_ERROR',
-        context,
-        isRetryable: false
-    };
+            cause: error
+        });
+    }
+    return new AppError('Database error', {
+        code: 'DATABASE_ERROR', isRetryable: error.hasErrorLabel('RetryableWriteError'), context, cause: error
+    });
+};
+const classifySuiError = (error, context) => {
+    if (error instanceof client_1.JsonRpcError) {
+        if (JSON_RPC_INVALID_REQUEST.includes(error.code)) {
+            return new ValidationError(error.message, null, { code: 'INVALID_BLOCKCHAIN_REQUEST', context, cause: error });
+        }
+        return new UpstreamError('The Sui network returned an error', { code: 'BLOCKCHAIN_ERROR', context, cause: error });
+    }
+    if (error instanceof client_1.SuiHTTPStatusError) {
+        // Rate limited or overloaded fullnodes are worth retrying later
+        const unavailable = error.status === 429 || error.status >= 500;
+        return new UpstreamError('The Sui network request failed', {
+            code: 'BLOCKCHAIN_ERROR', statusCode: unavailable ? 503 : 502, isRetryable: unavailable, context, cause: error
+        });
+    }
+    return new UpstreamError('The Sui network request failed', { code: 'BLOCKCHAIN_ERROR', context, cause: error });
+};
+/**
+ * Turn anything thrown into an AppError. AppErrors pass through; MongoDB,
+ * Sui SDK, JWT, body parser and network errors get their own codes; anything
+ * else is an INTERNAL_ERROR whose message is not shown to clients.
+ */
+const classifyError = (error, context) => {
+    if (error instanceof AppError) {
+        if (context && !error.context)
+            error.context = context;
+        return error;
+    }
+    if (!(error instanceof Error)) {
+        return new AppError('Internal server error', { context, cause: error });
+    }
+    if (error instanceof mongodb_1.MongoError) {
+        return classifyMongoError(error, context);
+    }
+    if (error instanceof mongodb_1.BSON.BSONError) {
+        return new ValidationError('Invalid ID format', null, { code: 'INVALID_ID', context, cause: error });
+    }
+    if (error instanceof client_1.JsonRpcError || error instanceof client_1.SuiHTTPStatusError || error instanceof client_1.SuiHTTPTransportError) {
+        return classifySuiError(error, context);
+    }
+    if (error.name === 'TokenExpiredError') {
+        return new AuthError('Token expired', { code: 'TOKEN_EXPIRED', context, cause: error });
+    }
+    if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+        return new AuthError('Invalid token', { code: 'INVALID_TOKEN', context, cause: error });
+    }
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        return new UpstreamError('Upstream request timed out', { code: 'UPSTREAM_TIMEOUT', statusCode: 504, context, cause: error });
+    }
+    if (isNetworkFailure(error)) {
+        return new UpstreamError('Upstream service is unreachable', { code: 'NETWORK_ERROR', statusCode: 503, context, cause: error });
+    }
+    // Errors from Express and body-parser carry their own status
+    const httpError = error;
+    if (httpError.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON', null, { code: 'INVALID_JSON', context, cause: error });
+    }
+    if (httpError.status && httpError.status >= 400 && httpError.status < 500 && httpError.expose) {
+        return new AppError(error.message, { code: 'BAD_REQUEST', statusCode: httpError.status, context, cause: error });
+    }
+    return new AppError('Internal server error', { context, cause: error });
 };
 exports.classifyError = classifyError;
 // Error type checks
@@ -36,7 +188,7 @@ const isRetryableError = (error) => {
 };
 exports.isRetryableError = isRetryableError;
 const isNetworkError = (error) => {
-    return error.code === 'NETWORK_ERROR';
+    return error.code === 'NETWORK_ERROR' || error.code === 'UPSTREAM_TIMEOUT';
 };
 exports.isNetworkError = isNetworkError;
 const isApiError = (error) => {
@@ -48,39 +200,26 @@ const isBlockchainError = (error) => {
 };
 exports.isBlockchainError = isBlockchainError;
 const isFormError = (error) => {
-    return error.code === 'FORM_ERROR';
+    return error.code === 'FORM_ERROR' || error instanceof ValidationError;
 };
 exports.isFormError = isFormError;
 const isAuthError = (error) => {
-    return error.code === 'AUTH_ERROR';
+    return error instanceof AuthError || error.code === 'AUTH_ERROR';
 };
 exports.isAuthError = isAuthError;
 // Error creation helpers
-const createApiError = (message, statusCode = 500) => ({
-    message,
-    code: 'API_ERROR',
-    statusCode,
-    isRetryable: statusCode >= 500
-});
+const createApiError = (message, statusCode = 500) => new AppError(message, { code: 'API_ERROR', statusCode, isRetryable: statusCode >= 500 });
 exports.createApiError = createApiError;
-const createBlockchainError = (message, isRetryable = false) => ({
-    message,
-    code: 'BLOCKCHAIN_ERROR',
-    isRetryable
-});
+const createBlockchainError = (message, isRetryable = false) => new UpstreamError(message, { code: 'BLOCKCHAIN_ERROR', isRetryable });
 exports.createBlockchainError = createBlockchainError;
-const createFormError = (message, field) => ({
-    message,
-    code: 'FORM_ERROR',
-    context: field
-});
+const createFormError = (message, field) => new ValidationError(message, field ? [{ field, message }] : null, { code: 'FORM_ERROR', context: field });
 exports.createFormError = createFormError;
 class ErrorHandler {
     /**
      * Execute a function with retry logic and error handling
      */
-    static withRetry(fn, options = {}) {
-        return __awaiter(this, void 0, void 0, function* () {
+    static withRetry(fn_1) {
+        return __awaiter(this, arguments, void 0, function* (fn, options = {}) {
             const { retry = {}, logError = true, context = 'unknown' } = options;
             const retryConfig = Object.assign(Object.assign({}, this.defaultRetryOptions), retry);
             let lastError = null;
@@ -93,7 +232,7 @@ class ErrorHandler {
                     lastError = (0, exports.classifyError)(error, context);
                     if (attempt < retryConfig.maxRetries && retryConfig.retryCondition(lastError, attempt)) {
                         const delay = retryConfig.retryDelay * Math.pow(retryConfig.backoffMultiplier, attempt - 1);
-                        logger_1.logger.warn('Retrying operation', {
+                        logger.warn('Retrying operation', {
                             attempt,
                             maxAttempts: retryConfig.maxRetries,
                             delay,
@@ -121,7 +260,7 @@ class ErrorHandler {
     static handleApiError(error, context) {
         const appError = (0, exports.classifyError)(error, context);
         if ((0, exports.isApiError)(appError)) {
-            logger_1.logger.error('API Error', {
+            logger.error('API Error', {
                 status: appError.statusCode,
                 message: appError.message,
                 context
@@ -135,7 +274,7 @@ class ErrorHandler {
     static handleFormError(error, context, field) {
         const appError = (0, exports.classifyError)(error, context);
         if ((0, exports.isFormError)(appError)) {
-            logger_1.logger.warn('Form Error', {
+            logger.warn('Form Error', {
                 field: field || appError.context,
                 message: appError.message,
                 context
@@ -149,7 +288,7 @@ class ErrorHandler {
     static handleBlockchainError(error, context, chain, address) {
         const appError = (0, exports.classifyError)(error, context);
         if ((0, exports.isBlockchainError)(appError)) {
-            logger_1.logger.error('Blockchain Error', {
+            logger.error('Blockchain Error', {
                 chain,
                 address,
                 message: appError.message,
@@ -165,7 +304,7 @@ class ErrorHandler {
     static handleNetworkError(error, context) {
         const appError = (0, exports.classifyError)(error, context);
         if ((0, exports.isNetworkError)(appError)) {
-            logger_1.logger.error('Network Error', {
+            logger.error('Network Error', {
                 message: appError.message,
                 context
             });
@@ -178,7 +317,7 @@ class ErrorHandler {
     static handleAuthError(error, context) {
         const appError = (0, exports.classifyError)(error, context);
         if ((0, exports.isAuthError)(appError)) {
-            logger_1.logger.error('Auth Error', {
+            logger.error('Auth Error', {
                 message: appError.message,
                 context
             });
@@ -191,7 +330,7 @@ class ErrorHandler {
     static handleError(error, options = {}) {
         const { logError = true } = options;
         if (logError) {
-            logger_1.logger.error('Error occurred', {
+            logger.error('Error occurred', {
                 message: error.message,
                 code: error.code,
                 context: error.context,
@@ -202,8 +341,8 @@ class ErrorHandler {
     /**
      * Wrap a function with error handling
      */
-    static wrap(fn, context, options = {}) {
-        return __awaiter(this, void 0, void 0, function* () {
+    static wrap(fn_1, context_1) {
+        return __awaiter(this, arguments, void 0, function* (fn, context, options = {}) {
             try {
                 const result = yield fn();
                 return { success: true, data: result };
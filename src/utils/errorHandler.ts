@@ -1,14 +1,97 @@
 // Centralized Error Handler with Retry Logic and User Feedback
+//
+// Services throw the typed errors below. Anything else (a driver error, an
+// SDK error, a plain Error) goes through classifyError on its way to the
+// client, which turns it into an AppError with a status code and a stable
+// `code`. The Express side lives in src/middleware/errorHandler.js.
 
-import { logger } from './logger';
+import { createLogger } from './logger';
+import { MongoError, MongoServerError, BSON } from 'mongodb';
+import { JsonRpcError, SuiHTTPStatusError, SuiHTTPTransportError } from '@mysten/sui/client';
 
-// Error types (simplified for backend)
-export interface AppError {
+const logger = createLogger('errorHandler');
+
+export interface FieldError {
+  field: string;
   message: string;
+}
+
+export interface AppErrorOptions {
   code?: string;
   statusCode?: number;
+  details?: any;
   context?: string;
   isRetryable?: boolean;
+  cause?: unknown;
+}
+
+export class AppError extends Error {
+  code: string;
+  statusCode: number;
+  details: any;
+  context?: string;
+  isRetryable: boolean;
+  cause?: unknown;
+
+  constructor(message: string, options: AppErrorOptions = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = options.code || 'INTERNAL_ERROR';
+    this.statusCode = options.statusCode || 500;
+    this.details = options.details === undefined ? null : options.details;
+    this.context = options.context;
+    this.isRetryable = options.isRetryable === true;
+    if (options.cause !== undefined) this.cause = options.cause;
+  }
+}
+
+// 400: the request itself is wrong. Details list the problems by field.
+export class ValidationError extends AppError {
+  constructor(message: string = 'Validation failed', details: FieldError[] | null = null, options: AppErrorOptions = {}) {
+    super(message, { code: 'VALIDATION_ERROR', statusCode: 400, details, ...options });
+  }
+}
+
+// 401: missing or bad credentials
+export class AuthError extends AppError {
+  constructor(message: string = 'Authentication required', options: AppErrorOptions = {}) {
+    super(message, { code: 'AUTH_ERROR', statusCode: 401, ...options });
+  }
+}
+
+// 403: authenticated, but not allowed
+export class ForbiddenError extends AppError {
+  constructor(message: string = 'Access denied', options: AppErrorOptions = {}) {
+    super(message, { code: 'FORBIDDEN', statusCode: 403, ...options });
+  }
+}
+
+// 404: the resource does not exist, or is not visible to the caller
+export class NotFoundError extends AppError {
+  constructor(message: string = 'Not found', options: AppErrorOptions = {}) {
+    super(message, { code: 'NOT_FOUND', statusCode: 404, ...options });
+  }
+}
+
+// 409: clashes with existing state, e.g. a duplicate
+export class ConflictError extends AppError {
+  constructor(message: string = 'Conflict', options: AppErrorOptions = {}) {
+    super(message, { code: 'CONFLICT', statusCode: 409, ...options });
+  }
+}
+
+// 429 by default. Details carry retryAfter in seconds, sent as Retry-After.
+export class RateLimitError extends AppError {
+  constructor(message: string, retryAfter: number, options: AppErrorOptions = {}) {
+    super(message, { code: 'RATE_LIMITED', statusCode: 429, details: { retryAfter }, ...options });
+  }
+}
+
+// 502/503/504: a dependency (MongoDB, the Sui fullnode) failed us
+export class UpstreamError extends AppError {
+  constructor(message: string = 'Upstream service error', options: AppErrorOptions = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', statusCode: 502, isRetryable: true, ...options });
+  }
 }
 
 export interface RetryOptions {
@@ -24,23 +107,122 @@ export interface ErrorHandlerOptions {
   context?: string;
 }
 
-// Error classification
-export const classifyError = (error: any, context: string): AppError => {
-  if (error instanceof Error) {
-    return {
-      message: error.message,
-      code: 'UNKNOWN_ERROR',
+// Node's codes for a connection that could not be made or was cut off
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+// Driver errors meaning the database cannot be reached right now
+const MONGO_UNAVAILABLE_ERRORS = [
+  'MongoServerSelectionError',
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError',
+  'MongoClientClosedError'
+];
+
+// JSON-RPC codes for requests the fullnode could not parse or rejected as invalid
+const JSON_RPC_INVALID_REQUEST = [-32700, -32600, -32602];
+
+const isNetworkFailure = (error: any): boolean => {
+  const cause = error.cause || {};
+  return NETWORK_ERROR_CODES.includes(error.code) ||
+    NETWORK_ERROR_CODES.includes(cause.code) ||
+    (error instanceof TypeError && error.message === 'fetch failed');
+};
+
+const classifyMongoError = (error: MongoError, context?: string): AppError => {
+  if (MONGO_UNAVAILABLE_ERRORS.includes(error.name)) {
+    return new UpstreamError('Database is unavailable', {
+      code: 'DATABASE_UNAVAILABLE', statusCode: 503, context, cause: error
+    });
+  }
+
+  if (error instanceof MongoServerError && error.code === 11000) {
+    return new ConflictError('A record with these values already exists', {
+      code: 'DUPLICATE_KEY',
+      details: { fields: Object.keys(error.keyPattern || error.keyValue || {}) },
       context,
-      isRetryable: false
-    };
-  }
-  
-  return {
-    message: String(error),
-    code: 'UNKNOWN_ERROR',
-    context,
-    isRetryable: false
-  };
+      cause: error
+    });
+  }
+
+  return new AppError('Database error', {
+    code: 'DATABASE_ERROR', isRetryable: error.hasErrorLabel('RetryableWriteError'), context, cause: error
+  });
+};
+
+const classifySuiError = (error: Error, context?: string): AppError => {
+  if (error instanceof JsonRpcError) {
+    if (JSON_RPC_INVALID_REQUEST.includes(error.code)) {
+      return new ValidationError(error.message, null, { code: 'INVALID_BLOCKCHAIN_REQUEST', context, cause: error });
+    }
+    return new UpstreamError('The Sui network returned an error', { code: 'BLOCKCHAIN_ERROR', context, cause: error });
+  }
+
+  if (error instanceof SuiHTTPStatusError) {
+    // Rate limited or overloaded fullnodes are worth retrying later
+    const unavailable = error.status === 429 || error.status >= 500;
+    return new UpstreamError('The Sui network request failed', {
+      code: 'BLOCKCHAIN_ERROR', statusCode: unavailable ? 503 : 502, isRetryable: unavailable, context, cause: error
+    });
+  }
+
+  return new UpstreamError('The Sui network request failed', { code: 'BLOCKCHAIN_ERROR', context, cause: error });
+};
+
+/**
+ * Turn anything thrown into an AppError. AppErrors pass through; MongoDB,
+ * Sui SDK, JWT, body parser and network errors get their own codes; anything
+ * else is an INTERNAL_ERROR whose message is not shown to clients.
+ */
+export const classifyError = (error: any, context?: string): AppError => {
+  if (error instanceof AppError) {
+    if (context && !error.context) error.context = context;
+    return error;
+  }
+
+  if (!(error instanceof Error)) {
+    return new AppError('Internal server error', { context, cause: error });
+  }
+
+  if (error instanceof MongoError) {
+    return classifyMongoError(error, context);
+  }
+
+  if (error instanceof BSON.BSONError) {
+    return new ValidationError('Invalid ID format', null, { code: 'INVALID_ID', context, cause: error });
+  }
+
+  if (error instanceof JsonRpcError || error instanceof SuiHTTPStatusError || error instanceof SuiHTTPTransportError) {
+    return classifySuiError(error, context);
+  }
+
+  if (error.name === 'TokenExpiredError') {
+    return new AuthError('Token expired', { code: 'TOKEN_EXPIRED', context, cause: error });
+  }
+
+  if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+    return new AuthError('Invalid token', { code: 'INVALID_TOKEN', context, cause: error });
+  }
+
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return new UpstreamError('Upstream request timed out', { code: 'UPSTREAM_TIMEOUT', statusCode: 504, context, cause: error });
+  }
+
+  if (isNetworkFailure(error)) {
+    return new UpstreamError('Upstream service is unreachable', { code: 'NETWORK_ERROR', statusCode: 503, context, cause: error });
+  }
+
+  // Errors from Express and body-parser carry their own status
+  const httpError = error as Error & { status?: number; type?: string; expose?: boolean };
+  if (httpError.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', null, { code: 'INVALID_JSON', context, cause: error });
+  }
+  if (httpError.status && httpError.status >= 400 && httpError.status < 500 && httpError.expose) {
+    return new AppError(error.message, { code: 'BAD_REQUEST', statusCode: httpError.status, context, cause: error });
+  }
+
+  return new AppError('Internal server error', { context, cause: error });
 };
 
 // Error type checks
@@ -49,7 +231,7 @@ export const isRetryableError = (error: AppError): boolean => {
 };
 
 export const isNetworkError = (error: AppError): boolean => {
-  return error.code === 'NETWORK_ERROR';
+  return error.code === 'NETWORK_ERROR' || error.code === 'UPSTREAM_TIMEOUT';
 };
 
 export const isApiError = (error: AppError): boolean => {
@@ -61,32 +243,22 @@ export const isBlockchainError = (error: AppError): boolean => {
 };
 
 export const isFormError = (error: AppError): boolean => {
-  return error.code === 'FORM_ERROR';
+  return error.code === 'FORM_ERROR' || error instanceof ValidationError;
 };
 
 export const isAuthError = (error: AppError): boolean => {
-  return error.code === 'AUTH_ERROR';
+  return error instanceof AuthError || error.code === 'AUTH_ERROR';
 };
 
 // Error creation helpers
-export const createApiError = (message: string, statusCode: number = 500): AppError => ({
-  message,
-  code: 'API_ERROR',
-  statusCode,
-  isRetryable: statusCode >= 500
-});
-
-export const createBlockchainError = (message: string, isRetryable: boolean = false): AppError => ({
-  message,
-  code: 'BLOCKCHAIN_ERROR',
-  isRetryable
-});
-
-export const createFormError = (message: string, field?: string): AppError => ({
-  message,
-  code: 'FORM_ERROR',
-  context: field
-});
+export const createApiError = (message: string, statusCode: number = 500): AppError =>
+  new AppError(message, { code: 'API_ERROR', statusCode, isRetryable: statusCode >= 500 });
+
+export const createBlockchainError = (message: string, isRetryable: boolean = false): AppError =>
+  new UpstreamError(message, { code: 'BLOCKCHAIN_ERROR', isRetryable });
+
+export const createFormError = (message: string, field?: string): AppError =>
+  new ValidationError(message, field ? [{ field, message }] : null, { code: 'FORM_ERROR', context: field });
 
 export class ErrorHandler {
   private static defaultRetryOptions: Required<RetryOptions> = {
@@ -289,4 +461,4 @@ export class ErrorHandler {
   private static delay(ms: number): Promise<void> {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
-} 
\ No newline at end of file
+} 
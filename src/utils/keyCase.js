@@ -0,0 +1,19 @@
+// Key case conversion for the v2 API, whose resources are camelCase
+// throughout. Only top-level keys are renamed: nested values such as goal
+// milestones are returned as they were stored.
+
+// "target_amount" to "targetAmount"
+const toCamelCase = (key) => key.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+// "targetAmount" to "target_amount"
+const toSnakeCase = (key) => key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+
+const renameKeys = (object, rename) => Object.fromEntries(
+  Object.entries(object).map(([key, value]) => [rename(key), value])
+);
+
+module.exports = {
+  toCamelCase,
+  toSnakeCase,
+  renameKeys
+};
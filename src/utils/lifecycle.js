@@ -0,0 +1,147 @@
+const config = require('../config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('lifecycle');
+
+// Process lifecycle: background jobs, HTTP servers and the shutdown sequence.
+//
+// On SIGTERM or SIGINT the process stops its background jobs, stops accepting
+// connections, waits for in-flight requests to finish (up to a timeout), then
+// runs the shutdown hooks, such as closing the database, and exits.
+
+let state = 'running'; // 'running' | 'draining' | 'stopped'
+let shuttingDown = null;
+let inFlight = 0;
+
+const servers = [];
+const jobs = [];
+const shutdownHooks = [];
+
+const getState = () => state;
+const isDraining = () => state !== 'running';
+
+// Run a task every intervalMs until shutdown. Failures are logged; the timer
+// does not keep the process alive on its own.
+const startJob = (name, intervalMs, task) => {
+  const timer = setInterval(() => {
+    Promise.resolve()
+      .then(task)
+      .catch(error => logger.error('Background job failed', { job: name, error }));
+  }, intervalMs);
+  timer.unref();
+
+  jobs.push({ name, timer });
+  return timer;
+};
+
+// Hooks run after requests have drained, most recently registered first
+const onShutdown = (name, hook) => {
+  shutdownHooks.unshift({ name, hook });
+};
+
+const addServer = (server) => {
+  servers.push(server);
+  return server;
+};
+
+// Counts in-flight requests and asks clients not to reuse their connection
+// once shutdown has started, so keep-alive sockets close after the response
+const trackRequests = (req, res, next) => {
+  inFlight++;
+  res.once('close', () => {
+    inFlight--;
+  });
+
+  if (isDraining()) {
+    res.set('Connection', 'close');
+  }
+
+  next();
+};
+
+const getInFlightCount = () => inFlight;
+
+const closeServer = (server, timeoutMs) => new Promise((resolve) => {
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    server.closeAllConnections();
+  }, timeoutMs);
+
+  server.close(() => {
+    clearTimeout(timer);
+    resolve(!timedOut);
+  });
+
+  // Keep-alive sockets with no request on them would otherwise hold close()
+  server.closeIdleConnections();
+});
+
+/**
+ * Drain and stop the process. Calling it again returns the same promise.
+ *
+ * @param {string} [reason] - What triggered the shutdown, for the logs
+ * @returns {Promise<boolean>} Whether every step finished cleanly
+ */
+const shutdown = (reason = 'shutdown') => {
+  if (shuttingDown) return shuttingDown;
+
+  state = 'draining';
+  logger.info('Shutting down, draining in-flight requests', { reason, inFlight });
+
+  shuttingDown = (async () => {
+    let clean = true;
+
+    for (const job of jobs) {
+      clearInterval(job.timer);
+    }
+
+    const drained = await Promise.all(servers.map(server => closeServer(server, config.server.shutdownTimeoutMs)));
+    if (drained.includes(false)) {
+      logger.warn('Shutdown timeout reached, closed connections with requests still in flight', { inFlight });
+      clean = false;
+    }
+
+    for (const { name, hook } of shutdownHooks) {
+      try {
+        await hook();
+      } catch (error) {
+        logger.error('Shutdown hook failed', { hook: name, error });
+        clean = false;
+      }
+    }
+
+    state = 'stopped';
+    logger.info('Shutdown complete');
+    return clean;
+  })();
+
+  return shuttingDown;
+};
+
+// Shut down on SIGTERM (Render, Docker) and SIGINT (Ctrl+C). A second signal
+// while draining exits straight away.
+const installSignalHandlers = () => {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      if (shuttingDown) {
+        logger.warn('Received a second shutdown signal, exiting without waiting', { signal });
+        process.exit(1);
+      }
+
+      shutdown(signal).then(clean => process.exit(clean ? 0 : 1));
+    });
+  }
+};
+
+module.exports = {
+  getState,
+  isDraining,
+  startJob,
+  onShutdown,
+  addServer,
+  trackRequests,
+  getInFlightCount,
+  shutdown,
+  installSignalHandlers
+};
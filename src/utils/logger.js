@@ -1,68 +1,122 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.error = exports.warn = exports.info = exports.debug = exports.logger = exports.LogLevel = void 0;
+exports.error = exports.warn = exports.info = exports.debug = exports.logger = exports.createLogger = exports.getRequestId = exports.getRequestContext = exports.runWithRequestContext = exports.redact = exports.LogLevel = void 0;
 // src/lib/utils/logger.ts
+//
+// The one logger for the service. Every entry is a single JSON line with the
+// time, level, module, message and the ID of the request being handled, so
+// logs can be searched and correlated per request. Secrets, passwords and
+// email addresses are redacted before anything is written.
+const async_hooks_1 = require("async_hooks");
+const config = require("../config");
 var LogLevel;
 (function (LogLevel) {
     LogLevel[LogLevel["DEBUG"] = 0] = "DEBUG";
     LogLevel[LogLevel["INFO"] = 1] = "INFO";
     LogLevel[LogLevel["WARN"] = 2] = "WARN";
     LogLevel[LogLevel["ERROR"] = 3] = "ERROR";
+    LogLevel[LogLevel["SILENT"] = 4] = "SILENT";
 })(LogLevel || (exports.LogLevel = LogLevel = {}));
-class Logger {
-    constructor() {
-        this.isDevelopment = process.env.NODE_ENV === 'development';
-        // Set log level based on environment
-        this.logLevel = this.isDevelopment ? LogLevel.DEBUG : LogLevel.INFO;
-    }
-    shouldLog(level) {
-        return level >= this.logLevel;
+const LEVEL_NAMES = {
+    debug: LogLevel.DEBUG,
+    info: LogLevel.INFO,
+    warn: LogLevel.WARN,
+    error: LogLevel.ERROR,
+    silent: LogLevel.SILENT,
+};
+// Keys whose values are never logged, matched anywhere in the key name
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|authorization|cookie|api_?key|signature|recovery_?codes?|otp|totp|mfa_?code|private_?key|seed/i;
+const EMAIL_PATTERN = /([^\s@"'<>]+)@([^\s@"'<>]+\.[^\s@"'<>]+)/g;
+const MAX_DEPTH = 6;
+// Keep the first character of the local part, e.g. "a***@example.com"
+const maskEmails = (value) => value.replace(EMAIL_PATTERN, (match, local, domain) => `${local[0]}***@${domain}`);
+const serializeError = (error) => (Object.assign(Object.assign({ name: error.name, message: maskEmails(error.message) }, (error.code && { code: error.code })), (error.stack && { stack: maskEmails(error.stack) })));
+const redact = (value, depth = 0) => {
+    if (value === null || value === undefined)
+        return value;
+    if (typeof value === 'string')
+        return maskEmails(value);
+    if (typeof value === 'bigint')
+        return value.toString();
+    if (typeof value !== 'object')
+        return value;
+    if (value instanceof Error)
+        return serializeError(value);
+    if (value instanceof Date)
+        return value.toISOString();
+    if (depth >= MAX_DEPTH)
+        return '[Truncated]';
+    if (Array.isArray(value))
+        return value.map((item) => (0, exports.redact)(item, depth + 1));
+    // ObjectIds and similar print as their string form
+    if (typeof value.toHexString === 'function')
+        return value.toHexString();
+    const redacted = {};
+    for (const [key, item] of Object.entries(value)) {
+        redacted[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+            ? '[REDACTED]'
+            : (0, exports.redact)(item, depth + 1);
     }
-    formatMessage(level, message, context) {
-        const timestamp = new Date().toISOString();
-        const levelName = LogLevel[level];
-        const contextStr = context ? ` ${JSON.stringify(context)}` : '';
-        return `[${timestamp}] [${levelName}] ${message}${contextStr}`;
+    return redacted;
+};
+exports.redact = redact;
+// Request-scoped context (the request ID) that follows every async call made
+// while handling the request, so service code does not have to pass it along
+const requestStorage = new async_hooks_1.AsyncLocalStorage();
+const runWithRequestContext = (context, callback) => requestStorage.run(context, callback);
+exports.runWithRequestContext = runWithRequestContext;
+const getRequestContext = () => requestStorage.getStore();
+exports.getRequestContext = getRequestContext;
+const getRequestId = () => {
+    const context = requestStorage.getStore();
+    return context ? context.requestId : null;
+};
+exports.getRequestId = getRequestId;
+// The level for a module, from LOG_LEVELS, falling back to LOG_LEVEL
+const levelFor = (module) => {
+    const name = (module && config.logging.moduleLevels[module]) || config.logging.level;
+    return LEVEL_NAMES[name];
+};
+const write = (level, module, message, context) => {
+    if (level < levelFor(module))
+        return;
+    const entry = Object.assign(Object.assign(Object.assign(Object.assign({ time: new Date().toISOString(), level: LogLevel[level].toLowerCase() }, (module && { module })), { msg: maskEmails(message) }), ((0, exports.getRequestId)() && { requestId: (0, exports.getRequestId)() })), (context && (0, exports.redact)(context)));
+    let line;
+    try {
+        line = JSON.stringify(entry);
     }
-    log(level, message, context) {
-        if (!this.shouldLog(level))
-            return;
-        const formattedMessage = this.formatMessage(level, message, context);
-        switch (level) {
-            case LogLevel.DEBUG:
-                console.debug(formattedMessage);
-                break;
-            case LogLevel.INFO:
-                console.info(formattedMessage);
-                break;
-            case LogLevel.WARN:
-                console.warn(formattedMessage);
-                break;
-            case LogLevel.ERROR:
-                console.error(formattedMessage);
-                break;
-        }
+    catch (error) {
+        // Circular references and the like: keep the entry, drop the context
+        line = JSON.stringify({ time: entry.time, level: entry.level, module, msg: entry.msg, requestId: (0, exports.getRequestId)() });
     }
+    (level >= LogLevel.WARN ? process.stderr : process.stdout).write(`${line}\n`);
+};
+/**
+ * A logger for one module. Its level comes from LOG_LEVELS (e.g.
+ * "database=debug"), falling back to LOG_LEVEL.
+ */
+const createLogger = (module) => ({
+    debug: (message, context) => write(LogLevel.DEBUG, module, message, context),
+    info: (message, context) => write(LogLevel.INFO, module, message, context),
+    warn: (message, context) => write(LogLevel.WARN, module, message, context),
+    error: (message, context) => write(LogLevel.ERROR, module, message, context),
+});
+exports.createLogger = createLogger;
+class Logger {
     debug(message, context) {
-        this.log(LogLevel.DEBUG, message, context);
+        write(LogLevel.DEBUG, null, message, context);
     }
     info(message, context) {
-        this.log(LogLevel.INFO, message, context);
+        write(LogLevel.INFO, null, message, context);
     }
     warn(message, context) {
-        this.log(LogLevel.WARN, message, context);
+        write(LogLevel.WARN, null, message, context);
     }
     error(message, context) {
-        this.log(LogLevel.ERROR, message, context);
+        write(LogLevel.ERROR, null, message, context);
     }
-    // Create a logger with a specific prefix for better organization
-    createLogger(prefix) {
-        return {
-            debug: (message, context) => this.debug(`[${prefix}] ${message}`, context),
-            info: (message, context) => this.info(`[${prefix}] ${message}`, context),
-            warn: (message, context) => this.warn(`[${prefix}] ${message}`, context),
-            error: (message, context) => this.error(`[${prefix}] ${message}`, context),
-        };
+    createLogger(module) {
+        return (0, exports.createLogger)(module);
     }
 }
 // Export singleton instance
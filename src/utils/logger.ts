@@ -1,91 +1,155 @@
 // src/lib/utils/logger.ts
+//
+// The one logger for the service. Every entry is a single JSON line with the
+// time, level, module, message and the ID of the request being handled, so
+// logs can be searched and correlated per request. Secrets, passwords and
+// email addresses are redacted before anything is written.
+import { AsyncLocalStorage } from 'async_hooks';
+import config = require('../config');
+
 export enum LogLevel {
   DEBUG = 0,
   INFO = 1,
   WARN = 2,
   ERROR = 3,
+  SILENT = 4,
 }
 
 export interface LogContext {
   [key: string]: any;
 }
 
-export interface LogEntry {
-  timestamp: string;
-  level: LogLevel;
-  message: string;
-  context?: LogContext;
+export interface RequestContext {
+  requestId: string;
+  [key: string]: any;
 }
 
-class Logger {
-  private isDevelopment = process.env.NODE_ENV === 'development';
-  private logLevel: LogLevel;
-
-  constructor() {
-    // Set log level based on environment
-    this.logLevel = this.isDevelopment ? LogLevel.DEBUG : LogLevel.INFO;
-  }
-
-  private shouldLog(level: LogLevel): boolean {
-    return level >= this.logLevel;
-  }
+export interface ModuleLogger {
+  debug(message: string, context?: LogContext): void;
+  info(message: string, context?: LogContext): void;
+  warn(message: string, context?: LogContext): void;
+  error(message: string, context?: LogContext): void;
+}
 
-  private formatMessage(level: LogLevel, message: string, context?: LogContext): string {
-    const timestamp = new Date().toISOString();
-    const levelName = LogLevel[level];
-    const contextStr = context ? ` ${JSON.stringify(context)}` : '';
-    return `[${timestamp}] [${levelName}] ${message}${contextStr}`;
+const LEVEL_NAMES: Record<string, LogLevel> = {
+  debug: LogLevel.DEBUG,
+  info: LogLevel.INFO,
+  warn: LogLevel.WARN,
+  error: LogLevel.ERROR,
+  silent: LogLevel.SILENT,
+};
+
+// Keys whose values are never logged, matched anywhere in the key name
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|authorization|cookie|api_?key|signature|recovery_?codes?|otp|totp|mfa_?code|private_?key|seed/i;
+const EMAIL_PATTERN = /([^\s@"'<>]+)@([^\s@"'<>]+\.[^\s@"'<>]+)/g;
+const MAX_DEPTH = 6;
+
+// Keep the first character of the local part, e.g. "a***@example.com"
+const maskEmails = (value: string): string =>
+  value.replace(EMAIL_PATTERN, (match, local: string, domain: string) => `${local[0]}***@${domain}`);
+
+const serializeError = (error: Error & { code?: string }) => ({
+  name: error.name,
+  message: maskEmails(error.message),
+  ...(error.code && { code: error.code }),
+  ...(error.stack && { stack: maskEmails(error.stack) }),
+});
+
+export const redact = (value: any, depth = 0): any => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return maskEmails(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  // ObjectIds and similar print as their string form
+  if (typeof value.toHexString === 'function') return value.toHexString();
+
+  const redacted: LogContext = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? '[REDACTED]'
+      : redact(item, depth + 1);
   }
-
-  private log(level: LogLevel, message: string, context?: LogContext): void {
-    if (!this.shouldLog(level)) return;
-
-    const formattedMessage = this.formatMessage(level, message, context);
-
-    switch (level) {
-      case LogLevel.DEBUG:
-        console.debug(formattedMessage);
-        break;
-      case LogLevel.INFO:
-        console.info(formattedMessage);
-        break;
-      case LogLevel.WARN:
-        console.warn(formattedMessage);
-        break;
-      case LogLevel.ERROR:
-        console.error(formattedMessage);
-        break;
-    }
+  return redacted;
+};
+
+// Request-scoped context (the request ID) that follows every async call made
+// while handling the request, so service code does not have to pass it along
+const requestStorage = new AsyncLocalStorage<RequestContext>();
+
+export const runWithRequestContext = <T>(context: RequestContext, callback: () => T): T =>
+  requestStorage.run(context, callback);
+
+export const getRequestContext = (): RequestContext | undefined => requestStorage.getStore();
+
+export const getRequestId = (): string | null => {
+  const context = requestStorage.getStore();
+  return context ? context.requestId : null;
+};
+
+// The level for a module, from LOG_LEVELS, falling back to LOG_LEVEL
+const levelFor = (module: string | null): LogLevel => {
+  const name = (module && config.logging.moduleLevels[module]) || config.logging.level;
+  return LEVEL_NAMES[name];
+};
+
+const write = (level: LogLevel, module: string | null, message: string, context?: LogContext): void => {
+  if (level < levelFor(module)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: LogLevel[level].toLowerCase(),
+    ...(module && { module }),
+    msg: maskEmails(message),
+    ...(getRequestId() && { requestId: getRequestId() }),
+    ...(context && redact(context)),
+  };
+
+  let line: string;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // Circular references and the like: keep the entry, drop the context
+    line = JSON.stringify({ time: entry.time, level: entry.level, module, msg: entry.msg, requestId: getRequestId() });
   }
 
+  (level >= LogLevel.WARN ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * A logger for one module. Its level comes from LOG_LEVELS (e.g.
+ * "database=debug"), falling back to LOG_LEVEL.
+ */
+export const createLogger = (module: string): ModuleLogger => ({
+  debug: (message: string, context?: LogContext) => write(LogLevel.DEBUG, module, message, context),
+  info: (message: string, context?: LogContext) => write(LogLevel.INFO, module, message, context),
+  warn: (message: string, context?: LogContext) => write(LogLevel.WARN, module, message, context),
+  error: (message: string, context?: LogContext) => write(LogLevel.ERROR, module, message, context),
+});
+
+class Logger implements ModuleLogger {
   debug(message: string, context?: LogContext): void {
-    this.log(LogLevel.DEBUG, message, context);
+    write(LogLevel.DEBUG, null, message, context);
   }
 
   info(message: string, context?: LogContext): void {
-    this.log(LogLevel.INFO, message, context);
+    write(LogLevel.INFO, null, message, context);
   }
 
   warn(message: string, context?: LogContext): void {
-    this.log(LogLevel.WARN, message, context);
+    write(LogLevel.WARN, null, message, context);
   }
 
   error(message: string, context?: LogContext): void {
-    this.log(LogLevel.ERROR, message, context);
+    write(LogLevel.ERROR, null, message, context);
   }
 
-  // Create a logger with a specific prefix for better organization
-  createLogger(prefix: string) {
-    return {
-      debug: (message: string, context?: LogContext) => 
-        this.debug(`[${prefix}] ${message}`, context),
-      info: (message: string, context?: LogContext) => 
-        this.info(`[${prefix}] ${message}`, context),
-      warn: (message: string, context?: LogContext) => 
-        this.warn(`[${prefix}] ${message}`, context),
-      error: (message: string, context?: LogContext) => 
-        this.error(`[${prefix}] ${message}`, context),
-    };
+  createLogger(module: string): ModuleLogger {
+    return createLogger(module);
   }
 }
 
@@ -96,4 +160,4 @@ export const logger = new Logger();
 export const debug = (message: string, context?: LogContext) => logger.debug(message, context);
 export const info = (message: string, context?: LogContext) => logger.info(message, context);
 export const warn = (message: string, context?: LogContext) => logger.warn(message, context);
-export const error = (message: string, context?: LogContext) => logger.error(message, context); 
\ No newline at end of file
+export const error = (message: string, context?: LogContext) => logger.error(message, context);
@@ -0,0 +1,279 @@
+// In-process metrics registry, rendered in the Prometheus text exposition
+// format at /metrics. Counters and histograms are kept per label set; keep
+// label values to small, known sets (route patterns, not raw URLs).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Only the declared labels are kept, in declaration order
+  labelsFor(labels = {}) {
+    const picked = {};
+    for (const labelName of this.labelNames) {
+      picked[labelName] = labels[labelName] === undefined || labels[labelName] === null ? '' : String(labels[labelName]);
+    }
+    return picked;
+  }
+
+  getSeries(labels, create) {
+    const picked = this.labelsFor(labels);
+    const key = JSON.stringify(Object.values(picked));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  // Series whose labels include every given label value
+  matching(filter = {}) {
+    return [...this.series.values()].filter(series =>
+      Object.entries(filter).every(([name, value]) => series.labels[name] === String(value)));
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error('Counters can only increase');
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  // Sum over every series matching the filter
+  get(filter = {}) {
+    return this.matching(filter).reduce((total, series) => total + series.value, 0);
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+// A gauge may be given a collect() function that sets its value(s) at scrape time
+class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collect = collect || null;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  get(filter = {}) {
+    return this.matching(filter).reduce((total, series) => total + series.value, 0);
+  }
+
+  renderSeries() {
+    if (this.collect) this.collect(this);
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      count: 0,
+      sum: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.count++;
+    series.sum += value;
+  }
+
+  // Returns end(extraLabels), which records the elapsed seconds
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  // Count and sum over every series matching the filter
+  get(filter = {}) {
+    return this.matching(filter).reduce(
+      (total, series) => ({ count: total.count + series.count, sum: total.sum + series.sum }),
+      { count: 0, sum: 0 }
+    );
+  }
+
+  renderSeries() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  getMetric(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  // The whole registry in the text exposition format (version 0.0.4)
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = new Registry();
+
+const counter = (options) => registry.register(new Counter(options));
+const gauge = (options) => registry.register(new Gauge(options));
+const histogram = (options) => registry.register(new Histogram(options));
+
+// The service's own metrics. Recorded by the HTTP middleware, the Sui client
+// transport, the MongoDB command monitor and the cache service.
+const httpRequestsTotal = counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route pattern and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpLegacyRequestsTotal = counter({
+  name: 'http_legacy_requests_total',
+  help: 'Requests to the deprecated unversioned /api paths, by route pattern',
+  labelNames: ['method', 'route']
+});
+
+const suiRpcRequestsTotal = counter({
+  name: 'sui_rpc_requests_total',
+  help: 'Sui JSON-RPC calls, by RPC method and outcome',
+  labelNames: ['method', 'outcome']
+});
+
+const suiRpcDuration = histogram({
+  name: 'sui_rpc_duration_seconds',
+  help: 'Sui JSON-RPC call duration in seconds',
+  labelNames: ['method']
+});
+
+const mongoCommandsTotal = counter({
+  name: 'mongodb_commands_total',
+  help: 'MongoDB commands, by command name and outcome',
+  labelNames: ['command', 'outcome']
+});
+
+const mongoCommandDuration = histogram({
+  name: 'mongodb_command_duration_seconds',
+  help: 'MongoDB command duration in seconds',
+  labelNames: ['command']
+});
+
+const cacheRequestsTotal = counter({
+  name: 'cache_requests_total',
+  help: 'Cache lookups, by cache and result (hit or miss)',
+  labelNames: ['cache', 'result']
+});
+
+gauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: (metric) => metric.set({}, Math.round(process.uptime()))
+});
+
+gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: (metric) => metric.set({}, process.memoryUsage().rss)
+});
+
+gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap in use in bytes',
+  collect: (metric) => metric.set({}, process.memoryUsage().heapUsed)
+});
+
+module.exports = {
+  CONTENT_TYPE,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  counter,
+  gauge,
+  histogram,
+  httpRequestsTotal,
+  httpRequestDuration,
+  httpLegacyRequestsTotal,
+  suiRpcRequestsTotal,
+  suiRpcDuration,
+  mongoCommandsTotal,
+  mongoCommandDuration,
+  cacheRequestsTotal
+};
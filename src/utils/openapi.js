@@ -0,0 +1,172 @@
+// OpenAPI 3.1 document generated from the Express routes themselves. Each
+// route's validate() middleware carries its schemas entry (summary, params,
+// query and body; see src/schemas), so the document cannot drift from what
+// the server accepts. Routes without one are left out, which the contract
+// test (test-openapi.js) reports.
+
+// Keywords only the in-house validator understands
+const VALIDATOR_KEYWORDS = ['patternMessage'];
+
+// Express "/goals/:goalId" to OpenAPI "/goals/{goalId}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const toOpenApiSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !VALIDATOR_KEYWORDS.includes(key))
+    .map(([key, value]) => [key, toOpenApiSchema(value)]));
+};
+
+/**
+ * List the routes of an app: those declared on the app itself and those of
+ * the routers mounted at the given paths, including routers those fall
+ * through to (see routes/v2).
+ *
+ * @param {Object} app - Express app
+ * @param {Array<{path: string, router: Object, version?: string}>} [mounts]
+ *   Routers by mount path, with the API version they serve
+ * @returns {Array<{method: string, path: string, version: string|null, operation: Object|null}>}
+ *   `operation` is the route's schemas entry, or null when it has none
+ */
+const listRoutes = (app, mounts = []) => {
+  const routes = [];
+
+  const collect = (stack, prefix, version, fallthrough = false) => {
+    for (const layer of stack) {
+      if (!layer.route) {
+        // A router used without a path, which gets the requests no earlier route handled
+        if (layer.slash && layer.handle.stack) collect(layer.handle.stack, prefix, version, true);
+        continue;
+      }
+
+      const operation = layer.route.stack.map(routeLayer => routeLayer.handle.schemas).find(Boolean) || null;
+      const path = prefix && layer.route.path === '/' ? prefix : `${prefix}${layer.route.path}`;
+      for (const method of Object.keys(layer.route.methods)) {
+        // Routes of a fallthrough router that an earlier route replaces, or
+        // checks the request for before passing it on, are documented by that route
+        if (fallthrough && routes.some(route => route.method === method && route.path === path)) continue;
+        routes.push({ method, path, version, operation });
+      }
+    }
+  };
+
+  collect(app.router.stack, '', null);
+  for (const { path, router, version = null } of mounts) {
+    collect(router.stack, path, version);
+  }
+
+  return routes;
+};
+
+const parameters = (schema, location) => Object.entries((schema && schema.properties) || {}).map(([name, property]) => ({
+  name,
+  in: location,
+  required: location === 'path' || (schema.required || []).includes(name),
+  ...(property.description && { description: property.description }),
+  schema: toOpenApiSchema(property)
+}));
+
+const errorSchema = {
+  type: 'object',
+  required: ['success', 'code', 'message', 'requestId'],
+  properties: {
+    success: { const: false },
+    code: { type: 'string', example: 'NOT_FOUND' },
+    message: { type: 'string' },
+    details: { description: 'Field errors for validation failures, or extra facts such as retryAfter' },
+    requestId: { type: ['string', 'null'] },
+    error: { type: 'string', description: 'Same as message, for older clients' }
+  }
+};
+
+// Versioned routes share their schemas entries, so their operationIds are
+// prefixed with the version, e.g. v2GoalsGetGoal
+const buildOperation = (operation, version) => {
+  const { operationId, tags, summary, status = 200, params, query, body } = operation;
+  const hasInput = [params, query, body].some(schema => schema && Object.keys(schema.properties || {}).length > 0);
+
+  return {
+    operationId: version ? `${version}${operationId[0].toUpperCase()}${operationId.slice(1)}` : operationId,
+    tags,
+    summary,
+    parameters: [...parameters(params, 'path'), ...parameters(query, 'query')],
+    ...(body && Object.keys(body.properties || {}).length > 0 && {
+      requestBody: {
+        required: (body.required || []).length > 0,
+        content: { 'application/json': { schema: toOpenApiSchema(body) } }
+      }
+    }),
+    responses: {
+      [status]: { description: 'Success' },
+      ...(hasInput && { 400: { $ref: '#/components/responses/ValidationError' } }),
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+};
+
+/**
+ * Build the OpenAPI document for a list of routes (see listRoutes).
+ *
+ * @param {Array<{method: string, path: string, version: string|null, operation: Object|null}>} routes
+ * @param {Object} info - OpenAPI info object (title, version, ...)
+ * @param {Object} [options]
+ * @param {string|null} [options.serverUrl] - Public URL of the service
+ * @returns {Object} The OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = (routes, info, { serverUrl = null } = {}) => {
+  const paths = {};
+  const tags = new Set();
+
+  for (const { method, path, version, operation } of routes) {
+    if (!operation) continue;
+
+    const openApiPath = toOpenApiPath(path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    if (paths[openApiPath][method]) {
+      throw new Error(`Route registered twice: ${method.toUpperCase()} ${path}`);
+    }
+
+    paths[openApiPath][method] = buildOperation(operation, version);
+    (operation.tags || []).forEach(tag => tags.add(tag));
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    tags: [...tags].map(name => ({ name })),
+    // Sign-in, health and Sui routes work without a token; the rest need one
+    security: [{ bearerAuth: [] }, {}],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'A session access token, or a personal API key (evk_...) limited to its scopes'
+        }
+      },
+      schemas: {
+        Error: errorSchema
+      },
+      responses: {
+        Error: {
+          description: 'Error (see the README for codes and statuses)',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        },
+        ValidationError: {
+          description: 'The params, query or body failed validation; details lists { field, message } for each problem',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  toOpenApiPath,
+  listRoutes,
+  buildOpenApiDocument
+};
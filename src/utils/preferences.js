@@ -0,0 +1,182 @@
+/**
+ * User preferences, stored as the versioned `preferences` sub-document on the
+ * user.
+ *
+ * Every field has a default, so a stored document only ever needs the keys
+ * the user has changed. Adding a key is just a new entry in FIELDS; existing
+ * users pick up its default the next time their preferences are read.
+ * Renaming or reshaping a key needs a migration: bump PREFERENCES_VERSION and
+ * add a step to MIGRATIONS that turns the previous version into the new one.
+ */
+const PREFERENCES_VERSION = 1;
+
+const THEMES = ['light', 'dark', 'system'];
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'INR', 'KRW', 'SGD', 'BRL'];
+const CHAINS = ['ethereum', 'bitcoin', 'solana', 'sui', 'aptos', 'polygon', 'arbitrum', 'optimism', 'base'];
+const DASHBOARD_WIDGETS = ['portfolio', 'goals', 'wallets', 'transactions', 'market'];
+const NOTIFICATIONS = ['securityAlerts', 'goalMilestones', 'weeklySummary', 'productUpdates'];
+const MAX_HIDDEN_TOKENS = 200;
+
+const oneOf = (values) => (value, field) => values.includes(value)
+  ? null
+  : `${field} must be one of: ${values.join(', ')}`;
+
+const boolean = (value, field) => typeof value === 'boolean' ? null : `${field} must be true or false`;
+
+// A BCP 47 locale the runtime can format numbers for, e.g. "en-US" or "de-DE"
+const locale = (value, field) => {
+  try {
+    if (typeof value === 'string' && Intl.NumberFormat.supportedLocalesOf(value).length === 1) return null;
+  } catch (error) {
+    // Malformed tags throw a RangeError
+  }
+  return `${field} must be a supported locale such as en-US`;
+};
+
+const hiddenTokens = (value, field) => {
+  if (!Array.isArray(value)) return `${field} must be an array of coin types`;
+  if (value.length > MAX_HIDDEN_TOKENS) return `${field} can hold at most ${MAX_HIDDEN_TOKENS} coin types`;
+  if (value.some(token => typeof token !== 'string' || token.length === 0 || token.length > 200)) {
+    return `${field} must only contain coin type strings`;
+  }
+  return null;
+};
+
+const dashboardLayout = (value, field) => {
+  if (!Array.isArray(value) || value.some(widget => !DASHBOARD_WIDGETS.includes(widget))) {
+    return `${field} must be an array of widgets: ${DASHBOARD_WIDGETS.join(', ')}`;
+  }
+  if (new Set(value).size !== value.length) return `${field} cannot list a widget twice`;
+  return null;
+};
+
+// Notification opt-ins are patched key by key, so each value is checked here
+const notifications = (value, field) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return `${field} must be an object`;
+
+  const unknown = Object.keys(value).find(key => !NOTIFICATIONS.includes(key));
+  if (unknown) return `${field}.${unknown} is not a notification setting`;
+
+  const invalid = Object.keys(value).find(key => typeof value[key] !== 'boolean');
+  if (invalid) return `${field}.${invalid} must be true or false`;
+
+  return null;
+};
+
+const FIELDS = {
+  theme: { default: 'light', validate: oneOf(THEMES) },
+  skillLevel: { default: 'beginner', validate: oneOf(SKILL_LEVELS) },
+  advancedAccountMenu: { default: false, validate: boolean },
+  baseCurrency: { default: 'USD', validate: oneOf(CURRENCIES) },
+  numberFormat: { default: 'en-US', validate: locale },
+  defaultChain: { default: 'sui', validate: oneOf(CHAINS) },
+  hiddenTokens: { default: [], validate: hiddenTokens },
+  dashboardLayout: { default: DASHBOARD_WIDGETS, validate: dashboardLayout },
+  notifications: {
+    default: { securityAlerts: true, goalMilestones: true, weeklySummary: false, productUpdates: false },
+    validate: notifications,
+    merge: true
+  }
+};
+
+// Each step takes the stored preferences at the previous version and the
+// whole user document, and returns them at the step's version
+const MIGRATIONS = [
+  {
+    // Version 1 moved theme, skill level and the advanced menu flag off the
+    // top level of the user document
+    version: 1,
+    migrate: (preferences, user) => ({
+      ...(user.theme !== undefined && { theme: user.theme }),
+      ...(user.skill_level !== undefined && { skillLevel: user.skill_level }),
+      ...(user.advanced_account_menu !== undefined && { advancedAccountMenu: user.advanced_account_menu }),
+      ...preferences
+    })
+  }
+];
+
+const copy = (value) => Array.isArray(value) ? [...value] : (value && typeof value === 'object' ? { ...value } : value);
+
+const defaultPreferences = () => {
+  const preferences = { version: PREFERENCES_VERSION };
+  for (const [key, field] of Object.entries(FIELDS)) {
+    preferences[key] = copy(field.default);
+  }
+  return preferences;
+};
+
+// Bring a user's stored preferences up to the current version and fill in
+// defaults for every missing key. Stored values that no longer validate are
+// replaced by the default rather than breaking the user's profile.
+const migratePreferences = (user = {}) => {
+  const { version = 0, ...stored } = user.preferences || {};
+
+  let migrated = stored;
+  for (const step of MIGRATIONS) {
+    if (step.version > version) {
+      migrated = step.migrate(migrated, user);
+    }
+  }
+
+  const preferences = defaultPreferences();
+  for (const [key, field] of Object.entries(FIELDS)) {
+    const value = migrated[key];
+    if (value === undefined || value === null || field.validate(value, key)) continue;
+    preferences[key] = field.merge ? { ...preferences[key], ...value } : copy(value);
+  }
+
+  return preferences;
+};
+
+// Whether the stored document is behind the current version or missing keys
+const needsMigration = (user = {}) => {
+  const stored = user.preferences;
+  return !stored || stored.version !== PREFERENCES_VERSION ||
+    Object.keys(FIELDS).some(key => stored[key] === undefined);
+};
+
+/**
+ * Check a partial preferences update.
+ *
+ * @param {Object} patch - Keys to change; unknown keys are rejected
+ * @returns {Array<{field: string, message: string}>} Empty when valid
+ */
+const validatePreferences = (patch) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return [{ field: 'preferences', message: 'preferences must be an object' }];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(patch)) {
+    const field = FIELDS[key];
+    const message = field ? field.validate(value, key) : `${key} is not a preference`;
+    if (message) errors.push({ field: key, message });
+  }
+  return errors;
+};
+
+// Apply a validated patch to complete preferences
+const mergePreferences = (preferences, patch) => {
+  const merged = { ...preferences, version: PREFERENCES_VERSION };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = FIELDS[key].merge ? { ...preferences[key], ...value } : copy(value);
+  }
+  return merged;
+};
+
+module.exports = {
+  PREFERENCES_VERSION,
+  THEMES,
+  SKILL_LEVELS,
+  CURRENCIES,
+  CHAINS,
+  DASHBOARD_WIDGETS,
+  NOTIFICATIONS,
+  MAX_HIDDEN_TOKENS,
+  defaultPreferences,
+  migratePreferences,
+  needsMigration,
+  validatePreferences,
+  mergePreferences
+};
@@ -0,0 +1,18 @@
+/**
+ * User roles, from least to most privileged.
+ *
+ * - user: regular account, can only access its own data
+ * - support: read access to the admin surface and read-only impersonation
+ * - admin: everything support can do, plus account changes (tier, role, disable)
+ */
+const USER_ROLES = ['user', 'support', 'admin'];
+
+const DEFAULT_ROLE = 'user';
+
+const isValidRole = (role) => USER_ROLES.includes(role);
+
+module.exports = {
+  USER_ROLES,
+  DEFAULT_ROLE,
+  isValidRole
+};
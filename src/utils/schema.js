@@ -0,0 +1,198 @@
+// A small JSON Schema validator for request bodies, query strings and route
+// parameters. It understands the subset of JSON Schema (draft 2020-12, which
+// OpenAPI 3.1 uses) that the route schemas in src/schemas need:
+//
+//   type (a name or a list of names), enum, const, properties, required,
+//   additionalProperties, minProperties, items, minItems, maxItems,
+//   uniqueItems, minLength, maxLength, pattern, format, minimum, maximum,
+//   exclusiveMinimum, default
+//
+// Unknown keywords are ignored, so schemas may also carry `description` or
+// `example` for the API docs, and `patternMessage` words the error for a
+// failed pattern. Objects reject properties they do not list unless
+// additionalProperties says otherwise: request schemas are allow-lists.
+// Missing properties that declare a default are filled in.
+
+const net = require('net');
+const { ObjectId } = require('mongodb');
+
+const FORMATS = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': (value) => !isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  objectId: (value) => ObjectId.isValid(value) && /^[a-fA-F0-9]{24}$/.test(value),
+  ip: (value) => net.isIP(value) !== 0
+};
+
+const FORMAT_NAMES = {
+  email: 'an email address',
+  'date-time': 'a date and time',
+  date: 'a date (YYYY-MM-DD)',
+  objectId: 'a valid ID',
+  ip: 'an IP address'
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  if (type === 'object') return actual === 'object';
+  return actual === type;
+};
+
+// Query strings and route parameters are always strings, and some clients
+// send numbers and booleans in JSON bodies as strings too
+const coerce = (value, types) => {
+  if (typeof value !== 'string') return value;
+
+  for (const type of types) {
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+      const number = Number(value);
+      if (type === 'number' || Number.isInteger(number)) return number;
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    if (type === 'null' && value === 'null') return null;
+  }
+  return value;
+};
+
+const describeTypes = (types) => types
+  .map(type => ({ integer: 'a whole number', array: 'an array', object: 'an object', null: 'null' }[type] || `a ${type}`))
+  .join(' or ');
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Check a value against a schema.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - The value to check
+ * @param {string} [path] - Field name to report errors under
+ * @returns {{ value: *, errors: Array<{field: string, message: string}> }}
+ *   The value with strings coerced to the declared types, and every problem found
+ */
+const validate = (schema, value, path = '') => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field: field || path || 'body', message });
+  const name = path || 'value';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    value = coerce(value, types);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(path, `${name} must be ${describeTypes(types)}`);
+      return { value, errors };
+    }
+  }
+
+  if (value === null) return { value, errors };
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(path, `${name} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(path, `${name} must be one of: ${schema.enum.filter(option => option !== null).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(path, schema.minLength === 1 ? `${name} cannot be empty` : `${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(path, `${name} must be ${schema.maxLength} characters or less`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(path, schema.patternMessage ? `${name} ${schema.patternMessage}` : `${name} has an invalid format`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(path, `${name} must be ${FORMAT_NAMES[schema.format]}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(path, `${name} must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(path, `${name} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(path, `${name} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(path, `${name} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(path, `${name} can have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail(path, `${name} cannot list the same item twice`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => {
+        const result = validate(schema.items, item, joinPath(path, index));
+        errors.push(...result.errors);
+        return result.value;
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const result = {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail(joinPath(path, key), `${key} is required`);
+      }
+    }
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      const optional = Object.keys(properties).filter(key => !(schema.required || []).includes(key));
+      fail(path, optional.length > 0 ? `Provide at least one of: ${optional.join(', ')}` : `${name} cannot be empty`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+
+      const propertySchema = properties[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (!propertySchema) {
+        if (schema.additionalProperties === true) {
+          result[key] = item;
+        } else {
+          fail(joinPath(path, key), `${key} is not allowed`);
+        }
+        continue;
+      }
+
+      const checked = validate(propertySchema, item, joinPath(path, key));
+      errors.push(...checked.errors);
+      result[key] = checked.value;
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (result[key] === undefined && propertySchema.default !== undefined) {
+        result[key] = structuredClone(propertySchema.default);
+      }
+    }
+
+    value = result;
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  FORMATS,
+  validate
+};
@@ -0,0 +1,32 @@
+/**
+ * Scopes a personal API key can carry. Each API area has a read scope for
+ * GET requests and, where it has one, a write scope for everything else.
+ * A write scope also grants read access to the same area.
+ *
+ * Session tokens are not limited by scopes.
+ */
+const API_KEY_SCOPES = [
+  'wallets:read',
+  'wallets:write',
+  'goals:read',
+  'goals:write',
+  'cache:read',
+  'cache:write',
+  'sui:read'
+];
+
+const isValidScope = (scope) => API_KEY_SCOPES.includes(scope);
+
+// Check a granted scope list against a required scope
+const hasScope = (grantedScopes, requiredScope) => {
+  if (grantedScopes.includes(requiredScope)) return true;
+
+  const [area, access] = requiredScope.split(':');
+  return access === 'read' && grantedScopes.includes(`${area}:write`);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  isValidScope,
+  hasScope
+};
@@ -0,0 +1,33 @@
+const { SuiClient, SuiHTTPTransport } = require('@mysten/sui/client');
+const config = require('../config');
+const { suiRpcRequestsTotal, suiRpcDuration } = require('./metrics');
+
+// The fullnode every Sui call goes through: SUI_RPC_URL when set (e.g. a
+// dedicated RPC provider), otherwise the public fullnode for SUI_NETWORK
+const getSuiRpcUrl = () => config.sui.rpcUrl;
+
+// Times every JSON-RPC call and counts it by method and outcome
+class InstrumentedSuiTransport extends SuiHTTPTransport {
+  async request(input) {
+    const endTimer = suiRpcDuration.startTimer({ method: input.method });
+    try {
+      const result = await super.request(input);
+      suiRpcRequestsTotal.inc({ method: input.method, outcome: 'success' });
+      return result;
+    } catch (error) {
+      suiRpcRequestsTotal.inc({ method: input.method, outcome: 'error' });
+      throw error;
+    } finally {
+      endTimer();
+    }
+  }
+}
+
+const createSuiClient = () => new SuiClient({
+  transport: new InstrumentedSuiTransport({ url: getSuiRpcUrl() })
+});
+
+module.exports = {
+  getSuiRpcUrl,
+  createSuiClient
+};
@@ -0,0 +1,39 @@
+const { verifyPersonalMessageSignature } = require('@mysten/sui/verify');
+const { isValidSuiAddress, normalizeSuiAddress } = require('@mysten/sui/utils');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('suiSignature');
+
+/**
+ * Normalize a Sui address to its full 0x-prefixed, 64 hex character, lowercase form.
+ * Returns null when the input is not a valid Sui address.
+ */
+const normalizeAddress = (address) => {
+  if (typeof address !== 'string') return null;
+
+  const normalized = normalizeSuiAddress(address.trim());
+  return isValidSuiAddress(normalized) ? normalized : null;
+};
+
+/**
+ * Check that a Sui personal-message signature over `message` was produced by `address`.
+ * Resolves to true or false; never throws for a bad signature.
+ */
+const verifySuiPersonalMessage = async (message, signature, address) => {
+  try {
+    const publicKey = await verifyPersonalMessageSignature(
+      new TextEncoder().encode(message),
+      signature,
+      { address }
+    );
+    return publicKey.toSuiAddress() === address;
+  } catch (error) {
+    logger.warn('Sui signature verification failed', { address, error: error.message });
+    return false;
+  }
+};
+
+module.exports = {
+  normalizeAddress,
+  verifySuiPersonalMessage
+};
@@ -0,0 +1,41 @@
+// Turn a User-Agent header into a short label for the session list, such as
+// "Chrome on macOS". Order matters: Edge and Opera also claim to be Chrome,
+// and Chrome also claims to be Safari.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const entry = list.find(([, pattern]) => pattern.test(userAgent));
+  return entry ? entry[0] : null;
+};
+
+const describeDevice = (userAgent) => {
+  if (!userAgent || typeof userAgent !== 'string') return 'Unknown device';
+
+  const browser = match(BROWSERS, userAgent);
+  const os = match(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  if (browser || os) return browser || os;
+
+  // Scripts and tools, e.g. "curl/8.4.0" or "node-fetch/1.0"
+  const product = userAgent.split(/[\s/]/)[0];
+  return product ? product.slice(0, 50) : 'Unknown device';
+};
+
+module.exports = {
+  describeDevice
+};
@@ -4,7 +4,7 @@
  * Consolidates common validation patterns used across forms, wallets, and blockchain operations
  */
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.validateField = exports.validateFields = exports.validateAddressByChain = exports.sharedValidators = void 0;
+exports.validateAccountUpdate = exports.validateRegistration = exports.validateField = exports.validateFields = exports.validateAddressByChain = exports.sharedValidators = void 0;
 // Common field validators
 exports.sharedValidators = {
     // Basic field validators
@@ -78,6 +78,29 @@ exports.sharedValidators = {
         if (trimmed.length > maxLength)
             return `Label must be ${maxLength} characters or less`;
         return null;
+    },
+    // Account validators
+    username: (username) => {
+        const lengthError = exports.sharedValidators.minLength(username, 3, 'Username') ||
+            exports.sharedValidators.maxLength(username, 30, 'Username');
+        if (lengthError)
+            return lengthError;
+        if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(username)) {
+            return 'Username must start with a letter or number and contain only letters, numbers, dots, dashes and underscores';
+        }
+        return null;
+    },
+    password: (password) => {
+        const lengthError = exports.sharedValidators.minLength(password, 8, 'Password');
+        if (lengthError)
+            return lengthError;
+        // bcrypt ignores everything past 72 bytes
+        if (new TextEncoder().encode(password).length > 72)
+            return 'Password is too long';
+        if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+            return 'Password must contain at least one letter and one number';
+        }
+        return null;
     }
 };
 // Blockchain-specific address validation by chain
@@ -125,3 +148,23 @@ const validateField = (field, validator) => {
     return error ? { field, message: error } : null;
 };
 exports.validateField = validateField;
+// Registration and account-update input policy
+const accountFields = [
+    { field: 'username', label: 'Username', validate: (value) => exports.sharedValidators.username(value.trim()) },
+    { field: 'email', label: 'Email', validate: (value) => exports.sharedValidators.email(value.trim()) || exports.sharedValidators.maxLength(value.trim(), 254, 'Email') },
+    { field: 'password', label: 'Password', validate: (value) => exports.sharedValidators.password(value) }
+];
+const validateAccountFields = (input, skipMissing) => (0, exports.validateFields)(accountFields
+    .filter(({ field }) => !skipMissing || input[field] !== undefined)
+    .map(({ field, label, validate }) => ({
+    field,
+    validator: () => typeof input[field] !== 'string' || input[field].trim().length === 0
+        ? `${label} is required`
+        : validate(input[field])
+})));
+// Registration input policy, reported per field
+const validateRegistration = (input) => validateAccountFields(input, false);
+exports.validateRegistration = validateRegistration;
+// The same policy for account updates; fields that are not being changed are skipped
+const validateAccountUpdate = (input) => validateAccountFields(input, true);
+exports.validateAccountUpdate = validateAccountUpdate;
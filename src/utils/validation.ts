@@ -99,6 +99,28 @@ export const sharedValidators = {
     if (trimmed.length === 0) return 'Label cannot be empty';
     if (trimmed.length > maxLength) return `Label must be ${maxLength} characters or less`;
     return null;
+  },
+  
+  // Account validators
+  username: (username: string): string | null => {
+    const lengthError = sharedValidators.minLength(username, 3, 'Username') ||
+      sharedValidators.maxLength(username, 30, 'Username');
+    if (lengthError) return lengthError;
+    if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(username)) {
+      return 'Username must start with a letter or number and contain only letters, numbers, dots, dashes and underscores';
+    }
+    return null;
+  },
+  
+  password: (password: string): string | null => {
+    const lengthError = sharedValidators.minLength(password, 8, 'Password');
+    if (lengthError) return lengthError;
+    // bcrypt ignores everything past 72 bytes
+    if (new TextEncoder().encode(password).length > 72) return 'Password is too long';
+    if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+      return 'Password must contain at least one letter and one number';
+    }
+    return null;
   }
 };
 
@@ -164,4 +186,31 @@ export const validateFields = (validations: Array<{ field: string; validator: ()
 export const validateField = (field: string, validator: () => string | null): FieldValidationError | null => {
   const error = validator();
   return error ? { field, message: error } : null;
-}; 
\ No newline at end of file
+}; 
+
+// Registration and account-update input policy
+const accountFields = [
+  { field: 'username', label: 'Username', validate: (value: string) => sharedValidators.username(value.trim()) },
+  { field: 'email', label: 'Email', validate: (value: string) => sharedValidators.email(value.trim()) || sharedValidators.maxLength(value.trim(), 254, 'Email') },
+  { field: 'password', label: 'Password', validate: (value: string) => sharedValidators.password(value) }
+];
+
+const validateAccountFields = (input: Record<string, any>, skipMissing: boolean): FieldValidationError[] =>
+  validateFields(
+    accountFields
+      .filter(({ field }) => !skipMissing || input[field] !== undefined)
+      .map(({ field, label, validate }) => ({
+        field,
+        validator: () => typeof input[field] !== 'string' || input[field].trim().length === 0
+          ? `${label} is required`
+          : validate(input[field])
+      }))
+  );
+
+// Registration input policy, reported per field
+export const validateRegistration = (input: Record<string, any>): FieldValidationError[] =>
+  validateAccountFields(input, false);
+
+// The same policy for account updates; fields that are not being changed are skipped
+export const validateAccountUpdate = (input: Record<string, any>): FieldValidationError[] =>
+  validateAccountFields(input, true);
@@ -0,0 +1,34 @@
+const { verifySuiPersonalMessage } = require('./suiSignature');
+
+/**
+ * Registry of proof-of-ownership verifiers, keyed by lowercase chain name.
+ *
+ * A verifier is an object with:
+ * - verify({ message, signature, address }): Promise<boolean>
+ *   Resolves true when `signature` over `message` was produced by `address`.
+ *
+ * Chains without a verifier can still be tracked as watch-only wallets.
+ */
+const verifiers = new Map();
+
+const registerVerifier = (chain, verifier) => {
+  if (!verifier || typeof verifier.verify !== 'function') {
+    throw new Error(`Verifier for ${chain} must implement verify()`);
+  }
+  verifiers.set(chain.toLowerCase(), verifier);
+};
+
+const getVerifier = (chain) => verifiers.get(chain.toLowerCase()) || null;
+
+const getSupportedChains = () => Array.from(verifiers.keys());
+
+// Sui: personal-message signature from the wallet's signPersonalMessage
+registerVerifier('sui', {
+  verify: ({ message, signature, address }) => verifySuiPersonalMessage(message, signature, address)
+});
+
+module.exports = {
+  registerVerifier,
+  getVerifier,
+  getSupportedChains
+};
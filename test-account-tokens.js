@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the emailed account tokens (password reset, email verification)
+ * and the file mail transport: tokens are stored only as hashes, expire, work
+ * once and only for their purpose, and the links in the emails carry them.
+ * Run with: node test-account-tokens.js (no server or database needed)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read by src/config.js, so set before it loads
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evarra-mail-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTPUT_DIR = mailDir;
+process.env.APP_URL = 'https://app.example.com';
+
+const { ObjectId } = require('mongodb');
+const MongoDBAccountTokenService = require('./src/services/accountTokenService');
+const MailService = require('./src/services/mailService');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Whether a document matches a filter of plain values, null and $gt
+const matches = (document, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = document[key];
+  if (condition && typeof condition === 'object' && '$gt' in condition) return value > condition.$gt;
+  if (condition instanceof ObjectId) return value instanceof ObjectId && value.equals(condition);
+  return value === condition;
+});
+
+// An account_tokens collection held in memory, for the queries the token
+// service makes
+const tokensCollection = () => {
+  const documents = [];
+  return {
+    documents,
+    async insertOne(document) {
+      documents.push({ ...document });
+    },
+    async findOneAndUpdate(filter, update) {
+      const document = documents.find(candidate => matches(candidate, filter));
+      if (!document) return null;
+      Object.assign(document, update.$set);
+      return { ...document };
+    },
+    async updateMany(filter, update) {
+      documents.filter(candidate => matches(candidate, filter)).forEach(document => Object.assign(document, update.$set));
+    }
+  };
+};
+
+async function runTests() {
+  console.log('🚀 Checking account tokens and mail...\n');
+
+  const tokenService = new MongoDBAccountTokenService();
+  const collection = tokensCollection();
+  tokenService.ensureConnection = async () => {
+    tokenService.db = { collection: () => collection };
+  };
+
+  const userId = new ObjectId().toString();
+  const HOUR = 60 * 60 * 1000;
+
+  // Test 1: only a hash of the token is stored
+  const token = await tokenService.createToken({ userId, purpose: 'password_reset', ttlMs: HOUR, data: { step: 1 } });
+  const stored = collection.documents[0];
+  check(/^[A-Za-z0-9_-]{43}$/.test(token), `token ${token} is not 32 random bytes in base64url`);
+  check(!JSON.stringify(stored).includes(token), 'token stored in plain text');
+  check(/^[0-9a-f]{64}$/.test(stored.token_hash), 'token hash is not a SHA-256 hex digest');
+  check(stored.expires_at - stored.created_at === HOUR, 'token expiry does not follow ttlMs');
+
+  // Test 2: a token works once, and only for its purpose
+  check(await tokenService.consumeToken({ purpose: 'email_verification', token }) === null, 'token used for another purpose');
+  check(await tokenService.consumeToken({ purpose: 'password_reset', token: `${token}x` }) === null, 'wrong token accepted');
+  check(await tokenService.consumeToken({ purpose: 'password_reset', token: '' }) === null, 'empty token accepted');
+
+  const consumed = await tokenService.consumeToken({ purpose: 'password_reset', token });
+  check(consumed && consumed.user_id.equals(new ObjectId(userId)) && consumed.data.step === 1, 'token not consumed with its user and data');
+  check(await tokenService.consumeToken({ purpose: 'password_reset', token }) === null, 'token consumed twice');
+
+  // Test 3: expired and revoked tokens are refused
+  const expired = await tokenService.createToken({ userId, purpose: 'password_reset', ttlMs: -1 });
+  check(await tokenService.consumeToken({ purpose: 'password_reset', token: expired }) === null, 'expired token accepted');
+
+  const first = await tokenService.createToken({ userId, purpose: 'email_verification', ttlMs: HOUR });
+  const otherUser = await tokenService.createToken({ userId: new ObjectId().toString(), purpose: 'email_verification', ttlMs: HOUR });
+  await tokenService.revokeUserTokens(userId, 'email_verification');
+  check(await tokenService.consumeToken({ purpose: 'email_verification', token: first }) === null, 'revoked token accepted');
+  check(await tokenService.consumeToken({ purpose: 'email_verification', token: otherUser }) !== null, 'revoking also revoked another user\'s token');
+
+  // Test 4: the file transport writes each email, with a link carrying the token
+  const mailService = new MailService();
+  await mailService.sendPasswordReset('alice@example.com', 'a+b/c');
+  await mailService.sendEmailVerification('alice@example.com', 'token-2');
+
+  const sent = fs.readdirSync(mailDir).sort().map(file => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+  check(sent.length === 2, `${sent.length} emails written, expected 2`);
+  const reset = sent.find(message => message.subject === 'Reset your Evarra password');
+  const verification = sent.find(message => message.subject === 'Confirm your Evarra email address');
+  check(reset && reset.to === 'alice@example.com' && reset.sentAt, 'password reset email not written with its recipient');
+  check(reset && reset.text.includes('https://app.example.com/reset-password?token=a%2Bb%2Fc'), 'reset link does not carry the encoded token');
+  check(verification && verification.text.includes('https://app.example.com/verify-email?token=token-2'), 'verification link does not carry the token');
+
+  fs.rmSync(mailDir, { recursive: true, force: true });
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Account tokens and mail work!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
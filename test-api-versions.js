@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the versioned API: /api/v1 and /api/v2 serve every route, and the
+ * unversioned /api paths keep working with deprecation headers.
+ * Run with: node test-api-versions.js (no server or database needed)
+ */
+
+const http = require('http');
+const { app, apiMounts } = require('./src/index');
+const { listRoutes } = require('./src/utils/openapi');
+const { httpLegacyRequestsTotal } = require('./src/utils/metrics');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+const request = (port, path) => new Promise((resolve, reject) => {
+  http.get({ port, path }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res));
+  }).on('error', reject);
+});
+
+async function runTests() {
+  console.log('🚀 Checking the API versions...\n');
+
+  // Test 1: v2 has every route v1 has
+  const routes = listRoutes(app, apiMounts);
+  const routeKeys = new Set(routes.map(route => `${route.method} ${route.path}`));
+  const v1Routes = routes.filter(route => route.version === 'v1');
+  for (const { method, path } of v1Routes) {
+    const v2Path = path.replace('/api/v1/', '/api/v2/');
+    check(routeKeys.has(`${method} ${v2Path}`), `${method.toUpperCase()} ${v2Path} is missing`);
+  }
+  console.log(`📋 ${v1Routes.length} v1 routes compared with v2`);
+
+  const server = app.listen(0);
+  const { port } = server.address();
+
+  try {
+    // Test 2: unversioned paths are deprecated aliases of v1
+    const legacy = await request(port, '/api/goals/abc?view=full');
+    check(legacy.statusCode === 401, `GET /api/goals/abc returned ${legacy.statusCode}, expected 401`);
+    check(/^@\d+$/.test(legacy.headers.deprecation || ''), 'Deprecation header missing on /api/goals/abc');
+    check(!Number.isNaN(Date.parse(legacy.headers.sunset)), 'Sunset header missing on /api/goals/abc');
+    check(legacy.headers.link === '</api/v1/goals/abc?view=full>; rel="successor-version"',
+      `Link header is ${legacy.headers.link}`);
+    check(httpLegacyRequestsTotal.get({ method: 'GET', route: '/api/goals' }) === 1, 'Legacy request was not counted');
+
+    // Test 3: versioned paths are not deprecated
+    for (const path of ['/api/v1/goals/abc', '/api/v2/goals/abc', '/api/v2/wallets/abc']) {
+      const response = await request(port, path);
+      check(response.statusCode === 401, `GET ${path} returned ${response.statusCode}, expected 401`);
+      check(response.headers.deprecation === undefined, `GET ${path} has a Deprecation header`);
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 API versions are consistent!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error('❌ Test run failed:', error.message);
+  process.exitCode = 1;
+});
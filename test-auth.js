@@ -1,44 +1,92 @@
-// Simple test to verify auth service structure
+#!/usr/bin/env node
+
+/**
+ * Test for the sign-in building blocks: password hashing, the registration
+ * policy and brute-force protection (the delay schedule, throttling and
+ * lockouts). Any failed assertion ends the run with a non-zero exit code.
+ * Run with: node test-auth.js (no server or database needed)
+ */
+
+const assert = require('assert');
 const MongoDBUserService = require('./src/services/userService');
+const MongoDBLoginAttemptService = require('./src/services/loginAttemptService');
+const { validateRegistration } = require('./src/utils/validation');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// A login_attempts collection holding the given records by _id
+const attemptsCollection = (records) => ({
+  findOne: async ({ _id }) => records[_id] || null
+});
 
 async function testAuthService() {
-  console.log('🧪 Testing Auth Service Structure...');
-  
-  try {
-    // Create service instance
-    const userService = new MongoDBUserService();
-    
-    // Test connection (will fail without MongoDB Atlas, but that's expected)
-    try {
-      await userService.connect();
-      console.log('✅ MongoDB connection successful');
-    } catch (error) {
-      console.log('⚠️  MongoDB connection failed (expected without Atlas setup):', error.message);
-    }
-    
-    // Test password hashing
-    const testPassword = 'testpassword123';
-    const hashedPassword = await userService.hashPassword(testPassword);
-    console.log('✅ Password hashing works');
-    
-    // Test password comparison
-    const isValid = await userService.comparePassword(testPassword, hashedPassword);
-    console.log('✅ Password comparison works:', isValid);
-    
-    // Test with invalid password
-    const isInvalid = await userService.comparePassword('wrongpassword', hashedPassword);
-    console.log('✅ Invalid password detection works:', !isInvalid);
-    
-    console.log('\n🎉 Auth service structure is ready!');
-    console.log('📝 Next steps:');
-    console.log('   1. Set up MongoDB Atlas cluster');
-    console.log('   2. Add MONGODB_URI to environment variables');
-    console.log('   3. Test user registration and login');
-    
-  } catch (error) {
-    console.error('❌ Test failed:', error);
+  console.log('🧪 Testing sign-in and lockout...');
+
+  // Test 1: passwords are hashed with bcrypt and only the right one matches
+  const userService = new MongoDBUserService();
+  const hashedPassword = await userService.hashPassword('testpassword123');
+  assert.match(hashedPassword, /^\$2[aby]\$10\$/, 'password not hashed with bcrypt at the configured cost');
+  assert.strictEqual(await userService.comparePassword('testpassword123', hashedPassword), true, 'right password rejected');
+  assert.strictEqual(await userService.comparePassword('wrongpassword', hashedPassword), false, 'wrong password accepted');
+  console.log('✅ Password hashing works');
+
+  // Test 2: every bad registration field is reported, and a good one passes
+  const registrationErrors = validateRegistration({ username: 'a!', email: 'not-an-email', password: 'short' });
+  assert.deepStrictEqual(registrationErrors.map(error => error.field), ['username', 'email', 'password']);
+  assert.deepStrictEqual(validateRegistration({ username: 'testuser', email: 'test@example.com', password: 'testpassword123' }), []);
+  console.log('✅ Registration policy works');
+
+  // Test 3: no delay for the first failures, then doubling up to the one-minute cap
+  const loginAttemptService = new MongoDBLoginAttemptService();
+  const accountLimit = { delayAfter: 3, lockAfter: 10 };
+  const delays = [0, 1, 2, 3, 4, 5, 6, 9, 12].map(count => loginAttemptService.getDelayMs(count, accountLimit));
+  assert.deepStrictEqual(delays, [0, 0, 0, 1000, 2000, 4000, 8000, 60000, 60000], 'wrong lockout delay schedule');
+  assert.strictEqual(loginAttemptService.getDelayMs(50, { delayAfter: null, lockAfter: 100 }), 0, 'IP addresses should not be delayed');
+  console.log('✅ Lockout delay schedule works');
+
+  // Test 4: sign-in is throttled inside the delay, refused while locked, and allowed otherwise
+  const now = Date.now();
+  const records = {
+    'account:throttled': { failed_count: 4, last_failed_at: new Date(now - 500) },
+    'account:waited': { failed_count: 4, last_failed_at: new Date(now - 3 * SECOND) },
+    'account:stale': { failed_count: 9, last_failed_at: new Date(now - 20 * MINUTE) },
+    'account:locked': { failed_count: 0, last_failed_at: new Date(now), locked_until: new Date(now + 10 * MINUTE) },
+    'account:expired-lock': { failed_count: 0, last_failed_at: new Date(now - 16 * MINUTE), locked_until: new Date(now - MINUTE) },
+    'ip:203.0.113.9': { failed_count: 0, locked_until: new Date(now + 5 * MINUTE) }
+  };
+  loginAttemptService.ensureConnection = async () => {
+    loginAttemptService.db = { collection: () => attemptsCollection(records) };
+  };
+
+  await assert.rejects(loginAttemptService.assertAllowed({ accountId: 'THROTTLED' }), (error) => {
+    assert.strictEqual(error.code, 'LOGIN_THROTTLED');
+    assert.strictEqual(error.statusCode, 429);
+    assert.strictEqual(error.details.retryAfter, 2, 'a 2s delay with 0.5s gone should ask for 2 more seconds');
+    return true;
+  });
+  await assert.rejects(loginAttemptService.assertAllowed({ accountId: 'locked' }), (error) => {
+    assert.strictEqual(error.code, 'ACCOUNT_LOCKED');
+    assert.strictEqual(error.statusCode, 423);
+    assert.ok(error.details.retryAfter > 9 * 60 && error.details.retryAfter <= 10 * 60, `retry after ${error.details.retryAfter}s`);
+    return true;
+  });
+  await assert.rejects(loginAttemptService.assertAllowed({ accountId: 'unknown', ip: '203.0.113.9' }), (error) => {
+    assert.strictEqual(error.code, 'TOO_MANY_ATTEMPTS');
+    assert.strictEqual(error.statusCode, 429);
+    return true;
+  });
+
+  for (const accountId of ['waited', 'stale', 'expired-lock', 'unknown']) {
+    await assert.doesNotReject(loginAttemptService.assertAllowed({ accountId, ip: '198.51.100.1' }), `${accountId} account refused`);
   }
+  console.log('✅ Throttling and lockouts work');
+
+  console.log('\n🎉 Sign-in protection works!');
 }
 
 // Run the test
-testAuthService(); 
\ No newline at end of file
+testAuthService().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exitCode = 1;
+});
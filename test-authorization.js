@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for cross-user authorization on goals, wallets, cache and admin routes
+ * Run with: node test-authorization.js (against a running server, with the
+ * server's MONGODB_URI and JWT_SECRET set, since staff roles are granted directly in MongoDB)
+ */
+
+const https = require('https');
+const { ObjectId } = require('mongodb');
+const database = require('./src/services/database');
+const MongoDBSessionService = require('./src/services/sessionService');
+const { requireRole } = require('./src/middleware/authorize');
+
+// SSL configuration for self-signed certificate
+const httpsAgent = new https.Agent({
+  rejectUnauthorized: false
+});
+
+// Generate unique users and addresses for each test run
+const timestamp = Date.now();
+
+const owner = {
+  username: `authz_owner_${timestamp}`,
+  email: `authz_owner_${timestamp}@example.com`,
+  password: 'testpassword123'
+};
+
+const intruder = {
+  username: `authz_intruder_${timestamp}`,
+  email: `authz_intruder_${timestamp}@example.com`,
+  password: 'testpassword123'
+};
+
+const supportStaff = {
+  username: `authz_support_${timestamp}`,
+  email: `authz_support_${timestamp}@example.com`,
+  password: 'testpassword123'
+};
+
+const admin = {
+  username: `authz_admin_${timestamp}`,
+  email: `authz_admin_${timestamp}@example.com`,
+  password: 'testpassword123'
+};
+
+// Helper function to make HTTPS requests
+function makeRequest(method, path, data = null, accessToken = null) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: 'localhost',
+      port: 3000,
+      path: path,
+      method: method,
+      agent: httpsAgent,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken && { 'Authorization': `Bearer ${accessToken}` })
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, data: JSON.parse(body) });
+        } catch (error) {
+          resolve({ status: res.statusCode, data: body });
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    if (data) {
+      req.write(JSON.stringify(data));
+    }
+
+    req.end();
+  });
+}
+
+// Register and log in a user, returning their ID and access token. There is
+// no API to grant the first staff role, so a role is set directly in MongoDB.
+async function setupUser(user, role = null) {
+  const registerResponse = await makeRequest('POST', '/api/auth/register', user);
+  if (registerResponse.status !== 201) {
+    throw new Error(`Failed to register ${user.username}: ${JSON.stringify(registerResponse.data)}`);
+  }
+
+  if (role) {
+    const db = await database.getDb();
+    await db.collection('users').updateOne({ _id: new ObjectId(registerResponse.data.data.id) }, { $set: { role } });
+  }
+
+  const loginResponse = await makeRequest('POST', '/api/auth/login', {
+    identifier: user.username,
+    password: user.password
+  });
+  if (loginResponse.status !== 200) {
+    throw new Error(`Failed to log in ${user.username}: ${JSON.stringify(loginResponse.data)}`);
+  }
+
+  return {
+    id: registerResponse.data.data.id,
+    accessToken: loginResponse.data.tokens.accessToken
+  };
+}
+
+async function runTests() {
+  console.log('🧪 Starting Authorization Tests...\n');
+
+  let passedTests = 0;
+  let failedTests = 0;
+
+  try {
+    // Setup: two users, with a goal and a wallet owned by the first
+    console.log('📝 Setting up owner and intruder accounts...');
+    const ownerAccount = await setupUser(owner);
+    const intruderAccount = await setupUser(intruder);
+    const supportAccount = await setupUser(supportStaff, 'support');
+    const adminAccount = await setupUser(admin, 'admin');
+
+    const walletResponse = await makeRequest('POST', '/api/wallets', {
+      user_id: ownerAccount.id,
+      address: `0x${timestamp.toString(16).padStart(64, '0')}`,
+      label: 'Owner SUI Wallet',
+      chain: 'sui'
+    }, ownerAccount.accessToken);
+    const walletId = walletResponse.data.data.id;
+
+    const goalResponse = await makeRequest('POST', '/api/goals', {
+      user_id: ownerAccount.id,
+      name: 'Owner Goal',
+      coin: 'Sui',
+      coin_symbol: 'SUI',
+      current_amount: 10,
+      target_amount: 100,
+      goal_type: 'regular'
+    }, ownerAccount.accessToken);
+    const goalId = goalResponse.data.data.id;
+
+    const apiKeyResponse = await makeRequest('POST', '/api/auth/api-keys', {
+      name: 'Read-only goals script',
+      scopes: ['goals:read']
+    }, ownerAccount.accessToken);
+    const goalsReadKey = apiKeyResponse.data.key;
+
+    const impersonationResponse = await makeRequest('POST', `/api/admin/users/${ownerAccount.id}/impersonate`, null, supportAccount.accessToken);
+    const impersonationToken = impersonationResponse.data.tokens.accessToken;
+
+    console.log(`✅ Owner ${ownerAccount.id} has goal ${goalId}, wallet ${walletId} and a goals:read API key`);
+    console.log(`✅ Support ${supportAccount.id} is impersonating the owner\n`);
+
+    const tests = [
+      // Unauthenticated access
+      { name: '1. Get Goal - No Token', method: 'GET', path: `/api/goals/${goalId}`, expectedStatus: 401 },
+      { name: '2. Get Wallets - No Token', method: 'GET', path: `/api/wallets/user/${ownerAccount.id}`, expectedStatus: 401 },
+
+      // Owner access still works
+      { name: '3. Get Goal - Owner', method: 'GET', path: `/api/goals/${goalId}`, token: ownerAccount.accessToken, expectedStatus: 200 },
+      { name: '4. Get Wallet - Owner', method: 'GET', path: `/api/wallets/${walletId}`, token: ownerAccount.accessToken, expectedStatus: 200 },
+
+      // Cross-user access to another user's ID is forbidden
+      { name: '5. Get User Profile - Intruder', method: 'GET', path: `/api/auth/user/${ownerAccount.id}`, token: intruderAccount.accessToken, expectedStatus: 403 },
+      { name: '6. Update User Profile - Intruder', method: 'PUT', path: `/api/auth/user/${ownerAccount.id}`, data: { theme: 'dark' }, token: intruderAccount.accessToken, expectedStatus: 403 },
+      { name: '7. Get User Goals - Intruder', method: 'GET', path: `/api/goals/user/${ownerAccount.id}`, token: intruderAccount.accessToken, expectedStatus: 403 },
+      { name: '8. Get User Wallets - Intruder', method: 'GET', path: `/api/wallets/user/${ownerAccount.id}`, token: intruderAccount.accessToken, expectedStatus: 403 },
+      { name: '9. Get Wallets by Chain - Intruder', method: 'GET', path: `/api/wallets/user/${ownerAccount.id}/chain/sui`, token: intruderAccount.accessToken, expectedStatus: 403 },
+      {
+        name: '10. Create Goal for Another User - Intruder',
+        method: 'POST',
+        path: '/api/goals',
+        data: { user_id: ownerAccount.id, name: 'Injected', coin: 'Sui', coin_symbol: 'SUI', current_amount: 0, target_amount: 1, goal_type: 'regular' },
+        token: intruderAccount.accessToken,
+        expectedStatus: 403
+      },
+      {
+        name: '11. Create Wallet for Another User - Intruder',
+        method: 'POST',
+        path: '/api/wallets',
+        data: { user_id: ownerAccount.id, address: '0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6', label: 'Injected', chain: 'ethereum' },
+        token: intruderAccount.accessToken,
+        expectedStatus: 403
+      },
+
+      // Another user's goals and wallets look like they do not exist
+      { name: '12. Get Goal - Intruder', method: 'GET', path: `/api/goals/${goalId}`, token: intruderAccount.accessToken, expectedStatus: 404 },
+      { name: '13. Update Goal - Intruder', method: 'PUT', path: `/api/goals/${goalId}`, data: { name: 'Hijacked' }, token: intruderAccount.accessToken, expectedStatus: 404 },
+      { name: '14. Get Goal Progress - Intruder', method: 'GET', path: `/api/goals/${goalId}/progress`, token: intruderAccount.accessToken, expectedStatus: 404 },
+      { name: '15. Update Goal Progress - Intruder', method: 'PUT', path: `/api/goals/${goalId}/progress`, data: { current_amount: 99 }, token: intruderAccount.accessToken, expectedStatus: 404 },
+      { name: '16. Delete Goal - Intruder', method: 'DELETE', path: `/api/goals/${goalId}`, token: intruderAccount.accessToken, expectedStatus: 404 },
+      { name: '17. Get Wallet - Intruder', method: 'GET', path: `/api/wallets/${walletId}`, token: intruderAccount.accessToken, expectedStatus: 404 },
+      { name: '18. Update Wallet - Intruder', method: 'PUT', path: `/api/wallets/${walletId}`, data: { label: 'Hijacked' }, token: intruderAccount.accessToken, expectedStatus: 404 },
+      { name: '19. Delete Wallet - Intruder', method: 'DELETE', path: `/api/wallets/${walletId}`, token: intruderAccount.accessToken, expectedStatus: 404 },
+
+      // Another user's wallet data cache cannot be read, poisoned or cleared
+      { name: '20. Get Wallet Cache - Intruder', method: 'GET', path: `/api/cache/wallet-data?walletId=${walletId}&dataType=holdings`, token: intruderAccount.accessToken, expectedStatus: 404 },
+      {
+        name: '21. Poison Wallet Cache - Intruder',
+        method: 'POST',
+        path: '/api/cache/wallet-data',
+        data: { walletId, dataType: 'holdings', data: { holdings: [] } },
+        token: intruderAccount.accessToken,
+        expectedStatus: 404
+      },
+      { name: '22. Invalidate Wallet Cache - Intruder', method: 'DELETE', path: `/api/cache/wallet-data?walletId=${walletId}`, token: intruderAccount.accessToken, expectedStatus: 404 },
+
+      // The owner's data is untouched after the attempts above
+      { name: '23. Get Goal - Owner After Attempts', method: 'GET', path: `/api/goals/${goalId}`, token: ownerAccount.accessToken, expectedStatus: 200 },
+      { name: '24. Get Wallet - Owner After Attempts', method: 'GET', path: `/api/wallets/${walletId}`, token: ownerAccount.accessToken, expectedStatus: 200 },
+
+      // Account data export and deletion need the account's own session
+      { name: '25. Export Account - No Token', method: 'GET', path: '/api/auth/account/export', expectedStatus: 401 },
+      { name: '26. Delete Account - No Token', method: 'POST', path: '/api/auth/account/delete', data: { currentPassword: owner.password }, expectedStatus: 401 },
+      { name: '27. Delete Account - Wrong Password', method: 'POST', path: '/api/auth/account/delete', data: { currentPassword: 'wrongpassword1' }, token: intruderAccount.accessToken, expectedStatus: 400 },
+      { name: '28. Export Account - Owner', method: 'GET', path: '/api/auth/account/export', token: ownerAccount.accessToken, expectedStatus: 200 },
+
+      // API keys only reach what their scopes allow
+      { name: '29. Get Goal - goals:read Key', method: 'GET', path: `/api/goals/${goalId}`, token: goalsReadKey, expectedStatus: 200 },
+      { name: '30. Update Goal - goals:read Key', method: 'PUT', path: `/api/goals/${goalId}`, data: { name: 'Scripted' }, token: goalsReadKey, expectedStatus: 403 },
+      { name: '31. Get Wallet - goals:read Key', method: 'GET', path: `/api/wallets/${walletId}`, token: goalsReadKey, expectedStatus: 403 },
+      { name: '32. Create API Key - With API Key', method: 'POST', path: '/api/auth/api-keys', data: { name: 'Escalated', scopes: ['goals:write'] }, token: goalsReadKey, expectedStatus: 403 },
+
+      // Security activity is only the caller's own, and the full log is admin-only
+      { name: '33. Security Activity - No Token', method: 'GET', path: '/api/auth/security-activity', expectedStatus: 401 },
+      { name: '34. Security Activity - Owner', method: 'GET', path: '/api/auth/security-activity', token: ownerAccount.accessToken, expectedStatus: 200 },
+      { name: '35. Audit Events - Regular User', method: 'GET', path: `/api/admin/audit-events?userId=${ownerAccount.id}`, token: intruderAccount.accessToken, expectedStatus: 403 },
+
+      // Session lists are per user, and another user's session looks like it does not exist
+      { name: '36. List Sessions - No Token', method: 'GET', path: '/api/auth/sessions', expectedStatus: 401 },
+      { name: '37. List Sessions - Owner', method: 'GET', path: '/api/auth/sessions', token: ownerAccount.accessToken, expectedStatus: 200 },
+      { name: '38. Revoke Session - Unknown ID', method: 'DELETE', path: `/api/auth/sessions/${'0'.repeat(24)}`, token: intruderAccount.accessToken, expectedStatus: 404 },
+
+      // Preferences are per user and validated
+      { name: '39. Get Preferences - Intruder', method: 'GET', path: `/api/auth/user/${ownerAccount.id}/preferences`, token: intruderAccount.accessToken, expectedStatus: 403 },
+      { name: '40. Update Preferences - Owner', method: 'PATCH', path: `/api/auth/user/${ownerAccount.id}/preferences`, data: { baseCurrency: 'EUR' }, token: ownerAccount.accessToken, expectedStatus: 200 },
+      { name: '41. Update Preferences - Invalid Value', method: 'PATCH', path: `/api/auth/user/${ownerAccount.id}/preferences`, data: { baseCurrency: 'DOGE' }, token: ownerAccount.accessToken, expectedStatus: 400 },
+
+      // Support cannot reach admin-only routes, directly or by impersonating staff
+      { name: '42. Impersonate Admin - Support', method: 'POST', path: `/api/admin/users/${adminAccount.id}/impersonate`, token: supportAccount.accessToken, expectedStatus: 403 },
+      { name: '43. Admin Actions - Support', method: 'GET', path: '/api/admin/actions', token: supportAccount.accessToken, expectedStatus: 403 },
+      { name: '44. Admin Actions - Impersonation Token', method: 'GET', path: '/api/admin/actions', token: impersonationToken, expectedStatus: 403 },
+      { name: '45. Admin Actions - Admin', method: 'GET', path: '/api/admin/actions', token: adminAccount.accessToken, expectedStatus: 200 },
+
+      // Coin metadata is shared by every user, so regular users cannot overwrite it
+      {
+        name: '46. Poison Metadata Cache - Intruder',
+        method: 'POST',
+        path: '/api/cache/metadata',
+        data: { coinType: '0x2::sui::SUI', metadata: { symbol: 'SCAM', decimals: 0 } },
+        token: intruderAccount.accessToken,
+        expectedStatus: 403
+      },
+      {
+        name: '47. Poison Batch Metadata Cache - Intruder',
+        method: 'PUT',
+        path: '/api/cache/metadata',
+        data: { metadataMap: { '0x2::sui::SUI': { symbol: 'SCAM', decimals: 0 } } },
+        token: intruderAccount.accessToken,
+        expectedStatus: 403
+      },
+      { name: '48. Read Metadata Cache - Owner', method: 'GET', path: '/api/cache/metadata?coinType=0x2::sui::SUI', token: ownerAccount.accessToken, expectedStatus: 200 }
+    ];
+
+    for (const test of tests) {
+      console.log(`\n${test.name}:`);
+
+      try {
+        const response = await makeRequest(test.method, test.path, test.data, test.token);
+
+        if (response.status === test.expectedStatus) {
+          console.log(`✅ PASS - Status: ${response.status}`);
+          passedTests++;
+        } else {
+          console.log(`❌ FAIL - Expected: ${test.expectedStatus}, Got: ${response.status}`);
+          console.log(`   Response:`, JSON.stringify(response.data, null, 2));
+          failedTests++;
+        }
+      } catch (error) {
+        console.log(`❌ ERROR - ${error.message}`);
+        failedTests++;
+      }
+    }
+
+    // An impersonation token never carries the target's staff role, so even a
+    // token for an admin fails a role gate
+    console.log('\n49. Impersonation Token Role - Admin Target:');
+    const sessionService = new MongoDBSessionService();
+    const token = sessionService.signAccessToken({ id: adminAccount.id, username: admin.username, role: 'admin' }, 'test-session', {
+      impersonatorId: supportAccount.id
+    });
+    const impersonated = sessionService.verifyAccessToken(token);
+    let roleGateError;
+    requireRole('admin')({ user: impersonated }, null, (error) => {
+      roleGateError = error;
+    });
+    if (impersonated.role === 'user' && roleGateError && roleGateError.statusCode === 403) {
+      console.log('✅ PASS - Role: user, admin gate: 403');
+      passedTests++;
+    } else {
+      console.log(`❌ FAIL - Role: ${impersonated.role}, admin gate: ${roleGateError ? roleGateError.statusCode : 'passed'}`);
+      failedTests++;
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log('📊 Test Results:');
+    console.log(`✅ Passed: ${passedTests}`);
+    console.log(`❌ Failed: ${failedTests}`);
+    console.log('='.repeat(50));
+
+    if (failedTests === 0) {
+      console.log('🎉 All authorization tests passed!');
+    } else {
+      console.log('⚠️  Some authorization tests failed. Please check the implementation.');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Test setup failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+// Run the tests
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
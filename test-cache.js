@@ -14,6 +14,7 @@ const httpsAgent = new https.Agent({
 });
 
 const BASE_URL = 'https://localhost:3000';
+const ACCESS_TOKEN = process.env.TEST_ACCESS_TOKEN || ''; // Access token from POST /api/auth/login
 
 async function makeRequest(method, path, data = null) {
   return new Promise((resolve, reject) => {
@@ -24,7 +25,8 @@ async function makeRequest(method, path, data = null) {
       method: method,
       agent: httpsAgent,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(ACCESS_TOKEN && { 'Authorization': `Bearer ${ACCESS_TOKEN}` })
       }
     };
 
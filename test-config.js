@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test for startup configuration (src/config.js): defaults, the config file
+ * and env precedence, and a misconfigured server refusing to start with one
+ * report that names every bad setting without echoing its value.
+ * Run with: node test-config.js (no server or database needed)
+ *
+ * Config is loaded once per process, so each case runs in a child process.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Runs a script with only the given variables set (plus PATH)
+const run = (args, env) => spawnSync(process.execPath, args, {
+  cwd: __dirname,
+  encoding: 'utf8',
+  timeout: 20000,
+  env: { PATH: process.env.PATH, ...env }
+});
+
+const loadConfig = (env) => {
+  const child = run(['-e', 'process.stdout.write(JSON.stringify(require("./src/config")))'], env);
+  return child.status === 0 ? JSON.parse(child.stdout) : { error: child.stderr };
+};
+
+// Starting the server with this environment; it should exit before listening
+const start = (env) => run(['src/index.js'], env);
+
+async function runTests() {
+  console.log('🚀 Checking configuration loading...\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evarra-config-'));
+  const configFile = path.join(dir, 'config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ sui: { network: 'testnet' }, auth: { bcryptCost: 12 }, server: { port: 4000 } }));
+
+  // Test 1: defaults when nothing is set
+  let config = loadConfig({});
+  check(config.env === 'development' && config.isProduction === false, `env defaulted to ${config.env}`);
+  check(config.server && config.server.port === 3000, 'port did not default to 3000');
+  check(config.sui && config.sui.network === 'mainnet' && config.sui.rpcUrl === 'https://fullnode.mainnet.sui.io:443',
+    'Sui did not default to the mainnet fullnode');
+  check(config.auth && config.auth.bcryptCost === 10 && config.auth.jwtSecret === null, 'auth defaults wrong');
+
+  // Test 2: the config file overrides defaults, env overrides the file, and
+  // derived defaults follow the loaded values
+  config = loadConfig({ CONFIG_FILE: configFile, BCRYPT_COST: '11', CORS_ORIGIN: 'https://a.example.com/, https://b.example.com' });
+  check(config.sui && config.sui.network === 'testnet' && config.sui.rpcUrl === 'https://fullnode.testnet.sui.io:443',
+    'Sui network and RPC URL not taken from the config file');
+  check(config.server && config.server.port === 4000, 'port not taken from the config file');
+  check(config.auth && config.auth.bcryptCost === 11, 'env did not override the config file');
+  check(config.server && config.server.corsOrigins.join(' ') === 'https://a.example.com https://b.example.com',
+    'CORS origins not split and normalized');
+
+  // Test 3: every bad value is reported at once, the server exits, and values are not echoed
+  const secret = 'too-short-secret';
+  let child = start({
+    PORT: '70000',
+    SUI_NETWORK: 'moonnet',
+    BCRYPT_COST: 'ten',
+    CORS_ORIGIN: 'ftp://example.com',
+    JWT_SECRET: secret,
+    LOG_LEVELS: 'database=loud'
+  });
+  check(child.status === 1, `server exited with ${child.status} on bad config, expected 1`);
+  check(child.stderr.startsWith('Invalid configuration:'), `startup report begins ${child.stderr.split('\n')[0]}`);
+  [
+    'PORT (server.port) must be a whole number between 1 and 65535',
+    'SUI_NETWORK (sui.network) must be one of: mainnet, testnet, devnet, localnet',
+    'BCRYPT_COST (auth.bcryptCost) must be a whole number between 4 and 15',
+    'CORS_ORIGIN (server.corsOrigins) must use http:// or https://',
+    'JWT_SECRET (auth.jwtSecret) must be at least 32 characters',
+    'LOG_LEVELS (logging.moduleLevels) must be module=level pairs'
+  ].forEach(line => check(child.stderr.includes(line), `startup report is missing "${line}"`));
+  check(!child.stderr.includes(secret), 'startup report includes the JWT secret');
+  check(!child.stderr.includes('    at '), 'startup report includes a stack trace');
+
+  // Test 4: production requires a database URI and a JWT secret
+  child = start({ NODE_ENV: 'production' });
+  check(child.status === 1, `production server without secrets exited with ${child.status}`);
+  check(child.stderr.includes('MONGODB_URI (mongodb.uri) is required in production') &&
+    child.stderr.includes('JWT_SECRET (auth.jwtSecret) is required in production'), 'missing production settings not reported');
+
+  // Test 5: an unreadable config file is reported with its path
+  child = start({ CONFIG_FILE: path.join(dir, 'missing.json') });
+  check(child.status === 1 && child.stderr.includes(`cannot read CONFIG_FILE ${path.join(dir, 'missing.json')}`),
+    'missing config file not reported');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Configuration loading works!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
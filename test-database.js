@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the shared MongoDB connection (src/services/database.js): the one
+ * set of client options, startup retries with backoff, a single attempt for
+ * concurrent callers, the readiness flag and close().
+ * Run with: node test-database.js (no server or database needed; it connects
+ * to a closed port)
+ */
+
+// Read by src/config.js, so set before it loads
+process.env.MONGODB_URI = 'mongodb://127.0.0.1:1/evarra-test';
+process.env.MONGODB_SERVER_SELECTION_TIMEOUT_MS = '200';
+
+const { MongoClient } = require('mongodb');
+const database = require('./src/services/database');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Count connection attempts the module makes
+let attempts = 0;
+const connectClient = MongoClient.prototype.connect;
+MongoClient.prototype.connect = function (...args) {
+  attempts++;
+  return connectClient.apply(this, args);
+};
+
+async function runTests() {
+  console.log('🚀 Checking the MongoDB connection module...\n');
+
+  // Test 1: one set of options, with TLS and certificate checks always on,
+  // that the driver accepts
+  const { uri, options } = database.getMongoConfig();
+  check(uri === process.env.MONGODB_URI, `URI is ${uri}`);
+  check(options.tls === true && options.tlsAllowInvalidCertificates === false && options.tlsAllowInvalidHostnames === false,
+    'TLS is not forced with certificate and hostname checks');
+  check(options.serverSelectionTimeoutMS === 200, 'server selection timeout not taken from config');
+  try {
+    new MongoClient(uri, options);
+  } catch (error) {
+    failures.push(`the driver rejects the client options: ${error.message}`);
+  }
+
+  // Test 2: startup retries with backoff, then gives up with the driver's error
+  check(database.isReady() === false, 'ready before connecting');
+  let startedAt = Date.now();
+  let error = null;
+  try {
+    await database.connect({ retries: 2, retryDelayMs: 50 });
+  } catch (caught) {
+    error = caught;
+  }
+  check(error && error.name === 'MongoServerSelectionError', `connect failed with ${error && error.name}`);
+  check(attempts === 3, `${attempts} connection attempts, expected 3`);
+  check(Date.now() - startedAt >= 150, 'retries did not wait 50ms then 100ms');
+  check(database.isReady() === false, 'ready after a failed connection');
+
+  // Test 3: request-time callers share one attempt and do not retry
+  attempts = 0;
+  startedAt = Date.now();
+  const results = await Promise.allSettled([database.getDb(), database.getDb(), database.getDb()]);
+  check(results.every(result => result.status === 'rejected'), 'getDb resolved without a database');
+  check(attempts === 1, `${attempts} attempts for concurrent getDb calls, expected 1`);
+
+  // Test 4: close() is safe without a connection and leaves the module disconnected
+  await database.close();
+  await database.close();
+  check(database.isReady() === false, 'ready after close');
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 The connection module works!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
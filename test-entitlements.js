@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Test for tier and unlock entitlements (src/utils/entitlements.js): the
+ * limits for each tier, unlocks applied on top, the UPGRADE_REQUIRED error
+ * and its enforcement when creating wallets and goals and adding unlocks.
+ * Run with: node test-entitlements.js (no server or database needed)
+ */
+
+// Read by src/config.js, so set before it loads; rejected creates log errors
+process.env.LOG_LEVEL = 'silent';
+
+const { ObjectId } = require('mongodb');
+const { TIERS, getEntitlements, isWithinLimit, upgradeRequiredError } = require('./src/utils/entitlements');
+const MongoDBWalletService = require('./src/services/walletService');
+const MongoDBGoalService = require('./src/services/goalService');
+const MongoDBUserService = require('./src/services/userService');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Entitlements for each tier and set of unlocks
+const CASES = [
+  { tier: 'free', unlocks: [], expected: { maxWallets: 3, maxGoals: 5, transactionHistoryDays: 30, multiChain: false } },
+  { tier: 'plus', unlocks: [], expected: { maxWallets: 10, maxGoals: 25, transactionHistoryDays: 365, multiChain: true } },
+  { tier: 'pro', unlocks: [], expected: { maxWallets: null, maxGoals: null, transactionHistoryDays: null, multiChain: true } },
+  { tier: undefined, unlocks: undefined, expected: TIERS.free },
+  { tier: 'platinum', unlocks: [], expected: TIERS.free },
+  { tier: 'free', unlocks: ['extra_wallets'], expected: { ...TIERS.free, maxWallets: 8 } },
+  { tier: 'free', unlocks: ['extra_wallets', 'extra_wallets'], expected: { ...TIERS.free, maxWallets: 8 } },
+  { tier: 'free', unlocks: ['extra_goals', 'multi_chain'], expected: { ...TIERS.free, maxGoals: 15, multiChain: true } },
+  { tier: 'free', unlocks: ['full_history'], expected: { ...TIERS.free, transactionHistoryDays: null } },
+  { tier: 'plus', unlocks: ['extra_wallets', 'full_history'], expected: { ...TIERS.plus, maxWallets: 15, transactionHistoryDays: null } },
+  { tier: 'pro', unlocks: ['extra_wallets', 'extra_goals'], expected: TIERS.pro },
+  { tier: 'free', unlocks: ['unknown_unlock'], expected: TIERS.free }
+];
+
+// UPGRADE_REQUIRED errors with the entitlement, limit and tier to offer
+const UPGRADES = [
+  { entitlement: 'maxWallets', limit: 3, requiredTier: 'plus' },
+  { entitlement: 'maxWallets', limit: 10, requiredTier: 'pro' },
+  { entitlement: 'maxWallets', limit: 13, requiredTier: 'pro' },
+  { entitlement: 'maxGoals', limit: 5, requiredTier: 'plus' },
+  { entitlement: 'transactionHistoryDays', limit: 30, requiredTier: 'plus' },
+  { entitlement: 'multiChain', limit: false, requiredTier: 'plus' }
+];
+
+// A database whose users and per-user counts are given, recording inserts
+const fakeDb = ({ user, count }) => {
+  const inserted = [];
+  const collection = (name) => ({
+    findOne: async () => (name === 'users' ? user : null),
+    countDocuments: async () => count,
+    insertOne: async (document) => {
+      inserted.push({ name, document });
+      return { insertedId: new ObjectId() };
+    }
+  });
+  return { db: { collection }, inserted };
+};
+
+const withDb = (service, db) => {
+  service.ensureConnection = async () => { service.db = db; };
+  service.auditService = { record: async () => {} };
+  return service;
+};
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+async function runTests() {
+  console.log('🚀 Checking entitlements...\n');
+
+  // Test 1: each tier's limits, with unlocks applied on top
+  for (const { tier, unlocks, expected } of CASES) {
+    const actual = getEntitlements(tier, unlocks);
+    check(JSON.stringify(actual) === JSON.stringify(expected),
+      `${tier} with [${unlocks || ''}] gave ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+  getEntitlements('free').maxWallets = 99;
+  check(getEntitlements('free').maxWallets === 3, 'changing a user\'s entitlements changed the tier table');
+
+  // Test 2: limits allow one more item only below the limit; null is unlimited
+  check(isWithinLimit(3, 2) && !isWithinLimit(3, 3) && isWithinLimit(null, 1000), 'isWithinLimit off by one');
+
+  // Test 3: the upgrade error is a 403 naming the cheapest tier that lifts the limit
+  for (const { entitlement, limit, requiredTier } of UPGRADES) {
+    const error = upgradeRequiredError('Upgrade', entitlement, limit);
+    check(error.statusCode === 403 && error.code === 'UPGRADE_REQUIRED' && error.details.entitlement === entitlement &&
+      error.details.limit === limit && error.details.requiredTier === requiredTier,
+    `${entitlement} at ${limit} suggested ${error.details.requiredTier}, expected ${requiredTier}`);
+  }
+
+  // Test 4: creating a wallet past the tier's limit, or on another chain without multi-chain, is refused
+  const userId = new ObjectId();
+  const wallet = { user_id: userId.toString(), label: 'Main', address: `0x${'a'.repeat(64)}`, chain: 'sui' };
+  let fake = fakeDb({ user: { _id: userId, tier: 'free', unlocks: [] }, count: 3 });
+  let error = await rejection(withDb(new MongoDBWalletService(), fake.db).createWallet(wallet));
+  check(error && error.code === 'UPGRADE_REQUIRED' && error.details.entitlement === 'maxWallets' && error.details.limit === 3,
+    `fourth free wallet failed with ${error && error.code}`);
+  check(fake.inserted.length === 0, 'wallet over the limit was inserted');
+
+  fake = fakeDb({ user: { _id: userId, tier: 'free', unlocks: ['extra_wallets'] }, count: 3 });
+  error = await rejection(withDb(new MongoDBWalletService(), fake.db).createWallet(wallet));
+  check(error === null && fake.inserted.length === 1, `extra_wallets unlock did not lift the limit (${error && error.message})`);
+
+  fake = fakeDb({ user: { _id: userId, tier: 'free', unlocks: [] }, count: 0 });
+  error = await rejection(withDb(new MongoDBWalletService(), fake.db)
+    .createWallet({ ...wallet, address: `0x${'b'.repeat(40)}`, chain: 'ethereum' }));
+  check(error && error.code === 'UPGRADE_REQUIRED' && error.details.entitlement === 'multiChain',
+    `free Ethereum wallet failed with ${error && error.code}`);
+
+  fake = fakeDb({ user: { _id: userId, tier: 'plus', unlocks: [] }, count: 0 });
+  error = await rejection(withDb(new MongoDBWalletService(), fake.db)
+    .createWallet({ ...wallet, address: `0x${'b'.repeat(40)}`, chain: 'ethereum' }));
+  check(error === null, `plus Ethereum wallet failed with ${error && error.message}`);
+
+  // Test 5: creating a goal past the tier's limit is refused
+  const goal = { user_id: userId.toString(), name: 'Save', coin: 'Sui', coin_symbol: 'SUI', current_amount: 0, target_amount: 10, goal_type: 'regular' };
+  fake = fakeDb({ user: { _id: userId, tier: 'plus', unlocks: [] }, count: 25 });
+  error = await rejection(withDb(new MongoDBGoalService(), fake.db).createGoal(goal));
+  check(error && error.code === 'UPGRADE_REQUIRED' && error.details.entitlement === 'maxGoals' && error.details.requiredTier === 'pro',
+    `26th plus goal failed with ${error && error.code}`);
+  check(fake.inserted.length === 0, 'goal over the limit was inserted');
+
+  // Test 6: adding an unlock twice stores and audits it once
+  const stored = { _id: userId, tier: 'free', unlocks: [] };
+  const audited = [];
+  const userService = new MongoDBUserService();
+  userService.ensureConnection = async () => {
+    userService.db = {
+      collection: () => ({
+        findOneAndUpdate: async (filter, update) => {
+          const before = { ...stored, unlocks: [...stored.unlocks] };
+          const unlock = update.$addToSet.unlocks;
+          if (!stored.unlocks.includes(unlock)) stored.unlocks.push(unlock);
+          return before;
+        }
+      })
+    };
+  };
+  userService.auditService = { record: async (event) => { audited.push(event); } };
+  userService.getUserById = async () => ({ unlocks: stored.unlocks });
+
+  await userService.addUserUnlock(userId.toString(), 'extra_goals');
+  await userService.addUserUnlock(userId.toString(), 'extra_goals');
+  check(stored.unlocks.join(',') === 'extra_goals', `unlocks stored as ${stored.unlocks}`);
+  check(audited.length === 1 && audited[0] === 'account.unlock_added', `${audited.length} audit events for one unlock`);
+  error = await rejection(userService.addUserUnlock(userId.toString(), 'free_money'));
+  check(error && error.name === 'ValidationError', 'unknown unlock accepted');
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Entitlements are enforced!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Test for error classification: MongoDB, Sui SDK, network, JWT and body
+ * parser errors become typed AppErrors with the right code and status, and
+ * the error middleware answers with the standard body and the request ID.
+ * Run with: node test-errors.js (no server or database needed)
+ */
+
+const http = require('http');
+const express = require('express');
+const { MongoServerError, MongoNetworkError, MongoServerSelectionError, BSON } = require('mongodb');
+const { JsonRpcError, SuiHTTPStatusError, SuiHTTPTransportError } = require('@mysten/sui/client');
+const {
+  AppError, ValidationError, AuthError, ForbiddenError, NotFoundError, ConflictError, RateLimitError, UpstreamError,
+  classifyError
+} = require('./src/utils/errorHandler');
+const { requestContext } = require('./src/middleware/requestContext');
+const { errorHandler } = require('./src/middleware/errorHandler');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Expect an error to classify as the given class, code and status
+const expectClassified = (name, error, { type, code, statusCode, isRetryable }) => {
+  const classified = classifyError(error, 'test');
+  const got = `${classified.constructor.name} ${classified.code} ${classified.statusCode}`;
+  check(classified instanceof type && classified.code === code && classified.statusCode === statusCode,
+    `${name} classified as ${got}, expected ${type.name} ${code} ${statusCode}`);
+  if (isRetryable !== undefined) {
+    check(classified.isRetryable === isRetryable, `${name} isRetryable is ${classified.isRetryable}`);
+  }
+  check(classified === error || classified.cause === error, `${name} does not keep the original error as its cause`);
+  return classified;
+};
+
+const withCode = (error, code) => Object.assign(error, { code });
+
+const request = (port, path, headers = {}) => new Promise((resolve, reject) => {
+  http.get({ port, path, headers }, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ res, body: JSON.parse(body) }));
+  }).on('error', reject);
+});
+
+async function runTests() {
+  console.log('🚀 Checking error classification...\n');
+
+  // Test 1: each typed error has its code and status
+  const typed = [
+    [new ValidationError(), 'VALIDATION_ERROR', 400],
+    [new AuthError(), 'AUTH_ERROR', 401],
+    [new ForbiddenError(), 'FORBIDDEN', 403],
+    [new NotFoundError(), 'NOT_FOUND', 404],
+    [new ConflictError(), 'CONFLICT', 409],
+    [new RateLimitError('Slow down', 30), 'RATE_LIMITED', 429],
+    [new UpstreamError(), 'UPSTREAM_ERROR', 502],
+    [new AppError('Broken'), 'INTERNAL_ERROR', 500]
+  ];
+  for (const [error, code, statusCode] of typed) {
+    check(error instanceof AppError && error.code === code && error.statusCode === statusCode,
+      `${error.name} is ${error.code} ${error.statusCode}, expected ${code} ${statusCode}`);
+  }
+  check(typed[5][0].details.retryAfter === 30, 'RateLimitError does not carry retryAfter');
+  check(new ForbiddenError('No', { code: 'UPGRADE_REQUIRED' }).code === 'UPGRADE_REQUIRED', 'custom code not kept');
+
+  // AppErrors pass through, picking up the context if they have none
+  const notFound = new NotFoundError('Goal not found');
+  check(classifyError(notFound, 'GET /goals/:goalId') === notFound && notFound.context === 'GET /goals/:goalId',
+    'AppError not passed through with its context');
+
+  // Test 2: MongoDB errors
+  const duplicate = expectClassified('duplicate key', new MongoServerError({
+    message: 'E11000 duplicate key error', code: 11000, keyPattern: { email: 1 }, keyValue: { email: 'a@example.com' }
+  }), { type: ConflictError, code: 'DUPLICATE_KEY', statusCode: 409 });
+  check(JSON.stringify(duplicate.details) === '{"fields":["email"]}', `duplicate key details are ${JSON.stringify(duplicate.details)}`);
+
+  expectClassified('network error', new MongoNetworkError('connection reset'),
+    { type: UpstreamError, code: 'DATABASE_UNAVAILABLE', statusCode: 503 });
+  expectClassified('server selection error', new MongoServerSelectionError('no servers', { servers: new Map() }),
+    { type: UpstreamError, code: 'DATABASE_UNAVAILABLE', statusCode: 503 });
+  expectClassified('other server error', new MongoServerError({ message: 'bad', code: 2 }),
+    { type: AppError, code: 'DATABASE_ERROR', statusCode: 500 });
+  expectClassified('bad ObjectId', new BSON.BSONError('input must be a 24 character hex string'),
+    { type: ValidationError, code: 'INVALID_ID', statusCode: 400 });
+
+  // Test 3: Sui SDK errors
+  expectClassified('invalid params', new JsonRpcError('Invalid params', -32602),
+    { type: ValidationError, code: 'INVALID_BLOCKCHAIN_REQUEST', statusCode: 400 });
+  expectClassified('JSON-RPC server error', new JsonRpcError('Internal error', -32603),
+    { type: UpstreamError, code: 'BLOCKCHAIN_ERROR', statusCode: 502 });
+  expectClassified('rate limited fullnode', new SuiHTTPStatusError('Too many requests', 429, 'Too Many Requests'),
+    { type: UpstreamError, code: 'BLOCKCHAIN_ERROR', statusCode: 503, isRetryable: true });
+  expectClassified('failing fullnode', new SuiHTTPStatusError('Bad gateway', 502, 'Bad Gateway'),
+    { type: UpstreamError, code: 'BLOCKCHAIN_ERROR', statusCode: 503, isRetryable: true });
+  expectClassified('fullnode 404', new SuiHTTPStatusError('Not found', 404, 'Not Found'),
+    { type: UpstreamError, code: 'BLOCKCHAIN_ERROR', statusCode: 502, isRetryable: false });
+  expectClassified('transport error', new SuiHTTPTransportError('Unexpected response'),
+    { type: UpstreamError, code: 'BLOCKCHAIN_ERROR', statusCode: 502 });
+
+  // Test 4: network, timeout, token and body parser errors
+  expectClassified('refused connection', withCode(new Error('connect ECONNREFUSED'), 'ECONNREFUSED'),
+    { type: UpstreamError, code: 'NETWORK_ERROR', statusCode: 503 });
+  expectClassified('failed fetch', new TypeError('fetch failed', { cause: withCode(new Error('reset'), 'ECONNRESET') }),
+    { type: UpstreamError, code: 'NETWORK_ERROR', statusCode: 503 });
+  expectClassified('timeout', Object.assign(new Error('aborted'), { name: 'AbortError' }),
+    { type: UpstreamError, code: 'UPSTREAM_TIMEOUT', statusCode: 504 });
+  expectClassified('expired token', Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' }),
+    { type: AuthError, code: 'TOKEN_EXPIRED', statusCode: 401 });
+  expectClassified('bad token', Object.assign(new Error('invalid signature'), { name: 'JsonWebTokenError' }),
+    { type: AuthError, code: 'INVALID_TOKEN', statusCode: 401 });
+  expectClassified('bad JSON', Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed', status: 400, expose: true }),
+    { type: ValidationError, code: 'INVALID_JSON', statusCode: 400 });
+  expectClassified('body too large', Object.assign(new Error('request entity too large'), { status: 413, expose: true }),
+    { type: AppError, code: 'BAD_REQUEST', statusCode: 413 });
+
+  const internal = expectClassified('plain error', new Error('secret connection string'),
+    { type: AppError, code: 'INTERNAL_ERROR', statusCode: 500 });
+  check(internal.message === 'Internal server error', 'plain error message is shown to clients');
+  check(classifyError('a string').code === 'INTERNAL_ERROR', 'non-Error thrown value not classified as INTERNAL_ERROR');
+
+  // Test 5: the error middleware sends the standard body with the request ID
+  const app = express();
+  app.use(requestContext);
+  app.get('/upstream', () => { throw new SuiHTTPStatusError('Too many requests', 429, 'Too Many Requests'); });
+  app.get('/limited', () => { throw new RateLimitError('Slow down', 30); });
+  app.get('/internal', () => { throw new Error('secret connection string'); });
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  const { port } = server.address();
+  try {
+    let { res, body } = await request(port, '/upstream', { 'X-Request-Id': 'test-request-1' });
+    check(res.statusCode === 503, `Sui 429 answered with ${res.statusCode}`);
+    check(body.success === false && body.code === 'BLOCKCHAIN_ERROR' && body.message === 'The Sui network request failed' &&
+      body.error === body.message && body.details === null, `Sui error body is ${JSON.stringify(body)}`);
+    check(body.requestId === 'test-request-1' && res.headers['x-request-id'] === 'test-request-1',
+      'error body and header do not carry the request ID');
+
+    ({ res, body } = await request(port, '/limited'));
+    check(res.statusCode === 429 && res.headers['retry-after'] === '30' && body.retryAfter === 30,
+      'rate limit response has no Retry-After');
+    check(typeof body.requestId === 'string' && body.requestId === res.headers['x-request-id'], 'generated request ID not in the error body');
+
+    ({ res, body } = await request(port, '/internal'));
+    check(res.statusCode === 500 && body.code === 'INTERNAL_ERROR' && !JSON.stringify(body).includes('secret'),
+      'internal error message leaked to the client');
+  } finally {
+    server.close();
+  }
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Errors are classified correctly!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -4,6 +4,7 @@ const https = require('https');
 // Configuration
 const BASE_URL = 'https://localhost:3000';
 const API_BASE = `${BASE_URL}/api`;
+let accessToken = ''; // Will be set after login
 
 // Helper function to make HTTPS requests
 function makeRequest(method, url, data = null) {
@@ -15,6 +16,7 @@ function makeRequest(method, url, data = null) {
       method: method,
       headers: {
         'Content-Type': 'application/json',
+        ...(accessToken && { 'Authorization': `Bearer ${accessToken}` })
       },
       rejectUnauthorized: false // For self-signed certificate
     };
@@ -101,6 +103,12 @@ const testGoal2 = {
   notes: 'Build a USDC investment portfolio'
 };
 
+// Log whether a check passed, failing the run if it did not
+const check = (passed, success, failure) => {
+  console.log(passed ? success : failure);
+  if (!passed) process.exitCode = 1;
+};
+
 // Test scenarios
 async function runTests() {
   console.log('🚀 Starting Goals API Tests...\n');
@@ -123,6 +131,24 @@ async function runTests() {
       console.log(`✅ User created with ID: ${userId}\n`);
     } else {
       console.log('❌ Failed to create user\n');
+      process.exitCode = 1;
+      return;
+    }
+
+    // Log in to get an access token for the goals routes
+    console.log('🔐 Logging in test user...');
+    const loginResponse = await makeRequest('POST', `${API_BASE}/auth/login`, {
+      identifier: testUser.username,
+      password: testUser.password
+    });
+    console.log(`Status: ${loginResponse.status}`);
+    
+    if (loginResponse.status === 200) {
+      accessToken = loginResponse.data.tokens.accessToken;
+      console.log('✅ Logged in successfully\n');
+    } else {
+      console.log('❌ Failed to log in\n');
+      process.exitCode = 1;
       return;
     }
 
@@ -137,6 +163,7 @@ async function runTests() {
       console.log(`✅ Goal created with ID: ${goalId}\n`);
     } else {
       console.log('❌ Failed to create goal\n');
+      process.exitCode = 1;
       return;
     }
 
@@ -151,6 +178,7 @@ async function runTests() {
       console.log(`✅ Second goal created with ID: ${goalId2}\n`);
     } else {
       console.log('❌ Failed to create second goal\n');
+      process.exitCode = 1;
     }
 
     // Test 4: Get goal by ID
@@ -158,14 +186,14 @@ async function runTests() {
     const getGoalResponse = await makeRequest('GET', `${API_BASE}/goals/${goalId}`);
     console.log(`Status: ${getGoalResponse.status}`);
     console.log('Response:', JSON.stringify(getGoalResponse.data, null, 2));
-    console.log(getGoalResponse.status === 200 ? '✅ Goal retrieved successfully\n' : '❌ Failed to get goal\n');
+    check(getGoalResponse.status === 200, '✅ Goal retrieved successfully\n', '❌ Failed to get goal\n');
 
     // Test 5: Get user goals
     console.log('👤 Test 5: Getting user goals...');
     const userGoalsResponse = await makeRequest('GET', `${API_BASE}/goals/user/${userId}`);
     console.log(`Status: ${userGoalsResponse.status}`);
     console.log('Response:', JSON.stringify(userGoalsResponse.data, null, 2));
-    console.log(userGoalsResponse.status === 200 ? '✅ User goals retrieved successfully\n' : '❌ Failed to get user goals\n');
+    check(userGoalsResponse.status === 200, '✅ User goals retrieved successfully\n', '❌ Failed to get user goals\n');
 
     // Test 6: Update goal
     console.log('✏️ Test 6: Updating goal...');
@@ -176,14 +204,14 @@ async function runTests() {
     const updateResponse = await makeRequest('PUT', `${API_BASE}/goals/${goalId}`, updateData);
     console.log(`Status: ${updateResponse.status}`);
     console.log('Response:', JSON.stringify(updateResponse.data, null, 2));
-    console.log(updateResponse.status === 200 ? '✅ Goal updated successfully\n' : '❌ Failed to update goal\n');
+    check(updateResponse.status === 200, '✅ Goal updated successfully\n', '❌ Failed to update goal\n');
 
     // Test 7: Get goal progress
     console.log('📊 Test 7: Getting goal progress...');
     const progressResponse = await makeRequest('GET', `${API_BASE}/goals/${goalId}/progress`);
     console.log(`Status: ${progressResponse.status}`);
     console.log('Response:', JSON.stringify(progressResponse.data, null, 2));
-    console.log(progressResponse.status === 200 ? '✅ Goal progress retrieved successfully\n' : '❌ Failed to get goal progress\n');
+    check(progressResponse.status === 200, '✅ Goal progress retrieved successfully\n', '❌ Failed to get goal progress\n');
 
     // Test 8: Update goal progress
     console.log('📈 Test 8: Updating goal progress...');
@@ -193,28 +221,28 @@ async function runTests() {
     const progressUpdateResponse = await makeRequest('PUT', `${API_BASE}/goals/${goalId}/progress`, progressUpdateData);
     console.log(`Status: ${progressUpdateResponse.status}`);
     console.log('Response:', JSON.stringify(progressUpdateResponse.data, null, 2));
-    console.log(progressUpdateResponse.status === 200 ? '✅ Goal progress updated successfully\n' : '❌ Failed to update goal progress\n');
+    check(progressUpdateResponse.status === 200, '✅ Goal progress updated successfully\n', '❌ Failed to update goal progress\n');
 
-    // Test 9: Get all goals (admin)
-    console.log('📋 Test 9: Getting all goals...');
-    const allGoalsResponse = await makeRequest('GET', `${API_BASE}/goals`);
+    // Test 9: Get all goals (admin only, so a regular user is refused)
+    console.log('📋 Test 9: Getting all goals as a regular user...');
+    const allGoalsResponse = await makeRequest('GET', `${API_BASE}/admin/goals`);
     console.log(`Status: ${allGoalsResponse.status}`);
     console.log('Response:', JSON.stringify(allGoalsResponse.data, null, 2));
-    console.log(allGoalsResponse.status === 200 ? '✅ All goals retrieved successfully\n' : '❌ Failed to get all goals\n');
+    check(allGoalsResponse.status === 403, '✅ All goals listing restricted to admins\n', '❌ All goals listing not restricted\n');
 
     // Test 10: Health check
     console.log('🏥 Test 10: Goals health check...');
     const healthResponse = await makeRequest('GET', `${API_BASE}/goals/health`);
     console.log(`Status: ${healthResponse.status}`);
     console.log('Response:', JSON.stringify(healthResponse.data, null, 2));
-    console.log(healthResponse.status === 200 ? '✅ Goals health check successful\n' : '❌ Goals health check failed\n');
+    check(healthResponse.status === 200, '✅ Goals health check successful\n', '❌ Goals health check failed\n');
 
     // Test 11: Error handling - Invalid goal ID
     console.log('🚫 Test 11: Testing invalid goal ID...');
     const invalidGoalResponse = await makeRequest('GET', `${API_BASE}/goals/invalid-id`);
     console.log(`Status: ${invalidGoalResponse.status}`);
     console.log('Response:', JSON.stringify(invalidGoalResponse.data, null, 2));
-    console.log(invalidGoalResponse.status === 500 ? '✅ Invalid goal ID handled correctly\n' : '❌ Invalid goal ID not handled correctly\n');
+    check(invalidGoalResponse.status === 404, '✅ Invalid goal ID handled correctly\n', '❌ Invalid goal ID not handled correctly\n');
 
     // Test 12: Error handling - Missing required fields
     console.log('🚫 Test 12: Testing missing required fields...');
@@ -226,7 +254,7 @@ async function runTests() {
     const invalidDataResponse = await makeRequest('POST', `${API_BASE}/goals`, invalidGoalData);
     console.log(`Status: ${invalidDataResponse.status}`);
     console.log('Response:', JSON.stringify(invalidDataResponse.data, null, 2));
-    console.log(invalidDataResponse.status === 400 ? '✅ Missing fields handled correctly\n' : '❌ Missing fields not handled correctly\n');
+    check(invalidDataResponse.status === 400, '✅ Missing fields handled correctly\n', '❌ Missing fields not handled correctly\n');
 
     // Test 13: Error handling - Invalid goal type
     console.log('🚫 Test 13: Testing invalid goal type...');
@@ -237,7 +265,7 @@ async function runTests() {
     const invalidTypeResponse = await makeRequest('POST', `${API_BASE}/goals`, invalidTypeData);
     console.log(`Status: ${invalidTypeResponse.status}`);
     console.log('Response:', JSON.stringify(invalidTypeResponse.data, null, 2));
-    console.log(invalidTypeResponse.status === 400 ? '✅ Invalid goal type handled correctly\n' : '❌ Invalid goal type not handled correctly\n');
+    check(invalidTypeResponse.status === 400, '✅ Invalid goal type handled correctly\n', '❌ Invalid goal type not handled correctly\n');
 
     // Test 14: Error handling - Current amount exceeds target
     console.log('🚫 Test 14: Testing current amount exceeds target...');
@@ -249,26 +277,27 @@ async function runTests() {
     const invalidAmountResponse = await makeRequest('POST', `${API_BASE}/goals`, invalidAmountData);
     console.log(`Status: ${invalidAmountResponse.status}`);
     console.log('Response:', JSON.stringify(invalidAmountResponse.data, null, 2));
-    console.log(invalidAmountResponse.status === 400 ? '✅ Invalid amount handled correctly\n' : '❌ Invalid amount not handled correctly\n');
+    check(invalidAmountResponse.status === 400, '✅ Invalid amount handled correctly\n', '❌ Invalid amount not handled correctly\n');
 
     // Test 15: Delete second goal
     console.log('🗑️ Test 15: Deleting second goal...');
     const deleteResponse = await makeRequest('DELETE', `${API_BASE}/goals/${goalId2}`);
     console.log(`Status: ${deleteResponse.status}`);
     console.log('Response:', JSON.stringify(deleteResponse.data, null, 2));
-    console.log(deleteResponse.status === 200 ? '✅ Goal deleted successfully\n' : '❌ Failed to delete goal\n');
+    check(deleteResponse.status === 200, '✅ Goal deleted successfully\n', '❌ Failed to delete goal\n');
 
     // Test 16: Verify goal was deleted
     console.log('🔍 Test 16: Verifying goal was deleted...');
     const verifyDeleteResponse = await makeRequest('GET', `${API_BASE}/goals/${goalId2}`);
     console.log(`Status: ${verifyDeleteResponse.status}`);
     console.log('Response:', JSON.stringify(verifyDeleteResponse.data, null, 2));
-    console.log(verifyDeleteResponse.status === 404 ? '✅ Goal deletion verified\n' : '❌ Goal still exists\n');
+    check(verifyDeleteResponse.status === 404, '✅ Goal deletion verified\n', '❌ Goal still exists\n');
 
     console.log('🎉 All tests completed!');
 
   } catch (error) {
     console.error('❌ Test failed with error:', error);
+    process.exitCode = 1;
   }
 }
 
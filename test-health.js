@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the readiness report (src/services/healthService.js): each
+ * dependency's status and latency, 503 when a critical one is down or the
+ * server is draining, the Sui check timeout and the short-lived result cache.
+ * Run with: node test-health.js (no server or database needed; MongoDB is
+ * pointed at a closed port and the Sui client is replaced)
+ */
+
+// Read by src/config.js, so set before it loads
+process.env.MONGODB_URI = 'mongodb://127.0.0.1:1/evarra-test';
+process.env.MONGODB_SERVER_SELECTION_TIMEOUT_MS = '200';
+process.env.LOG_LEVELS = 'lifecycle=warn';
+
+const HealthService = require('./src/services/healthService');
+const lifecycle = require('./src/utils/lifecycle');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// A health service whose Sui fullnode and cache are up unless told otherwise
+const createService = ({ sui = async () => 123, cache = 'connected' } = {}) => {
+  const service = new HealthService();
+  service.suiClient = { getLatestCheckpointSequenceNumber: sui };
+  service.cacheService = { getConnectionState: () => cache };
+  return service;
+};
+
+const upMongoDB = async () => ({});
+
+async function runTests() {
+  console.log('🚀 Checking the readiness report...\n');
+
+  // Test 1: everything up is healthy, with per-dependency status and latency
+  let service = createService();
+  service.checkMongoDB = upMongoDB;
+  let report = await service.getReport();
+  check(report.status === 'healthy' && report.httpStatus === 200, `all up reported ${report.status} (${report.httpStatus})`);
+  check(Object.keys(report.checks).join(',') === 'mongodb,sui,cache', `checked ${Object.keys(report.checks).join(', ')}`);
+  check(Object.values(report.checks).every(result => result.status === 'up' && Number.isInteger(result.latencyMs)),
+    'a check is missing its status or latency');
+  check(report.checks.sui.latestCheckpoint === 123 && typeof report.checks.sui.url === 'string', 'Sui check does not report its checkpoint and URL');
+  check(report.checks.mongodb.critical === true && report.checks.sui.critical === true && report.checks.cache.critical === false,
+    'wrong dependencies marked critical');
+
+  // Test 2: the cache being down only degrades the service
+  service = createService({ cache: 'disconnected' });
+  service.checkMongoDB = upMongoDB;
+  report = await service.getReport();
+  check(report.status === 'degraded' && report.httpStatus === 200, `cache down reported ${report.status} (${report.httpStatus})`);
+  check(report.checks.cache.status === 'down' && report.checks.cache.error === 'Cache storage is not connected',
+    'cache failure not reported with its reason');
+
+  // Test 3: MongoDB being unreachable makes the service unhealthy
+  service = createService();
+  report = await service.getReport(['mongodb', 'cache']);
+  check(report.status === 'unhealthy' && report.httpStatus === 503, `MongoDB down reported ${report.status} (${report.httpStatus})`);
+  check(report.checks.mongodb.status === 'down' && report.checks.mongodb.error, 'MongoDB failure not reported with its error');
+  check(!('sui' in report.checks), 'checked a dependency that was not asked for');
+
+  // Test 4: a Sui fullnode that does not answer times out after 3 seconds and is aborted
+  let signal = null;
+  service = createService({ sui: (options) => { signal = options.signal; return new Promise(() => {}); } });
+  service.checkMongoDB = upMongoDB;
+  report = await service.getReport();
+  check(report.status === 'unhealthy' && report.httpStatus === 503, `Sui down reported ${report.status} (${report.httpStatus})`);
+  check(report.checks.sui.error === 'Sui fullnode timed out', `Sui check failed with ${report.checks.sui.error}`);
+  check(report.checks.sui.latencyMs >= 3000, `Sui check gave up after ${report.checks.sui.latencyMs}ms`);
+  check(signal && signal.aborted, 'timed-out Sui request not aborted');
+
+  // Test 5: concurrent and repeated probes share one check
+  let suiCalls = 0;
+  service = createService({ sui: async () => { suiCalls++; return 1; } });
+  await Promise.all([service.getReport(['sui']), service.getReport(['sui'])]);
+  await service.getReport(['sui']);
+  check(suiCalls === 1, `${suiCalls} Sui calls for three probes within 5 seconds, expected 1`);
+
+  // Test 6: a draining server reports 503 even with every dependency up
+  service = createService();
+  service.checkMongoDB = upMongoDB;
+  await lifecycle.shutdown('test');
+  report = await service.getReport();
+  check(report.status === 'draining' && report.httpStatus === 503, `draining reported ${report.status} (${report.httpStatus})`);
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 The readiness report works!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test for graceful shutdown (src/utils/lifecycle.js): background jobs stop,
+ * in-flight requests finish before the shutdown hooks run (newest hook
+ * first), and requests still running at SHUTDOWN_TIMEOUT_MS are cut off.
+ * Run with: node test-lifecycle.js (no server or database needed)
+ *
+ * The lifecycle is per process, so the timeout case runs in a child process
+ * started with --timeout-case.
+ */
+
+const http = require('http');
+const { spawnSync } = require('child_process');
+
+const TIMEOUT_CASE = process.argv.includes('--timeout-case');
+process.env.SHUTDOWN_TIMEOUT_MS = TIMEOUT_CASE ? '200' : '5000';
+// The failing hook below is expected; keep its error out of the output
+process.env.LOG_LEVELS = 'lifecycle=silent';
+
+const express = require('express');
+const lifecycle = require('./src/utils/lifecycle');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// An app whose /slow requests wait until release() is called
+const startApp = () => {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+
+  const app = express();
+  app.use(lifecycle.trackRequests);
+  app.get('/slow', async (req, res) => {
+    await released;
+    res.json({ done: true });
+  });
+
+  const server = lifecycle.addServer(app.listen(0));
+  return { port: server.address().port, release };
+};
+
+const get = (port, path) => new Promise((resolve, reject) => {
+  http.get({ port, path, agent: new http.Agent({ keepAlive: true }) }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ res, body }));
+  }).on('error', reject);
+});
+
+async function runTimeoutCase() {
+  const { port } = startApp();
+  const pending = get(port, '/slow').then(() => 'finished', () => 'cut off');
+  await sleep(50);
+
+  const clean = await lifecycle.shutdown('test');
+  console.log(JSON.stringify({ clean, request: await pending, state: lifecycle.getState() }));
+}
+
+async function runTests() {
+  console.log('🚀 Checking graceful shutdown...\n');
+
+  const order = [];
+  let jobRuns = 0;
+  lifecycle.startJob('test-job', 10, () => { jobRuns++; });
+  lifecycle.onShutdown('database', () => { order.push('database'); });
+  lifecycle.onShutdown('cache', async () => { await sleep(10); order.push('cache'); });
+  lifecycle.onShutdown('broken', () => { throw new Error('hook failed'); });
+
+  const { port, release } = startApp();
+  await sleep(50);
+  check(jobRuns > 0, 'background job did not run');
+  check(lifecycle.getState() === 'running' && !lifecycle.isDraining(), 'not running before shutdown');
+
+  // Test 1: shutdown waits for the in-flight request and refuses new connections
+  const pending = get(port, '/slow').then(({ res, body }) => {
+    order.push('request');
+    return { res, body };
+  });
+  await sleep(50);
+  check(lifecycle.getInFlightCount() === 1, `${lifecycle.getInFlightCount()} requests in flight, expected 1`);
+
+  const shuttingDown = lifecycle.shutdown('test');
+  check(lifecycle.shutdown('again') === shuttingDown, 'a second shutdown started another sequence');
+  check(lifecycle.getState() === 'draining' && lifecycle.isDraining(), 'not draining once shutdown starts');
+
+  const runsAtShutdown = jobRuns;
+  await sleep(50);
+  check(jobRuns === runsAtShutdown, 'background job kept running after shutdown');
+  check(order.length === 0, `${order.join(', ')} ran before the in-flight request finished`);
+
+  let refused = false;
+  await get(port, '/slow').catch(() => { refused = true; });
+  check(refused, 'new connection accepted while draining');
+
+  // A request that still reaches the app on a kept-alive connection is told to close it
+  const headers = {};
+  let closeResponse;
+  const response = { set: (name, value) => { headers[name] = value; }, once: (event, listener) => { closeResponse = listener; } };
+  lifecycle.trackRequests({}, response, () => {});
+  check(headers.Connection === 'close', 'request during the drain not told to close its connection');
+  closeResponse();
+
+  release();
+  const { res, body } = await pending;
+  const clean = await shuttingDown;
+
+  check(res.statusCode === 200 && JSON.parse(body).done === true, 'in-flight request did not complete');
+
+  // Test 2: hooks run after the drain, newest first, and a failing hook does not stop the rest
+  check(order.join(',') === 'request,cache,database', `shutdown ran in the order ${order.join(', ')}`);
+  check(clean === false, 'shutdown with a failing hook reported as clean');
+  check(lifecycle.getState() === 'stopped', `state is ${lifecycle.getState()} after shutdown`);
+  check(lifecycle.getInFlightCount() === 0, 'requests still counted as in flight after shutdown');
+
+  // Test 3: requests still running at the timeout are cut off and the shutdown is not clean
+  const child = spawnSync(process.execPath, [__filename, '--timeout-case'], {
+    encoding: 'utf8',
+    timeout: 20000,
+    env: process.env
+  });
+  const lastLine = (child.stdout || '').trim().split('\n').pop();
+  let result = null;
+  try { result = JSON.parse(lastLine); } catch (error) { /* reported below */ }
+  check(result && result.clean === false && result.request === 'cut off' && result.state === 'stopped',
+    `timeout case ended with ${lastLine || child.stderr}`);
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Graceful shutdown works!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+(TIMEOUT_CASE ? runTimeoutCase() : runTests()).catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
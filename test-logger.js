@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the structured logger (src/utils/logger.js) and request IDs
+ * (src/middleware/requestContext.js): JSON lines, redaction of secrets,
+ * passwords and emails, per-module levels, and the request ID following
+ * async work and coming back in the X-Request-Id header.
+ * Run with: node test-logger.js (no server or database needed)
+ */
+
+// Read by src/config.js, so set before it loads
+process.env.LOG_LEVEL = 'info';
+process.env.LOG_LEVELS = 'chatty=debug,quiet=error,http=info';
+
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { createLogger, logger, redact, runWithRequestContext, getRequestId } = require('./src/utils/logger');
+const { requestContext } = require('./src/middleware/requestContext');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Collect the JSON lines written while `callback` runs, with the stream each went to
+const capture = async (callback) => {
+  const lines = [];
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const stream of ['stdout', 'stderr']) {
+    process[stream].write = (chunk) => {
+      lines.push({ stream, ...JSON.parse(String(chunk)) });
+      return true;
+    };
+  }
+  try {
+    await callback();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return lines;
+};
+
+async function runTests() {
+  console.log('🚀 Checking the logger and request IDs...\n');
+
+  // Test 1: secrets, passwords and emails are redacted, however deep
+  const id = new ObjectId();
+  const redacted = redact({
+    user: { _id: id, email: 'alice@example.com', password: 'hunter2', password_hash: '$2b$10$abc', totp_enabled: true },
+    headers: { Authorization: 'Bearer abc', cookie: 'sid=1' },
+    apiKey: 'evk_123',
+    refreshToken: 'r1',
+    recovery_codes: ['a', 'b'],
+    note: 'reply to bob.smith@mail.example.org please',
+    list: [{ client_secret: 's' }],
+    emptyToken: null,
+    count: 3n,
+    at: new Date('2026-01-02T03:04:05Z')
+  });
+  check(redacted.user._id === id.toHexString(), 'ObjectId not logged as its hex string');
+  check(redacted.user.email === 'a***@example.com', `email logged as ${redacted.user.email}`);
+  check(redacted.user.password === '[REDACTED]' && redacted.user.password_hash === '[REDACTED]', 'password fields not redacted');
+  check(redacted.user.totp_enabled === true, 'boolean flags on secret-looking keys should stay readable');
+  check(redacted.headers.Authorization === '[REDACTED]' && redacted.headers.cookie === '[REDACTED]', 'auth headers not redacted');
+  check(redacted.apiKey === '[REDACTED]' && redacted.refreshToken === '[REDACTED]' && redacted.recovery_codes === '[REDACTED]',
+    'API key, token or recovery codes not redacted');
+  check(redacted.note === 'reply to b***@mail.example.org please', `email in text logged as "${redacted.note}"`);
+  check(redacted.list[0].client_secret === '[REDACTED]', 'secret inside an array not redacted');
+  check(redacted.emptyToken === null, 'missing values should stay null');
+  check(redacted.count === '3' && redacted.at === '2026-01-02T03:04:05.000Z', 'bigint or date not serialized');
+
+  let nested = {};
+  const deep = nested;
+  for (let depth = 0; depth < 10; depth++) nested = nested.next = {};
+  check(JSON.stringify(redact(deep)).includes('[Truncated]'), 'deeply nested context not truncated');
+
+  // Test 2: one JSON line per entry, with errors serialized and emails masked in the message
+  let lines = await capture(() => {
+    createLogger('users').info('Created alice@example.com', { userId: 'u1' });
+    createLogger('users').error('Lookup failed', { error: Object.assign(new Error('no user carol@example.com'), { code: 'E1' }) });
+  });
+  check(lines.length === 2, `${lines.length} lines written, expected 2`);
+  const [created, failed] = lines;
+  check(created && created.level === 'info' && created.module === 'users' && created.msg === 'Created a***@example.com' &&
+    created.userId === 'u1' && !Number.isNaN(Date.parse(created.time)), 'info line missing its fields');
+  check(created && created.stream === 'stdout' && failed && failed.stream === 'stderr', 'errors should go to stderr and info to stdout');
+  check(failed && failed.error.name === 'Error' && failed.error.code === 'E1' && failed.error.message === 'no user c***@example.com' &&
+    failed.error.stack, 'error not serialized with its code, masked message and stack');
+
+  // Test 3: levels come from LOG_LEVELS per module, falling back to LOG_LEVEL
+  lines = await capture(() => {
+    createLogger('other').debug('hidden');
+    createLogger('other').info('shown: default info');
+    createLogger('chatty').debug('shown: chatty debug');
+    createLogger('quiet').warn('hidden');
+    createLogger('quiet').error('shown: quiet error');
+    logger.debug('hidden');
+    logger.info('shown: root info');
+  });
+  check(lines.every(line => line.msg.startsWith('shown')) && lines.length === 4,
+    `per-module levels wrote: ${lines.map(line => `${line.module}/${line.level}`).join(', ')}`);
+
+  // Test 4: the request ID follows awaits and timers inside its context
+  lines = await capture(() => runWithRequestContext({ requestId: 'req-1' }, async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    createLogger('jobs').info('inside');
+  }));
+  check(lines[0] && lines[0].requestId === 'req-1', 'request ID lost across an await');
+  check(getRequestId() === null, 'request ID leaked outside its context');
+  lines = await capture(() => createLogger('jobs').info('outside'));
+  check(lines[0] && !('requestId' in lines[0]), 'log line outside a request carries a request ID');
+
+  // Test 5: the middleware sets the ID, echoes it, and every line for the request carries it
+  const app = express();
+  app.use(requestContext);
+  app.get('/work', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    createLogger('service').info('Working', { requestIdSeen: getRequestId() });
+    res.json({ id: req.id });
+  });
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  let response;
+  lines = await capture(async () => {
+    response = await fetch(`${base}/work`);
+    await response.json();
+    await new Promise(resolve => setTimeout(resolve, 20));
+  });
+  const generated = response.headers.get('x-request-id');
+  check(/^[0-9a-f-]{36}$/.test(generated || ''), `generated request ID ${generated} is not a UUID`);
+  check(lines.length === 2 && lines.every(line => line.requestId === generated), 'request lines do not all carry the request ID');
+  const completed = lines.find(line => line.msg === 'Request completed');
+  check(completed && completed.module === 'http' && completed.method === 'GET' && completed.path === '/work' &&
+    completed.status === 200 && typeof completed.durationMs === 'number', 'request completion line missing its fields');
+
+  await capture(async () => {
+    response = await fetch(`${base}/work`, { headers: { 'X-Request-Id': 'upstream-42' } });
+    await response.json();
+    check(response.headers.get('x-request-id') === 'upstream-42', 'incoming request ID not reused');
+
+    response = await fetch(`${base}/work`, { headers: { 'X-Request-Id': 'bad id <script>' } });
+    await response.json();
+    check(response.headers.get('x-request-id') !== 'bad id <script>', 'malformed incoming request ID reused');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  });
+
+  await new Promise(resolve => server.close(resolve));
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 The logger and request IDs work!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
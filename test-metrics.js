@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the metrics registry and the Prometheus text format served at
+ * /metrics: counters, histogram buckets, label escaping and the endpoint.
+ * Run with: node test-metrics.js (no server or database needed)
+ */
+
+const http = require('http');
+const { Registry, Counter, Gauge, Histogram, CONTENT_TYPE } = require('./src/utils/metrics');
+const { app } = require('./src/index');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+const lines = (text) => text.split('\n');
+
+const request = (port, path) => new Promise((resolve, reject) => {
+  http.get({ port, path }, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ res, body }));
+  }).on('error', reject);
+});
+
+async function runTests() {
+  console.log('🚀 Checking the metrics registry...\n');
+
+  // Test 1: counters add up per label set and render one line each
+  const registry = new Registry();
+  const requests = registry.register(new Counter({
+    name: 'test_requests_total',
+    help: 'Test requests',
+    labelNames: ['method', 'status']
+  }));
+  requests.inc({ method: 'GET', status: 200 });
+  requests.inc({ method: 'GET', status: 200 }, 2);
+  requests.inc({ method: 'POST', status: 500, ignored: 'x' });
+
+  check(requests.get() === 4, `counter total is ${requests.get()}, expected 4`);
+  check(requests.get({ method: 'GET' }) === 3, 'counter filter by label does not sum matching series');
+
+  let text = registry.render();
+  check(lines(text).includes('# HELP test_requests_total Test requests'), 'counter HELP line missing');
+  check(lines(text).includes('# TYPE test_requests_total counter'), 'counter TYPE line missing');
+  check(lines(text).includes('test_requests_total{method="GET",status="200"} 3'), 'GET series not rendered as 3');
+  check(lines(text).includes('test_requests_total{method="POST",status="500"} 1'), 'undeclared labels are not dropped');
+  check(text.endsWith('\n'), 'exposition does not end with a newline');
+
+  let threw = false;
+  try { requests.inc({}, -1); } catch (error) { threw = true; }
+  check(threw, 'counter accepted a negative increment');
+
+  // Test 2: label values escape backslashes, quotes and newlines
+  const escaped = new Registry();
+  escaped.register(new Counter({ name: 'test_escape_total', help: 'Escaping', labelNames: ['value'] }))
+    .inc({ value: 'a\\b"c\nd' });
+  check(lines(escaped.render()).includes('test_escape_total{value="a\\\\b\\"c\\nd"} 1'),
+    `label value not escaped: ${lines(escaped.render())[2]}`);
+
+  // Test 3: histograms count each observation in every bucket it fits, plus +Inf
+  const histograms = new Registry();
+  const duration = histograms.register(new Histogram({
+    name: 'test_duration_seconds',
+    help: 'Durations',
+    labelNames: ['route'],
+    buckets: [1, 0.1, 0.5]
+  }));
+  [0.05, 0.3, 0.3, 2].forEach(value => duration.observe({ route: '/a' }, value));
+
+  text = histograms.render();
+  const expected = [
+    '# HELP test_duration_seconds Durations',
+    '# TYPE test_duration_seconds histogram',
+    'test_duration_seconds_bucket{route="/a",le="0.1"} 1',
+    'test_duration_seconds_bucket{route="/a",le="0.5"} 3',
+    'test_duration_seconds_bucket{route="/a",le="1"} 3',
+    'test_duration_seconds_bucket{route="/a",le="+Inf"} 4',
+    'test_duration_seconds_sum{route="/a"} 2.65',
+    'test_duration_seconds_count{route="/a"} 4',
+    ''
+  ].join('\n');
+  check(text === expected, `histogram rendered as:\n${text}`);
+  check(duration.get().count === 4, 'histogram count is not 4');
+
+  // Test 4: gauges with collect() are set at render time
+  const gauges = new Registry();
+  let collected = 0;
+  gauges.register(new Gauge({ name: 'test_gauge', help: 'Gauge', collect: (metric) => metric.set({}, ++collected) }));
+  gauges.render();
+  check(lines(gauges.render()).includes('test_gauge 2'), 'gauge collect() did not run on each render');
+
+  // Test 5: bad names and duplicates are rejected
+  threw = false;
+  try { new Counter({ name: 'bad-name', help: 'x' }); } catch (error) { threw = true; }
+  check(threw, 'invalid metric name accepted');
+
+  threw = false;
+  try { registry.register(new Counter({ name: 'test_requests_total', help: 'again' })); } catch (error) { threw = true; }
+  check(threw, 'duplicate metric name accepted');
+
+  // Test 6: /metrics serves the shared registry in the text format
+  const server = app.listen(0);
+  const { port } = server.address();
+  try {
+    await request(port, '/api/health');
+    const { res, body } = await request(port, '/metrics');
+    check(res.statusCode === 200, `/metrics returned ${res.statusCode}`);
+    // Express moves the charset parameter, so compare the parameters as a set
+    const params = (type) => type.split(';').map(part => part.trim()).sort().join(';');
+    check(params(res.headers['content-type']) === params(CONTENT_TYPE), `/metrics content type is ${res.headers['content-type']}`);
+    check(lines(body).includes('# TYPE http_requests_total counter'), '/metrics has no http_requests_total');
+    check(body.includes('http_requests_total{method="GET",route="/api/health"'),
+      '/metrics did not count the earlier request by route pattern');
+    check(body.includes('http_request_duration_seconds_bucket{'), '/metrics has no request duration buckets');
+  } finally {
+    server.close();
+  }
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Metrics are rendered correctly!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
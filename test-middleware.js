@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the access-control middleware (src/middleware/auth.js and
+ * src/middleware/authorize.js) with stubbed callers: token authentication,
+ * revoked sessions and disabled accounts, read-only impersonation sessions,
+ * API key scopes, roles and ownership.
+ * Run with: node test-middleware.js (no server or database needed)
+ */
+
+// Read by src/config.js, so set before it loads
+process.env.JWT_SECRET = 'test-secret-that-is-at-least-32-characters';
+
+const { ObjectId } = require('mongodb');
+const MongoDBSessionService = require('./src/services/sessionService');
+const MongoDBUserService = require('./src/services/userService');
+const { authenticate, requireAuth, requireSession, requireScope } = require('./src/middleware/auth');
+const { requireSelf, requireBodyOwner, requireRole, requireOwnership } = require('./src/middleware/authorize');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Sessions and accounts the middleware sees, in place of MongoDB
+const activeSessions = new Set();
+const users = new Map();
+const touched = [];
+MongoDBSessionService.prototype.isSessionActive = async (sessionId) => activeSessions.has(sessionId);
+MongoDBSessionService.prototype.touchSession = (sessionId, { ip }) => { touched.push({ sessionId, ip }); };
+MongoDBUserService.prototype.getUserById = async (userId) => users.get(userId) || null;
+
+// Run a middleware; resolves to the error it passed on or threw, or null if it called next()
+const run = async (middleware, req) => {
+  let result = 'next() not called';
+  try {
+    await middleware(req, {}, (error) => { result = error || null; });
+  } catch (error) {
+    result = error;
+  }
+  return result;
+};
+
+const isError = (error, statusCode, code) => !!error && error.statusCode === statusCode && error.code === code;
+
+async function runTests() {
+  console.log('🚀 Checking the access-control middleware...\n');
+
+  const sessionService = new MongoDBSessionService();
+  const alice = { id: new ObjectId().toString(), username: 'alice', role: 'admin' };
+  const sessionId = new ObjectId().toString();
+  activeSessions.add(sessionId);
+  users.set(alice.id, { id: alice.id, disabled: false });
+
+  const withToken = (token, method = 'GET') => ({ method, headers: { authorization: `Bearer ${token}` }, ip: '198.51.100.7' });
+  const token = sessionService.signAccessToken(alice, sessionId);
+
+  // Test 1: a valid access token sets req.user and records the session as seen
+  let req = withToken(token);
+  let error = await run(authenticate, req);
+  check(error === null && req.user && req.user.id === alice.id && req.user.role === 'admin' && req.user.readOnly === false,
+    `valid token not accepted (${error && error.message})`);
+  check(touched.some(entry => entry.sessionId === sessionId && entry.ip === '198.51.100.7'), 'session not touched with the caller IP');
+
+  // Test 2: requests without a usable token stay anonymous; bad tokens are rejected
+  req = { method: 'GET', headers: {} };
+  check(await run(authenticate, req) === null && req.user === undefined, 'request without a token not passed through anonymously');
+  req = { method: 'GET', headers: { authorization: `Basic ${token}` } };
+  check(await run(authenticate, req) === null && req.user === undefined, 'non-Bearer Authorization header not ignored');
+  check(isError(await run(authenticate, withToken(`${token}x`)), 401, 'INVALID_TOKEN'), 'tampered token accepted');
+  check(isError(await run(requireAuth, { headers: {} }), 401, 'AUTH_ERROR'), 'requireAuth let an anonymous request through');
+
+  // Test 3: revoked sessions and disabled accounts stop working on the next request
+  activeSessions.delete(sessionId);
+  error = await run(authenticate, withToken(token));
+  check(error && error.statusCode === 401 && error.message === 'Session expired or revoked', `revoked session gave ${error && error.message}`);
+  activeSessions.add(sessionId);
+
+  users.set(alice.id, { id: alice.id, disabled: true });
+  error = await run(authenticate, withToken(token));
+  check(error && error.statusCode === 401 && error.message === 'Session expired or revoked', `disabled account gave ${error && error.message}`);
+  users.set(alice.id, { id: alice.id, disabled: false });
+
+  // Test 4: impersonation sessions can read but not write, and never carry a staff role
+  const impersonation = sessionService.signAccessToken(alice, sessionId, { impersonatorId: new ObjectId().toString() });
+  req = withToken(impersonation, 'GET');
+  error = await run(authenticate, req);
+  check(error === null && req.user.readOnly === true && req.user.role === 'user', 'impersonation read refused or given a staff role');
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    req = withToken(impersonation, method);
+    check(isError(await run(authenticate, req), 403, 'READ_ONLY_SESSION') && req.user === undefined,
+      `${method} from a read-only session not rejected`);
+  }
+  check(await run(authenticate, withToken(token, 'DELETE')) === null, 'normal session refused a write');
+
+  // Test 5: API keys need the area's read scope for reads and write scope for writes
+  const scope = requireScope('goals:read', 'goals:write');
+  const apiKey = (scopes, method = 'GET') => ({ method, user: { id: alice.id, apiKeyId: 'k1', scopes } });
+  check(await run(scope, apiKey(['goals:read'])) === null, 'read scope refused a read');
+  error = await run(scope, apiKey(['goals:read'], 'POST'));
+  check(isError(error, 403, 'INSUFFICIENT_SCOPE') && error.details.scope === 'goals:write', 'read scope allowed a write');
+  check(await run(scope, apiKey(['goals:write'])) === null, 'write scope did not grant reads');
+  check(isError(await run(scope, apiKey(['wallets:write'])), 403, 'INSUFFICIENT_SCOPE'), 'another area\'s scope accepted');
+  check(await run(scope, { method: 'POST', user: { id: alice.id } }) === null, 'session token limited by scopes');
+  check(isError(await run(requireSession, apiKey(['goals:write'])), 403, 'SESSION_REQUIRED'), 'API key allowed on a session-only endpoint');
+  check(await run(requireSession, { user: { id: alice.id } }) === null, 'session refused on a session-only endpoint');
+
+  // Test 6: roles
+  const staffOnly = requireRole('support', 'admin');
+  check(await run(staffOnly, { user: { role: 'admin' } }) === null, 'admin refused');
+  check(await run(staffOnly, { user: { role: 'support' } }) === null, 'support refused');
+  check(isError(await run(staffOnly, { user: { role: 'user' } }), 403, 'FORBIDDEN'), 'user role allowed');
+  check(isError(await run(staffOnly, {}), 403, 'FORBIDDEN'), 'anonymous caller allowed');
+
+  // Test 7: a caller can only act on their own user ID and resources
+  const bob = new ObjectId().toString();
+  check(await run(requireSelf(), { params: { userId: alice.id }, user: alice }) === null, 'caller refused their own user ID');
+  check(isError(await run(requireSelf(), { params: { userId: bob }, user: alice }), 403, 'FORBIDDEN'), 'another user ID allowed');
+  check(await run(requireBodyOwner(), { body: { name: 'x' }, user: alice }) === null, 'body without an owner refused');
+  check(isError(await run(requireBodyOwner(), { body: { user_id: bob }, user: alice }), 403, 'FORBIDDEN'), 'body for another user allowed');
+
+  const goals = new Map([['aaaaaaaaaaaaaaaaaaaaaaaa', { user_id: alice.id }], ['bbbbbbbbbbbbbbbbbbbbbbbb', { user_id: bob }]]);
+  const ownsGoal = requireOwnership({ key: 'goalId', load: async (id) => goals.get(id) || null, getOwnerId: goal => goal.user_id, notFoundMessage: 'Goal not found' });
+  check(await run(ownsGoal, { params: { goalId: 'aaaaaaaaaaaaaaaaaaaaaaaa' }, user: alice }) === null, 'owner refused their goal');
+  for (const goalId of ['bbbbbbbbbbbbbbbbbbbbbbbb', 'cccccccccccccccccccccccc', 'not-an-id']) {
+    error = await run(ownsGoal, { params: { goalId }, user: alice });
+    check(isError(error, 404, 'NOT_FOUND') && error.message === 'Goal not found', `goal ${goalId} not hidden behind a 404`);
+  }
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Access control works!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
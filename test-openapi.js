@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Contract test for the OpenAPI document: every route the server registers
+ * must have a spec entry, which it gets by declaring its schemas with
+ * validate(schemas.someOperation) (see src/schemas).
+ * Run with: node test-openapi.js (no server or database needed)
+ */
+
+const { app, apiMounts } = require('./src/index');
+const { listRoutes, buildOpenApiDocument, toOpenApiPath } = require('./src/utils/openapi');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+function runTests() {
+  console.log('🚀 Checking the OpenAPI document against the registered routes...\n');
+
+  // Built the same way as the document served at /api/openapi.json
+  const routes = listRoutes(app, apiMounts);
+  const document = buildOpenApiDocument(routes, { title: 'Evarra Backend Service', version: 'test' });
+
+  console.log(`📋 ${routes.length} routes, ${Object.keys(document.paths).length} documented paths\n`);
+
+  // Test 1: every route has a spec entry
+  for (const { method, path, operation } of routes) {
+    const name = `${method.toUpperCase()} ${path}`;
+    check(operation !== null, `${name} has no spec entry: add validate(schemas.<operation>) to the route`);
+    check(!operation || document.paths[toOpenApiPath(path)]?.[method], `${name} is missing from the document`);
+  }
+
+  // Test 2: every spec entry is a registered route
+  for (const [path, operations] of Object.entries(document.paths)) {
+    for (const method of Object.keys(operations)) {
+      check(routes.some(route => route.method === method && toOpenApiPath(route.path) === path),
+        `${method.toUpperCase()} ${path} is documented but not registered`);
+    }
+  }
+
+  // Test 3: entries are complete and operationIds are unique
+  const operationIds = new Map();
+  for (const [path, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const name = `${method.toUpperCase()} ${path}`;
+      check(operation.summary, `${name} has no summary`);
+      check(operation.tags && operation.tags.length > 0, `${name} has no tag`);
+
+      const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      const declared = operation.parameters.filter(param => param.in === 'path').map(param => param.name);
+      check(pathParams.every(param => declared.includes(param)), `${name} does not declare every path parameter`);
+
+      if (operationIds.has(operation.operationId)) {
+        failures.push(`${name} reuses operationId ${operation.operationId} from ${operationIds.get(operation.operationId)}`);
+      }
+      operationIds.set(operation.operationId, name);
+    }
+  }
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Every route has a spec entry!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test for the request validator (src/utils/schema.js) and the validate()
+ * middleware every route starts with: allow-listed fields, minProperties,
+ * nullable fields, nested objects and arrays, and the error details.
+ * Run with: node test-schema.js (no server or database needed)
+ */
+
+const { validate: validateSchema } = require('./src/utils/schema');
+const { validate } = require('./src/middleware/validate');
+const { errorBody } = require('./src/middleware/errorHandler');
+const { ValidationError } = require('./src/utils/errorHandler');
+const { object, nullable, nonEmptyString, objectId, chain, pagination } = require('./src/schemas/common');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+const fields = (errors) => errors.map(error => error.field).sort().join(',');
+
+// Run the middleware on a request; returns the thrown error, or null
+const runMiddleware = (middleware, req) => {
+  try {
+    middleware(req, {}, () => {});
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+function runTests() {
+  console.log('🚀 Checking the request validator...\n');
+
+  const goal = object({
+    name: nonEmptyString(50),
+    notes: nullable({ type: 'string', maxLength: 10 }),
+    chain: nullable(chain),
+    owner: object({ id: objectId, label: { type: 'string' } }, { required: ['id'] }),
+    milestones: {
+      type: 'array',
+      maxItems: 2,
+      items: object({ amount: { type: 'number', exclusiveMinimum: 0 } }, { required: ['amount'] })
+    }
+  }, { required: ['name'] });
+
+  // Test 1: unknown keys are rejected at every level, and reported by path
+  let result = validateSchema(goal, {
+    name: 'Save',
+    admin: true,
+    owner: { id: '507f1f77bcf86cd799439011', role: 'admin' },
+    milestones: [{ amount: 1, extra: 1 }]
+  });
+  check(fields(result.errors) === 'admin,milestones[0].extra,owner.role', `unknown keys reported as ${fields(result.errors)}`);
+  check(result.errors.find(error => error.field === 'admin').message === 'admin is not allowed', 'unknown key message changed');
+
+  // additionalProperties may allow any key, or check each against a schema
+  result = validateSchema({ type: 'object', additionalProperties: true }, { anything: { nested: 1 } });
+  check(result.errors.length === 0 && result.value.anything.nested === 1, 'additionalProperties: true did not keep the key');
+  result = validateSchema({ type: 'object', additionalProperties: { type: 'integer' } }, { a: 1, b: 'x' });
+  check(fields(result.errors) === 'b', 'additionalProperties schema not applied to each key');
+
+  // Test 2: required fields, and minProperties naming the optional fields
+  result = validateSchema(goal, {});
+  check(fields(result.errors) === 'name' && result.errors[0].message === 'name is required', 'missing required field not reported');
+
+  const update = object({ name: nonEmptyString(), notes: { type: 'string' } }, { minProperties: 1 });
+  result = validateSchema(update, {});
+  check(result.errors.length === 1 && result.errors[0].field === 'body' && result.errors[0].message === 'Provide at least one of: name, notes',
+    `empty update reported as ${JSON.stringify(result.errors)}`);
+  check(validateSchema(update, { notes: 'x' }).errors.length === 0, 'update with one field rejected');
+
+  // Test 3: nullable fields take null, and their enums still apply
+  result = validateSchema(goal, { name: 'Save', notes: null, chain: null });
+  check(result.errors.length === 0 && result.value.notes === null && result.value.chain === null, 'null refused for a nullable field');
+  result = validateSchema(goal, { name: 'Save', chain: 'dogecoin', notes: 'far too long here' });
+  check(fields(result.errors) === 'chain,notes', `nullable enum and maxLength reported as ${fields(result.errors)}`);
+  check(validateSchema(goal, { name: null }).errors[0].message === 'name must be a string', 'null accepted for a required string');
+
+  // Test 4: nested objects and arrays are checked item by item
+  result = validateSchema(goal, {
+    name: 'Save',
+    owner: { label: 'x' },
+    milestones: [{ amount: 5 }, { amount: 0 }, { amount: 'x' }]
+  });
+  check(fields(result.errors) === 'milestones,milestones[1].amount,milestones[2].amount,owner.id',
+    `nested errors reported as ${fields(result.errors)}`);
+  check(result.errors.find(error => error.field === 'milestones').message === 'milestones can have at most 2 items', 'maxItems message changed');
+  check(validateSchema(goal, { name: 'Save', milestones: {} }).errors[0].message === 'milestones must be an array', 'object accepted as an array');
+
+  // Test 5: strings are coerced to declared types, and defaults are filled in
+  result = validateSchema(object(pagination), { limit: '20' });
+  check(result.errors.length === 0 && result.value.limit === 20 && result.value.skip === 0, `pagination validated as ${JSON.stringify(result.value)}`);
+  check(validateSchema(object(pagination), { limit: '2.5' }).errors[0].message === 'limit must be a whole number', 'fractional limit accepted');
+  check(validateSchema(object(pagination), { limit: '500' }).errors[0].message === 'limit must be at most 100', 'limit over the maximum accepted');
+
+  // Test 6: the middleware checks params, query and body, and replaces them
+  const middleware = validate({
+    params: object({ goalId: objectId }, { required: ['goalId'] }),
+    query: object(pagination),
+    body: goal
+  });
+  check(middleware.schemas.body === goal, 'middleware does not keep its schemas for the API docs');
+
+  const req = {
+    params: { goalId: '507f1f77bcf86cd799439011' },
+    query: { limit: '10' },
+    body: { name: 'Save', notes: null }
+  };
+  check(runMiddleware(middleware, req) === null, 'valid request rejected');
+  check(req.query.limit === 10 && req.query.skip === 0, 'query not replaced by its validated copy');
+
+  const error = runMiddleware(middleware, {
+    params: { goalId: 'nope' },
+    query: { page: '2' },
+    body: { name: '', role: 'admin' }
+  });
+  check(error instanceof ValidationError && error.statusCode === 400, 'invalid request not rejected with a ValidationError');
+  check(error && fields(error.details) === 'name,params.goalId,query.page,role', `error details list ${error && fields(error.details)}`);
+  check(error && error.details.every(detail => Object.keys(detail).sort().join(',') === 'field,message'),
+    'error details are not { field, message } pairs');
+
+  // Routes without a body schema refuse any body, and accept none
+  const noBody = validate({});
+  check(runMiddleware(noBody, { params: {}, query: {}, body: undefined }) === null, 'request without a body rejected');
+  check(fields(runMiddleware(noBody, { params: {}, query: {}, body: { a: 1 } }).details) === 'a', 'undeclared body accepted');
+
+  // Test 7: the error response lists the field errors and the request ID
+  const body = errorBody(error, 'request-1');
+  check(body.success === false && body.code === 'VALIDATION_ERROR' && body.message === 'Validation failed', `error body is ${JSON.stringify(body)}`);
+  check(body.details === error.details && body.errors === error.details, 'error body does not list the field errors as details and errors');
+  check(body.requestId === 'request-1', 'error body has no request ID');
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 The validator works!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Test for Sui wallet sign-in signatures (src/utils/suiSignature.js): a
+ * personal-message signature only verifies for the message it signed and the
+ * address that signed it, and addresses are normalized before comparison.
+ * Run with: node test-sui-signature.js (no server or database needed)
+ */
+
+const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
+const { normalizeAddress, verifySuiPersonalMessage } = require('./src/utils/suiSignature');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+const sign = async (keypair, message) => (await keypair.signPersonalMessage(new TextEncoder().encode(message))).signature;
+
+async function runTests() {
+  console.log('🚀 Checking Sui signatures...\n');
+
+  const keypair = Ed25519Keypair.fromSecretKey(new Uint8Array(32).fill(1));
+  const other = Ed25519Keypair.fromSecretKey(new Uint8Array(32).fill(2));
+  const address = keypair.toSuiAddress();
+  const message = 'Sign in to Evarra\n' + address + '\n\nNonce: 00112233445566778899aabbccddeeff';
+  const signature = await sign(keypair, message);
+
+  // Test 1: the signer's own signature verifies
+  check(await verifySuiPersonalMessage(message, signature, address) === true, 'valid signature rejected');
+
+  // Test 2: anything else is refused, without throwing
+  check(await verifySuiPersonalMessage(message, signature, other.toSuiAddress()) === false, 'signature accepted for another address');
+  check(await verifySuiPersonalMessage(`${message} `, signature, address) === false, 'signature accepted for a changed message');
+  check(await verifySuiPersonalMessage(message, await sign(other, message), address) === false, 'another wallet\'s signature accepted');
+  check(await verifySuiPersonalMessage(message, 'not-a-signature', address) === false, 'malformed signature accepted');
+  check(await verifySuiPersonalMessage(message, '', address) === false, 'empty signature accepted');
+
+  // Test 3: addresses are normalized to 0x and 64 lowercase hex characters
+  check(normalizeAddress(address.toUpperCase().replace('0X', '0x')) === address, 'uppercase address not normalized');
+  check(normalizeAddress(`  ${address}  `) === address, 'surrounding spaces not trimmed');
+  check(normalizeAddress('0x2') === `0x${'0'.repeat(63)}2`, 'short address not padded');
+  check(normalizeAddress('0xnot-hex') === null, 'invalid address not rejected');
+  check(normalizeAddress(`0x${'a'.repeat(65)}`) === null, 'overlong address not rejected');
+  check(normalizeAddress(42) === null, 'non-string address not rejected');
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Sui signatures verify correctly!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
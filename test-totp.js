@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test for two-factor codes: the RFC 6238 test vectors, base32 secrets, the
+ * allowed clock drift and refusing a code whose time step was already used.
+ * Run with: node test-totp.js (no server or database needed)
+ */
+
+const { base32Encode, base32Decode, generateSecret, generateTotp, verifyTotp, buildOtpauthUri } = require('./src/utils/totp');
+const MongoDBUserService = require('./src/services/userService');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// The RFC 6238 SHA-1 key, "12345678901234567890", in base32
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// RFC 6238 appendix B, SHA-1, cut to our 6 digits
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+// A users collection holding one document, applying the last_used_step
+// filter verifySecondFactor sends
+const usersCollection = (document) => ({
+  async updateOne(filter, update) {
+    const lastUsed = document.two_factor.last_used_step;
+    const allowed = filter.$or.some(({ 'two_factor.last_used_step': condition }) => (condition === null
+      ? lastUsed === null
+      : lastUsed !== null && lastUsed < condition.$lt));
+    if (!allowed) return { modifiedCount: 0 };
+
+    document.two_factor.last_used_step = update.$set['two_factor.last_used_step'];
+    return { modifiedCount: 1 };
+  }
+});
+
+async function runTests() {
+  console.log('🚀 Checking two-factor codes...\n');
+
+  // Test 1: RFC 6238 test vectors
+  check(RFC_SECRET === 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', `RFC key encodes as ${RFC_SECRET}`);
+  for (const [seconds, code] of RFC_VECTORS) {
+    const generated = generateTotp(RFC_SECRET, seconds * 1000);
+    check(generated === code, `T=${seconds} gives ${generated}, expected ${code}`);
+  }
+
+  // Test 2: base32 round trips, ignoring case, padding and spaces
+  for (const length of [0, 1, 2, 3, 4, 5, 10, 20]) {
+    const bytes = Buffer.from(Array.from({ length }, (_, index) => (index * 37 + 11) & 255));
+    check(base32Decode(base32Encode(bytes)).equals(bytes), `${length} bytes do not round trip through base32`);
+  }
+  check(base32Decode('gezd gnbv====').equals(base32Decode('GEZDGNBV')), 'base32 decoding is not lenient about case, spaces and padding');
+
+  let threw = false;
+  try { base32Decode('GEZD1'); } catch (error) { threw = true; }
+  check(threw, 'invalid base32 characters accepted');
+
+  const secret = generateSecret();
+  check(/^[A-Z2-7]{32}$/.test(secret), `generated secret ${secret} is not 20 base32 bytes`);
+  check(base32Decode(secret).length === 20, 'generated secret does not decode to 20 bytes');
+
+  // Test 3: codes from one step either side are accepted, two steps are not
+  const now = 1111111109 * 1000;
+  const step = Math.floor(now / 30000);
+  check(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now), { timeMs: now }) === step, 'current code rejected');
+  check(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), { timeMs: now }) === step - 1, 'previous step rejected');
+  check(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), { timeMs: now }) === step + 1, 'next step rejected');
+  check(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 60000), { timeMs: now }) === null, 'code two steps old accepted');
+  check(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 60000), { timeMs: now }) === null, 'code two steps ahead accepted');
+  check(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 60000), { timeMs: now, window: 2 }) === step - 2, 'window option ignored');
+  check(verifyTotp(RFC_SECRET, '12345', { timeMs: now }) === null, 'five-digit code accepted');
+  check(verifyTotp(RFC_SECRET, 81804, { timeMs: now }) === null, 'numeric code accepted');
+
+  // Test 4: a code is refused once its time step, or a later one, was used
+  const userService = new MongoDBUserService();
+  const user = { _id: 'user-1', two_factor: { secret: RFC_SECRET, last_used_step: null } };
+  userService.db = { collection: () => usersCollection(user) };
+
+  const code = generateTotp(RFC_SECRET);
+  check(await userService.verifySecondFactor(user, { code }) === true, 'first use of a code refused');
+  check(await userService.verifySecondFactor(user, { code }) === false, 'replayed code accepted');
+  check(await userService.verifySecondFactor(user, { code: generateTotp(RFC_SECRET, Date.now() - 30000) }) === false,
+    'code from an earlier step accepted after a later one was used');
+  check(await userService.verifySecondFactor(user, { code: generateTotp(RFC_SECRET, Date.now() + 30000) }) === true,
+    'code from the next step refused');
+
+  // Test 5: otpauth URI for authenticator apps
+  const uri = new URL(buildOtpauthUri(RFC_SECRET, 'alice@example.com'));
+  check(uri.protocol === 'otpauth:' && uri.host === 'totp', `URI is ${uri.href}`);
+  check(decodeURIComponent(uri.pathname) === '/Evarra:alice@example.com', `URI label is ${uri.pathname}`);
+  check(uri.searchParams.get('secret') === RFC_SECRET && uri.searchParams.get('digits') === '6' && uri.searchParams.get('period') === '30',
+    'URI parameters do not match the code settings');
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Two-factor codes work!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
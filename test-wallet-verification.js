@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test for wallet proof of ownership: the per-chain verifier registry and the
+ * challenges wallets sign, which are single-use, expire and only match the
+ * purpose, address and user they were issued for.
+ * Run with: node test-wallet-verification.js (no server or database needed)
+ */
+
+const { ObjectId } = require('mongodb');
+const { Ed25519Keypair } = require('@mysten/sui/keypairs/ed25519');
+const { registerVerifier, getVerifier, getSupportedChains } = require('./src/utils/walletVerifiers');
+const MongoDBChallengeService = require('./src/services/challengeService');
+
+const failures = [];
+const check = (condition, message) => {
+  if (!condition) failures.push(message);
+};
+
+// Whether a document matches a filter of plain values, null and $gt
+const matches = (document, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = document[key];
+  if (condition && typeof condition === 'object' && '$gt' in condition) return value > condition.$gt;
+  if (condition instanceof ObjectId) return value instanceof ObjectId && value.equals(condition);
+  return value === condition;
+});
+
+// An auth_challenges collection held in memory, for the queries the
+// challenge service makes
+const challengesCollection = () => {
+  const documents = [];
+  return {
+    documents,
+    async insertOne(document) {
+      documents.push({ ...document });
+    },
+    async findOneAndUpdate(filter, update) {
+      const document = documents.find(candidate => matches(candidate, filter));
+      if (!document) return null;
+      Object.assign(document, update.$set);
+      return { ...document };
+    }
+  };
+};
+
+async function runTests() {
+  console.log('🚀 Checking wallet verification...\n');
+
+  // Test 1: Sui has a verifier that checks personal-message signatures
+  const keypair = Ed25519Keypair.fromSecretKey(new Uint8Array(32).fill(3));
+  const address = keypair.toSuiAddress();
+  const message = 'Verify wallet ownership';
+  const { signature } = await keypair.signPersonalMessage(new TextEncoder().encode(message));
+
+  const sui = getVerifier('SUI');
+  check(sui !== null, 'no verifier for sui (chain names should be case-insensitive)');
+  check(sui && await sui.verify({ message, signature, address }) === true, 'Sui verifier rejected a valid signature');
+  check(sui && await sui.verify({ message: 'Something else', signature, address }) === false, 'Sui verifier accepted a signature over another message');
+
+  // Test 2: other chains register their own verifier; without one, wallets stay watch-only
+  check(getVerifier('ethereum') === null, 'unexpected verifier for ethereum');
+  let threw = false;
+  try { registerVerifier('ethereum', {}); } catch (error) { threw = true; }
+  check(threw, 'verifier without verify() accepted');
+  registerVerifier('Test-Chain', { verify: async ({ signature: given }) => given === 'ok' });
+  check(getSupportedChains().includes('test-chain'), 'registered chain not listed in lowercase');
+  check(await getVerifier('test-chain').verify({ signature: 'ok' }) === true, 'registered verifier not used');
+
+  // Test 3: a challenge can be consumed once, by the address and user it was issued to
+  const challengeService = new MongoDBChallengeService();
+  const collection = challengesCollection();
+  challengeService.ensureConnection = async () => {
+    challengeService.db = { collection: () => collection };
+  };
+
+  const userId = new ObjectId().toString();
+  const issued = { purpose: 'wallet_verification', address, chain: 'sui', statement: 'Verify wallet ownership', userId };
+  const challenge = await challengeService.createChallenge(issued);
+  const ttlMs = new Date(challenge.expiresAt) - new Date(collection.documents[0].created_at);
+
+  check(/^[0-9a-f]{32}$/.test(challenge.nonce), `nonce ${challenge.nonce} is not 16 random bytes`);
+  check(challenge.message.startsWith(`Verify wallet ownership\n${address}\n`) && challenge.message.includes(`Nonce: ${challenge.nonce}`),
+    'challenge message does not name the statement, address and nonce');
+  check(ttlMs === 5 * 60 * 1000, `challenge lasts ${ttlMs}ms, expected 5 minutes`);
+
+  const consume = (overrides = {}) => challengeService.consumeChallenge({
+    purpose: issued.purpose, address, nonce: challenge.nonce, userId, ...overrides
+  });
+
+  check(await consume({ purpose: 'sign_in' }) === null, 'challenge consumed for another purpose');
+  check(await consume({ address: `0x${'0'.repeat(64)}` }) === null, 'challenge consumed for another address');
+  check(await consume({ userId: new ObjectId().toString() }) === null, 'challenge consumed by another user');
+  check(await consume({ nonce: 42 }) === null, 'non-string nonce accepted');
+
+  const consumed = await consume();
+  check(consumed && consumed.message === challenge.message, 'challenge not consumed by its owner');
+  check(await consume() === null, 'challenge consumed twice');
+
+  // Test 4: an expired challenge cannot be consumed
+  const expiring = await challengeService.createChallenge(issued);
+  collection.documents.find(document => document.nonce === expiring.nonce).expires_at = new Date(Date.now() - 1);
+  check(await consume({ nonce: expiring.nonce }) === null, 'expired challenge consumed');
+
+  console.log('='.repeat(50));
+  if (failures.length === 0) {
+    console.log('🎉 Wallet verification works!');
+  } else {
+    console.log(`❌ ${failures.length} problem(s):`);
+    failures.forEach(failure => console.log(`   - ${failure}`));
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(50));
+}
+
+runTests().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});